@@ -17,7 +17,18 @@
 /**
  * @exports ProjectionMenu
  */
-define(function () {
+define([
+        '../../src/projections/ProjectionAlbersEqualArea',
+        '../../src/projections/ProjectionLambertConformalConic',
+        '../../src/projections/ProjectionRobinson',
+        '../../src/projections/ProjectionTransverseMercator',
+        '../../src/util/MorphAnimator'
+    ],
+    function (ProjectionAlbersEqualArea,
+              ProjectionLambertConformalConic,
+              ProjectionRobinson,
+              ProjectionTransverseMercator,
+              MorphAnimator) {
     "use strict";
 
     /**
@@ -34,6 +45,9 @@ define(function () {
 
         this.roundGlobe = this.wwd.globe;
 
+        // Animates the changes between the 3D globe and the 2D map.
+        this.morphAnimator = new MorphAnimator(this.wwd);
+
         this.createProjectionList();
         $("#projectionDropdown").find(" li").on("click", function (e) {
             thisExplorer.onProjectionClick(e);
@@ -50,7 +64,7 @@ define(function () {
             }
 
             if (this.wwd.globe !== this.roundGlobe) {
-                this.wwd.globe = this.roundGlobe;
+                this.morphAnimator.morphTo(this.roundGlobe);
             }
         } else {
             if (!this.flatGlobe) {
@@ -73,10 +87,21 @@ define(function () {
                 this.flatGlobe.projection = new WorldWind.ProjectionGnomonic("North");
             } else if (projectionName === "South Gnomonic") {
                 this.flatGlobe.projection = new WorldWind.ProjectionGnomonic("South");
+            } else if (projectionName === "Lambert Conformal Conic") {
+                this.flatGlobe.projection = new ProjectionLambertConformalConic();
+            } else if (projectionName === "Albers Equal Area") {
+                this.flatGlobe.projection = new ProjectionAlbersEqualArea();
+            } else if (projectionName === "UTM") {
+                // Use the UTM zone containing the current view's center.
+                var longitude = this.wwd.navigator.getAsLookAt(this.wwd.globe, {}).lookAtLocation.longitude,
+                    zone = Math.min(Math.floor((longitude + 180) / 6) + 1, 60);
+                this.flatGlobe.projection = ProjectionTransverseMercator.fromUtmZone(zone);
+            } else if (projectionName === "Robinson") {
+                this.flatGlobe.projection = new ProjectionRobinson();
             }
 
             if (this.wwd.globe !== this.flatGlobe) {
-                this.wwd.globe = this.flatGlobe;
+                this.morphAnimator.morphTo(this.flatGlobe);
             }
         }
 
@@ -93,7 +118,11 @@ define(function () {
             "North UPS",
             "South UPS",
             "North Gnomonic",
-            "South Gnomonic"
+            "South Gnomonic",
+            "Lambert Conformal Conic",
+            "Albers Equal Area",
+            "UTM",
+            "Robinson"
         ];
         var projectionDropdown = $("#projectionDropdown");
 
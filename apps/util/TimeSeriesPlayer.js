@@ -21,10 +21,12 @@ define(function () {
     "use strict";
 
     /**
-     * Constructs a TimeSeriesPlayer. A time sequence and layer must be specified after construction.
+     * Constructs a TimeSeriesPlayer. A time sequence and either a layer or the scene clock must be specified after
+     * construction.
      * @alias TimeSeriesPlayer
      * @constructor
-     * @classdesc Provides a control for time-series layers.
+     * @classdesc Provides a control for time-series layers and for the WorldWindow's scene clock, which animates
+     * time-aware KML.
      * @param {WorldWindow} worldWindow The WorldWindow to associate this player.
      */
     var TimeSeriesPlayer = function (worldWindow) {
@@ -65,6 +67,14 @@ define(function () {
          */
         this.layer = null;
 
+        /**
+         * Indicates whether this player sets the WorldWindow's [scene clock]{@link WorldWindow#currentTime} to
+         * the current time of its time sequence. When set to false, the scene clock is cleared.
+         * @type {Boolean}
+         * @default false
+         */
+        this.controlsSceneClock = false;
+
         //this.timeSequence = new WorldWind.PeriodicTimeSequence("2000-01-01/2001-12-01/P1M");
 
         $("#timeSeriesBackward").on("click", function (event) {
@@ -102,6 +112,7 @@ define(function () {
                 if (this._timeSequence) {
                     this.updateTimeSlider(this._timeSequence.scaleForCurrentTime);
                     this.updateTimeDisplay(this._timeSequence.currentTime.toUTCString());
+                    this.updateSceneClock();
                     this.wwd.redraw();
                 } else {
                     this.updateTimeSlider(0);
@@ -118,6 +129,20 @@ define(function () {
                 this._layer = value;
                 this.wwd.redraw();
             }
+        },
+
+        controlsSceneClock: {
+            get: function () {
+                return this._controlsSceneClock;
+            },
+            set: function (value) {
+                this._controlsSceneClock = value;
+                if (!value) {
+                    this.wwd.currentTime = null;
+                }
+                this.updateSceneClock();
+                this.wwd.redraw();
+            }
         }
     });
 
@@ -220,6 +245,16 @@ define(function () {
                 this.layer.time = this.timeSequence.currentTime;
                 this.wwd.redraw();
             }
+            if (this.controlsSceneClock) {
+                this.updateSceneClock();
+                this.wwd.redraw();
+            }
+        }
+    };
+
+    TimeSeriesPlayer.prototype.updateSceneClock = function () {
+        if (this.controlsSceneClock && this.timeSequence && this.timeSequence.currentTime) {
+            this.wwd.currentTime = new Date(this.timeSequence.currentTime.getTime());
         }
     };
 
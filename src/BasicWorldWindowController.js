@@ -20,6 +20,7 @@
 define([
         './geom/Angle',
         './error/ArgumentError',
+        './navigate/CameraNavigator',
         './gesture/ClickRecognizer',
         './gesture/DragRecognizer',
         './gesture/GestureRecognizer',
@@ -38,6 +39,7 @@ define([
     ],
     function (Angle,
               ArgumentError,
+              CameraNavigator,
               ClickRecognizer,
               DragRecognizer,
               GestureRecognizer,
@@ -187,7 +189,13 @@ define([
 
         // Intentionally not documented.
         BasicWorldWindowController.prototype.handlePanOrDrag = function (recognizer) {
-            if (this.wwd.globe.is2D()) {
+            if (this.wwd.navigator instanceof CameraNavigator) {
+                if (this.wwd.globe.is2D()) {
+                    this.handleCameraMove(recognizer);
+                } else {
+                    this.handleCameraLook(recognizer);
+                }
+            } else if (this.wwd.globe.is2D()) {
                 this.handlePanOrDrag2D(recognizer);
             } else {
                 this.handlePanOrDrag3D(recognizer);
@@ -289,8 +297,75 @@ define([
             }
         };
 
+        // Intentionally not documented.
+        BasicWorldWindowController.prototype.handleCameraLook = function (recognizer) {
+            var state = recognizer.state,
+                tx = recognizer.translationX,
+                ty = recognizer.translationY;
+
+            var navigator = this.wwd.navigator;
+            if (state === WorldWind.BEGAN) {
+                this.beginHeading = navigator.heading;
+                this.beginTilt = navigator.tilt;
+            } else if (state === WorldWind.CHANGED) {
+                // Turn the camera as though the user is dragging the scene: dragging right turns the camera left and
+                // dragging down tilts the camera up. Use the canvas dimensions as a metric for converting the gesture
+                // translation to a fraction of the field of view.
+                var headingDegrees = -90 * tx / this.wwd.canvas.clientWidth,
+                    tiltDegrees = 90 * ty / this.wwd.canvas.clientHeight;
+
+                navigator.heading = this.beginHeading + headingDegrees;
+                navigator.tilt = this.beginTilt + tiltDegrees;
+                this.applyLimits();
+                this.wwd.redraw();
+            }
+        };
+
+        // Intentionally not documented.
+        BasicWorldWindowController.prototype.handleCameraMove = function (recognizer) {
+            var state = recognizer.state,
+                tx = recognizer.translationX,
+                ty = recognizer.translationY;
+
+            var navigator = this.wwd.navigator;
+            if (state === WorldWind.BEGAN) {
+                this.lastPoint.set(0, 0);
+            } else if (state === WorldWind.CHANGED) {
+                // Convert the translation from screen coordinates to meters, using the camera's height above the
+                // terrain as a metric so that movement slows as the camera approaches the ground. Dragging up moves
+                // the camera forward and dragging right moves it to the right.
+                var canvas = this.wwd.canvas,
+                    distance = this.cameraHeightAboveTerrain(),
+                    metersPerPixel = WWMath.perspectivePixelSize(canvas.clientWidth, canvas.clientHeight, distance),
+                    forwardMeters = -(ty - this.lastPoint[1]) * metersPerPixel,
+                    sideMeters = (tx - this.lastPoint[0]) * metersPerPixel;
+
+                navigator.move(forwardMeters, sideMeters, this.wwd.globe);
+                this.lastPoint.set(tx, ty);
+                this.applyLimits();
+                this.wwd.redraw();
+            }
+        };
+
+        /**
+         * Returns the height of the current {@link CameraNavigator}'s eye position above the terrain, in meters. The
+         * returned height is never less than 1. Camera movement in response to user input is scaled by this height.
+         * @returns {Number} The camera's height above the terrain.
+         */
+        BasicWorldWindowController.prototype.cameraHeightAboveTerrain = function () {
+            var eyePosition = this.wwd.navigator.eyePosition,
+                elevation = this.wwd.globe.elevationAtLocation(eyePosition.latitude, eyePosition.longitude);
+
+            return WWMath.max(1, eyePosition.altitude - elevation * this.wwd.verticalExaggeration);
+        };
+
         // Intentionally not documented.
         BasicWorldWindowController.prototype.handleSecondaryDrag = function (recognizer) {
+            if (this.wwd.navigator instanceof CameraNavigator) {
+                this.handleCameraMove(recognizer);
+                return;
+            }
+
             var state = recognizer.state,
                 tx = recognizer.translationX,
                 ty = recognizer.translationY;
@@ -319,7 +394,19 @@ define([
             var state = recognizer.state,
                 scale = recognizer.scale;
 
-            if (state === WorldWind.BEGAN) {
+            if (navigator instanceof CameraNavigator) {
+                if (state === WorldWind.BEGAN) {
+                    this.lastPinchScale = 1;
+                } else if (state === WorldWind.CHANGED && scale !== 0) {
+                    // Move the camera forward when the pinch spreads and backward when it closes, relative to the
+                    // camera's height above the terrain.
+                    navigator.move((1 - this.lastPinchScale / scale) * this.cameraHeightAboveTerrain(), 0,
+                        this.wwd.globe);
+                    this.lastPinchScale = scale;
+                    this.applyLimits();
+                    this.wwd.redraw();
+                }
+            } else if (state === WorldWind.BEGAN) {
                 this.beginRange = navigator.range;
             } else if (state === WorldWind.CHANGED) {
                 if (scale !== 0) {
@@ -389,8 +476,13 @@ define([
             // positive or negative, respectfully.
             var scale = 1 + (normalizedDelta / 1000);
 
-            // Apply the scale to this navigator's properties.
-            navigator.range *= scale;
+            // Apply the scale to this navigator's properties. Camera navigators move along their direction of view by
+            // a distance relative to their height above the terrain.
+            if (navigator instanceof CameraNavigator) {
+                navigator.move((1 - scale) * this.cameraHeightAboveTerrain(), 0, this.wwd.globe);
+            } else {
+                navigator.range *= scale;
+            }
             this.applyLimits();
             this.wwd.redraw();
         };
@@ -399,6 +491,11 @@ define([
         BasicWorldWindowController.prototype.applyLimits = function () {
             var navigator = this.wwd.navigator;
 
+            if (navigator instanceof CameraNavigator) {
+                this.applyCameraLimits();
+                return;
+            }
+
             // Clamp latitude to between -90 and +90, and normalize longitude to between -180 and +180.
             navigator.lookAtLocation.latitude = WWMath.clamp(navigator.lookAtLocation.latitude, -90, 90);
             navigator.lookAtLocation.longitude = Angle.normalizedDegreesLongitude(navigator.lookAtLocation.longitude);
@@ -428,6 +525,42 @@ define([
             }
         };
 
+        // Intentionally not documented.
+        BasicWorldWindowController.prototype.applyCameraLimits = function () {
+            var navigator = this.wwd.navigator,
+                eyePosition = navigator.eyePosition,
+                globe = this.wwd.globe;
+
+            // Clamp latitude to between -90 and +90, and normalize longitude to between -180 and +180.
+            eyePosition.latitude = WWMath.clamp(eyePosition.latitude, -90, 90);
+            eyePosition.longitude = Angle.normalizedDegreesLongitude(eyePosition.longitude);
+
+            // Keep the eye at least one meter above the terrain.
+            var minAltitude = globe.elevationAtLocation(eyePosition.latitude, eyePosition.longitude)
+                * this.wwd.verticalExaggeration + 1;
+            eyePosition.altitude = WWMath.clamp(eyePosition.altitude, minAltitude, Number.MAX_VALUE);
+
+            // Normalize heading to between -180 and +180.
+            navigator.heading = Angle.normalizedDegrees(navigator.heading);
+
+            // Clamp tilt to between 0 and +180 to allow the viewer to look from straight down to straight up without
+            // going upside down.
+            navigator.tilt = WWMath.clamp(navigator.tilt, 0, 180);
+
+            // Normalize roll to between -180 and +180.
+            navigator.roll = Angle.normalizedDegrees(navigator.roll);
+
+            // Apply 2D limits when the globe is 2D.
+            if (globe.is2D()) {
+                // Clamp altitude to prevent more than 360 degrees of visible longitude. Assumes a 45 degree horizontal
+                // field of view.
+                eyePosition.altitude = WWMath.clamp(eyePosition.altitude, minAltitude, 2 * Math.PI * globe.equatorialRadius);
+
+                // Force tilt to 0 when in 2D mode to keep the viewer looking straight down.
+                navigator.tilt = 0;
+            }
+        };
+
         return BasicWorldWindowController;
     }
 );
@@ -25,6 +25,7 @@ define([
         './BasicWorldWindowController',
         './render/DrawContext',
         './globe/EarthElevationModel',
+        './render/FramebufferTexture',
         './util/FrameStatistics',
         './geom/Frustum',
         './globe/Globe',
@@ -51,6 +52,7 @@ define([
               BasicWorldWindowController,
               DrawContext,
               EarthElevationModel,
+              FramebufferTexture,
               FrameStatistics,
               Frustum,
               Globe,
@@ -126,6 +128,12 @@ define([
             // Internal. Intentionally not documented.
             this.redrawRequestId = null;
 
+            // Internal. Intentionally not documented. The snapshot whose tile is being drawn, if any.
+            this.snapshotState = null;
+
+            // Internal. Intentionally not documented. The off-screen framebuffer snapshot tiles are drawn to.
+            this.snapshotFramebuffer = null;
+
             // Internal. Intentionally not documented.
             this.scratchModelview = Matrix.fromIdentity();
 
@@ -173,8 +181,9 @@ define([
             this.layers = [];
 
             /**
-             * The navigator used to manipulate the globe.
-             * @type {LookAtNavigator}
+             * The navigator used to manipulate the globe. Use [setNavigator]{@link WorldWindow#setNavigator} to
+             * switch to a different navigator while keeping the current view.
+             * @type {Navigator}
              * @default [LookAtNavigator]{@link LookAtNavigator}
              */
             this.navigator = new LookAtNavigator();
@@ -192,11 +201,18 @@ define([
              */
             this.keyboardControls = new KeyboardControls(this);
 
+            // Internal. Intentionally not documented.
+            this._verticalExaggeration = 1;
+
             /**
-             * The vertical exaggeration to apply to the terrain.
-             * @type {Number}
+             * The scene clock. When set, time-aware shapes such as KML features with time primitives and gx:Track
+             * placemarks are displayed as they appear at this time. When null, the default, time is ignored and all
+             * such shapes are displayed. Applications must call [redraw]{@link WorldWindow#redraw} after changing
+             * this value.
+             * @type {Date}
+             * @default null
              */
-            this.verticalExaggeration = 1;
+            this.currentTime = null;
 
             /**
              * Indicates that picking will return all objects at the pick point, if any. The top-most object will have
@@ -359,6 +375,33 @@ define([
                 get: function () {
                     return this._redrawCallbacks;
                 }
+            },
+            /**
+             * The vertical exaggeration to apply to the terrain and to the shapes and models displayed on it. Terrain
+             * elevations and the altitudes of shapes, placemarks and models are multiplied by this value, so that
+             * shapes keep their position relative to the terrain at any exaggeration. A value of 0 flattens the
+             * terrain. Assigning this property requests a redraw. Positions returned by picking are not exaggerated.
+             * @type {Number}
+             * @default 1
+             * @throws {ArgumentError} If the specified value is negative or is not a number.
+             * @memberof WorldWindow.prototype
+             */
+            verticalExaggeration: {
+                get: function () {
+                    return this._verticalExaggeration;
+                },
+                set: function (value) {
+                    if (typeof value !== "number" || !(value >= 0)) {
+                        throw new ArgumentError(
+                            Logger.logMessage(Logger.LEVEL_SEVERE, "WorldWindow", "verticalExaggeration",
+                                "The specified vertical exaggeration is negative or is not a number."));
+                    }
+
+                    if (this._verticalExaggeration !== value) {
+                        this._verticalExaggeration = value;
+                        this.redraw();
+                    }
+                }
             }
         });
 
@@ -513,7 +556,8 @@ define([
         /**
          * Requests the position of the WorldWind terrain at a specified screen-coordinate point. If the point
          * intersects the terrain, the returned list contains a single object identifying the associated geographic
-         * position. Otherwise this returns an empty list.
+         * position. Otherwise this returns an empty list. The position's altitude is the terrain's elevation at that
+         * location, regardless of this WorldWindow's [vertical exaggeration]{@link WorldWindow#verticalExaggeration}.
          * @param pickPoint The point to examine in this WorldWindow's screen coordinates.
          * @returns {PickedObjectList} A list containing the picked WorldWind terrain position at the specified point,
          * or an empty list if the point does not intersect the terrain.
@@ -571,6 +615,284 @@ define([
             return this.drawContext.objectsAtPickPoint;
         };
 
+        /**
+         * Renders the current view to a PNG or JPEG image. The image is drawn off-screen and does not disturb this
+         * WorldWindow's display. See [snapshotCanvas]{@link WorldWindow#snapshotCanvas} for the options controlling
+         * the image's size and content.
+         * @param {Function} callback The function to call with the image's Blob when the snapshot is complete. The
+         * Blob is null if the snapshot could not be completed.
+         * @param {Object} options Optional. An object with any of the properties accepted by
+         * [snapshotCanvas]{@link WorldWindow#snapshotCanvas}, and the following properties:
+         * <ul>
+         *     <li>format - The image's MIME type, "image/png" or "image/jpeg". The default is "image/png".</li>
+         *     <li>quality - The JPEG image's quality, from 0 to 1. The default is the browser's default.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified callback is null or undefined, or the specified scale is not a
+         * positive number.
+         */
+        WorldWindow.prototype.snapshot = function (callback, options) {
+            if (!callback) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WorldWindow", "snapshot",
+                        "The specified callback is null or undefined."));
+            }
+
+            options = options || {};
+
+            this.snapshotCanvas(function (canvas) {
+                if (canvas) {
+                    canvas.toBlob(callback, options.format || "image/png", options.quality);
+                } else {
+                    callback(null);
+                }
+            }, options);
+        };
+
+        /**
+         * Renders the current view to an HTML canvas. The image is drawn off-screen and does not disturb this
+         * WorldWindow's display. Its size is that of this WorldWindow's drawing buffer multiplied by the specified
+         * scale. Scales greater than one draw the view as a mosaic of tiles, each covering a portion of the view at
+         * the drawing buffer's size, so the image shows more detail than the screen rather than enlarging it.
+         * <p>
+         * Each tile is drawn again until the imagery and elevations it displays have been retrieved, or until the
+         * specified timeout elapses, so the snapshot completes asynchronously. The view should not change while the
+         * snapshot is in progress. The snapshot fails if the WorldWindow is resized meanwhile.
+         * <p>
+         * Screen renderables, such as those of a {@link CompassLayer} or {@link ViewControlsLayer} and the data
+         * credits, keep their on-screen placement and proportion in the image. When the image's size differs from
+         * the drawing buffer's they are drawn once at the drawing buffer's size and scaled to the image.
+         * @param {Function} callback The function to call with the canvas when the snapshot is complete. The canvas
+         * is null if the snapshot could not be completed.
+         * @param {Object} options Optional. An object with any of the following properties:
+         * <ul>
+         *     <li>scale - The image's size relative to the drawing buffer's. The default is 1.</li>
+         *     <li>includeScreenLayers - Indicates whether to draw screen renderables. The default is true.</li>
+         *     <li>excludedLayers - An array of this WorldWindow's layers to omit from the image.</li>
+         *     <li>timeout - The maximum time in milliseconds to wait for each tile's resources. The default is
+         *     10000.</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified callback is null or undefined, or the specified scale is not a
+         * positive number.
+         */
+        WorldWindow.prototype.snapshotCanvas = function (callback, options) {
+            if (!callback) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WorldWindow", "snapshotCanvas",
+                        "The specified callback is null or undefined."));
+            }
+
+            options = options || {};
+
+            var scale = options.scale !== undefined ? options.scale : 1;
+            if (typeof scale !== "number" || !(scale > 0)) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WorldWindow", "snapshotCanvas",
+                        "The specified scale is not a positive number."));
+            }
+
+            // Suppress the snapshot when the WebGL context has been lost.
+            var gl = this.drawContext.currentGlContext;
+            if (gl.isContextLost()) {
+                callback(null);
+                return;
+            }
+
+            this.resize();
+
+            var width = gl.drawingBufferWidth,
+                height = gl.drawingBufferHeight,
+                canvas = document.createElement("canvas"),
+                includeScreenLayers = options.includeScreenLayers !== undefined ? options.includeScreenLayers : true;
+
+            canvas.width = Math.max(Math.round(width * scale), 1);
+            canvas.height = Math.max(Math.round(height * scale), 1);
+
+            if (!this.snapshotFramebuffer ||
+                this.snapshotFramebuffer.width != width ||
+                this.snapshotFramebuffer.height != height) {
+
+                if (this.snapshotFramebuffer) {
+                    this.snapshotFramebuffer.dispose(gl);
+                }
+
+                this.snapshotFramebuffer = new FramebufferTexture(gl, width, height, true); // enable depth buffering
+            }
+
+            var sizeDiffers = canvas.width !== width || canvas.height !== height;
+
+            this.drawSnapshotTiles({
+                callback: callback,
+                canvas: canvas,
+                ctx2D: canvas.getContext("2d"),
+                width: width,
+                height: height,
+                pixels: new Uint8Array(4 * width * height),
+                numColumns: Math.ceil(canvas.width / width),
+                numRows: Math.ceil(canvas.height / height),
+                tileIndex: 0,
+                tileDeadline: 0,
+                tileTransform: Matrix.fromIdentity(),
+                excludedLayers: options.excludedLayers || [],
+                timeout: typeof options.timeout === "number" ? options.timeout : 10000,
+                deferScreenRenderables: sizeDiffers || !includeScreenLayers,
+                drawScreenOverlay: sizeDiffers && includeScreenLayers
+            });
+        };
+
+        // Internal function. Intentionally not documented.
+        WorldWindow.prototype.drawSnapshotTiles = function (state) {
+            var gl = this.drawContext.currentGlContext,
+                thisWindow = this;
+
+            if (gl.isContextLost() || this.viewport.width !== state.width || this.viewport.height !== state.height) {
+                Logger.log(Logger.LEVEL_WARNING,
+                    "The snapshot was interrupted by a lost WebGL context or a resized WorldWindow.");
+                state.callback(null);
+                return;
+            }
+
+            while (state.tileIndex < state.numColumns * state.numRows) {
+                if (state.tileDeadline === 0) {
+                    state.tileDeadline = Date.now() + state.timeout;
+                }
+
+                var x = (state.tileIndex % state.numColumns) * state.width,
+                    y = Math.floor(state.tileIndex / state.numColumns) * state.height;
+
+                this.drawSnapshotTile(state, x, y);
+
+                if (this.isRetrievingResources() && Date.now() < state.tileDeadline) {
+                    // Draw the tile again once more of its resources have been retrieved.
+                    window.setTimeout(function () {
+                        thisWindow.drawSnapshotTiles(state);
+                    }, 100);
+                    return;
+                }
+
+                state.tileIndex++;
+                state.tileDeadline = 0;
+            }
+
+            // The screen renderables of the last tile drawn remain to be drawn over the whole image.
+            if (state.drawScreenOverlay) {
+                this.drawSnapshotScreenOverlay(state);
+            }
+
+            state.callback(state.canvas);
+        };
+
+        // Internal function. Intentionally not documented.
+        WorldWindow.prototype.drawSnapshotTile = function (state, x, y) {
+            var dc = this.drawContext,
+                gl = dc.currentGlContext,
+                imageWidth = state.canvas.width,
+                imageHeight = state.canvas.height;
+
+            // Map the portion of the image covered by the tile, whose lower left corner is at (x, y), to the full clip
+            // space.
+            state.tileTransform.set(
+                imageWidth / state.width, 0, 0, (imageWidth - 2 * x - state.width) / state.width,
+                0, imageHeight / state.height, 0, (imageHeight - 2 * y - state.height) / state.height,
+                0, 0, 1, 0,
+                0, 0, 0, 1);
+
+            this.snapshotState = state;
+            try {
+                this.resetDrawContext();
+                dc.layers = dc.layers.filter(function (layer) {
+                    return state.excludedLayers.indexOf(layer) < 0;
+                });
+                this.drawFrame();
+
+                dc.bindFramebuffer(this.snapshotFramebuffer);
+                gl.readPixels(0, 0, state.width, state.height, gl.RGBA, gl.UNSIGNED_BYTE, state.pixels);
+                dc.bindFramebuffer(null);
+            } finally {
+                this.snapshotState = null;
+            }
+
+            this.copySnapshotPixels(state.pixels, state.width, state.height, state.ctx2D, x,
+                imageHeight - y - state.height);
+        };
+
+        // Internal function. Intentionally not documented.
+        WorldWindow.prototype.drawSnapshotScreenOverlay = function (state) {
+            var dc = this.drawContext,
+                gl = dc.currentGlContext,
+                overlay = document.createElement("canvas");
+
+            try {
+                this.beginFrame();
+                dc.bindFramebuffer(this.snapshotFramebuffer);
+                gl.clearColor(0, 0, 0, 0);
+                gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+                this.drawScreenRenderables();
+                gl.readPixels(0, 0, state.width, state.height, gl.RGBA, gl.UNSIGNED_BYTE, state.pixels);
+            } finally {
+                this.endFrame();
+            }
+
+            overlay.width = state.width;
+            overlay.height = state.height;
+            this.copySnapshotPixels(state.pixels, state.width, state.height, overlay.getContext("2d"), 0, 0);
+            state.ctx2D.drawImage(overlay, 0, 0, state.canvas.width, state.canvas.height);
+        };
+
+        // Internal function. Intentionally not documented. Copies WebGL pixels, which are ordered from bottom to top
+        // and have premultiplied alpha, to a 2D context with its upper left corner at (x, y).
+        WorldWindow.prototype.copySnapshotPixels = function (pixels, width, height, ctx2D, x, y) {
+            var imageData = ctx2D.createImageData(width, height),
+                data = imageData.data,
+                rowLength = 4 * width;
+
+            for (var row = 0; row < height; row++) {
+                var src = rowLength * (height - 1 - row),
+                    dst = rowLength * row;
+
+                for (var i = 0; i < rowLength; i += 4) {
+                    var alpha = pixels[src + i + 3],
+                        scale = alpha > 0 ? 255 / alpha : 0;
+
+                    data[dst + i] = pixels[src + i] * scale;
+                    data[dst + i + 1] = pixels[src + i + 1] * scale;
+                    data[dst + i + 2] = pixels[src + i + 2] * scale;
+                    data[dst + i + 3] = alpha;
+                }
+            }
+
+            ctx2D.putImageData(imageData, x, y);
+        };
+
+        // Internal function. Intentionally not documented. Indicates whether the last frame drawn is waiting for
+        // resources to be retrieved or computed. Redraw requests are not considered, since animated layers request
+        // them in every frame.
+        WorldWindow.prototype.isRetrievingResources = function () {
+            var dc = this.drawContext,
+                elevationModel = this.globe.elevationModel,
+                coverages = elevationModel ? elevationModel.coverages : [],
+                i, len;
+
+            if (Object.keys(dc.gpuResourceCache.currentRetrievals).length > 0) {
+                return true;
+            }
+
+            for (i = 0, len = dc.layers.length; i < len; i++) {
+                var layer = dc.layers[i];
+                if (layer && layer.enabled && layer.currentRetrievals && layer.currentRetrievals.length > 0) {
+                    return true;
+                }
+            }
+
+            for (i = 0, len = coverages.length; i < len; i++) {
+                var coverage = coverages[i];
+                if (coverage.enabled && coverage.currentRetrievals && coverage.currentRetrievals.length > 0) {
+                    return true;
+                }
+            }
+
+            return false;
+        };
+
         // Internal function. Intentionally not documented.
         WorldWindow.prototype.createContext = function (canvas) {
             // Request a WebGL context with antialiasing is disabled. Antialiasing causes gaps to appear at the edges of
@@ -597,6 +919,7 @@ define([
             event.preventDefault();
             // Notify the draw context that the WebGL rendering context has been lost.
             this.drawContext.contextLost();
+            this.snapshotFramebuffer = null;
             // Stop the rendering animation frame loop, resuming only if the WebGL context is restored.
             window.cancelAnimationFrame(this.redrawRequestId);
         };
@@ -694,9 +1017,7 @@ define([
             modelview.setToIdentity();
             this.worldWindowController.applyLimits();
             var globe = this.globe;
-            var navigator = this.navigator;
-            var lookAtPosition = new Position(navigator.lookAtLocation.latitude, navigator.lookAtLocation.longitude, 0);
-            modelview.multiplyByLookAtModelview(lookAtPosition, navigator.range, navigator.heading, navigator.tilt, navigator.roll, globe);
+            this.navigator.applyViewingTransform(modelview, globe);
 
             if (projection) {
                 projection.setToIdentity();
@@ -740,6 +1061,36 @@ define([
             }
         };
 
+        /**
+         * Replaces this WorldWindow's navigator with a specified navigator, configuring the new navigator so that the
+         * view does not change. This is typically used to switch between a {@link LookAtNavigator} and a
+         * {@link CameraNavigator}. The new navigator's roll is initialized to that of the current navigator, and is
+         * retained when the view looks straight down, where roll cannot be distinguished from heading.
+         * @param {Navigator} navigator The navigator to use.
+         * @throws {ArgumentError} If the specified navigator is null or undefined.
+         */
+        WorldWindow.prototype.setNavigator = function (navigator) {
+            if (!navigator) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WorldWindow", "setNavigator", "missingNavigator"));
+            }
+
+            if (navigator === this.navigator) {
+                return;
+            }
+
+            this.goToAnimator.cancel();
+
+            var modelview = Matrix.fromIdentity();
+            this.computeViewingTransform(null, modelview);
+
+            navigator.roll = this.navigator.roll;
+            navigator.setFromModelview(modelview, this.globe);
+            this.navigator = navigator;
+            this.worldWindowController.applyLimits();
+            this.redraw();
+        };
+
         // Internal. Intentionally not documented.
         WorldWindow.prototype.computePixelMetrics = function (projection) {
             var projectionInv = Matrix.fromIdentity();
@@ -801,6 +1152,11 @@ define([
             var dc = this.drawContext;
 
             this.computeViewingTransform(dc.projection, dc.modelview);
+            if (this.snapshotState) {
+                // Narrow the projection to the portion of the view covered by the snapshot tile being drawn.
+                dc.projection.setToMultiply(this.snapshotState.tileTransform, dc.projection.clone());
+            }
+
             dc.viewport = this.viewport;
             dc.eyePoint = dc.modelview.extractEyePoint(new Vec3(0, 0, 0));
 
@@ -842,6 +1198,7 @@ define([
             dc.layers.push(dc.screenCreditController);
             this.computeDrawContext();
             dc.verticalExaggeration = this.verticalExaggeration;
+            dc.currentTime = this.currentTime;
             dc.surfaceOpacity = this.surfaceOpacity;
             dc.deepPicking = this.deepPicking;
             dc.frameStatistics = this.frameStatistics;
@@ -947,6 +1304,8 @@ define([
             if (this.drawContext.pickingMode) {
                 this.drawContext.makePickFramebuffer();
                 this.drawContext.bindFramebuffer(this.drawContext.pickFramebuffer);
+            } else if (this.snapshotState) {
+                this.drawContext.bindFramebuffer(this.snapshotFramebuffer);
             }
         };
 
@@ -1325,6 +1684,10 @@ define([
             var dc = this.drawContext,
                 or;
 
+            if (this.snapshotState && this.snapshotState.deferScreenRenderables) {
+                return; // leave the screen renderables to the snapshot's screen overlay, if any
+            }
+
             while (or = dc.nextScreenRenderable()) {
                 try {
                     or.renderOrdered(dc);
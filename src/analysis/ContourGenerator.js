@@ -0,0 +1,271 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ContourGenerator
+ */
+define([
+        '../error/ArgumentError',
+        '../geom/Location',
+        '../util/Logger'
+    ],
+    function (ArgumentError,
+              Location,
+              Logger) {
+        "use strict";
+
+        /**
+         * Provides functions to generate contour lines from a grid of elevations using the marching squares
+         * algorithm.
+         * @exports ContourGenerator
+         */
+        var ContourGenerator = {
+            /**
+             * Generates the contour lines of a grid of elevations at regular intervals.
+             * @param {Number[]} elevations The grid's elevations, ordered by row from the grid's southernmost row to
+             * its northernmost and within each row from west to east, as returned by
+             * [ElevationModel.elevationsForGrid]{@link ElevationModel#elevationsForGrid}. Missing elevations are
+             * indicated by NaN.
+             * @param {Number} width The number of grid points in each row.
+             * @param {Number} height The number of rows.
+             * @param {Sector} sector The sector spanned by the grid. The grid's corner points lie on the sector's
+             * corners.
+             * @param {Number} interval The elevation interval between contour lines, in meters.
+             * @returns {Object[]} The contours, ordered by increasing elevation. Each contour has an elevation
+             * property indicating its elevation and a lines property holding its lines, each an array of
+             * {@link Location}s. Lines that close on themselves begin and end with the same location.
+             * @throws {ArgumentError} If the elevations or sector are null or undefined, the grid has fewer than two
+             * rows or columns, or the interval is not positive.
+             */
+            generateContours: function (elevations, width, height, sector, interval) {
+                if (!elevations) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ContourGenerator", "generateContours",
+                            "The specified elevations array is null or undefined."));
+                }
+
+                if (!sector) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ContourGenerator", "generateContours",
+                            "missingSector"));
+                }
+
+                if (width < 2 || height < 2) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ContourGenerator", "generateContours",
+                            "The specified grid has fewer than two rows or columns."));
+                }
+
+                if (!interval || interval <= 0) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ContourGenerator", "generateContours",
+                            "The specified interval is not positive."));
+                }
+
+                var min = Number.MAX_VALUE,
+                    max = -Number.MAX_VALUE,
+                    contours = [];
+
+                for (var i = 0, len = width * height; i < len; i++) {
+                    if (!isNaN(elevations[i])) {
+                        min = Math.min(min, elevations[i]);
+                        max = Math.max(max, elevations[i]);
+                    }
+                }
+
+                for (var elevation = Math.ceil(min / interval) * interval; elevation <= max; elevation += interval) {
+                    var lines = ContourGenerator.generateContourLines(elevations, width, height, sector, elevation);
+                    if (lines.length > 0) {
+                        contours.push({elevation: elevation, lines: lines});
+                    }
+                }
+
+                return contours;
+            },
+
+            /**
+             * Generates the contour lines of a grid of elevations at a single elevation.
+             * @param {Number[]} elevations The grid's elevations. See
+             * [generateContours]{@link ContourGenerator#generateContours}.
+             * @param {Number} width The number of grid points in each row.
+             * @param {Number} height The number of rows.
+             * @param {Sector} sector The sector spanned by the grid.
+             * @param {Number} elevation The contour elevation, in meters.
+             * @returns {Location[][]} The contour lines.
+             */
+            generateContourLines: function (elevations, width, height, sector, elevation) {
+                var segments = [],
+                    edgeLocations = {},
+                    row, col;
+
+                // Marching squares. Each cell's corners are numbered 1, 2, 4 and 8 counterclockwise from its
+                // southwest corner, and its edges 0 to 3 counterclockwise from its south edge.
+                for (row = 0; row < height - 1; row++) {
+                    for (col = 0; col < width - 1; col++) {
+                        var sw = elevations[row * width + col],
+                            se = elevations[row * width + col + 1],
+                            ne = elevations[(row + 1) * width + col + 1],
+                            nw = elevations[(row + 1) * width + col];
+
+                        if (isNaN(sw) || isNaN(se) || isNaN(ne) || isNaN(nw)) {
+                            continue;
+                        }
+
+                        var caseIndex = (sw >= elevation ? 1 : 0) | (se >= elevation ? 2 : 0) |
+                                (ne >= elevation ? 4 : 0) | (nw >= elevation ? 8 : 0),
+                            edgePairs = ContourGenerator.CASE_EDGES[caseIndex];
+
+                        if (caseIndex === 5 || caseIndex === 10) {
+                            // Resolve saddle cells by the elevation at the cell's center.
+                            var centerAbove = (sw + se + ne + nw) / 4 >= elevation;
+                            edgePairs = (caseIndex === 5) === centerAbove ?
+                                ContourGenerator.SADDLE_EDGES[0] : ContourGenerator.SADDLE_EDGES[1];
+                        }
+
+                        for (var p = 0; edgePairs && p < edgePairs.length; p += 2) {
+                            segments.push(ContourGenerator.edgeKey(row, col, width, edgePairs[p]));
+                            segments.push(ContourGenerator.edgeKey(row, col, width, edgePairs[p + 1]));
+                        }
+                    }
+                }
+
+                var edgeSegments = {};
+                for (var s = 0; s < segments.length; s++) {
+                    var key = segments[s];
+                    if (!edgeSegments[key]) {
+                        edgeSegments[key] = [];
+                        edgeLocations[key] = ContourGenerator.edgeLocation(key, elevations, width, height, sector,
+                            elevation);
+                    }
+                    edgeSegments[key].push(s >> 1);
+                }
+
+                return ContourGenerator.joinSegments(segments, edgeSegments, edgeLocations);
+            },
+
+            // Internal. Intentionally not documented. Joins segments sharing edges into lines, beginning with the
+            // open lines, which start at edges belonging to only one segment.
+            joinSegments: function (segments, edgeSegments, edgeLocations) {
+                var used = new Uint8Array(segments.length / 2),
+                    lines = [],
+                    pass, s;
+
+                for (pass = 0; pass < 2; pass++) {
+                    for (s = 0; s < used.length; s++) {
+                        if (used[s]) {
+                            continue;
+                        }
+
+                        var startKey = segments[2 * s];
+                        if (pass === 0 && edgeSegments[startKey].length !== 1) {
+                            startKey = segments[2 * s + 1];
+                            if (edgeSegments[startKey].length !== 1) {
+                                continue;
+                            }
+                        }
+
+                        var line = [edgeLocations[startKey]],
+                            key = startKey,
+                            segment = s;
+
+                        while (segment >= 0) {
+                            used[segment] = 1;
+                            key = segments[2 * segment] === key ? segments[2 * segment + 1] : segments[2 * segment];
+                            line.push(edgeLocations[key]);
+
+                            var candidates = edgeSegments[key];
+                            segment = -1;
+                            for (var c = 0; c < candidates.length; c++) {
+                                if (!used[candidates[c]]) {
+                                    segment = candidates[c];
+                                    break;
+                                }
+                            }
+                        }
+
+                        lines.push(line);
+                    }
+                }
+
+                return lines;
+            },
+
+            // Internal. Intentionally not documented. Returns a key identifying a cell edge across the grid. South
+            // edges of a row are shared with north edges of the row below, west edges with east edges of the cell
+            // to the west.
+            edgeKey: function (row, col, width, edge) {
+                switch (edge) {
+                    case 0: // south
+                        return 2 * (row * width + col);
+                    case 1: // east
+                        return 2 * (row * width + col + 1) + 1;
+                    case 2: // north
+                        return 2 * ((row + 1) * width + col);
+                    default: // west
+                        return 2 * (row * width + col) + 1;
+                }
+            },
+
+            // Internal. Intentionally not documented. Computes the location along an edge at which the elevation
+            // equals the contour elevation.
+            edgeLocation: function (key, elevations, width, height, sector, elevation) {
+                var index = key >> 1,
+                    row = Math.floor(index / width),
+                    col = index % width,
+                    vertical = (key & 1) === 1,
+                    e0 = elevations[index],
+                    e1 = elevations[vertical ? index + width : index + 1],
+                    t = e1 === e0 ? 0.5 : (elevation - e0) / (e1 - e0),
+                    rowPosition = vertical ? row + t : row,
+                    colPosition = vertical ? col : col + t;
+
+                return new Location(
+                    sector.minLatitude + rowPosition * sector.deltaLatitude() / (height - 1),
+                    sector.minLongitude + colPosition * sector.deltaLongitude() / (width - 1));
+            },
+
+            // Internal. Intentionally not documented. The pairs of edges crossed by the contour for each marching
+            // squares case. Saddle cases are resolved separately.
+            CASE_EDGES: [
+                null,
+                [3, 0],
+                [0, 1],
+                [3, 1],
+                [1, 2],
+                null,
+                [0, 2],
+                [3, 2],
+                [2, 3],
+                [0, 2],
+                null,
+                [1, 2],
+                [3, 1],
+                [0, 1],
+                [3, 0],
+                null
+            ],
+
+            // Internal. Intentionally not documented. The edge pairs of saddle cells whose southwest and northeast
+            // corners are connected through the cell's center, and of those whose southeast and northwest corners
+            // are connected.
+            SADDLE_EDGES: [
+                [0, 1, 2, 3],
+                [3, 0, 1, 2]
+            ]
+        };
+
+        return ContourGenerator;
+    });
@@ -0,0 +1,290 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ElevationGrid
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../geom/Sector'
+    ],
+    function (ArgumentError,
+              Logger,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs an elevation grid.
+         * @alias ElevationGrid
+         * @constructor
+         * @classdesc Holds elevations sampled at regularly spaced grid points within a sector. The grid's corner
+         * points lie on the sector's corners. Grids are typically created from an {@link ElevationModel} by
+         * [fromElevationModel]{@link ElevationGrid.fromElevationModel}, or from a DEM raster by
+         * [fromAAIGrid]{@link ElevationGrid.fromAAIGrid} or [fromGeoTiff]{@link ElevationGrid.fromGeoTiff}.
+         * @param {Sector} sector The sector spanned by the grid points.
+         * @param {Number} width The number of grid points in each row.
+         * @param {Number} height The number of rows.
+         * @param {Number[]} elevations The elevations in meters, ordered by row from the grid's southernmost row to
+         * its northernmost and within each row from west to east. Missing elevations are indicated by NaN.
+         * @throws {ArgumentError} If the specified sector or elevations are null or undefined, the grid has fewer
+         * than two rows or columns or the elevations array is smaller than the grid.
+         */
+        var ElevationGrid = function (sector, width, height, elevations) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "constructor", "missingSector"));
+            }
+
+            if (!width || !height || width < 2 || height < 2) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "constructor",
+                        "The specified grid has fewer than two rows or columns."));
+            }
+
+            if (!elevations || elevations.length < width * height) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "constructor",
+                        "The specified elevations array is null, undefined or smaller than the grid."));
+            }
+
+            /**
+             * The sector spanned by this grid's points.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = sector;
+
+            /**
+             * The number of grid points in each row.
+             * @type {Number}
+             * @readonly
+             */
+            this.width = width;
+
+            /**
+             * The number of rows.
+             * @type {Number}
+             * @readonly
+             */
+            this.height = height;
+
+            /**
+             * This grid's elevations in meters, ordered by row from south to north and within each row from west to
+             * east. Missing elevations are NaN.
+             * @type {Number[]}
+             * @readonly
+             */
+            this.elevations = elevations;
+
+            /**
+             * The resolution of the elevation data the grid was sampled from, in degrees. For grids created from an
+             * elevation model this is the nominal resolution of the coverage that provided the elevations. The data
+             * that coverage has retrieved so far may be coarser.
+             * @type {Number}
+             * @readonly
+             */
+            this.resolution = sector.deltaLatitude() / (height - 1);
+        };
+
+        /**
+         * Creates an elevation grid by sampling an elevation model.
+         * @param {ElevationModel} elevationModel The elevation model to sample.
+         * @param {Sector} sector The sector to sample.
+         * @param {Number} width The number of grid points in each row.
+         * @param {Number} height The number of rows.
+         * @returns {ElevationGrid} The new grid. Its [resolution]{@link ElevationGrid#resolution} indicates the
+         * nominal resolution of the coverage that provided the elevations.
+         * @throws {ArgumentError} If the specified elevation model or sector is null or undefined.
+         */
+        ElevationGrid.fromElevationModel = function (elevationModel, sector, width, height) {
+            if (!elevationModel) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "fromElevationModel",
+                        "The specified elevation model is null or undefined."));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "fromElevationModel", "missingSector"));
+            }
+
+            var elevations = new Float64Array(width * height),
+                grid = new ElevationGrid(sector, width, height, elevations),
+                resolution = elevationModel.elevationsForGrid(sector, height, width, grid.resolution, elevations);
+
+            grid.resolution = Math.max(grid.resolution, resolution);
+
+            return grid;
+        };
+
+        /**
+         * Creates an elevation grid from an ASCII grid DEM. The grid points are the centers of the DEM's cells.
+         * Cells holding the DEM's no-data value become missing elevations.
+         * @param {AAIGridReader} reader The reader of the DEM.
+         * @returns {ElevationGrid} The new grid.
+         * @throws {ArgumentError} If the specified reader is null or undefined.
+         */
+        ElevationGrid.fromAAIGrid = function (reader) {
+            if (!reader) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "fromAAIGrid",
+                        "The specified reader is null or undefined."));
+            }
+
+            var metadata = reader.metadata,
+                halfCell = metadata.cellsize / 2,
+                sector = new Sector(
+                    metadata.yllcorner + halfCell,
+                    metadata.yllcorner + metadata.nrows * metadata.cellsize - halfCell,
+                    metadata.xllcorner + halfCell,
+                    metadata.xllcorner + metadata.ncols * metadata.cellsize - halfCell);
+
+            return ElevationGrid.fromRaster(reader.getImageData(), metadata.ncols, metadata.nrows, sector,
+                metadata.NODATA_value);
+        };
+
+        /**
+         * Creates an elevation grid from a GeoTIFF DEM in geographic coordinates. The grid points are the centers of
+         * the DEM's pixels. Pixels holding the DEM's no-data value become missing elevations.
+         * @param {GeoTiffReader} reader The reader of the DEM.
+         * @returns {ElevationGrid} The new grid.
+         * @throws {ArgumentError} If the specified reader is null or undefined.
+         */
+        ElevationGrid.fromGeoTiff = function (reader) {
+            if (!reader) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "fromGeoTiff",
+                        "The specified reader is null or undefined."));
+            }
+
+            var metadata = reader.metadata,
+                width = metadata.imageWidth,
+                height = metadata.imageLength,
+                bbox = metadata.bbox,
+                halfLat = bbox.deltaLatitude() / height / 2,
+                halfLon = bbox.deltaLongitude() / width / 2,
+                sector = new Sector(bbox.minLatitude + halfLat, bbox.maxLatitude - halfLat,
+                    bbox.minLongitude + halfLon, bbox.maxLongitude - halfLon),
+                noData = metadata.noData !== null && metadata.noData !== undefined ?
+                    parseFloat(metadata.noData) : undefined;
+
+            return ElevationGrid.fromRaster(reader.getImageData(), width, height, sector, noData);
+        };
+
+        /**
+         * Creates an elevation grid from raster values ordered by row from north to south, as raster formats
+         * typically store them, and within each row from west to east.
+         * @param {Number[]} values The raster values.
+         * @param {Number} width The number of values in each row.
+         * @param {Number} height The number of rows.
+         * @param {Sector} sector The sector spanned by the grid points.
+         * @param {Number} noData The value indicating missing elevations. May be undefined if the raster has no
+         * missing elevations.
+         * @returns {ElevationGrid} The new grid.
+         */
+        ElevationGrid.fromRaster = function (values, width, height, sector, noData) {
+            var elevations = new Float64Array(width * height);
+
+            for (var row = 0; row < height; row++) {
+                for (var col = 0; col < width; col++) {
+                    var value = values[(height - 1 - row) * width + col];
+                    elevations[row * width + col] = value === noData ? NaN : value;
+                }
+            }
+
+            return new ElevationGrid(sector, width, height, elevations);
+        };
+
+        /**
+         * Returns the elevation at a specified location, interpolated from the surrounding grid points.
+         * @param {Number} latitude The location's latitude in degrees.
+         * @param {Number} longitude The location's longitude in degrees.
+         * @returns {Number} The elevation in meters, or NaN if the location is outside this grid's sector or any of
+         * the surrounding grid points contributing to the elevation is missing its elevation.
+         */
+        ElevationGrid.prototype.elevationAtLocation = function (latitude, longitude) {
+            if (!this.sector.containsLocation(latitude, longitude)) {
+                return NaN;
+            }
+
+            var x = (longitude - this.sector.minLongitude) / this.sector.deltaLongitude() * (this.width - 1),
+                y = (latitude - this.sector.minLatitude) / this.sector.deltaLatitude() * (this.height - 1),
+                col = Math.min(Math.floor(x), this.width - 2),
+                row = Math.min(Math.floor(y), this.height - 2),
+                s = x - col,
+                t = y - row,
+                index = row * this.width + col;
+
+            // Omit grid points that don't contribute, so that locations on grid points and lines next to missing
+            // elevations have elevations.
+            return ElevationGrid.weightedElevation((1 - s) * (1 - t), this.elevations[index]) +
+                ElevationGrid.weightedElevation(s * (1 - t), this.elevations[index + 1]) +
+                ElevationGrid.weightedElevation((1 - s) * t, this.elevations[index + this.width]) +
+                ElevationGrid.weightedElevation(s * t, this.elevations[index + this.width + 1]);
+        };
+
+        // Internal. Intentionally not documented.
+        ElevationGrid.weightedElevation = function (weight, elevation) {
+            return weight === 0 ? 0 : weight * elevation;
+        };
+
+        /**
+         * Creates a grid holding the points of this grid within a specified sector.
+         * @param {Sector} sector The sector of interest.
+         * @returns {ElevationGrid} The new grid, or null if fewer than two rows or columns of this grid's points lie
+         * within the sector.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        ElevationGrid.prototype.subgrid = function (sector) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationGrid", "subgrid", "missingSector"));
+            }
+
+            var deltaLat = this.sector.deltaLatitude() / (this.height - 1),
+                deltaLon = this.sector.deltaLongitude() / (this.width - 1),
+                firstRow = Math.max(0, Math.ceil((sector.minLatitude - this.sector.minLatitude) / deltaLat)),
+                lastRow = Math.min(this.height - 1,
+                    Math.floor((sector.maxLatitude - this.sector.minLatitude) / deltaLat)),
+                firstCol = Math.max(0, Math.ceil((sector.minLongitude - this.sector.minLongitude) / deltaLon)),
+                lastCol = Math.min(this.width - 1,
+                    Math.floor((sector.maxLongitude - this.sector.minLongitude) / deltaLon)),
+                width = lastCol - firstCol + 1,
+                height = lastRow - firstRow + 1;
+
+            if (width < 2 || height < 2) {
+                return null;
+            }
+
+            var elevations = new Float64Array(width * height);
+            for (var row = 0; row < height; row++) {
+                for (var col = 0; col < width; col++) {
+                    elevations[row * width + col] = this.elevations[(firstRow + row) * this.width + firstCol + col];
+                }
+            }
+
+            var grid = new ElevationGrid(new Sector(
+                this.sector.minLatitude + firstRow * deltaLat, this.sector.minLatitude + lastRow * deltaLat,
+                this.sector.minLongitude + firstCol * deltaLon, this.sector.minLongitude + lastCol * deltaLon),
+                width, height, elevations);
+            grid.resolution = this.resolution;
+
+            return grid;
+        };
+
+        return ElevationGrid;
+    });
@@ -0,0 +1,180 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports LineOfSight
+ */
+define([
+        '../error/ArgumentError',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Position'
+    ],
+    function (ArgumentError,
+              Location,
+              Logger,
+              Position) {
+        "use strict";
+
+        /**
+         * Constructs a line of sight between an observer and a target.
+         * @alias LineOfSight
+         * @constructor
+         * @classdesc Determines whether a target is visible from an observer, taking into account the terrain between
+         * them and the curvature of the globe. Call [compute]{@link LineOfSight#compute} to determine the
+         * visibility, which is then indicated by this object's [visible]{@link LineOfSight#visible} and
+         * [obstruction]{@link LineOfSight#obstruction} properties.
+         * <p>
+         * The terrain is sampled from the globe's elevation model, which holds the elevation data retrieved so far.
+         * Computing the line of sight again after more elevation data has been retrieved may produce a more
+         * accurate result.
+         * @param {Location} observer The observer's location. The observer is positioned
+         * [observerHeight]{@link LineOfSight#observerHeight} meters above the terrain at this location.
+         * @param {Location} target The target's location. The target is positioned
+         * [targetHeight]{@link LineOfSight#targetHeight} meters above the terrain at this location.
+         * @throws {ArgumentError} If the specified observer or target is null or undefined.
+         */
+        var LineOfSight = function (observer, target) {
+            if (!observer || !target) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LineOfSight", "constructor", "missingLocation"));
+            }
+
+            /**
+             * The observer's location.
+             * @type {Location}
+             */
+            this.observer = observer;
+
+            /**
+             * The target's location.
+             * @type {Location}
+             */
+            this.target = target;
+
+            /**
+             * The observer's height above the terrain, in meters.
+             * @type {Number}
+             * @default 2
+             */
+            this.observerHeight = 2;
+
+            /**
+             * The target's height above the terrain, in meters.
+             * @type {Number}
+             * @default 0
+             */
+            this.targetHeight = 0;
+
+            /**
+             * The number of terrain samples taken between the observer and the target.
+             * @type {Number}
+             * @default 256
+             */
+            this.sampleCount = 256;
+
+            /**
+             * The coefficient of atmospheric refraction, which bends lines of sight along the curvature of the globe
+             * and so extends the visible distance. Zero indicates straight lines of sight; 0.13 is typical for
+             * visible light.
+             * @type {Number}
+             * @default 0
+             */
+            this.refractionCoefficient = 0;
+
+            /**
+             * Indicates whether the target is visible from the observer. Set by [compute]{@link LineOfSight#compute}.
+             * @type {Boolean}
+             * @readonly
+             */
+            this.visible = false;
+
+            /**
+             * The position of the terrain nearest the observer that blocks the line of sight, or null if the target
+             * is visible. Set by [compute]{@link LineOfSight#compute}.
+             * @type {Position}
+             * @readonly
+             */
+            this.obstruction = null;
+
+            /**
+             * The great circle distance between the observer and the target, in meters. Set by
+             * [compute]{@link LineOfSight#compute}.
+             * @type {Number}
+             * @readonly
+             */
+            this.distance = 0;
+        };
+
+        /**
+         * Determines whether the target is visible from the observer on a specified globe.
+         * @param {Globe} globe The globe whose terrain to consider.
+         * @returns {Boolean} true if the target is visible, otherwise false.
+         * @throws {ArgumentError} If the specified globe is null or undefined.
+         */
+        LineOfSight.prototype.compute = function (globe) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LineOfSight", "compute", "missingGlobe"));
+            }
+
+            var radius = globe.equatorialRadius,
+                distance = Location.greatCircleDistance(this.observer, this.target) * radius,
+                observerHeight = globe.elevationAtLocation(this.observer.latitude, this.observer.longitude) +
+                    this.observerHeight,
+                targetHeight = globe.elevationAtLocation(this.target.latitude, this.target.longitude) +
+                    this.targetHeight -
+                    LineOfSight.curvatureDrop(distance, radius, this.refractionCoefficient),
+                sample = new Location(0, 0);
+
+            this.distance = distance;
+            this.visible = true;
+            this.obstruction = null;
+
+            for (var i = 1; i < this.sampleCount; i++) {
+                var t = i / this.sampleCount;
+                Location.interpolateGreatCircle(t, this.observer, this.target, sample);
+
+                var elevation = globe.elevationAtLocation(sample.latitude, sample.longitude),
+                    terrainHeight = elevation - LineOfSight.curvatureDrop(t * distance, radius,
+                        this.refractionCoefficient),
+                    sightHeight = observerHeight + t * (targetHeight - observerHeight);
+
+                if (terrainHeight > sightHeight) {
+                    this.visible = false;
+                    this.obstruction = new Position(sample.latitude, sample.longitude, elevation);
+                    break;
+                }
+            }
+
+            return this.visible;
+        };
+
+        /**
+         * Computes how far the surface of the globe falls below the plane tangent to it at an observer, at a specified
+         * distance from the observer.
+         * @param {Number} distance The distance from the observer, in meters.
+         * @param {Number} radius The globe's radius, in meters.
+         * @param {Number} refractionCoefficient The coefficient of atmospheric refraction. See
+         * [refractionCoefficient]{@link LineOfSight#refractionCoefficient}.
+         * @returns {Number} The height in meters by which the surface falls below the tangent plane.
+         */
+        LineOfSight.curvatureDrop = function (distance, radius, refractionCoefficient) {
+            return (1 - refractionCoefficient) * distance * distance / (2 * radius);
+        };
+
+        return LineOfSight;
+    });
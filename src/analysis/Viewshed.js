@@ -0,0 +1,330 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports Viewshed
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../util/Color',
+        '../util/ImageSource',
+        './LineOfSight',
+        '../util/Logger',
+        '../geom/Sector',
+        '../shapes/SurfaceImage'
+    ],
+    function (Angle,
+              ArgumentError,
+              Color,
+              ImageSource,
+              LineOfSight,
+              Logger,
+              Sector,
+              SurfaceImage) {
+        "use strict";
+
+        /**
+         * Constructs a viewshed around an observer.
+         * @alias Viewshed
+         * @constructor
+         * @classdesc Determines the terrain visible from an observer within a specified radius, taking into account
+         * the curvature of the globe. Call [compute]{@link Viewshed#compute} to sample the terrain on a grid
+         * centered on the observer and determine the visibility of each grid point. The result is available as data
+         * in this object's [visibility]{@link Viewshed#visibility} array and
+         * [visibilityAtLocation]{@link Viewshed#visibilityAtLocation} function, and as an overlay created by
+         * [createSurfaceImage]{@link Viewshed#createSurfaceImage}.
+         * <p>
+         * The terrain is sampled from the globe's elevation model, which holds the elevation data retrieved so far.
+         * Computing the viewshed again after more elevation data has been retrieved may produce a more accurate
+         * result.
+         * @param {Location} observer The observer's location. The observer is positioned
+         * [observerHeight]{@link Viewshed#observerHeight} meters above the terrain at this location.
+         * @param {Number} radius The radius of the area to analyze, in meters.
+         * @throws {ArgumentError} If the specified observer is null or undefined or the radius is not positive.
+         */
+        var Viewshed = function (observer, radius) {
+            if (!observer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Viewshed", "constructor", "missingLocation"));
+            }
+
+            if (!radius || radius <= 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Viewshed", "constructor",
+                        "The specified radius is not positive."));
+            }
+
+            /**
+             * The observer's location.
+             * @type {Location}
+             */
+            this.observer = observer;
+
+            /**
+             * The radius of the area to analyze, in meters.
+             * @type {Number}
+             */
+            this.radius = radius;
+
+            /**
+             * The observer's height above the terrain, in meters.
+             * @type {Number}
+             * @default 2
+             */
+            this.observerHeight = 2;
+
+            /**
+             * The height above the terrain of the points whose visibility is determined, in meters.
+             * @type {Number}
+             * @default 0
+             */
+            this.targetHeight = 0;
+
+            /**
+             * The number of grid points along each side of the analyzed area. The grid's resolution is twice the
+             * radius divided by one less than this number.
+             * @type {Number}
+             * @default 257
+             */
+            this.gridSize = 257;
+
+            /**
+             * The coefficient of atmospheric refraction. See
+             * [LineOfSight.refractionCoefficient]{@link LineOfSight#refractionCoefficient}.
+             * @type {Number}
+             * @default 0
+             */
+            this.refractionCoefficient = 0;
+
+            /**
+             * The color of visible terrain in the image created by
+             * [createSurfaceImage]{@link Viewshed#createSurfaceImage}.
+             * @type {Color}
+             * @default Translucent green (0, 1, 0, 0.5)
+             */
+            this.visibleColor = new Color(0, 1, 0, 0.5);
+
+            /**
+             * The color of hidden terrain in the image created by
+             * [createSurfaceImage]{@link Viewshed#createSurfaceImage}.
+             * @type {Color}
+             * @default Translucent red (1, 0, 0, 0.5)
+             */
+            this.hiddenColor = new Color(1, 0, 0, 0.5);
+
+            /**
+             * The sector spanned by the grid. Set by [compute]{@link Viewshed#compute}.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = null;
+
+            /**
+             * The terrain elevations at the grid points, in meters, ordered by row from the grid's southernmost row
+             * to its northernmost and within each row from west to east. Set by [compute]{@link Viewshed#compute}.
+             * @type {Float64Array}
+             * @readonly
+             */
+            this.elevations = null;
+
+            /**
+             * The visibility of the grid points, in the same order as [elevations]{@link Viewshed#elevations}. Each
+             * value is one of {@link Viewshed.VISIBLE}, {@link Viewshed.HIDDEN} or {@link Viewshed.OUTSIDE}. Set by
+             * [compute]{@link Viewshed#compute}.
+             * @type {Uint8Array}
+             * @readonly
+             */
+            this.visibility = null;
+        };
+
+        /**
+         * Indicates a grid point farther from the observer than the viewshed's radius.
+         * @type {Number}
+         * @constant
+         */
+        Viewshed.OUTSIDE = 0;
+
+        /**
+         * Indicates a grid point visible from the observer.
+         * @type {Number}
+         * @constant
+         */
+        Viewshed.VISIBLE = 1;
+
+        /**
+         * Indicates a grid point hidden from the observer.
+         * @type {Number}
+         * @constant
+         */
+        Viewshed.HIDDEN = 2;
+
+        /**
+         * Determines the visibility of the terrain around the observer on a specified globe.
+         * @param {Globe} globe The globe whose terrain to consider.
+         * @returns {Uint8Array} This viewshed's [visibility]{@link Viewshed#visibility} array.
+         * @throws {ArgumentError} If the specified globe is null or undefined.
+         */
+        Viewshed.prototype.compute = function (globe) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Viewshed", "compute", "missingGlobe"));
+            }
+
+            var size = Math.max(3, Math.round(this.gridSize)),
+                globeRadius = globe.equatorialRadius,
+                deltaLat = this.radius / globeRadius * Angle.RADIANS_TO_DEGREES,
+                deltaLon = deltaLat / Math.max(Math.cos(this.observer.latitude * Angle.DEGREES_TO_RADIANS), 0.01);
+
+            this.sector = new Sector(
+                Math.max(this.observer.latitude - deltaLat, -90), Math.min(this.observer.latitude + deltaLat, 90),
+                this.observer.longitude - deltaLon, this.observer.longitude + deltaLon);
+            this.elevations = new Float64Array(size * size);
+            this.visibility = new Uint8Array(size * size);
+
+            globe.elevationsForGrid(this.sector, size, size, this.sector.deltaLatitude() / (size - 1),
+                this.elevations);
+
+            // Grid spacing in meters, and the observer's fractional grid coordinates.
+            var rowSpacing = this.sector.deltaLatitude() * Angle.DEGREES_TO_RADIANS * globeRadius / (size - 1),
+                colSpacing = this.sector.deltaLongitude() * Angle.DEGREES_TO_RADIANS * globeRadius *
+                    Math.cos(this.observer.latitude * Angle.DEGREES_TO_RADIANS) / (size - 1),
+                observerRow = (this.observer.latitude - this.sector.minLatitude) / this.sector.deltaLatitude() *
+                    (size - 1),
+                observerCol = (this.observer.longitude - this.sector.minLongitude) / this.sector.deltaLongitude() *
+                    (size - 1),
+                observerHeight = globe.elevationAtLocation(this.observer.latitude, this.observer.longitude) +
+                    this.observerHeight;
+
+            for (var row = 0; row < size; row++) {
+                for (var col = 0; col < size; col++) {
+                    this.visibility[row * size + col] = this.computePointVisibility(row, col, size, observerRow,
+                        observerCol, observerHeight, rowSpacing, colSpacing, globeRadius);
+                }
+            }
+
+            return this.visibility;
+        };
+
+        // Internal. Intentionally not documented. Determines a grid point's visibility by comparing the slope of the
+        // line of sight to the point with the steepest slope to the terrain between the point and the observer.
+        Viewshed.prototype.computePointVisibility = function (row, col, size, observerRow, observerCol,
+                                                              observerHeight, rowSpacing, colSpacing, globeRadius) {
+            var dRow = row - observerRow,
+                dCol = col - observerCol,
+                distance = Math.sqrt(dRow * dRow * rowSpacing * rowSpacing + dCol * dCol * colSpacing * colSpacing);
+
+            if (distance > this.radius) {
+                return Viewshed.OUTSIDE;
+            }
+
+            var steps = Math.ceil(Math.max(Math.abs(dRow), Math.abs(dCol)));
+            if (steps <= 1) {
+                return Viewshed.VISIBLE;
+            }
+
+            var targetHeight = this.elevations[row * size + col] + this.targetHeight -
+                    LineOfSight.curvatureDrop(distance, globeRadius, this.refractionCoefficient),
+                targetSlope = (targetHeight - observerHeight) / distance;
+
+            for (var step = 1; step < steps; step++) {
+                var t = step / steps,
+                    sampleRow = Math.round(observerRow + t * dRow),
+                    sampleCol = Math.round(observerCol + t * dCol),
+                    sampleDistance = t * distance,
+                    sampleHeight = this.elevations[sampleRow * size + sampleCol] -
+                        LineOfSight.curvatureDrop(sampleDistance, globeRadius, this.refractionCoefficient);
+
+                if ((sampleHeight - observerHeight) / sampleDistance > targetSlope) {
+                    return Viewshed.HIDDEN;
+                }
+            }
+
+            return Viewshed.VISIBLE;
+        };
+
+        /**
+         * Returns the visibility of the grid point nearest a specified location.
+         * @param {Number} latitude The location's latitude in degrees.
+         * @param {Number} longitude The location's longitude in degrees.
+         * @returns {Number} One of {@link Viewshed.VISIBLE}, {@link Viewshed.HIDDEN} or {@link Viewshed.OUTSIDE}.
+         * Locations outside this viewshed's sector, or any location if the viewshed has not been computed, are
+         * indicated as {@link Viewshed.OUTSIDE}.
+         */
+        Viewshed.prototype.visibilityAtLocation = function (latitude, longitude) {
+            if (!this.visibility || !this.sector.containsLocation(latitude, longitude)) {
+                return Viewshed.OUTSIDE;
+            }
+
+            var size = Math.sqrt(this.visibility.length),
+                row = Math.round((latitude - this.sector.minLatitude) / this.sector.deltaLatitude() * (size - 1)),
+                col = Math.round((longitude - this.sector.minLongitude) / this.sector.deltaLongitude() * (size - 1));
+
+            return this.visibility[row * size + col];
+        };
+
+        /**
+         * Creates a surface image displaying this viewshed, with visible terrain in this viewshed's
+         * [visibleColor]{@link Viewshed#visibleColor}, hidden terrain in its
+         * [hiddenColor]{@link Viewshed#hiddenColor} and the terrain outside its radius transparent.
+         * @returns {SurfaceImage} The surface image, or null if this viewshed has not been computed.
+         */
+        Viewshed.prototype.createSurfaceImage = function () {
+            if (!this.visibility) {
+                return null;
+            }
+
+            var size = Math.sqrt(this.visibility.length),
+                canvas = document.createElement("canvas"),
+                ctx2D,
+                imageData,
+                colors = [];
+
+            canvas.width = size;
+            canvas.height = size;
+            ctx2D = canvas.getContext("2d");
+            imageData = ctx2D.createImageData(size, size);
+
+            colors[Viewshed.VISIBLE] = Viewshed.colorBytes(this.visibleColor);
+            colors[Viewshed.HIDDEN] = Viewshed.colorBytes(this.hiddenColor);
+
+            for (var row = 0; row < size; row++) {
+                for (var col = 0; col < size; col++) {
+                    var color = colors[this.visibility[row * size + col]];
+                    if (color) {
+                        // Image rows run from north to south.
+                        imageData.data.set(color, ((size - 1 - row) * size + col) * 4);
+                    }
+                }
+            }
+
+            ctx2D.putImageData(imageData, 0, 0);
+
+            return new SurfaceImage(this.sector, new ImageSource(canvas));
+        };
+
+        // Internal. Intentionally not documented.
+        Viewshed.colorBytes = function (color) {
+            return [
+                Math.round(color.red * 255),
+                Math.round(color.green * 255),
+                Math.round(color.blue * 255),
+                Math.round(color.alpha * 255)
+            ];
+        };
+
+        return Viewshed;
+    });
@@ -0,0 +1,294 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports IndexedDbTileStore
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../util/Promise',
+        './TileStore'
+    ],
+    function (ArgumentError,
+              Logger,
+              Promise,
+              TileStore) {
+        "use strict";
+
+        /**
+         * Constructs a tile store persisting tile images in an IndexedDB database.
+         * @alias IndexedDbTileStore
+         * @constructor
+         * @augments TileStore
+         * @classdesc Persists tile images in the browser's IndexedDB storage, where they remain available across
+         * sessions and while the application is offline. The store records when each tile was last used, and when
+         * its [maxSize]{@link IndexedDbTileStore#maxSize} is exceeded removes the least recently used tiles.
+         * @param {String} databaseName The name of the IndexedDB database in which to store tiles. Stores with the
+         * same database name share their tiles.
+         * @param {Number} maxSize The maximum total size of the stored tiles in bytes. May be 0 or null to indicate
+         * no limit other than the browser's storage quota.
+         * @throws {ArgumentError} If the specified database name is null, undefined or empty.
+         */
+        var IndexedDbTileStore = function (databaseName, maxSize) {
+            if (!databaseName) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "IndexedDbTileStore", "constructor",
+                        "The specified database name is null, undefined or empty."));
+            }
+
+            TileStore.call(this);
+
+            /**
+             * The name of the IndexedDB database holding this store's tiles.
+             * @type {String}
+             * @readonly
+             */
+            this.databaseName = databaseName;
+
+            /**
+             * The maximum total size of the stored tiles in bytes. When adding a tile makes the stored tiles exceed
+             * this size, the least recently used tiles are removed until they occupy no more than 80 percent of it.
+             * Zero or null indicates no limit.
+             * @type {Number}
+             */
+            this.maxSize = maxSize || 0;
+
+            // Internal. Intentionally not documented. The promise of the opened database.
+            this.database = null;
+
+            // Internal. Intentionally not documented. The total size of the stored tiles, or -1 if not yet known.
+            this.totalSize = -1;
+        };
+
+        IndexedDbTileStore.prototype = Object.create(TileStore.prototype);
+
+        /**
+         * The name of the object store holding the tiles.
+         * @type {String}
+         * @constant
+         */
+        IndexedDbTileStore.OBJECT_STORE_NAME = "tiles";
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.getTile = function (key) {
+            return this.transaction("readwrite", function (objectStore, resolve) {
+                var request = objectStore.get(key);
+                request.onsuccess = function () {
+                    var record = request.result;
+
+                    if (record) {
+                        // Record the use of the tile for least-recently-used eviction.
+                        record.lastUsed = Date.now();
+                        objectStore.put(record);
+                    }
+
+                    resolve(record ? record.blob : null);
+                };
+            });
+        };
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.putTile = function (key, blob) {
+            var store = this,
+                size = blob.size;
+
+            return this.transaction("readwrite", function (objectStore, resolve) {
+                var request = objectStore.get(key);
+                request.onsuccess = function () {
+                    var previousSize = request.result ? request.result.size : 0;
+
+                    objectStore.put({key: key, blob: blob, size: size, lastUsed: Date.now()});
+
+                    if (store.totalSize >= 0) {
+                        store.totalSize += size - previousSize;
+                    }
+
+                    resolve();
+                };
+            }).then(function () {
+                return store.evictToMaxSize();
+            });
+        };
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.containsTile = function (key) {
+            return this.transaction("readonly", function (objectStore, resolve) {
+                var request = objectStore.count(key);
+                request.onsuccess = function () {
+                    resolve(request.result > 0);
+                };
+            });
+        };
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.removeTile = function (key) {
+            var store = this;
+
+            return this.transaction("readwrite", function (objectStore, resolve) {
+                objectStore.delete(key);
+                store.totalSize = -1;
+                resolve();
+            });
+        };
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.clear = function () {
+            var store = this;
+
+            return this.transaction("readwrite", function (objectStore, resolve) {
+                objectStore.clear();
+                store.totalSize = 0;
+                resolve();
+            });
+        };
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.usage = function () {
+            var result = {tileCount: 0, size: 0, usage: null, quota: null};
+
+            var tiles = this.transaction("readonly", function (objectStore, resolve) {
+                var request = objectStore.openCursor();
+                request.onsuccess = function () {
+                    var cursor = request.result;
+
+                    if (cursor) {
+                        result.tileCount++;
+                        result.size += cursor.value.size;
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+            });
+
+            var estimate = (navigator.storage && navigator.storage.estimate) ?
+                navigator.storage.estimate().then(function (estimate) {
+                    result.usage = estimate.usage;
+                    result.quota = estimate.quota;
+                }, function () {
+                    // The browser could not estimate its storage; leave usage and quota unknown.
+                }) : Promise.resolve();
+
+            var store = this;
+
+            return Promise.all([tiles, estimate]).then(function () {
+                store.totalSize = result.size;
+                return result;
+            });
+        };
+
+        // Documented in superclass.
+        IndexedDbTileStore.prototype.evict = function (size) {
+            var store = this,
+                removed = 0;
+
+            return this.usage().then(function (usage) {
+                var excess = usage.size - size;
+
+                if (excess <= 0) {
+                    return 0;
+                }
+
+                return store.transaction("readwrite", function (objectStore, resolve) {
+                    var request = objectStore.index("lastUsed").openCursor();
+                    request.onsuccess = function () {
+                        var cursor = request.result;
+
+                        if (cursor && excess > 0) {
+                            excess -= cursor.value.size;
+                            store.totalSize -= cursor.value.size;
+                            removed++;
+                            cursor.delete();
+                            cursor.continue();
+                        } else {
+                            resolve(removed);
+                        }
+                    };
+                });
+            });
+        };
+
+        // Internal. Intentionally not documented. Evicts tiles when the stored tiles exceed the maximum size.
+        IndexedDbTileStore.prototype.evictToMaxSize = function () {
+            if (!this.maxSize || (this.totalSize >= 0 && this.totalSize <= this.maxSize)) {
+                return Promise.resolve();
+            }
+
+            var store = this;
+
+            return (this.totalSize >= 0 ? Promise.resolve() : this.usage()).then(function () {
+                if (store.totalSize > store.maxSize) {
+                    return store.evict(0.8 * store.maxSize);
+                }
+            });
+        };
+
+        // Internal. Intentionally not documented. Opens the database, creating its object store if necessary.
+        IndexedDbTileStore.prototype.open = function () {
+            if (!this.database) {
+                var databaseName = this.databaseName;
+
+                this.database = new Promise(function (resolve, reject) {
+                    if (!window.indexedDB) {
+                        reject(new Error("IndexedDB is not supported."));
+                        return;
+                    }
+
+                    var request = window.indexedDB.open(databaseName, 1);
+
+                    request.onupgradeneeded = function () {
+                        var objectStore = request.result.createObjectStore(IndexedDbTileStore.OBJECT_STORE_NAME,
+                            {keyPath: "key"});
+                        objectStore.createIndex("lastUsed", "lastUsed");
+                    };
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        reject(request.error);
+                    };
+                });
+            }
+
+            return this.database;
+        };
+
+        // Internal. Intentionally not documented. Performs an operation on the object store within a transaction.
+        // The operation resolves the returned promise by calling the function passed to it; the promise is
+        // rejected if the transaction fails.
+        IndexedDbTileStore.prototype.transaction = function (mode, operation) {
+            return this.open().then(function (database) {
+                return new Promise(function (resolve, reject) {
+                    var transaction = database.transaction(IndexedDbTileStore.OBJECT_STORE_NAME, mode),
+                        result;
+
+                    transaction.oncomplete = function () {
+                        resolve(result);
+                    };
+                    transaction.onerror = transaction.onabort = function () {
+                        reject(transaction.error);
+                    };
+
+                    operation(transaction.objectStore(IndexedDbTileStore.OBJECT_STORE_NAME), function (value) {
+                        result = value;
+                    });
+                });
+            });
+        };
+
+        return IndexedDbTileStore;
+    });
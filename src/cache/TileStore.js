@@ -0,0 +1,314 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports TileStore
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../util/Promise',
+        '../error/UnsupportedOperationError'
+    ],
+    function (ArgumentError,
+              Logger,
+              Promise,
+              UnsupportedOperationError) {
+        "use strict";
+
+        /**
+         * Constructs a base tile store.
+         * @alias TileStore
+         * @constructor
+         * @classdesc Persists tile images so that tiled image layers can display them without requesting them again,
+         * including while the application is offline. Assign a tile store to the tileStore property of a
+         * {@link TiledImageLayer}, {@link MercatorTiledImageLayer} or {@link WmtsLayer} to have the layer consult
+         * the store before requesting a tile image, and add the images it retrieves to the store. Several layers
+         * may share a store; tiles are identified by their image paths, which include each layer's cache path.
+         * <p>
+         * Use [seed]{@link TileStore#seed} to retrieve and store all the tiles of a region and range of levels in
+         * advance, [usage]{@link TileStore#usage} to determine how much storage the store occupies and
+         * [evict]{@link TileStore#evict} or [clear]{@link TileStore#clear} to release it.
+         * <p>
+         * This is an abstract class and is meant to be instantiated only by subclasses. See
+         * {@link IndexedDbTileStore}. Subclasses implement the tile access functions, all of which return a Promise.
+         */
+        var TileStore = function () {
+
+            /**
+             * The maximum number of tile requests issued concurrently by [seed]{@link TileStore#seed}.
+             * @type {Number}
+             * @default 4
+             */
+            this.seedConcurrency = 4;
+
+            // Internal. Intentionally not documented. Incremented to cancel seeding in progress.
+            this.seedGeneration = 0;
+        };
+
+        /**
+         * Retrieves a tile image from this store.
+         * @param {String} key The tile's key, typically its image path.
+         * @returns {Promise} A promise resolved with the tile's image as a Blob, or with null if this store does not
+         * contain the tile.
+         */
+        TileStore.prototype.getTile = function (key) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "getTile", "abstractInvocation"));
+        };
+
+        /**
+         * Adds a tile image to this store, replacing any image already stored for the tile.
+         * @param {String} key The tile's key, typically its image path.
+         * @param {Blob} blob The tile's image.
+         * @returns {Promise} A promise resolved when the tile has been stored.
+         */
+        TileStore.prototype.putTile = function (key, blob) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "putTile", "abstractInvocation"));
+        };
+
+        /**
+         * Indicates whether this store contains a tile image.
+         * @param {String} key The tile's key, typically its image path.
+         * @returns {Promise} A promise resolved with true if this store contains the tile, otherwise false.
+         */
+        TileStore.prototype.containsTile = function (key) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "containsTile", "abstractInvocation"));
+        };
+
+        /**
+         * Removes a tile image from this store.
+         * @param {String} key The tile's key, typically its image path.
+         * @returns {Promise} A promise resolved when the tile has been removed.
+         */
+        TileStore.prototype.removeTile = function (key) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "removeTile", "abstractInvocation"));
+        };
+
+        /**
+         * Removes all tile images from this store.
+         * @returns {Promise} A promise resolved when the store is empty.
+         */
+        TileStore.prototype.clear = function () {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "clear", "abstractInvocation"));
+        };
+
+        /**
+         * Determines the storage used by this store.
+         * @returns {Promise} A promise resolved with an object whose tileCount and size properties indicate the
+         * number of tiles in this store and their total size in bytes. The object's usage and quota properties
+         * indicate the storage used by the application and the storage available to it, in bytes, or are null when
+         * the browser does not report them.
+         */
+        TileStore.prototype.usage = function () {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "usage", "abstractInvocation"));
+        };
+
+        /**
+         * Removes the least recently used tile images from this store until their total size is no more than a
+         * specified size.
+         * @param {Number} size The size in bytes to reduce this store to.
+         * @returns {Promise} A promise resolved with the number of tiles removed.
+         */
+        TileStore.prototype.evict = function (size) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "evict", "abstractInvocation"));
+        };
+
+        /**
+         * Retrieves all the tile images of a layer within a region and a range of levels and adds them to this store.
+         * Tiles already in this store are not retrieved again.
+         * @param {TiledImageLayer|WmtsLayer} layer The layer whose tiles to store.
+         * @param {Sector} sector The region to store.
+         * @param {Number} firstLevelNumber The number of the lowest resolution level to store.
+         * @param {Number} lastLevelNumber The number of the highest resolution level to store.
+         * @param {Function} callback An optional function called as each tile is processed, with the number of tiles
+         * processed so far and the total number of tiles.
+         * @returns {Promise} A promise resolved when all the tiles have been processed, with an object whose stored,
+         * skipped and failed properties indicate the number of tiles retrieved, already present and not
+         * retrievable. The promise is rejected if seeding is cancelled by [cancelSeed]{@link TileStore#cancelSeed}.
+         * @throws {ArgumentError} If the specified layer or sector is null or undefined.
+         */
+        TileStore.prototype.seed = function (layer, sector, firstLevelNumber, lastLevelNumber, callback) {
+            if (!layer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "seed", "missingLayer"));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TileStore", "seed", "missingSector"));
+            }
+
+            var tiles = [];
+            for (var levelNumber = firstLevelNumber; levelNumber <= lastLevelNumber; levelNumber++) {
+                tiles = tiles.concat(layer.tilesInSector(sector, levelNumber));
+            }
+
+            var store = this,
+                generation = this.seedGeneration,
+                imageFormat = layer.retrievalImageFormat || layer.imageFormat,
+                result = {stored: 0, skipped: 0, failed: 0},
+                next = 0,
+                processed = 0;
+
+            return new Promise(function (resolve, reject) {
+                var seedNext = function () {
+                    if (generation !== store.seedGeneration) {
+                        reject(new Error("Seeding cancelled."));
+                        return;
+                    }
+
+                    if (next >= tiles.length) {
+                        if (processed === tiles.length) {
+                            resolve(result);
+                        }
+                        return;
+                    }
+
+                    var tile = tiles[next++];
+
+                    store.containsTile(tile.imagePath).then(function (contained) {
+                        if (contained) {
+                            result.skipped++;
+                            return null;
+                        }
+
+                        var url = layer.resourceUrlForTile(tile, imageFormat);
+
+                        return url ? TileStore.requestTile(url, layer.crossOrigin).then(function (blob) {
+                            return store.putTile(tile.imagePath, blob);
+                        }).then(function () {
+                            result.stored++;
+                        }) : Promise.reject();
+                    }).catch(function () {
+                        result.failed++;
+                    }).then(function () {
+                        processed++;
+
+                        if (callback) {
+                            callback(processed, tiles.length);
+                        }
+
+                        seedNext();
+                    });
+                };
+
+                if (tiles.length === 0) {
+                    resolve(result);
+                }
+
+                for (var i = 0; i < Math.min(store.seedConcurrency, tiles.length); i++) {
+                    seedNext();
+                }
+            });
+        };
+
+        /**
+         * Cancels all seeding in progress. The promises returned by [seed]{@link TileStore#seed} are rejected once
+         * the tile requests already issued complete.
+         */
+        TileStore.prototype.cancelSeed = function () {
+            this.seedGeneration++;
+        };
+
+        /**
+         * Loads a tile image into an image element, either from this store or, if this store does not contain the
+         * tile, from its URL, in which case the retrieved image is added to this store. The image element's onload
+         * or onerror function is called when loading completes.
+         * <p>
+         * Tile images are retrieved with XMLHttpRequest so that they can be stored, which requires servers of
+         * images from other origins to allow cross-origin requests (CORS), even those whose images load in image
+         * elements without it.
+         * @param {String} key The tile's key, typically its image path.
+         * @param {String} url The URL from which to retrieve the tile image if it is not in this store.
+         * @param {Image} image The image element to load.
+         * @param {String} crossOrigin The layer's cross-origin setting, either "anonymous" or "use-credentials",
+         * which determines whether credentials are sent when retrieving the image from a different origin. The
+         * default is "anonymous".
+         * @protected
+         */
+        TileStore.prototype.loadImage = function (key, url, image, crossOrigin) {
+            var store = this;
+
+            var loadBlob = function (blob) {
+                var objectUrl = URL.createObjectURL(blob),
+                    revoke = function () {
+                        URL.revokeObjectURL(objectUrl);
+                    };
+
+                image.addEventListener("load", revoke);
+                image.addEventListener("error", revoke);
+                image.src = objectUrl;
+            };
+
+            this.getTile(key).then(function (blob) {
+                if (blob) {
+                    loadBlob(blob);
+                    return;
+                }
+
+                TileStore.requestTile(url, crossOrigin).then(function (blob) {
+                    store.putTile(key, blob).catch(function (error) {
+                        Logger.log(Logger.LEVEL_WARNING, "Unable to store tile " + key + ": " + error);
+                    });
+                    loadBlob(blob);
+                }, function () {
+                    if (image.onerror) {
+                        image.onerror();
+                    }
+                });
+            }, function (error) {
+                // The store is unavailable, so retrieve the image without it.
+                Logger.log(Logger.LEVEL_WARNING, "Unable to read tile " + key + ": " + error);
+                image.crossOrigin = crossOrigin || "anonymous";
+                image.src = url;
+            });
+        };
+
+        // Internal. Intentionally not documented. Retrieves a tile image, resolving with it as a Blob. Credentials
+        // are sent to other origins when the cross-origin setting is "use-credentials", as for image elements.
+        TileStore.requestTile = function (url, crossOrigin) {
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.responseType = "blob";
+                xhr.withCredentials = crossOrigin === "use-credentials";
+                xhr.onload = function () {
+                    var contentType = xhr.getResponseHeader("content-type");
+
+                    if (xhr.status === 200 && (!contentType || contentType.indexOf("image") === 0)) {
+                        resolve(xhr.response);
+                    } else {
+                        reject(new Error("Tile retrieval failed (" + xhr.status + "): " + url));
+                    }
+                };
+                xhr.onerror = function () {
+                    reject(new Error("Tile retrieval failed: " + url));
+                };
+
+                xhr.send(null);
+            });
+        };
+
+        return TileStore;
+    });
@@ -18,12 +18,36 @@
  * @exports GeoJSONExporter
  */
 define(['../../error/ArgumentError',
+        '../collada/ColladaScene',
+        '../../shapes/GeographicMesh',
         './GeoJSONConstants',
-        '../../util/Logger'
+        '../kml/features/KmlContainer',
+        '../kml/KmlFile',
+        '../kml/geom/KmlLineString',
+        '../kml/geom/KmlMultiGeometry',
+        '../kml/geom/KmlMultiTrack',
+        '../kml/features/KmlPlacemark',
+        '../kml/geom/KmlPoint',
+        '../kml/geom/KmlPolygon',
+        '../kml/geom/KmlTrack',
+        '../../util/Logger',
+        '../../shapes/TriangleMesh'
     ],
     function (ArgumentError,
+              ColladaScene,
+              GeographicMesh,
               GeoJSONConstants,
-              Logger) {
+              KmlContainer,
+              KmlFile,
+              KmlLineString,
+              KmlMultiGeometry,
+              KmlMultiTrack,
+              KmlPlacemark,
+              KmlPoint,
+              KmlPolygon,
+              KmlTrack,
+              Logger,
+              TriangleMesh) {
         "use strict";
 
         /**
@@ -37,13 +61,26 @@ define(['../../error/ArgumentError',
          *     <li>WorldWind.SurfaceRectangle</li>
          *     <li>WorldWind.Path</li>
          *     <li>WorldWind.Polygon</li>
+         *     <li>WorldWind.GeographicMesh, as the Polygon of its outline</li>
+         *     <li>WorldWind.TriangleMesh, as a MultiPolygon of its triangles</li>
+         *     <li>WorldWind.ColladaScene, as the Point of its position</li>
+         *     <li>WorldWind.KmlFile and the KML features and geometries it contains, with KML MultiGeometry
+         *     exported as a GeometryCollection</li>
          * </ul>
+         * Renderables are exported as GeoJSON Features. The properties of each Feature hold the renderable's
+         * userProperties, such as the database attributes of shapes read from a shapefile, and the simplestyle
+         * properties corresponding to its attributes: "marker-color" for placemarks, and "stroke", "stroke-opacity",
+         * "stroke-width", "fill" and "fill-opacity" for shapes. The properties of KML placemarks hold their name,
+         * description and ExtendedData values.
          * @exports GeoJSONExporter
          */
         var GeoJSONExporter = {
 
             /**
-             * Exports a [Renderable]{@link Renderable} in GeoJSON format.
+             * Exports a [Renderable]{@link Renderable} in GeoJSON format of type Feature, or of type
+             * FeatureCollection when the renderable is a KML file or container holding several placemarks. Earlier
+             * versions exported the renderable's bare geometry; use
+             * [exportGeometry]{@link GeoJSONExporter#exportGeometry} to obtain it.
              * @param {Renderable} renderable The renderable to export.
              * @throws {ArgumentError} If the specified renderable is null or undefined.
              * @returns {String} GeoJSON format.
@@ -55,6 +92,107 @@ define(['../../error/ArgumentError',
                             "missingRenderable"));
                 }
 
+                var features = this.exportFeatures(renderable);
+                if (features.length === 0) {
+                    Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
+                    return null;
+                }
+
+                return features.length === 1 ? features[0] : this.exportFeatureCollection(features);
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} in GeoJSON format of type FeatureCollection, with one
+             * Feature per renderable. A list holding a single renderable is exported as by
+             * [exportRenderable]{@link GeoJSONExporter#exportRenderable}.
+             * <p>
+             * Earlier versions exported the renderables as a GeometryCollection, which cannot hold their properties.
+             * Use [exportGeometries]{@link GeoJSONExporter#exportGeometries} to obtain that output.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @returns {String} GeoJSON format.
+             */
+            exportRenderables: function (renderables) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                if (renderables.length == 0)
+                    return;
+
+                if (renderables.length > 1) {
+                    var features = [];
+                    for (var i = 0; i < renderables.length; i++) {
+                        features = features.concat(this.exportFeatures(renderables[i]));
+                    }
+
+                    return this.exportFeatureCollection(features);
+                }
+                else {
+                    return this.exportRenderable(renderables[0]);
+                }
+            },
+
+            /**
+             * Exports the geometries of a list of [Renderable]{@link Renderable} in GeoJSON format of type
+             * GeometryCollection, without their properties. Renderables that cannot be exported are skipped.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {String} GeoJSON format.
+             */
+            exportGeometries: function (renderables) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportGeometries",
+                            "missingRenderables"));
+                }
+
+                var geometries = [];
+                for (var i = 0; i < renderables.length; i++) {
+                    var geometry = this.exportGeometry(renderables[i]);
+                    if (geometry) {
+                        geometries.push(geometry);
+                    }
+                }
+
+                var sb = '{';
+                sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_GEOMETRY_COLLECTION + '",';
+                sb = sb + '"' + GeoJSONConstants.FIELD_GEOMETRIES + '":[' + geometries.join(',') + ']';
+                sb = sb + '}';
+                return sb;
+            },
+
+            /**
+             * Exports a [Layer]{@link Layer} in GeoJSON format of type FeatureCollection.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} GeoJSON format.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportLayer",
+                            "missingLayer"));
+                }
+
+                return this.exportRenderables(layer.renderables);
+            },
+
+            /**
+             * Exports the geometry of a [Renderable]{@link Renderable} in GeoJSON format, without its properties.
+             * @param {Renderable} renderable The renderable to export.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @returns {String} GeoJSON format, or null if the renderable cannot be exported.
+             */
+            exportGeometry: function (renderable) {
+                if (!renderable) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportGeometry",
+                            "missingRenderable"));
+                }
+
                 if (renderable instanceof WorldWind.Placemark) {
                     return this.exportPlacemark(renderable);
                 }
@@ -82,66 +220,204 @@ define(['../../error/ArgumentError',
                 else if (renderable instanceof WorldWind.Polygon) {
                     return this.exportPolygon(renderable);
                 }
+                else if (renderable instanceof GeographicMesh) {
+                    return this.exportGeographicMesh(renderable);
+                }
+                else if (renderable instanceof TriangleMesh) {
+                    return this.exportTriangleMesh(renderable);
+                }
+                else if (renderable instanceof ColladaScene) {
+                    return this.exportColladaScene(renderable);
+                }
                 else {
-                    Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
                     return null;
                 }
             },
 
+            // Internal. Intentionally not documented. Returns the GeoJSON Features of a renderable, one per KML
+            // placemark for KML files and containers.
+            exportFeatures: function (renderable) {
+                var features = [];
+
+                if (renderable instanceof KmlFile || renderable instanceof KmlContainer) {
+                    var shapes = renderable instanceof KmlFile ? renderable.shapes : renderable.kmlShapes;
+                    for (var i = 0; i < shapes.length; i++) {
+                        features = features.concat(this.exportFeatures(shapes[i]));
+                    }
+                }
+                else if (renderable instanceof KmlPlacemark) {
+                    var kmlGeometry = renderable.kmlGeometry && this.exportKmlGeometry(renderable.kmlGeometry);
+                    if (kmlGeometry) {
+                        features.push(this.exportFeature(kmlGeometry, this.exportKmlProperties(renderable)));
+                    }
+                }
+                else {
+                    var geometry = this.exportGeometry(renderable);
+                    if (geometry) {
+                        features.push(this.exportFeature(geometry, this.exportProperties(renderable)));
+                    }
+                }
+
+                return features;
+            },
+
+            // Internal. Intentionally not documented.
+            exportFeature: function (geometry, properties) {
+                var sb = '{';
+                sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_FEATURE + '",';
+                sb = sb + '"' + GeoJSONConstants.FIELD_GEOMETRY + '":' + geometry + ',';
+                sb = sb + '"' + GeoJSONConstants.FIELD_PROPERTIES + '":' + JSON.stringify(properties);
+                sb = sb + '}';
+                return sb;
+            },
+
+            // Internal. Intentionally not documented.
+            exportFeatureCollection: function (features) {
+                var sb = '{';
+                sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_FEATURE_COLLECTION + '",';
+                sb = sb + '"' + GeoJSONConstants.FIELD_FEATURES + '":[' + features.join(',') + ']';
+                sb = sb + '}';
+                return sb;
+            },
+
             /**
-             * Exports a list of [Renderable]{@link Renderable} in GeoJSON format of type GeometryCollection.
-             * @param {Renderable[]} renderables The renderables to export.
+             * Returns the GeoJSON properties of a [Renderable]{@link Renderable}: its userProperties, the label of a
+             * placemark as "name", and the simplestyle properties corresponding to its attributes.
+             * @param {Renderable} renderable The renderable whose properties to return.
              * @throws {ArgumentError} If the specified renderable is null or undefined.
-             * @returns {String} GeoJSON format.
+             * @returns {Object} The renderable's properties.
              */
-            exportRenderables: function (renderables) {
-                if (!renderables) {
+            exportProperties: function (renderable) {
+                if (!renderable) {
                     throw new ArgumentError(
-                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportRenderables",
-                            "missingRenderables"));
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportProperties",
+                            "missingRenderable"));
                 }
 
-                if (renderables.length == 0)
-                    return;
+                var properties = {};
 
-                if (renderables.length > 1) {
-                    var sb = '{';
-                    sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_GEOMETRY_COLLECTION + '"';
-                    sb = sb + ',"' + GeoJSONConstants.FIELD_GEOMETRIES + '":[';
-                    for (var i = 0; i < renderables.length; i++) {
-                        var exportedRenderable = this.exportRenderable(renderables[i])
-                        if (exportedRenderable) {
-                            sb = sb + exportedRenderable;
-                            sb = sb + ',';
+                var userProperties = renderable.userProperties;
+                if (userProperties && typeof userProperties === 'object') {
+                    for (var key in userProperties) {
+                        if (userProperties.hasOwnProperty(key) && typeof userProperties[key] !== 'function' &&
+                            userProperties[key] !== undefined) {
+                            properties[key] = userProperties[key];
                         }
                     }
-                    if (sb.slice(-1) === ',') {
-                        sb = sb.substring(0, sb.length - 1);
+                }
+
+                if (renderable instanceof WorldWind.Placemark) {
+                    if (renderable.label && !properties.hasOwnProperty('name')) {
+                        properties.name = renderable.label;
                     }
-                    sb = sb + ']';
-                    sb = sb + '}';
 
-                    return sb;
+                    var placemarkAttributes = renderable.attributes;
+                    if (placemarkAttributes && placemarkAttributes.imageColor) {
+                        properties['marker-color'] = placemarkAttributes.imageColor.toHexString(false);
+                    }
+
+                    return properties;
                 }
-                else {
-                    return this.exportRenderable(renderables[0]);
+
+                var attributes = renderable.attributes;
+                if (attributes instanceof WorldWind.ShapeAttributes) {
+                    properties['stroke'] = attributes.outlineColor.toHexString(false);
+                    properties['stroke-opacity'] = attributes.drawOutline ? attributes.outlineColor.alpha : 0;
+                    properties['stroke-width'] = attributes.outlineWidth;
+
+                    if (!(renderable instanceof WorldWind.SurfacePolyline || renderable instanceof WorldWind.Path)) {
+                        properties['fill'] = attributes.interiorColor.toHexString(false);
+                        properties['fill-opacity'] = attributes.drawInterior ? attributes.interiorColor.alpha : 0;
+                    }
                 }
+
+                return properties;
             },
 
             /**
-             * Exports a [Layer]{@link Layer} in GeoJSON format of type GeometryCollection.
-             * @param {Layer} layer The layer to export.
+             * Exports a [GeographicMesh]{@link GeographicMesh} in GeoJSON format of type Polygon. The polygon's
+             * boundary is the outline of the mesh's grid of positions.
+             * @param {GeographicMesh} renderable The GeographicMesh object.
              * @throws {ArgumentError} If the specified argument is null or undefined.
              * @returns {String} GeoJSON format.
              */
-            exportLayer: function (layer) {
-                if (!layer) {
+            exportGeographicMesh: function (renderable) {
+                if (!(renderable instanceof GeographicMesh)) {
                     throw new ArgumentError(
-                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportLayer",
-                            "missingLayer"));
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportGeographicMesh",
+                            "invalidTypeOfRenderable"));
                 }
 
-                return this.exportRenderables(layer.renderables);
+                var rows = renderable.positions, outline = [], r, c;
+                var lastRow = rows.length - 1, lastColumn = rows[0].length - 1;
+
+                for (c = 0; c < lastColumn; c++) {
+                    outline.push(rows[0][c]);
+                }
+                for (r = 0; r < lastRow; r++) {
+                    outline.push(rows[r][lastColumn]);
+                }
+                for (c = lastColumn; c > 0; c--) {
+                    outline.push(rows[lastRow][c]);
+                }
+                for (r = lastRow; r > 0; r--) {
+                    outline.push(rows[r][0]);
+                }
+                outline.push(rows[0][0]);
+
+                var sb = '{';
+                sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_POLYGON + '",';
+                sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[' + this.exportPositions(outline) + ']';
+                sb = sb + '}';
+                return sb;
+            },
+
+            /**
+             * Exports a [TriangleMesh]{@link TriangleMesh} in GeoJSON format of type MultiPolygon, with one polygon
+             * per triangle.
+             * @param {TriangleMesh} renderable The TriangleMesh object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} GeoJSON format.
+             */
+            exportTriangleMesh: function (renderable) {
+                if (!(renderable instanceof TriangleMesh)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportTriangleMesh",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var positions = renderable.positions, indices = renderable.indices, polygons = [];
+                for (var i = 0; i + 2 < indices.length; i += 3) {
+                    var a = positions[indices[i]], b = positions[indices[i + 1]], c = positions[indices[i + 2]];
+                    polygons.push('[' + this.exportPositions([a, b, c, a]) + ']');
+                }
+
+                var sb = '{';
+                sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_MULTI_POLYGON + '",';
+                sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":[' + polygons.join(',') + ']';
+                sb = sb + '}';
+                return sb;
+            },
+
+            /**
+             * Exports a [ColladaScene]{@link ColladaScene} in GeoJSON format of type Point, located at the
+             * scene's position.
+             * @param {ColladaScene} renderable The ColladaScene object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} GeoJSON format.
+             */
+            exportColladaScene: function (renderable) {
+                if (!(renderable instanceof ColladaScene)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportColladaScene",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sb = '{';
+                sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' + GeoJSONConstants.TYPE_POINT + '",';
+                sb = sb + '"' + GeoJSONConstants.FIELD_COORDINATES + '":' + this.exportPosition(renderable.position);
+                sb = sb + '}';
+                return sb;
             },
 
             /**
@@ -472,6 +748,125 @@ define(['../../error/ArgumentError',
                 sb = sb + ']';
                 sb = sb + '}';
                 return sb;
+            },
+
+            /**
+             * Returns the GeoJSON properties of a KML feature: its name, its description and the values of its
+             * ExtendedData.
+             * @param {KmlFeature} feature The KML feature whose properties to return.
+             * @throws {ArgumentError} If the specified feature is null or undefined.
+             * @returns {Object} The feature's properties.
+             */
+            exportKmlProperties: function (feature) {
+                if (!feature) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportKmlProperties",
+                            "missingFeature"));
+                }
+
+                var properties = {};
+
+                if (feature.kmlName) {
+                    properties.name = feature.kmlName;
+                }
+                if (feature.kmlDescription) {
+                    properties.description = feature.kmlDescription;
+                }
+
+                var extendedData = feature.kmlExtendedData;
+                for (var key in extendedData) {
+                    if (extendedData.hasOwnProperty(key)) {
+                        properties[key] = extendedData[key];
+                    }
+                }
+
+                return properties;
+            },
+
+            /**
+             * Exports a KML geometry in GeoJSON format. Points, LineStrings and LinearRings, Polygons, gx:Tracks
+             * and gx:MultiTracks become Point, LineString, Polygon, LineString and MultiLineString geometries, and a
+             * MultiGeometry becomes a GeometryCollection of its geometries.
+             * @param {KmlGeometry} geometry The KML geometry to export.
+             * @throws {ArgumentError} If the specified geometry is null or undefined.
+             * @returns {String} GeoJSON format, or null if the geometry cannot be exported.
+             */
+            exportKmlGeometry: function (geometry) {
+                if (!geometry) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "GeoJSONExporter", "exportKmlGeometry",
+                            "missingGeometry"));
+                }
+
+                var type, coordinates;
+
+                if (geometry instanceof KmlPoint) {
+                    type = GeoJSONConstants.TYPE_POINT;
+                    coordinates = this.exportPosition(geometry.kmlPosition);
+                }
+                else if (geometry instanceof KmlLineString) {
+                    type = GeoJSONConstants.TYPE_LINE_STRING;
+                    coordinates = this.exportPositions(geometry.kmlPositions);
+                }
+                else if (geometry instanceof KmlPolygon) {
+                    type = GeoJSONConstants.TYPE_POLYGON;
+                    var rings = [this.exportPositions(geometry.kmlOuterBoundary.kmlPositions)],
+                        innerBoundaries = geometry.kmlInnerBoundaries;
+                    for (var b = 0; b < innerBoundaries.length; b++) {
+                        rings.push(this.exportPositions(innerBoundaries[b].kmlPositions));
+                    }
+                    coordinates = '[' + rings.join(',') + ']';
+                }
+                else if (geometry instanceof KmlTrack) {
+                    type = GeoJSONConstants.TYPE_LINE_STRING;
+                    coordinates = this.exportPositions(geometry.kmlCoords);
+                }
+                else if (geometry instanceof KmlMultiTrack) {
+                    var tracks = geometry.kmlTracks, lines = [];
+                    for (var t = 0; t < tracks.length; t++) {
+                        lines.push(this.exportPositions(tracks[t].kmlCoords));
+                    }
+
+                    type = GeoJSONConstants.TYPE_MULTI_LINE_STRING;
+                    coordinates = '[' + lines.join(',') + ']';
+                }
+                else if (geometry instanceof KmlMultiGeometry) {
+                    var shapes = geometry.kmlShapes, geometries = [];
+                    for (var i = 0; i < shapes.length; i++) {
+                        var exportedGeometry = this.exportKmlGeometry(shapes[i]);
+                        if (exportedGeometry) {
+                            geometries.push(exportedGeometry);
+                        }
+                    }
+
+                    var sb = '{';
+                    sb = sb + '"' + GeoJSONConstants.FIELD_TYPE + '":"' +
+                        GeoJSONConstants.TYPE_GEOMETRY_COLLECTION + '",';
+                    sb = sb + '"' + GeoJSONConstants.FIELD_GEOMETRIES + '":[' + geometries.join(',') + ']';
+                    sb = sb + '}';
+                    return sb;
+                }
+                else {
+                    return null;
+                }
+
+                return '{"' + GeoJSONConstants.FIELD_TYPE + '":"' + type + '",' +
+                    '"' + GeoJSONConstants.FIELD_COORDINATES + '":' + coordinates + '}';
+            },
+
+            // Internal. Intentionally not documented.
+            exportPosition: function (position) {
+                return '[' + position.longitude + ',' + position.latitude + ',' + position.altitude + ']';
+            },
+
+            // Internal. Intentionally not documented.
+            exportPositions: function (positions) {
+                var coordinates = [];
+                for (var i = 0; i < positions.length; i++) {
+                    coordinates.push(this.exportPosition(positions[i]));
+                }
+
+                return '[' + coordinates.join(',') + ']';
             }
         };
 
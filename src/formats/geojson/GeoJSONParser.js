@@ -289,6 +289,9 @@ define(['../../error/ArgumentError',
          * the attribute. This value is specified as the label displayName property for all shapes created.
          * For {@link Placemark} shapes it is also specified as the placemark label.
          * It is specified as the displayName for all other shapes.
+         * <p>
+         * For all geometry, the GeoJSON's properties are specified as the userProperties of the shapes created, so
+         * that they are written back by {@link GeoJSONExporter}.
          *
          * @param {GeoJSONGeometry} geometry An object containing the geometry associated with this GeoJSON.
          * @param {Object} properties An object containing the attribute-value pairs found in GeoJSON feature
@@ -298,6 +301,8 @@ define(['../../error/ArgumentError',
         GeoJSONParser.prototype.defaultShapeConfigurationCallback = function (geometry, properties) {
             var configuration = {};
 
+            configuration.userProperties = properties;
+
             var name = properties.name || properties.Name || properties.NAME;
             if (name) {
                 configuration.name = name;
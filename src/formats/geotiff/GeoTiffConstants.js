@@ -105,7 +105,63 @@ define([],
                 'VerticalCitationGeoKey': 4097,
                 'VerticalDatumGeoKey': 4098,
                 'VerticalUnitsGeoKey': 4099
-            }
+            },
+
+            /**
+             * An object containing the GTModelTypeGeoKey values.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            ModelType: {
+                'PROJECTED': 1,
+                'GEOGRAPHIC': 2,
+                'GEOCENTRIC': 3
+            },
+
+            /**
+             * An object containing the GTRasterTypeGeoKey values.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            RasterType: {
+                'PIXEL_IS_AREA': 1,
+                'PIXEL_IS_POINT': 2
+            },
+
+            /**
+             * An object containing the ProjCoordTransGeoKey values.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            CoordinateTransformation: {
+                'TRANSVERSE_MERCATOR': 1,
+                'MERCATOR': 7,
+                'LAMBERT_CONF_CONIC_2SP': 8,
+                'ALBERS_EQUAL_AREA': 11,
+                'AZIMUTHAL_EQUIDISTANT': 12,
+                'POLAR_STEREOGRAPHIC': 15,
+                'EQUIRECTANGULAR': 17,
+                'GNOMONIC': 19,
+                'ROBINSON': 23
+            },
+
+            /**
+             * An object containing the unit codes of the GeogAngularUnitsGeoKey and ProjLinearUnitsGeoKey.
+             * @memberof GeoTiff
+             * @type {Object}
+             */
+            Units: {
+                'METER': 9001,
+                'DEGREE': 9102
+            },
+
+            /**
+             * The geokey value indicating a user-defined coordinate system, datum, ellipsoid or projection, whose
+             * parameters are specified by other geokeys.
+             * @memberof GeoTiff
+             * @type {Number}
+             */
+            USER_DEFINED: 32767
         };
 
         return GeoTiffConstants;
@@ -57,6 +57,9 @@ define([
             // Documented in defineProperties below.
             this._minSampleValue = null;
 
+            // Documented in defineProperties below.
+            this._newSubfileType = 0;
+
             // Documented in defineProperties below.
             this._orientation = 0;
 
@@ -66,6 +69,9 @@ define([
             // Documented in defineProperties below.
             this._planarConfiguration = null;
 
+            // Documented in defineProperties below.
+            this._predictor = null;
+
             // Documented in defineProperties below.
             this._resolutionUnit = null;
 
@@ -304,6 +310,23 @@ define([
                 }
             },
 
+            /**
+             * Contains a bit field describing the kind of data in the image. Bit 0 is set for a reduced resolution
+             * version of another image, bit 1 for a single page of a multi-page image and bit 2 for a transparency
+             * mask of another image.
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            newSubfileType: {
+                get: function () {
+                    return this._newSubfileType;
+                },
+
+                set: function(value){
+                    this._newSubfileType = value;
+                }
+            },
+
             /**
              * Contains the orientation of the image with respect to the rows and columns.
              * @memberof GeoTiffMetadata.prototype
@@ -349,6 +372,26 @@ define([
                 }
             },
 
+            /**
+             * Contains the predictor applied to the image data before compression. The specified values are:
+             * <ul>
+             *     <li>1 = No prediction</li>
+             *     <li>2 = Horizontal differencing</li>
+             *     <li>3 = Floating point horizontal differencing</li>
+             * </ul>
+             * @memberof GeoTiffMetadata.prototype
+             * @type {Number}
+             */
+            predictor: {
+                get: function () {
+                    return this._predictor;
+                },
+
+                set: function(value){
+                    this._predictor = value;
+                }
+            },
+
             /**
              * Contains the unit of measurement for XResolution and YResolution. The specified values are:
              * <ul>
@@ -29,6 +29,7 @@ define([
         '../../util/Logger',
         '../../util/proj4-src',
         './TiffConstants',
+        './TiffDecompressor',
         './TiffIFDEntry',
         '../../util/WWUtil'
     ],
@@ -43,6 +44,7 @@ define([
               Logger,
               Proj4,
               TiffConstants,
+              TiffDecompressor,
               TiffIFDEntry,
               WWUtil) {
         "use strict";
@@ -199,7 +201,7 @@ define([
             var firstIFDOffset = GeoTiffUtil.getBytes(this.geoTiffData, 4, 4, this.isLittleEndian);
 
             this.parseImageFileDirectory(firstIFDOffset);
-            this.getMetadataFromImageFileDirectory();
+            this.getMetadataFromImageFileDirectory(this.imageFileDirectories[0], this.metadata);
             this.parseGeoKeys();
             this.setBBox();
         };
@@ -238,6 +240,91 @@ define([
             return this.createTypedElevationArray();
         };
 
+        /**
+         * Returns the metadata of a specified image in this GeoTiff. The metadata of the first image is this reader's
+         * [metadata]{@link GeoTiffReader#metadata}. Subsequent images are typically reduced resolution versions of
+         * the first image, as in a Cloud Optimized GeoTiff, and share its georeferencing.
+         * @param {Number} index The index of the image, 0 for the first image.
+         * @returns {GeoTiffMetadata} The metadata of the specified image.
+         * @throws {ArgumentError} If the specified index is out of range.
+         */
+        GeoTiffReader.prototype.getImageMetadata = function (index) {
+            if (index < 0 || index >= this.imageFileDirectories.length) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffReader", "getImageMetadata",
+                        "indexOutOfRange"));
+            }
+
+            if (index === 0) {
+                return this.metadata;
+            }
+
+            var metadata = new GeoTiffMetadata();
+            this.getMetadataFromImageFileDirectory(this.imageFileDirectories[index], metadata);
+
+            return metadata;
+        };
+
+        /**
+         * Creates an RGB canvas from a single tile of an image in this GeoTiff. The tile's bytes are specified
+         * separately from the GeoTiff's data so that tiles can be retrieved individually, e.g., by HTTP range
+         * requests. Tiles at the right and bottom edges of the image are padded to the full tile size.
+         * @param {GeoTiffMetadata} metadata The metadata of the image containing the tile. See
+         * [getImageMetadata]{@link GeoTiffReader#getImageMetadata}.
+         * @param {ArrayBuffer} tileData The tile's bytes, as stored in the GeoTiff.
+         * @returns {Canvas} A canvas the size of the image's tiles containing the tile's image.
+         * @throws {ArgumentError} If the specified metadata or tile data is null or undefined.
+         */
+        GeoTiffReader.prototype.getTileImage = function (metadata, tileData) {
+            if (!metadata) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffReader", "getTileImage",
+                        "The specified metadata is null or undefined."));
+            }
+
+            if (!tileData) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffReader", "getTileImage", "missingArrayBuffer"));
+            }
+
+            var tileWidth = metadata.tileWidth;
+            var tileLength = metadata.tileLength;
+            var bitsPerSample = metadata.bitsPerSample;
+
+            if (metadata.colorMap) {
+                var colorMapValues = metadata.colorMap;
+                var colorMapSampleSize = Math.pow(2, bitsPerSample[0]);
+            }
+
+            var pixels = this.parseBlock(false, metadata, new DataView(tileData), 0, tileData.byteLength,
+                tileWidth, tileLength);
+
+            var canvas = document.createElement('canvas');
+            canvas.width = tileWidth;
+            canvas.height = tileLength;
+            var ctx = canvas.getContext("2d");
+            var imageData = ctx.createImageData(tileWidth, tileLength);
+
+            for (var i = 0, k = 0; i < pixels.length; i++, k += 4) {
+                var color = this.getPixelColor(
+                    pixels[i],
+                    metadata.photometricInterpretation,
+                    bitsPerSample,
+                    metadata.samplesPerPixel,
+                    colorMapValues,
+                    colorMapSampleSize
+                );
+                imageData.data[k] = color[0];
+                imageData.data[k + 1] = color[1];
+                imageData.data[k + 2] = color[2];
+                imageData.data[k + 3] = Math.round(color[3] * 255);
+            }
+
+            ctx.putImageData(imageData, 0, 0);
+
+            return canvas;
+        };
+
         /**
          * Indicates whether this geotiff is a tiff file type.
          *
@@ -361,6 +448,16 @@ define([
         // Get pixel fill style. Internal use only.
         GeoTiffReader.prototype.getFillStyle = function (pixelSamples, photometricInterpretation, bitsPerSample,
                                                          samplesPerPixel, colorMapValues, colorMapSampleSize) {
+            var color = this.getPixelColor(pixelSamples, photometricInterpretation, bitsPerSample, samplesPerPixel,
+                colorMapValues, colorMapSampleSize);
+
+            return GeoTiffUtil.getRGBAFillValue(color[0], color[1], color[2], color[3]);
+        };
+
+        // Get pixel color as an array of red, green and blue values from 0 to 255 followed by an opacity from 0 to 1.
+        // Internal use only.
+        GeoTiffReader.prototype.getPixelColor = function (pixelSamples, photometricInterpretation, bitsPerSample,
+                                                          samplesPerPixel, colorMapValues, colorMapSampleSize) {
             var red = 0.0;
             var green = 0.0;
             var blue = 0.0;
@@ -427,7 +524,7 @@ define([
                     break;
             }
 
-            return GeoTiffUtil.getRGBAFillValue(red, green, blue, opacity);
+            return [red, green, blue, opacity];
         }
 
         GeoTiffReader.prototype.createTypedElevationArray = function () {
@@ -510,63 +607,100 @@ define([
 
         // Parse geotiff strips. Internal use only
         GeoTiffReader.prototype.parseStrips = function (returnElevation) {
-            var samplesPerPixel = this.metadata.samplesPerPixel;
-            var bitsPerSample = this.metadata.bitsPerSample;
             var stripOffsets = this.metadata.stripOffsets;
             var stripByteCounts = this.metadata.stripByteCounts;
-            var compression = this.metadata.compression;
-            if (this.metadata.sampleFormat) {
-                var sampleFormat = this.metadata.sampleFormat;
-            }
-            else {
-                var sampleFormat = TiffConstants.SampleFormat.UNSIGNED;
-            }
-
-            var bitsPerPixel = samplesPerPixel * bitsPerSample[0];
-            var bytesPerPixel = bitsPerPixel / 8;
+            var imageWidth = this.metadata.imageWidth;
+            var imageLength = this.metadata.imageLength;
+            var rowsPerStrip = this.metadata.rowsPerStrip || imageLength;
 
             var strips = [];
             // Loop through strips
             for (var i = 0; i < stripOffsets.length; i++) {
                 var stripOffset = stripOffsets[i];
                 var stripByteCount = stripByteCounts[i];
+                // The last strip holds only the remaining rows.
+                var rowsInStrip = Math.min(rowsPerStrip, imageLength - i * rowsPerStrip);
 
-                strips[i] = this.parseBlock(returnElevation, compression, bytesPerPixel, stripByteCount, stripOffset,
-                    bitsPerSample, sampleFormat);
+                strips[i] = this.parseBlock(returnElevation, this.metadata, this.geoTiffData, stripOffset,
+                    stripByteCount, imageWidth, rowsInStrip);
             }
 
             return strips;
         }
 
-        // Parse geotiff block. A block may be a strip or a tile. Internal use only.
-        GeoTiffReader.prototype.parseBlock = function (returnElevation, compression, bytesPerPixel, blockByteCount,
-                                                       blockOffset, bitsPerSample, sampleFormat) {
+        // Parse geotiff block. A block may be a strip or a tile. The block is read from the specified data view and
+        // interpreted according to the specified image metadata. Internal use only.
+        GeoTiffReader.prototype.parseBlock = function (returnElevation, metadata, dataView, blockOffset,
+                                                       blockByteCount, blockWidth, blockLength) {
             var block = [];
+            var compression = metadata.compression;
+            var bitsPerSample = metadata.bitsPerSample;
+            var bytesPerPixel = metadata.samplesPerPixel * bitsPerSample[0] / 8;
+            var sampleFormat = metadata.sampleFormat;
+            if (!sampleFormat) {
+                sampleFormat = new Array(metadata.samplesPerPixel);
+                WWUtil.fillArray(sampleFormat, TiffConstants.SampleFormat.UNSIGNED);
+            }
+            var blockData, blockDataOffset, blockDataLength;
+
+            if (compression === TiffConstants.Compression.UNCOMPRESSED) {
+                blockData = dataView;
+                blockDataOffset = blockOffset;
+                blockDataLength = blockByteCount;
+            }
+            else {
+                var expectedLength = blockWidth * blockLength * bytesPerPixel;
+                var bytes = this.decompressBlock(compression, dataView, blockOffset, blockByteCount, expectedLength);
+                if (!bytes) {
+                    return block;
+                }
+
+                this.undoPredictor(bytes, metadata.predictor, bitsPerSample, blockWidth);
+
+                blockData = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+                blockDataOffset = 0;
+                blockDataLength = Math.min(bytes.length, expectedLength);
+            }
+
+            // Loop through pixels.
+            for (var byteOffset = 0, increment = bytesPerPixel;
+                 byteOffset + increment <= blockDataLength; byteOffset += increment) {
+                // Loop through samples (sub-pixels).
+                for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
+                    var bytesPerSample = bitsPerSample[m] / 8;
+                    var sampleOffset = m * bytesPerSample;
+
+                    pixel.push(GeoTiffUtil.getSampleBytes(
+                        blockData,
+                        blockDataOffset + byteOffset + sampleOffset,
+                        bytesPerSample,
+                        sampleFormat[m],
+                        this.isLittleEndian));
+                }
+                if (returnElevation) {
+                    block.push(pixel[0]);
+                }
+                else {
+                    block.push(pixel);
+                }
+            }
+
+            return block;
+        }
+
+        // Decompress a geotiff block. Returns null if the compression type is not supported. Internal use only.
+        GeoTiffReader.prototype.decompressBlock = function (compression, dataView, blockOffset, blockByteCount,
+                                                            expectedLength) {
+            var bytes = new Uint8Array(dataView.buffer, dataView.byteOffset + blockOffset, blockByteCount);
+
             switch (compression) {
-                case TiffConstants.Compression.UNCOMPRESSED:
-                    // Loop through pixels.
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < blockByteCount; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
-                        }
-                    }
-                    break;
+                case TiffConstants.Compression.LZW:
+                    return TiffDecompressor.lzw(bytes, expectedLength);
+                case TiffConstants.Compression.ADOBE_DEFLATE:
+                case TiffConstants.Compression.DEFLATE:
+                    return TiffDecompressor.deflate(bytes, expectedLength);
+                case TiffConstants.Compression.PACK_BITS:
+                    return TiffDecompressor.packBits(bytes, expectedLength);
                 case TiffConstants.Compression.CCITT_1D:
                     //todo
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: CCITT_1D");
@@ -579,116 +713,84 @@ define([
                     //todo
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: GROUP_4_FAX");
                     break;
-                case TiffConstants.Compression.LZW:
-                    //todo
-                    Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: LZW");
-                    break;
                 case TiffConstants.Compression.JPEG:
                     //todo
                     Logger.log(Logger.LEVEL_WARNING, "Compression type not yet implemented: JPEG");
                     break;
-                case TiffConstants.Compression.PACK_BITS:
-                    if (this.metadata.tileOffsets) {
-                        var tileWidth = this.metadata.tileWidth;
-                        var tileLength = this.metadata.tileWidth;
-                        var arrayBuffer = new ArrayBuffer(tileWidth * tileLength * bytesPerPixel);
-                    }
-                    else {
-                        var rowsPerStrip = this.metadata.rowsPerStrip;
-                        var imageWidth = this.metadata.imageWidth;
-                        var arrayBuffer = new ArrayBuffer(rowsPerStrip * imageWidth * bytesPerPixel);
-                    }
-
-                    var uncompressedDataView = new DataView(arrayBuffer);
-
-                    var newBlock = true;
-                    var pixel = [];
-                    var blockLength = 0;
-                    var numOfIterations = 0;
-                    var uncompressedOffset = 0;
-
-
-                    for (var byteOffset = 0; byteOffset < blockByteCount; byteOffset += 1) {
+                default:
+                    Logger.log(Logger.LEVEL_WARNING, "Unknown compression type: " + compression);
+                    break;
+            }
 
-                        if (newBlock) {
-                            blockLength = 1;
-                            numOfIterations = 1;
-                            newBlock = false;
+            return null;
+        }
 
-                            var nextSourceByte = this.geoTiffData.getInt8(blockOffset + byteOffset,
-                                this.isLittleEndian);
+        // Reverse the predictor applied to a decompressed block, in place. Rows are blockWidth pixels wide.
+        // Internal use only.
+        GeoTiffReader.prototype.undoPredictor = function (bytes, predictor, bitsPerSample, blockWidth) {
+            if (!predictor || predictor === TiffConstants.Predictor.NONE) {
+                return;
+            }
 
-                            if (nextSourceByte >= 0 && nextSourceByte <= 127) {
-                                blockLength = nextSourceByte + 1;
-                            }
-                            else if (nextSourceByte >= -127 && nextSourceByte <= -1) {
-                                numOfIterations = -nextSourceByte + 1;
+            var samplesPerPixel = bitsPerSample.length;
+            var bytesPerSample = bitsPerSample[0] / 8;
+            var samplesPerRow = blockWidth * samplesPerPixel;
+            var bytesPerRow = samplesPerRow * bytesPerSample;
+            var numOfRows = Math.floor(bytes.length / bytesPerRow);
+            var row, i, rowOffset;
+
+            if (predictor === TiffConstants.Predictor.HORIZONTAL) {
+                if (bytesPerSample === 1) {
+                    for (row = 0, rowOffset = 0; row < numOfRows; row++, rowOffset += bytesPerRow) {
+                        for (i = samplesPerPixel; i < samplesPerRow; i++) {
+                            bytes[rowOffset + i] += bytes[rowOffset + i - samplesPerPixel];
+                        }
+                    }
+                }
+                else {
+                    var dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+                    var stride = samplesPerPixel * bytesPerSample;
+
+                    for (row = 0, rowOffset = 0; row < numOfRows; row++, rowOffset += bytesPerRow) {
+                        for (i = rowOffset + stride; i < rowOffset + bytesPerRow; i += bytesPerSample) {
+                            if (bytesPerSample === 2) {
+                                dataView.setUint16(i, dataView.getUint16(i, this.isLittleEndian) +
+                                    dataView.getUint16(i - stride, this.isLittleEndian), this.isLittleEndian);
                             }
                             else {
-                                newBlock = true;
+                                dataView.setUint32(i, dataView.getUint32(i, this.isLittleEndian) +
+                                    dataView.getUint32(i - stride, this.isLittleEndian), this.isLittleEndian);
                             }
                         }
-                        else {
-                            var currentByte = GeoTiffUtil.getBytes(
-                                this.geoTiffData,
-                                blockOffset + byteOffset,
-                                1,
-                                this.isLittleEndian);
-
-                            for (var currentIteration = 0; currentIteration < numOfIterations; currentIteration++) {
-                                uncompressedDataView.setInt8(uncompressedOffset, currentByte);
-                                uncompressedOffset++;
-                            }
+                    }
+                }
+            }
+            else if (predictor === TiffConstants.Predictor.FLOATING_POINT) {
+                // The bytes of each row are differenced and then grouped by significance, most significant first.
+                var rowBytes = new Uint8Array(bytesPerRow);
 
-                            blockLength--;
+                for (row = 0, rowOffset = 0; row < numOfRows; row++, rowOffset += bytesPerRow) {
+                    rowBytes.set(bytes.subarray(rowOffset, rowOffset + bytesPerRow));
 
-                            if (blockLength === 0) {
-                                newBlock = true;
-                            }
-                        }
+                    for (i = samplesPerPixel; i < bytesPerRow; i++) {
+                        rowBytes[i] += rowBytes[i - samplesPerPixel];
                     }
 
-                    for (var byteOffset = 0, increment = bytesPerPixel;
-                         byteOffset < arrayBuffer.byteLength; byteOffset += increment) {
-                        // Loop through samples (sub-pixels).
-                        for (var m = 0, pixel = []; m < bitsPerSample.length; m++) {
-                            var bytesPerSample = bitsPerSample[m] / 8;
-                            var sampleOffset = m * bytesPerSample;
-
-                            pixel.push(GeoTiffUtil.getSampleBytes(
-                                uncompressedDataView,
-                                byteOffset + sampleOffset,
-                                bytesPerSample,
-                                sampleFormat[m],
-                                this.isLittleEndian));
-                        }
-                        if (returnElevation) {
-                            block.push(pixel[0]);
-                        }
-                        else {
-                            block.push(pixel);
+                    for (i = 0; i < samplesPerRow; i++) {
+                        for (var b = 0; b < bytesPerSample; b++) {
+                            var byteInSample = this.isLittleEndian ? bytesPerSample - b - 1 : b;
+                            bytes[rowOffset + i * bytesPerSample + byteInSample] = rowBytes[b * samplesPerRow + i];
                         }
                     }
-                    break;
+                }
+            }
+            else {
+                Logger.log(Logger.LEVEL_WARNING, "Unknown predictor type: " + predictor);
             }
-
-            return block;
         }
 
         // Parse geotiff tiles. Internal use only
         GeoTiffReader.prototype.parseTiles = function (returnElevation) {
-            var samplesPerPixel = this.metadata.samplesPerPixel;
-            var bitsPerSample = this.metadata.bitsPerSample;
-            var compression = this.metadata.compression;
-            if (this.metadata.sampleFormat) {
-                var sampleFormat = this.metadata.sampleFormat;
-            }
-            else {
-                var sampleFormat = new Array(samplesPerPixel);
-                WWUtil.fillArray(sampleFormat, TiffConstants.SampleFormat.UNSIGNED);
-            }
-            var bitsPerPixel = samplesPerPixel * bitsPerSample[0];
-            var bytesPerPixel = bitsPerPixel / 8;
             var tileWidth = this.metadata.tileWidth;
             var tileLength = this.metadata.tileLength;
             var tileOffsets = this.metadata.tileOffsets;
@@ -706,8 +808,9 @@ define([
                     var index = tilesAcross * i + j;
                     var tileOffset = tileOffsets[index];
                     var tileByteCount = tileByteCounts[index];
-                    tiles[index] = this.parseBlock(returnElevation, compression, bytesPerPixel, tileByteCount,
-                        tileOffset, bitsPerSample, sampleFormat);
+                    // Tiles are always full size, edge tiles are padded.
+                    tiles[index] = this.parseBlock(returnElevation, this.metadata, this.geoTiffData, tileOffset,
+                        tileByteCount, tileWidth, tileLength);
                 }
             }
 
@@ -797,110 +900,116 @@ define([
         }
 
         // Get metadata from image file directory. Internal use only.
-        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function () {
-            for (var i = 0; i < this.imageFileDirectories[0].length; i++) {
+        GeoTiffReader.prototype.getMetadataFromImageFileDirectory = function (imageFileDirectory, metadata) {
+            for (var i = 0; i < imageFileDirectory.length; i++) {
 
-                switch (this.imageFileDirectories[0][i].tag) {
+                switch (imageFileDirectory[i].tag) {
+                    case TiffConstants.Tag.NEW_SUBFILE_TYPE:
+                        metadata.newSubfileType = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
                     case TiffConstants.Tag.BITS_PER_SAMPLE:
-                        this.metadata.bitsPerSample = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.bitsPerSample = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COLOR_MAP:
-                        this.metadata.colorMap = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.colorMap = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.COMPRESSION:
-                        this.metadata.compression = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.compression = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.EXTRA_SAMPLES:
-                        this.metadata.extraSamples = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.extraSamples = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.IMAGE_DESCRIPTION:
-                        this.metadata.imageDescription = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageDescription = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.IMAGE_LENGTH:
-                        this.metadata.imageLength = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.IMAGE_WIDTH:
-                        this.metadata.imageWidth = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.imageWidth = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MAX_SAMPLE_VALUE:
-                        this.metadata.maxSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.maxSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.MIN_SAMPLE_VALUE:
-                        this.metadata.minSampleValue = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.minSampleValue = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ORIENTATION:
-                        this.metadata.orientation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.orientation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PHOTOMETRIC_INTERPRETATION:
-                        this.metadata.photometricInterpretation = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.photometricInterpretation = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.PLANAR_CONFIGURATION:
-                        this.metadata.planarConfiguration = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.planarConfiguration = imageFileDirectory[i].getIFDEntryValue()[0];
+                        break;
+                    case TiffConstants.Tag.PREDICTOR:
+                        metadata.predictor = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.ROWS_PER_STRIP:
-                        this.metadata.rowsPerStrip = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.rowsPerStrip = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.RESOLUTION_UNIT:
-                        this.metadata.resolutionUnit = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.resolutionUnit = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLES_PER_PIXEL:
-                        this.metadata.samplesPerPixel = this.imageFileDirectories[0][i].getIFDEntryValue()[0];
+                        metadata.samplesPerPixel = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.SAMPLE_FORMAT:
-                        this.metadata.sampleFormat = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.sampleFormat = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.SOFTWARE:
-                        this.metadata.software = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.software = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_BYTE_COUNTS:
-                        this.metadata.stripByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.STRIP_OFFSETS:
-                        this.metadata.stripOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.stripOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_BYTE_COUNTS:
-                        this.metadata.tileByteCounts = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileByteCounts = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_OFFSETS:
-                        this.metadata.tileOffsets = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileOffsets = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.TILE_LENGTH:
-                        this.metadata.tileLength = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileLength = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.TILE_WIDTH:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.tileWidth = imageFileDirectory[i].getIFDEntryValue()[0];
                         break;
                     case TiffConstants.Tag.X_RESOLUTION:
-                        this.metadata.xResolution = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.xResolution = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case TiffConstants.Tag.Y_RESOLUTION:
-                        this.metadata.tileWidth = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.yResolution = imageFileDirectory[i].getIFDEntryValue();
                         break;
 
                     //geotiff
                     case GeoTiffConstants.Tag.GEO_ASCII_PARAMS:
-                        this.metadata.geoAsciiParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoAsciiParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS:
-                        this.metadata.geoDubleParams = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoDubleParams = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GEO_KEY_DIRECTORY:
-                        this.metadata.geoKeyDirectory = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.geoKeyDirectory = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_PIXEL_SCALE:
-                        this.metadata.modelPixelScale = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelPixelScale = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.MODEL_TIEPOINT:
-                        this.metadata.modelTiepoint = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.modelTiepoint = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GDAL_METADATA:
-                        this.metadata.metaData = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.metaData = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     case GeoTiffConstants.Tag.GDAL_NODATA:
-                        this.metadata.noData = this.imageFileDirectories[0][i].getIFDEntryValue();
+                        metadata.noData = imageFileDirectory[i].getIFDEntryValue();
                         break;
                     default:
-                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + this.imageFileDirectories[0][i].tag);
+                        Logger.log(Logger.LEVEL_WARNING, "Ignored GeoTiff tag: " + imageFileDirectory[i].tag);
                 }
             }
         }
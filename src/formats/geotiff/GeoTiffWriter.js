@@ -0,0 +1,315 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GeoTiffWriter
+ */
+define([
+        '../../error/ArgumentError',
+        './GeoTiffConstants',
+        '../../util/Logger',
+        './TiffConstants'
+    ],
+    function (ArgumentError,
+              GeoTiffConstants,
+              Logger,
+              TiffConstants) {
+        "use strict";
+
+        /**
+         * Constructs a GeoTiff writer for a specified RGBA image.
+         * @alias GeoTiffWriter
+         * @constructor
+         * @classdesc Writes an RGBA image and its georeferencing as an uncompressed, little endian GeoTiff, which
+         * can be read by {@link GeoTiffReader} and desktop GIS applications. Specify the image's location with either
+         * [modelPixelScale]{@link GeoTiffWriter#modelPixelScale} and
+         * [modelTiepoint]{@link GeoTiffWriter#modelTiepoint}, or with
+         * [modelTransformation]{@link GeoTiffWriter#modelTransformation} when the image is rotated, and its
+         * coordinate reference system with [setGeoKey]{@link GeoTiffWriter#setGeoKey}. Then call
+         * [write]{@link GeoTiffWriter#write} to create the GeoTiff's contents.
+         * @param {Number} width The image's width in pixels.
+         * @param {Number} height The image's height in pixels.
+         * @param {Uint8Array|Uint8ClampedArray} pixels The image's pixels, four bytes per pixel in RGBA order, with
+         * rows ordered from top to bottom. The alpha is not premultiplied, as in the data of an HTML ImageData.
+         * @throws {ArgumentError} If the specified width or height is not positive, or the pixels array is null,
+         * undefined or smaller than the width and height indicate.
+         */
+        var GeoTiffWriter = function (width, height, pixels) {
+            if (!(width > 0) || !(height > 0)) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "constructor",
+                        "The specified width or height is not positive."));
+            }
+
+            if (!pixels || pixels.length < 4 * width * height) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoTiffWriter", "constructor",
+                        "The specified pixels array is null, undefined or insufficient length."));
+            }
+
+            /**
+             * The image's width in pixels.
+             * @type {Number}
+             * @readonly
+             */
+            this.width = width;
+
+            /**
+             * The image's height in pixels.
+             * @type {Number}
+             * @readonly
+             */
+            this.height = height;
+
+            /**
+             * The image's pixels, four bytes per pixel in RGBA order.
+             * @type {Uint8Array|Uint8ClampedArray}
+             * @readonly
+             */
+            this.pixels = pixels;
+
+            /**
+             * The size of a pixel in model coordinates, as the array [scaleX, scaleY, scaleZ]. Used with
+             * [modelTiepoint]{@link GeoTiffWriter#modelTiepoint}. May be null.
+             * @type {Number[]}
+             * @default null
+             */
+            this.modelPixelScale = null;
+
+            /**
+             * A raster point and the model point it corresponds to, as the array [i, j, k, x, y, z]. Used with
+             * [modelPixelScale]{@link GeoTiffWriter#modelPixelScale}. May be null.
+             * @type {Number[]}
+             * @default null
+             */
+            this.modelTiepoint = null;
+
+            /**
+             * The 4 x 4 matrix transforming raster coordinates to model coordinates, as an array of 16 numbers in
+             * row-major order. Written instead of the pixel scale and tiepoint when specified. May be null.
+             * @type {Number[]}
+             * @default null
+             */
+            this.modelTransformation = null;
+
+            // Internal. Intentionally not documented.
+            this.geoKeys = {};
+        };
+
+        /**
+         * The geokeys whose values are doubles. Other geokeys have short or ASCII values.
+         * @type {Number[]}
+         * @constant
+         */
+        GeoTiffWriter.DOUBLE_KEYS = [
+            GeoTiffConstants.Key.GeogLinearUnitSizeGeoKey,
+            GeoTiffConstants.Key.GeogAngularUnitSizeGeoKey,
+            GeoTiffConstants.Key.GeogSemiMajorAxisGeoKey,
+            GeoTiffConstants.Key.GeogSemiMinorAxisGeoKey,
+            GeoTiffConstants.Key.GeogInvFlatteningGeoKey,
+            GeoTiffConstants.Key.GeogPrimeMeridianLongGeoKey,
+            GeoTiffConstants.Key.GeogTOWGS84GeoKey,
+            GeoTiffConstants.Key.ProjLinearUnitSizeGeoKey
+        ];
+
+        /**
+         * Specifies the value of a geokey, replacing its current value, if any. String values are written as ASCII
+         * parameters. Numbers are written as doubles for the geokeys listed in
+         * [DOUBLE_KEYS]{@link GeoTiffWriter.DOUBLE_KEYS} and the projection parameter geokeys, and as shorts
+         * otherwise.
+         * @param {Number} key The geokey, one of the values of GeoTiffConstants.Key.
+         * @param {Number|String} value The geokey's value. May be null or undefined, in which case the geokey is
+         * removed.
+         */
+        GeoTiffWriter.prototype.setGeoKey = function (key, value) {
+            if (value === null || value === undefined) {
+                delete this.geoKeys[key];
+            } else {
+                this.geoKeys[key] = value;
+            }
+        };
+
+        /**
+         * Creates the contents of a GeoTiff holding this writer's image, georeferencing and geokeys.
+         * @returns {ArrayBuffer} The GeoTiff's contents.
+         */
+        GeoTiffWriter.prototype.write = function () {
+            var entries = this.createEntries(),
+                imageByteCount = 4 * this.width * this.height,
+                offset = 8 + 2 + 12 * entries.length + 4, // header and image file directory
+                stripOffsetsEntry = null,
+                i, len, entry;
+
+            // Place the values that do not fit in their entries after the image file directory, aligned to a double.
+            for (i = 0, len = entries.length; i < len; i++) {
+                entry = entries[i];
+                if (entry.byteCount > 4) {
+                    offset += offset % 8 ? 8 - offset % 8 : 0;
+                    entry.valueOffset = offset;
+                    offset += entry.byteCount;
+                }
+
+                if (entry.tag === TiffConstants.Tag.STRIP_OFFSETS) {
+                    stripOffsetsEntry = entry;
+                }
+            }
+
+            stripOffsetsEntry.values[0] = offset;
+
+            var buffer = new ArrayBuffer(offset + imageByteCount),
+                view = new DataView(buffer);
+
+            view.setUint16(0, 0x4949); // "II", little endian
+            view.setUint16(2, 42, true);
+            view.setUint32(4, 8, true);
+            view.setUint16(8, entries.length, true);
+
+            for (i = 0, len = entries.length; i < len; i++) {
+                entry = entries[i];
+                var entryOffset = 10 + 12 * i;
+                view.setUint16(entryOffset, entry.tag, true);
+                view.setUint16(entryOffset + 2, entry.type, true);
+                view.setUint32(entryOffset + 4, entry.values.length, true);
+
+                if (entry.byteCount > 4) {
+                    view.setUint32(entryOffset + 8, entry.valueOffset, true);
+                    this.writeValues(view, entry.valueOffset, entry);
+                } else {
+                    this.writeValues(view, entryOffset + 8, entry);
+                }
+            }
+
+            new Uint8Array(buffer, offset, imageByteCount).set(this.pixels.subarray(0, imageByteCount));
+
+            return buffer;
+        };
+
+        // Internal. Intentionally not documented. Creates the image file directory's entries, sorted by tag.
+        GeoTiffWriter.prototype.createEntries = function () {
+            var Tag = TiffConstants.Tag,
+                Type = TiffConstants.Type,
+                entries = [
+                    this.createEntry(Tag.IMAGE_WIDTH, Type.LONG, [this.width]),
+                    this.createEntry(Tag.IMAGE_LENGTH, Type.LONG, [this.height]),
+                    this.createEntry(Tag.BITS_PER_SAMPLE, Type.SHORT, [8, 8, 8, 8]),
+                    this.createEntry(Tag.COMPRESSION, Type.SHORT, [TiffConstants.Compression.UNCOMPRESSED]),
+                    this.createEntry(Tag.PHOTOMETRIC_INTERPRETATION, Type.SHORT,
+                        [TiffConstants.PhotometricInterpretation.RGB]),
+                    this.createEntry(Tag.STRIP_OFFSETS, Type.LONG, [0]), // assigned when the layout is known
+                    this.createEntry(Tag.SAMPLES_PER_PIXEL, Type.SHORT, [4]),
+                    this.createEntry(Tag.ROWS_PER_STRIP, Type.LONG, [this.height]),
+                    this.createEntry(Tag.STRIP_BYTE_COUNTS, Type.LONG, [4 * this.width * this.height]),
+                    this.createEntry(Tag.PLANAR_CONFIGURATION, Type.SHORT,
+                        [TiffConstants.PlanarConfiguration.CHUNKY]),
+                    this.createEntry(Tag.EXTRA_SAMPLES, Type.SHORT, [2]), // unassociated alpha
+                    this.createEntry(Tag.SAMPLE_FORMAT, Type.SHORT, [1, 1, 1, 1])
+                ];
+
+            if (this.modelTransformation) {
+                entries.push(this.createEntry(GeoTiffConstants.Tag.MODEL_TRANSFORMATION, Type.DOUBLE,
+                    this.modelTransformation));
+            } else {
+                if (this.modelPixelScale) {
+                    entries.push(this.createEntry(GeoTiffConstants.Tag.MODEL_PIXEL_SCALE, Type.DOUBLE,
+                        this.modelPixelScale));
+                }
+
+                if (this.modelTiepoint) {
+                    entries.push(this.createEntry(GeoTiffConstants.Tag.MODEL_TIEPOINT, Type.DOUBLE,
+                        this.modelTiepoint));
+                }
+            }
+
+            this.createGeoKeyEntries(entries);
+
+            entries.sort(function (a, b) {
+                return a.tag - b.tag;
+            });
+
+            return entries;
+        };
+
+        // Internal. Intentionally not documented. Creates the geokey directory and its parameter entries.
+        GeoTiffWriter.prototype.createGeoKeyEntries = function (entries) {
+            var keys = Object.keys(this.geoKeys).map(Number).sort(function (a, b) {
+                    return a - b;
+                }),
+                directory = [1, 1, 0, keys.length], // key directory version, key revision, minor revision
+                doubleParams = [],
+                asciiParams = "";
+
+            for (var i = 0, len = keys.length; i < len; i++) {
+                var key = keys[i],
+                    value = this.geoKeys[key];
+
+                if (typeof value === "string") {
+                    directory.push(key, GeoTiffConstants.Tag.GEO_ASCII_PARAMS, value.length + 1, asciiParams.length);
+                    asciiParams += value + "|";
+                } else if (GeoTiffWriter.DOUBLE_KEYS.indexOf(key) >= 0 ||
+                    (key >= GeoTiffConstants.Key.ProjStdParallel1GeoKey &&
+                    key <= GeoTiffConstants.Key.ProjStraightVertPoleLongGeoKey)) {
+                    directory.push(key, GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS, 1, doubleParams.length);
+                    doubleParams.push(value);
+                } else {
+                    directory.push(key, 0, 1, value); // the value is stored in the directory
+                }
+            }
+
+            entries.push(this.createEntry(GeoTiffConstants.Tag.GEO_KEY_DIRECTORY, TiffConstants.Type.SHORT,
+                directory));
+
+            if (doubleParams.length > 0) {
+                entries.push(this.createEntry(GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS, TiffConstants.Type.DOUBLE,
+                    doubleParams));
+            }
+
+            if (asciiParams.length > 0) {
+                entries.push(this.createEntry(GeoTiffConstants.Tag.GEO_ASCII_PARAMS, TiffConstants.Type.ASCII,
+                    asciiParams + "\0"));
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GeoTiffWriter.prototype.createEntry = function (tag, type, values) {
+            var valueSize = type === TiffConstants.Type.DOUBLE ? 8 :
+                type === TiffConstants.Type.LONG ? 4 :
+                    type === TiffConstants.Type.SHORT ? 2 : 1;
+
+            return {tag: tag, type: type, values: values, byteCount: valueSize * values.length, valueOffset: 0};
+        };
+
+        // Internal. Intentionally not documented.
+        GeoTiffWriter.prototype.writeValues = function (view, offset, entry) {
+            for (var i = 0, len = entry.values.length; i < len; i++) {
+                switch (entry.type) {
+                    case TiffConstants.Type.ASCII:
+                        view.setUint8(offset + i, entry.values.charCodeAt(i) & 0x7f);
+                        break;
+                    case TiffConstants.Type.SHORT:
+                        view.setUint16(offset + 2 * i, entry.values[i], true);
+                        break;
+                    case TiffConstants.Type.LONG:
+                        view.setUint32(offset + 4 * i, entry.values[i], true);
+                        break;
+                    case TiffConstants.Type.DOUBLE:
+                        view.setFloat64(offset + 8 * i, entry.values[i], true);
+                        break;
+                }
+            }
+        };
+
+        return GeoTiffWriter;
+    });
@@ -122,6 +122,8 @@ define([],
                 'GROUP_4_FAX': 4,
                 'LZW': 5,
                 'JPEG': 6,
+                'ADOBE_DEFLATE': 8,
+                'DEFLATE': 32946,
                 'PACK_BITS': 32773
             },
 
@@ -167,6 +169,17 @@ define([],
                 'PLANAR': 2
             },
 
+            /**
+             * An object containing all TIFF predictor types.
+             * @memberof Tiff
+             * @type {Object}
+             */
+            Predictor: {
+                'NONE': 1,
+                'HORIZONTAL': 2,
+                'FLOATING_POINT': 3
+            },
+
             /**
              * An object containing all TIFF resolution unit types.
              * @memberof Tiff
@@ -0,0 +1,425 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports TiffDecompressor
+ */
+define([
+        '../../error/AbstractError',
+        '../../util/Logger'
+    ],
+    function (AbstractError,
+              Logger) {
+        "use strict";
+
+        // Internal use only. Appends a byte to a growable output buffer.
+        var Output = function (capacity) {
+            this.bytes = new Uint8Array(Math.max(capacity, 256));
+            this.length = 0;
+        };
+
+        Output.prototype.ensureCapacity = function (additional) {
+            if (this.length + additional > this.bytes.length) {
+                var bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + additional));
+                bytes.set(this.bytes.subarray(0, this.length));
+                this.bytes = bytes;
+            }
+        };
+
+        Output.prototype.push = function (value) {
+            this.ensureCapacity(1);
+            this.bytes[this.length++] = value;
+        };
+
+        Output.prototype.result = function () {
+            return this.bytes.subarray(0, this.length);
+        };
+
+        // Internal use only. Reads bits least significant bit first, as required by the Deflate format.
+        var BitReader = function (bytes, offset) {
+            this.bytes = bytes;
+            this.position = offset;
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        };
+
+        BitReader.prototype.readBits = function (numBits) {
+            while (this.bitCount < numBits) {
+                if (this.position >= this.bytes.length) {
+                    throw new AbstractError(Logger.logMessage(Logger.LEVEL_SEVERE, "TiffDecompressor", "inflate",
+                        "Unexpected end of Deflate data."));
+                }
+                this.bitBuffer |= this.bytes[this.position++] << this.bitCount;
+                this.bitCount += 8;
+            }
+
+            var value = this.bitBuffer & ((1 << numBits) - 1);
+            this.bitBuffer >>>= numBits;
+            this.bitCount -= numBits;
+
+            return value;
+        };
+
+        BitReader.prototype.alignToByte = function () {
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        };
+
+        // Internal use only. A canonical Huffman code table built from a list of code lengths.
+        var Huffman = function (lengths, offset, count) {
+            this.counts = new Uint16Array(16);
+            this.symbols = new Uint16Array(count);
+
+            var i, offsets = new Uint16Array(16);
+
+            for (i = 0; i < count; i++) {
+                this.counts[lengths[offset + i]]++;
+            }
+            this.counts[0] = 0;
+
+            for (i = 1; i < 16; i++) {
+                offsets[i] = offsets[i - 1] + this.counts[i - 1];
+            }
+
+            for (i = 0; i < count; i++) {
+                if (lengths[offset + i] !== 0) {
+                    this.symbols[offsets[lengths[offset + i]]++] = i;
+                }
+            }
+        };
+
+        Huffman.prototype.decode = function (reader) {
+            var code = 0, first = 0, index = 0;
+
+            for (var len = 1; len < 16; len++) {
+                code |= reader.readBits(1);
+                var count = this.counts[len];
+                if (code - count < first) {
+                    return this.symbols[index + (code - first)];
+                }
+                index += count;
+                first += count;
+                first <<= 1;
+                code <<= 1;
+            }
+
+            throw new AbstractError(Logger.logMessage(Logger.LEVEL_SEVERE, "TiffDecompressor", "inflate",
+                "Invalid Deflate Huffman code."));
+        };
+
+        // Deflate base lengths and extra bits for length codes 257..285, and distance codes 0..29. See RFC 1951
+        // section 3.2.5.
+        var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115,
+            131, 163, 195, 227, 258];
+        var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        var DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+            2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        var DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12,
+            13, 13];
+
+        // The order in which code length code lengths are stored in a dynamic block header.
+        var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        var fixedLiteralTable = null, fixedDistanceTable = null;
+
+        var createFixedTables = function () {
+            var lengths = new Uint8Array(288 + 30), i;
+
+            for (i = 0; i < 144; i++) {
+                lengths[i] = 8;
+            }
+            for (; i < 256; i++) {
+                lengths[i] = 9;
+            }
+            for (; i < 280; i++) {
+                lengths[i] = 7;
+            }
+            for (; i < 288; i++) {
+                lengths[i] = 8;
+            }
+            for (; i < 288 + 30; i++) {
+                lengths[i] = 5;
+            }
+
+            fixedLiteralTable = new Huffman(lengths, 0, 288);
+            fixedDistanceTable = new Huffman(lengths, 288, 30);
+        };
+
+        var inflateCodes = function (reader, output, literalTable, distanceTable) {
+            for (;;) {
+                var symbol = literalTable.decode(reader);
+
+                if (symbol < 256) {
+                    output.push(symbol);
+                }
+                else if (symbol === 256) {
+                    return;
+                }
+                else {
+                    symbol -= 257;
+                    var length = LENGTH_BASE[symbol] + reader.readBits(LENGTH_EXTRA[symbol]),
+                        distanceSymbol = distanceTable.decode(reader),
+                        distance = DISTANCE_BASE[distanceSymbol] + reader.readBits(DISTANCE_EXTRA[distanceSymbol]);
+
+                    if (distance > output.length) {
+                        throw new AbstractError(Logger.logMessage(Logger.LEVEL_SEVERE, "TiffDecompressor",
+                            "inflate", "Invalid Deflate distance."));
+                    }
+
+                    output.ensureCapacity(length);
+                    for (var i = 0; i < length; i++) {
+                        output.bytes[output.length] = output.bytes[output.length - distance];
+                        output.length++;
+                    }
+                }
+            }
+        };
+
+        var inflateDynamicTables = function (reader) {
+            var numLiteralCodes = reader.readBits(5) + 257,
+                numDistanceCodes = reader.readBits(5) + 1,
+                numCodeLengthCodes = reader.readBits(4) + 4,
+                lengths = new Uint8Array(numLiteralCodes + numDistanceCodes),
+                codeLengthLengths = new Uint8Array(19),
+                i;
+
+            for (i = 0; i < numCodeLengthCodes; i++) {
+                codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+            }
+
+            var codeLengthTable = new Huffman(codeLengthLengths, 0, 19);
+
+            for (i = 0; i < lengths.length;) {
+                var symbol = codeLengthTable.decode(reader), repeat, value = 0;
+
+                if (symbol < 16) {
+                    lengths[i++] = symbol;
+                    continue;
+                }
+
+                if (symbol === 16) {
+                    value = lengths[i - 1];
+                    repeat = 3 + reader.readBits(2);
+                }
+                else if (symbol === 17) {
+                    repeat = 3 + reader.readBits(3);
+                }
+                else {
+                    repeat = 11 + reader.readBits(7);
+                }
+
+                while (repeat-- > 0) {
+                    lengths[i++] = value;
+                }
+            }
+
+            return [
+                new Huffman(lengths, 0, numLiteralCodes),
+                new Huffman(lengths, numLiteralCodes, numDistanceCodes)
+            ];
+        };
+
+        /**
+         * Provides decompression of TIFF image blocks, i.e., strips or tiles. Applications typically do not use this
+         * object directly. It is used by {@link GeoTiffReader}.
+         * @exports TiffDecompressor
+         */
+        var TiffDecompressor = {
+
+            /**
+             * Decompresses TIFF LZW compressed data. This implements the TIFF variant of LZW, which reads codes
+             * most significant bit first and increases the code width one code early.
+             * @param {Uint8Array} bytes The compressed data.
+             * @param {Number} expectedLength The expected length of the decompressed data, in bytes. Used to
+             * allocate the output buffer.
+             * @returns {Uint8Array} The decompressed data.
+             */
+            lzw: function (bytes, expectedLength) {
+                var output = new Output(expectedLength),
+                    prefixes = new Int16Array(4096),
+                    suffixes = new Uint8Array(4096),
+                    firstBytes = new Uint8Array(4096),
+                    lengths = new Uint16Array(4096),
+                    totalBits = bytes.length * 8,
+                    bitPosition = 0,
+                    codeLength = 9,
+                    nextCode = TiffDecompressor.LZW_FIRST_CODE,
+                    oldCode = -1,
+                    code, i;
+
+                for (i = 0; i < 256; i++) {
+                    prefixes[i] = -1;
+                    suffixes[i] = i;
+                    firstBytes[i] = i;
+                    lengths[i] = 1;
+                }
+
+                var writeString = function (code) {
+                    var length = lengths[code];
+                    output.ensureCapacity(length);
+                    for (var j = output.length + length - 1; j >= output.length; j--) {
+                        output.bytes[j] = suffixes[code];
+                        code = prefixes[code];
+                    }
+                    output.length += length;
+                };
+
+                var addString = function (prefix, suffix) {
+                    if (nextCode < 4096) {
+                        prefixes[nextCode] = prefix;
+                        suffixes[nextCode] = suffix;
+                        firstBytes[nextCode] = firstBytes[prefix];
+                        lengths[nextCode] = lengths[prefix] + 1;
+                        nextCode++;
+                    }
+                };
+
+                while (bitPosition + codeLength <= totalBits) {
+                    var byteIndex = bitPosition >> 3,
+                        bits = (bytes[byteIndex] << 16) | (bytes[byteIndex + 1] << 8) | bytes[byteIndex + 2];
+                    code = (bits >> (24 - (bitPosition & 7) - codeLength)) & ((1 << codeLength) - 1);
+                    bitPosition += codeLength;
+
+                    if (code === TiffDecompressor.LZW_END_OF_INFORMATION) {
+                        break;
+                    }
+
+                    if (code === TiffDecompressor.LZW_CLEAR_CODE) {
+                        codeLength = 9;
+                        nextCode = TiffDecompressor.LZW_FIRST_CODE;
+                        oldCode = -1;
+                        continue;
+                    }
+
+                    if (oldCode === -1) {
+                        writeString(code);
+                    }
+                    else if (code < nextCode) {
+                        writeString(code);
+                        addString(oldCode, firstBytes[code]);
+                    }
+                    else {
+                        addString(oldCode, firstBytes[oldCode]);
+                        writeString(code);
+                    }
+
+                    oldCode = code;
+
+                    if (nextCode >= (1 << codeLength) - 1 && codeLength < 12) {
+                        codeLength++;
+                    }
+                }
+
+                return output.result();
+            },
+
+            /**
+             * Decompresses Deflate compressed data, as used by TIFF compression types 8 (Adobe Deflate) and 32946
+             * (Deflate). The data may be a raw Deflate stream or a zlib stream; a zlib header is detected and skipped.
+             * @param {Uint8Array} bytes The compressed data.
+             * @param {Number} expectedLength The expected length of the decompressed data, in bytes. Used to
+             * allocate the output buffer.
+             * @returns {Uint8Array} The decompressed data.
+             */
+            deflate: function (bytes, expectedLength) {
+                var offset = 0;
+
+                // A zlib stream begins with a two byte header indicating the Deflate method whose checksum is a
+                // multiple of 31.
+                if (bytes.length > 2 && (bytes[0] & 0x0F) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) {
+                    offset = 2;
+                }
+
+                var reader = new BitReader(bytes, offset),
+                    output = new Output(expectedLength),
+                    isFinalBlock = false;
+
+                while (!isFinalBlock) {
+                    isFinalBlock = reader.readBits(1) === 1;
+                    var type = reader.readBits(2);
+
+                    if (type === 0) {
+                        // Stored block. Skip to the byte boundary and copy the block's bytes.
+                        reader.alignToByte();
+                        var position = reader.position,
+                            length = bytes[position] | (bytes[position + 1] << 8);
+                        position += 4;
+                        output.ensureCapacity(length);
+                        output.bytes.set(bytes.subarray(position, position + length), output.length);
+                        output.length += length;
+                        reader.position = position + length;
+                    }
+                    else if (type === 1) {
+                        if (!fixedLiteralTable) {
+                            createFixedTables();
+                        }
+                        inflateCodes(reader, output, fixedLiteralTable, fixedDistanceTable);
+                    }
+                    else if (type === 2) {
+                        var tables = inflateDynamicTables(reader);
+                        inflateCodes(reader, output, tables[0], tables[1]);
+                    }
+                    else {
+                        throw new AbstractError(Logger.logMessage(Logger.LEVEL_SEVERE, "TiffDecompressor",
+                            "deflate", "Invalid Deflate block type."));
+                    }
+                }
+
+                return output.result();
+            },
+
+            /**
+             * Decompresses PackBits compressed data.
+             * @param {Uint8Array} bytes The compressed data.
+             * @param {Number} expectedLength The expected length of the decompressed data, in bytes. Used to
+             * allocate the output buffer.
+             * @returns {Uint8Array} The decompressed data.
+             */
+            packBits: function (bytes, expectedLength) {
+                var output = new Output(expectedLength);
+
+                for (var i = 0; i < bytes.length;) {
+                    var header = bytes[i++] << 24 >> 24, // sign extend
+                        j;
+
+                    if (header >= 0) {
+                        // Copy the next header + 1 bytes literally.
+                        for (j = 0; j <= header && i < bytes.length; j++) {
+                            output.push(bytes[i++]);
+                        }
+                    }
+                    else if (header !== -128) {
+                        // Repeat the next byte -header + 1 times.
+                        var value = bytes[i++];
+                        for (j = 0; j <= -header; j++) {
+                            output.push(value);
+                        }
+                    }
+                    // A header of -128 is a no-op.
+                }
+
+                return output.result();
+            },
+
+            // Internal use only. LZW control codes.
+            LZW_CLEAR_CODE: 256,
+            LZW_END_OF_INFORMATION: 257,
+            LZW_FIRST_CODE: 258
+        };
+
+        return TiffDecompressor;
+    }
+);
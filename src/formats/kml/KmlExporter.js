@@ -0,0 +1,663 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports KmlExporter
+ */
+define(['../../error/ArgumentError',
+        '../../globe/ElevationModel',
+        '../../globe/Globe',
+        '../../util/jszip',
+        '../../util/Logger',
+        '../../util/Promise'
+    ],
+    function (ArgumentError,
+              ElevationModel,
+              Globe,
+              JsZip,
+              Logger,
+              Promise) {
+        "use strict";
+
+        /**
+         * Provides KML exporter functions.
+         * The following renderables can be exported:
+         * <ul>
+         *     <li>WorldWind.Placemark</li>
+         *     <li>WorldWind.SurfaceCircle</li>
+         *     <li>WorldWind.SurfacePolyline</li>
+         *     <li>WorldWind.SurfacePolygon</li>
+         *     <li>WorldWind.SurfaceEllipse</li>
+         *     <li>WorldWind.SurfaceRectangle</li>
+         *     <li>WorldWind.SurfaceSector</li>
+         *     <li>WorldWind.Path</li>
+         *     <li>WorldWind.Polygon</li>
+         * </ul>
+         * Each renderable becomes a KML Placemark. Its attributes and highlight attributes become KML Styles, shared
+         * by all the renderables having equal attributes, and its userProperties become the Placemark's
+         * ExtendedData. Placemark labels become the Placemark names.
+         * <p>
+         * Placemark icons are referenced by their URL in the exported KML. Icons specified as an
+         * [ImageSource]{@link ImageSource} have no URL and are only exported when packaging a KMZ, which
+         * includes the images of all the icons so that the KMZ can be displayed without network access.
+         * @exports KmlExporter
+         */
+        var KmlExporter = {
+
+            /**
+             * Exports a [Renderable]{@link Renderable} in KML format.
+             * @param {Renderable} renderable The renderable to export.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @returns {String} KML format, or null if the renderable cannot be exported.
+             */
+            exportRenderable: function (renderable) {
+                if (!renderable) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportRenderable",
+                            "missingRenderable"));
+                }
+
+                if (!this.exportGeometry(renderable)) {
+                    Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
+                    return null;
+                }
+
+                return this.exportDocument([renderable], null, null);
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} in KML format, as the Placemarks of a Document.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {String} KML format.
+             */
+            exportRenderables: function (renderables) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                if (renderables.length == 0) {
+                    return;
+                }
+
+                return this.exportDocument(renderables, null, null);
+            },
+
+            /**
+             * Exports a [Layer]{@link Layer} in KML format, as a Document named after the layer.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportLayer",
+                            "missingLayer"));
+                }
+
+                return this.exportDocument(layer.renderables, layer.displayName, null);
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as a KMZ archive. The archive contains the KML
+             * document as doc.kml and the images of the placemark icons in its files directory. Icons whose image
+             * cannot be retrieved remain referenced by their URL.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name The name of the exported document. May be null or undefined.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {Promise} A promise resolved with the KMZ archive as a Blob.
+             */
+            exportKmz: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportKmz",
+                            "missingRenderables"));
+                }
+
+                var self = this,
+                    sources = this.collectIconSources(renderables);
+
+                return Promise.all(sources.map(function (source) {
+                    return self.loadIcon(source);
+                })).then(function (images) {
+                    var zip = new JsZip(), icons = {};
+
+                    for (var i = 0; i < images.length; i++) {
+                        if (images[i]) {
+                            var path = "files/icon" + i + "." + images[i].extension;
+                            zip.file(path, images[i].content, {base64: images[i].base64});
+                            icons[KmlExporter.iconKey(sources[i])] = path;
+                        }
+                    }
+
+                    zip.file("doc.kml", self.exportDocument(renderables, name, icons));
+
+                    return zip.generateAsync({
+                        type: "blob",
+                        compression: "DEFLATE",
+                        mimeType: "application/vnd.google-earth.kmz"
+                    });
+                });
+            },
+
+            /**
+             * Exports a [Layer]{@link Layer} as a KMZ archive. See [exportKmz]{@link KmlExporter#exportKmz}.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {Promise} A promise resolved with the KMZ archive as a Blob.
+             */
+            exportLayerKmz: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportLayerKmz",
+                            "missingLayer"));
+                }
+
+                return this.exportKmz(layer.renderables, layer.displayName);
+            },
+
+            // Internal. Intentionally not documented. The icons argument maps icon keys to the paths of their
+            // images in a KMZ archive, and is null when exporting plain KML.
+            exportDocument: function (renderables, name, icons) {
+                var context = {styleIds: {}, styles: "", icons: icons},
+                    placemarks = "";
+
+                for (var i = 0; i < renderables.length; i++) {
+                    var placemark = this.exportPlacemarkElement(renderables[i], context);
+                    if (placemark) {
+                        placemarks = placemarks + placemark;
+                    }
+                }
+
+                var sb = '<?xml version="1.0" encoding="UTF-8"?>';
+                sb = sb + '<kml xmlns="http://www.opengis.net/kml/2.2">';
+                sb = sb + '<Document>';
+                if (name) {
+                    sb = sb + '<name>' + KmlExporter.escape(name) + '</name>';
+                }
+                sb = sb + context.styles + placemarks;
+                sb = sb + '</Document>';
+                sb = sb + '</kml>';
+                return sb;
+            },
+
+            // Internal. Intentionally not documented.
+            exportPlacemarkElement: function (renderable, context) {
+                var geometry = this.exportGeometry(renderable);
+                if (!geometry) {
+                    Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderable);
+                    return null;
+                }
+
+                var sb = '<Placemark>';
+                if (renderable instanceof WorldWind.Placemark && renderable.label) {
+                    sb = sb + '<name>' + KmlExporter.escape(renderable.label) + '</name>';
+                }
+                if (!renderable.enabled) {
+                    sb = sb + '<visibility>0</visibility>';
+                }
+                sb = sb + '<styleUrl>#' + this.exportStyles(renderable, context) + '</styleUrl>';
+                sb = sb + this.exportExtendedData(renderable.userProperties);
+                sb = sb + geometry;
+                sb = sb + '</Placemark>';
+                return sb;
+            },
+
+            /**
+             * Exports the geometry of a [Renderable]{@link Renderable} as a KML Point, LineString or Polygon.
+             * @param {Renderable} renderable The renderable to export.
+             * @throws {ArgumentError} If the specified renderable is null or undefined.
+             * @returns {String} KML format, or null if the renderable cannot be exported.
+             */
+            exportGeometry: function (renderable) {
+                if (!renderable) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportGeometry",
+                            "missingRenderable"));
+                }
+
+                if (renderable instanceof WorldWind.Placemark) {
+                    return this.exportPlacemark(renderable);
+                }
+                else if (renderable instanceof WorldWind.Path) {
+                    return this.exportPath(renderable);
+                }
+                else if (renderable instanceof WorldWind.Polygon) {
+                    return this.exportPolygon(renderable);
+                }
+                else if (renderable instanceof WorldWind.SurfacePolyline) {
+                    return this.exportSurfacePolyline(renderable);
+                }
+                else if (renderable instanceof WorldWind.SurfacePolygon) {
+                    return this.exportSurfacePolygon(renderable);
+                }
+                else if (renderable instanceof WorldWind.SurfaceEllipse ||
+                    renderable instanceof WorldWind.SurfaceCircle ||
+                    renderable instanceof WorldWind.SurfaceRectangle ||
+                    renderable instanceof WorldWind.SurfaceSector) {
+                    return this.exportSurfaceShape(renderable);
+                }
+                else {
+                    return null;
+                }
+            },
+
+            /**
+             * Exports a [Placemark]{@link Placemark} in KML format of type Point.
+             * @param {Placemark} renderable The Placemark object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportPlacemark: function (renderable) {
+                if (!(renderable instanceof WorldWind.Placemark)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportPlacemark",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sb = '<Point>';
+                if (renderable.attributes && renderable.attributes.drawLeaderLine) {
+                    sb = sb + '<extrude>1</extrude>';
+                }
+                sb = sb + '<altitudeMode>' + renderable.altitudeMode + '</altitudeMode>';
+                sb = sb + '<coordinates>' + KmlExporter.coordinates([renderable.position], true) + '</coordinates>';
+                sb = sb + '</Point>';
+                return sb;
+            },
+
+            /**
+             * Exports a [Path]{@link Path} in KML format of type LineString.
+             * @param {Path} renderable The Path object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportPath: function (renderable) {
+                if (!(renderable instanceof WorldWind.Path)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportPath",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sb = '<LineString>';
+                sb = sb + '<extrude>' + (renderable.extrude ? 1 : 0) + '</extrude>';
+                sb = sb + '<tessellate>' + (renderable.followTerrain ? 1 : 0) + '</tessellate>';
+                sb = sb + '<altitudeMode>' + renderable.altitudeMode + '</altitudeMode>';
+                sb = sb + '<coordinates>' + KmlExporter.coordinates(renderable.positions, true) + '</coordinates>';
+                sb = sb + '</LineString>';
+                return sb;
+            },
+
+            /**
+             * Exports a [Polygon]{@link Polygon} in KML format of type Polygon. The polygon's first boundary
+             * becomes the outer boundary and its other boundaries become inner boundaries.
+             * @param {Polygon} renderable The Polygon object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportPolygon: function (renderable) {
+                if (!(renderable instanceof WorldWind.Polygon)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportPolygon",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sb = '<Polygon>';
+                sb = sb + '<extrude>' + (renderable.extrude ? 1 : 0) + '</extrude>';
+                sb = sb + '<altitudeMode>' + renderable.altitudeMode + '</altitudeMode>';
+                sb = sb + KmlExporter.boundaries(renderable.boundaries, true);
+                sb = sb + '</Polygon>';
+                return sb;
+            },
+
+            /**
+             * Exports a [SurfacePolyline]{@link SurfacePolyline} in KML format of type LineString, tessellated and
+             * clamped to the ground.
+             * @param {SurfacePolyline} renderable The SurfacePolyline object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportSurfacePolyline: function (renderable) {
+                if (!(renderable instanceof WorldWind.SurfacePolyline)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfacePolyline",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sb = '<LineString>';
+                sb = sb + '<tessellate>1</tessellate>';
+                sb = sb + '<altitudeMode>' + WorldWind.CLAMP_TO_GROUND + '</altitudeMode>';
+                sb = sb + '<coordinates>' + KmlExporter.coordinates(renderable.boundaries, false) + '</coordinates>';
+                sb = sb + '</LineString>';
+                return sb;
+            },
+
+            /**
+             * Exports a [SurfacePolygon]{@link SurfacePolygon} in KML format of type Polygon, tessellated and clamped
+             * to the ground.
+             * @param {SurfacePolygon} renderable The SurfacePolygon object.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportSurfacePolygon: function (renderable) {
+                if (!(renderable instanceof WorldWind.SurfacePolygon)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfacePolygon",
+                            "invalidTypeOfRenderable"));
+                }
+
+                var sb = '<Polygon>';
+                sb = sb + '<tessellate>1</tessellate>';
+                sb = sb + '<altitudeMode>' + WorldWind.CLAMP_TO_GROUND + '</altitudeMode>';
+                sb = sb + KmlExporter.boundaries(renderable.boundaries, false);
+                sb = sb + '</Polygon>';
+                return sb;
+            },
+
+            /**
+             * Exports a [SurfaceEllipse]{@link SurfaceEllipse}, [SurfaceCircle]{@link SurfaceCircle},
+             * [SurfaceRectangle]{@link SurfaceRectangle} or [SurfaceSector]{@link SurfaceSector} in KML format of
+             * type Polygon, tessellated and clamped to the ground. KML has no such shapes, so the polygon's
+             * boundary is the one WorldWind draws for the shape.
+             * @param {SurfaceShape} renderable The surface shape.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {String} KML format.
+             */
+            exportSurfaceShape: function (renderable) {
+                if (!(renderable instanceof WorldWind.SurfaceShape)) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "KmlExporter", "exportSurfaceShape",
+                            "invalidTypeOfRenderable"));
+                }
+
+                if (!KmlExporter.globe) {
+                    KmlExporter.globe = new Globe(new ElevationModel());
+                }
+
+                // The boundaries of these shapes are computed when they are drawn. Compute them now in case this
+                // shape has not been drawn yet, or has changed since it was last drawn.
+                renderable.computeBoundaries({globe: KmlExporter.globe});
+
+                var sb = '<Polygon>';
+                sb = sb + '<tessellate>1</tessellate>';
+                sb = sb + '<altitudeMode>' + WorldWind.CLAMP_TO_GROUND + '</altitudeMode>';
+                sb = sb + KmlExporter.boundaries(renderable._boundaries || [], false);
+                sb = sb + '</Polygon>';
+                return sb;
+            },
+
+            // Internal. Intentionally not documented. Adds the styles of a renderable to the document unless equal
+            // styles have already been added, and returns the ID of the style or style map to reference.
+            exportStyles: function (renderable, context) {
+                var isPlacemark = renderable instanceof WorldWind.Placemark,
+                    normalId = this.exportStyle(this.exportStyleContent(renderable.attributes, isPlacemark, context),
+                        context);
+
+                if (!renderable.highlightAttributes) {
+                    return normalId;
+                }
+
+                var highlightId = this.exportStyle(
+                    this.exportStyleContent(renderable.highlightAttributes, isPlacemark, context), context);
+
+                var sb = '<Pair><key>normal</key><styleUrl>#' + normalId + '</styleUrl></Pair>';
+                sb = sb + '<Pair><key>highlight</key><styleUrl>#' + highlightId + '</styleUrl></Pair>';
+                return this.exportStyle(sb, context, "StyleMap");
+            },
+
+            // Internal. Intentionally not documented.
+            exportStyle: function (content, context, elementName) {
+                elementName = elementName || "Style";
+
+                var key = elementName + content;
+                if (!context.styleIds.hasOwnProperty(key)) {
+                    var id = (elementName === "Style" ? "style" : "styleMap") + Object.keys(context.styleIds).length;
+                    context.styleIds[key] = id;
+                    context.styles = context.styles + '<' + elementName + ' id="' + id + '">' + content + '</' +
+                        elementName + '>';
+                }
+
+                return context.styleIds[key];
+            },
+
+            // Internal. Intentionally not documented. Converts PlacemarkAttributes to KML IconStyle and LabelStyle,
+            // and ShapeAttributes to KML LineStyle and PolyStyle.
+            exportStyleContent: function (attributes, isPlacemark, context) {
+                if (!attributes) {
+                    return "";
+                }
+
+                var sb = "";
+
+                if (isPlacemark) {
+                    sb = sb + '<IconStyle>';
+                    if (attributes.imageColor) {
+                        sb = sb + '<color>' + KmlExporter.color(attributes.imageColor) + '</color>';
+                    }
+                    sb = sb + '<scale>' + attributes.imageScale + '</scale>';
+                    var href = this.exportIconHref(attributes.imageSource, context);
+                    if (href) {
+                        sb = sb + '<Icon><href>' + KmlExporter.escape(href) + '</href></Icon>';
+                    }
+                    var offset = attributes.imageOffset;
+                    if (offset) {
+                        sb = sb + '<hotSpot x="' + offset.x + '" y="' + offset.y + '" xunits="' + offset.xUnits +
+                            '" yunits="' + offset.yUnits + '"/>';
+                    }
+                    sb = sb + '</IconStyle>';
+
+                    var labelAttributes = attributes.labelAttributes;
+                    if (labelAttributes) {
+                        sb = sb + '<LabelStyle>';
+                        sb = sb + '<color>' + KmlExporter.color(labelAttributes.color) + '</color>';
+                        sb = sb + '<scale>' + labelAttributes.scale + '</scale>';
+                        sb = sb + '</LabelStyle>';
+                    }
+                } else {
+                    sb = sb + '<LineStyle>';
+                    sb = sb + '<color>' + KmlExporter.color(attributes.outlineColor) + '</color>';
+                    sb = sb + '<width>' + attributes.outlineWidth + '</width>';
+                    sb = sb + '</LineStyle>';
+
+                    sb = sb + '<PolyStyle>';
+                    sb = sb + '<color>' + KmlExporter.color(attributes.interiorColor) + '</color>';
+                    sb = sb + '<fill>' + (attributes.drawInterior ? 1 : 0) + '</fill>';
+                    sb = sb + '<outline>' + (attributes.drawOutline ? 1 : 0) + '</outline>';
+                    sb = sb + '</PolyStyle>';
+                }
+
+                return sb;
+            },
+
+            // Internal. Intentionally not documented. Returns the href of an icon: its path in the KMZ archive when
+            // packaging one, otherwise its URL. Icons specified as an ImageSource have no URL.
+            exportIconHref: function (imageSource, context) {
+                if (!imageSource) {
+                    return null;
+                }
+
+                var key = KmlExporter.iconKey(imageSource);
+                if (context.icons && context.icons.hasOwnProperty(key)) {
+                    return context.icons[key];
+                }
+
+                return typeof imageSource === "string" ? imageSource : null;
+            },
+
+            // Internal. Intentionally not documented.
+            exportExtendedData: function (userProperties) {
+                if (!userProperties || typeof userProperties !== "object") {
+                    return "";
+                }
+
+                var sb = "";
+                for (var key in userProperties) {
+                    var value = userProperties[key];
+                    if (userProperties.hasOwnProperty(key) && value !== null && value !== undefined &&
+                        typeof value !== "function" && typeof value !== "object") {
+                        sb = sb + '<Data name="' + KmlExporter.escape(key) + '"><value>' +
+                            KmlExporter.escape(String(value)) + '</value></Data>';
+                    }
+                }
+
+                return sb.length > 0 ? '<ExtendedData>' + sb + '</ExtendedData>' : "";
+            },
+
+            // Internal. Intentionally not documented. Returns the distinct image sources of the placemark icons.
+            collectIconSources: function (renderables) {
+                var sources = [], keys = {};
+
+                var addSource = function (attributes) {
+                    var imageSource = attributes && attributes.imageSource;
+                    if (imageSource && !keys.hasOwnProperty(KmlExporter.iconKey(imageSource))) {
+                        keys[KmlExporter.iconKey(imageSource)] = true;
+                        sources.push(imageSource);
+                    }
+                };
+
+                for (var i = 0; i < renderables.length; i++) {
+                    if (renderables[i] instanceof WorldWind.Placemark) {
+                        addSource(renderables[i].attributes);
+                        addSource(renderables[i].highlightAttributes);
+                    }
+                }
+
+                return sources;
+            },
+
+            // Internal. Intentionally not documented. Returns a promise resolved with the content of an icon's
+            // image, or with null if the image cannot be retrieved.
+            loadIcon: function (imageSource) {
+                if (typeof imageSource !== "string") {
+                    var image = imageSource.image, canvas = image;
+
+                    if (!canvas.toDataURL) {
+                        canvas = document.createElement("canvas");
+                        canvas.width = image.width;
+                        canvas.height = image.height;
+                        canvas.getContext("2d").drawImage(image, 0, 0);
+                    }
+
+                    try {
+                        var dataUrl = canvas.toDataURL("image/png");
+                        return Promise.resolve({
+                            content: dataUrl.substring(dataUrl.indexOf(",") + 1),
+                            base64: true,
+                            extension: "png"
+                        });
+                    } catch (e) {
+                        // The canvas is tainted by an image from another origin.
+                        Logger.log(Logger.LEVEL_WARNING, "Unable to package icon image: " + e);
+                        return Promise.resolve(null);
+                    }
+                }
+
+                return new Promise(function (resolve) {
+                    var xhr = new XMLHttpRequest(),
+                        extension = /\.(png|jpe?g|gif|bmp)(\?|#|$)/i.exec(imageSource);
+
+                    xhr.open("GET", imageSource, true);
+                    xhr.responseType = "arraybuffer";
+                    xhr.onreadystatechange = function () {
+                        if (xhr.readyState === 4) {
+                            if (xhr.status === 200) {
+                                resolve({
+                                    content: xhr.response,
+                                    base64: false,
+                                    extension: extension ? extension[1].toLowerCase() : "png"
+                                });
+                            } else {
+                                Logger.log(Logger.LEVEL_WARNING,
+                                    "Icon retrieval failed (" + xhr.statusText + "): " + imageSource);
+                                resolve(null);
+                            }
+                        }
+                    };
+                    xhr.onerror = function () {
+                        Logger.log(Logger.LEVEL_WARNING, "Icon retrieval failed: " + imageSource);
+                        resolve(null);
+                    };
+                    xhr.send(null);
+                });
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        KmlExporter.iconKey = function (imageSource) {
+            return typeof imageSource === "string" ? imageSource : imageSource.key;
+        };
+
+        // Internal. Intentionally not documented. Formats a color as KML's aabbggrr hexadecimal value.
+        KmlExporter.color = function (color) {
+            var hex = function (value) {
+                var component = Math.round(value * 255).toString(16);
+                return component.length < 2 ? "0" + component : component;
+            };
+
+            return hex(color.alpha) + hex(color.blue) + hex(color.green) + hex(color.red);
+        };
+
+        // Internal. Intentionally not documented.
+        KmlExporter.coordinates = function (positions, useAltitude) {
+            var tuples = [];
+            for (var i = 0; i < positions.length; i++) {
+                var position = positions[i];
+                tuples.push(position.longitude + "," + position.latitude +
+                    (useAltitude ? "," + (position.altitude || 0) : ""));
+            }
+
+            return tuples.join(" ");
+        };
+
+        // Internal. Intentionally not documented. Formats a boundary or a list of boundaries as KML outer and inner
+        // boundaries, closing each ring.
+        KmlExporter.boundaries = function (boundaries, useAltitude) {
+            if (boundaries.length > 0 && !Array.isArray(boundaries[0])) {
+                boundaries = [boundaries];
+            }
+
+            var sb = "";
+            for (var i = 0; i < boundaries.length; i++) {
+                var ring = boundaries[i].slice();
+                if (ring.length === 0) {
+                    continue;
+                }
+                if (ring[0].latitude !== ring[ring.length - 1].latitude ||
+                    ring[0].longitude !== ring[ring.length - 1].longitude) {
+                    ring.push(ring[0]);
+                }
+
+                var element = i === 0 ? "outerBoundaryIs" : "innerBoundaryIs";
+                sb = sb + '<' + element + '><LinearRing><coordinates>' + KmlExporter.coordinates(ring, useAltitude) +
+                    '</coordinates></LinearRing></' + element + '>';
+            }
+
+            return sb;
+        };
+
+        // Internal. Intentionally not documented.
+        KmlExporter.escape = function (text) {
+            return String(text)
+                .replace(/&/g, "&amp;")
+                .replace(/</g, "&lt;")
+                .replace(/>/g, "&gt;")
+                .replace(/"/g, "&quot;");
+        };
+
+        return KmlExporter;
+    });
@@ -64,6 +64,24 @@ define([
         };
     };
 
+    /**
+     * Indicates whether features associated with this time primitive are displayed at the specified time. A
+     * TimeSpan includes the times from its begin through its end, and is unbounded on either side lacking a value.
+     * A TimeStamp includes its time and all times after it.
+     * @param time {Date} The time to test.
+     * @returns {Boolean} true if the time is within this time primitive, otherwise false.
+     */
+    KmlTimePrimitive.prototype.includesTime = function (time) {
+        var value = time.valueOf();
+
+        if (this.kmlWhen) {
+            return this.kmlWhen.valueOf() <= value;
+        }
+
+        return (!this.kmlBegin || this.kmlBegin.valueOf() <= value) &&
+            (!this.kmlEnd || value <= this.kmlEnd.valueOf());
+    };
+
     /**
      * @inheritDoc
      */
@@ -0,0 +1,528 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports KmlTourPlayer
+ */
+define([
+    '../../geom/Angle',
+    '../../error/ArgumentError',
+    './KmlCamera',
+    './util/KmlAnimatedUpdate',
+    './util/KmlFlyTo',
+    './util/KmlSoundCue',
+    './util/KmlTourControl',
+    './util/KmlWait',
+    '../../geom/Location',
+    '../../util/Logger',
+    '../../geom/Matrix',
+    '../../geom/Position',
+    '../../geom/Vec3',
+    '../../util/WWMath'
+], function (Angle,
+             ArgumentError,
+             KmlCamera,
+             KmlAnimatedUpdate,
+             KmlFlyTo,
+             KmlSoundCue,
+             KmlTourControl,
+             KmlWait,
+             Location,
+             Logger,
+             Matrix,
+             Position,
+             Vec3,
+             WWMath) {
+    "use strict";
+
+    /**
+     * Constructs a tour player for a specified tour.
+     * @alias KmlTourPlayer
+     * @constructor
+     * @classdesc Plays a KML tour in a WorldWindow. The player moves the WorldWindow's navigator through the views
+     * of the tour's gx:FlyTo elements, applies the changes of its gx:AnimatedUpdate elements to the document
+     * containing the tour, plays the sounds of its gx:SoundCue elements and pauses at its gx:TourControl elements.
+     * <p>
+     * Bounce flights interpolate the view in the manner of {@link GoToAnimator}: the view backs out to give the
+     * user context when travelling between distant locations and eases in and out of each view. Smooth flights
+     * interpolate the view at constant speed.
+     * <p>
+     * The player works with any {@link Navigator} implementing setFromModelview, e.g. {@link LookAtNavigator} and
+     * {@link CameraNavigator}. Updates applied by the player are reverted when the player seeks to a time before
+     * them and when it is stopped.
+     * @param {WorldWindow} worldWindow The WorldWindow to play the tour in.
+     * @param {KmlTour} tour The tour to play.
+     * @throws {ArgumentError} If either the WorldWindow or the tour is null or undefined.
+     */
+    var KmlTourPlayer = function (worldWindow, tour) {
+        if (!worldWindow) {
+            throw new ArgumentError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor", "missingWorldWindow"));
+        }
+
+        if (!tour) {
+            throw new ArgumentError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "KmlTourPlayer", "constructor",
+                    "The tour is null or undefined."));
+        }
+
+        /**
+         * The WorldWindow this player plays the tour in.
+         * @type {WorldWindow}
+         * @readonly
+         */
+        this.wwd = worldWindow;
+
+        /**
+         * The tour played by this player.
+         * @type {KmlTour}
+         * @readonly
+         */
+        this.tour = tour;
+
+        /**
+         * The frequency in milliseconds at which this player updates the view while playing.
+         * @type {Number}
+         * @default 20
+         */
+        this.animationFrequency = 20;
+
+        /**
+         * The current time of the tour, in milliseconds from the start of the tour.
+         * @type {Number}
+         * @readonly
+         */
+        this.currentTime = 0;
+
+        /**
+         * The duration of the tour, in milliseconds.
+         * @type {Number}
+         * @readonly
+         */
+        this.duration = 0;
+
+        /**
+         * Indicates whether this player is currently playing the tour.
+         * @type {Boolean}
+         * @readonly
+         */
+        this.isPlaying = false;
+
+        /**
+         * A function called when the tour reaches its end while playing. It is passed this player.
+         * @type {Function}
+         * @default null
+         */
+        this.completionCallback = null;
+
+        // Internal. Intentionally not documented.
+        this.flights = [];
+
+        // Internal. Intentionally not documented.
+        this.updates = [];
+
+        // Internal. Intentionally not documented.
+        this.appliedUpdates = [];
+
+        // Internal. Intentionally not documented.
+        this.soundCues = [];
+
+        // Internal. Intentionally not documented.
+        this.pauses = [];
+
+        // Internal. Intentionally not documented. The index of the first pause the tour has not yet stopped at.
+        this.nextPause = 0;
+
+        // Internal. Intentionally not documented. The view at the time the tour started.
+        this.startView = null;
+
+        // Internal. Intentionally not documented.
+        this.playStartTime = 0;
+
+        // Internal. Intentionally not documented.
+        this.playStartTourTime = 0;
+
+        // Internal. Intentionally not documented.
+        this.timer = null;
+
+        this.assembleTimeline();
+    };
+
+    /**
+     * Starts or resumes playing the tour from its current time. When the tour is at its end, it is played from its
+     * start.
+     */
+    KmlTourPlayer.prototype.play = function () {
+        if (this.isPlaying) {
+            return;
+        }
+
+        if (this.currentTime >= this.duration) {
+            this.seek(0);
+        }
+
+        this.captureStartView();
+        this.wwd.goToAnimator.cancel();
+
+        this.isPlaying = true;
+        this.playStartTime = Date.now();
+        this.playStartTourTime = this.currentTime;
+        this.soundCues.forEach(function (soundCue) {
+            // Resume the sounds that were playing when the tour was paused, but not those that have finished.
+            if (soundCue.audio && !soundCue.audio.ended) {
+                soundCue.audio.play();
+            }
+        });
+
+        var player = this;
+        var timerCallback = function () {
+            if (!player.isPlaying) {
+                return;
+            }
+
+            if (player.advance()) {
+                player.timer = setTimeout(timerCallback, player.animationFrequency);
+            } else if (player.currentTime >= player.duration && player.completionCallback) {
+                player.completionCallback(player);
+            }
+        };
+        this.timer = setTimeout(timerCallback, this.animationFrequency); // invoke it the first time
+    };
+
+    /**
+     * Pauses the tour at its current time.
+     */
+    KmlTourPlayer.prototype.pause = function () {
+        this.isPlaying = false;
+        clearTimeout(this.timer);
+        this.soundCues.forEach(function (soundCue) {
+            if (soundCue.audio) {
+                soundCue.audio.pause();
+            }
+        });
+    };
+
+    /**
+     * Stops the tour and returns it to its start. All updates applied by the tour are reverted. The view is left
+     * where it is.
+     */
+    KmlTourPlayer.prototype.stop = function () {
+        this.pause();
+        this.stopSounds();
+        this.revertUpdates(-1);
+        this.currentTime = 0;
+        this.nextPause = 0;
+        this.startView = null;
+        this.wwd.redraw();
+    };
+
+    /**
+     * Moves the tour to a specified time, setting the view and the document to their state at that time. Sounds that
+     * start before that time are played from the point they've reached. The tour keeps playing if it was playing, and
+     * stops at the next pause at or after the specified time.
+     * @param {Number} time The time to seek to, in milliseconds from the start of the tour. It is clamped to the
+     * duration of the tour.
+     */
+    KmlTourPlayer.prototype.seek = function (time) {
+        this.captureStartView();
+        this.stopSounds();
+
+        this.currentTime = WWMath.clamp(time, 0, this.duration);
+        this.playStartTime = Date.now();
+        this.playStartTourTime = this.currentTime;
+
+        this.nextPause = 0;
+        while (this.nextPause < this.pauses.length && this.pauses[this.nextPause] < this.currentTime) {
+            this.nextPause++;
+        }
+
+        for (var i = 0; i < this.soundCues.length; i++) {
+            var soundCue = this.soundCues[i];
+            if (soundCue.start < this.currentTime) {
+                this.startSound(soundCue, this.currentTime - soundCue.start);
+            }
+        }
+
+        this.update(this.currentTime);
+    };
+
+    // Internal. Intentionally not documented. Moves the tour forward according to the time elapsed since playing
+    // started. Returns true if the tour continues playing.
+    KmlTourPlayer.prototype.advance = function () {
+        var previousTime = this.currentTime,
+            time = Math.min(this.playStartTourTime + Date.now() - this.playStartTime, this.duration),
+            pauseReached = false,
+            player = this;
+
+        // Pauses are consumed as they're reached, so a pause at the tour's current time, e.g., at its start, stops
+        // the tour once and playing resumes past it.
+        if (this.nextPause < this.pauses.length && this.pauses[this.nextPause] <= time) {
+            time = this.pauses[this.nextPause++];
+            pauseReached = true;
+        }
+
+        this.soundCues.forEach(function (soundCue) {
+            if (soundCue.start >= previousTime && soundCue.start < time && !soundCue.audio) {
+                player.startSound(soundCue, 0);
+            }
+        });
+
+        this.currentTime = time;
+        this.update(time);
+
+        if (pauseReached || time >= this.duration) {
+            this.pause();
+        }
+
+        return this.isPlaying;
+    };
+
+    // Internal. Intentionally not documented. Sets the view and applies the updates for the specified tour time.
+    KmlTourPlayer.prototype.update = function (time) {
+        var view = this.viewAtTime(time);
+        if (view) {
+            this.applyView(view);
+        }
+
+        this.revertUpdates(time);
+
+        for (var i = 0; i < this.updates.length; i++) {
+            var update = this.updates[i];
+            if (update.start > time) {
+                break;
+            }
+
+            var fraction = update.duration > 0 ? Math.min((time - update.start) / update.duration, 1) : 1;
+            if (!update.state) {
+                update.state = update.update.apply(fraction);
+                update.fraction = fraction;
+                this.appliedUpdates.push(update);
+            } else if (update.fraction !== fraction) {
+                update.state = update.update.apply(fraction, update.state);
+                update.fraction = fraction;
+            }
+        }
+
+        this.wwd.redraw();
+    };
+
+    // Internal. Intentionally not documented. Reverts the applied updates starting after the specified time.
+    KmlTourPlayer.prototype.revertUpdates = function (time) {
+        while (this.appliedUpdates.length > 0 &&
+        this.appliedUpdates[this.appliedUpdates.length - 1].start > time) {
+            var update = this.appliedUpdates.pop();
+            update.update.revert(update.state);
+            update.state = null;
+        }
+    };
+
+    // Internal. Intentionally not documented. Starts a sound cue's sound at the specified offset in milliseconds. The
+    // sound is left paused when the tour is paused.
+    KmlTourPlayer.prototype.startSound = function (soundCue, offset) {
+        soundCue.audio = new Audio(soundCue.href);
+
+        if (offset > 0) {
+            soundCue.audio.currentTime = offset / 1000;
+        }
+
+        if (this.isPlaying) {
+            soundCue.audio.play();
+        }
+    };
+
+    // Internal. Intentionally not documented.
+    KmlTourPlayer.prototype.stopSounds = function () {
+        this.soundCues.forEach(function (soundCue) {
+            if (soundCue.audio) {
+                soundCue.audio.pause();
+                soundCue.audio = null;
+            }
+        });
+    };
+
+    // Internal. Intentionally not documented. Lays the tour primitives out on the tour's timeline. Flights and
+    // waits advance the timeline. Updates and sound cues play alongside them.
+    KmlTourPlayer.prototype.assembleTimeline = function () {
+        var playlist = this.tour.kmlPlaylist,
+            primitives = playlist ? playlist.kmlTourPrimitives : [],
+            time = 0,
+            end = 0;
+
+        for (var i = 0; i < primitives.length; i++) {
+            var primitive = primitives[i],
+                duration = (primitive.kmlDuration || 0) * 1000;
+
+            if (primitive instanceof KmlFlyTo) {
+                if (primitive.kmlAbstractView) {
+                    this.flights.push({
+                        start: time,
+                        duration: duration,
+                        view: primitive.kmlAbstractView,
+                        smooth: primitive.kmlFlyToMode === "smooth"
+                    });
+                }
+                time += duration;
+            } else if (primitive instanceof KmlWait) {
+                time += duration;
+            } else if (primitive instanceof KmlAnimatedUpdate) {
+                if (primitive.kmlUpdate) {
+                    var start = time + (primitive.kmlDelayedStart || 0) * 1000;
+                    this.updates.push({start: start, duration: duration, update: primitive.kmlUpdate, state: null});
+                    end = Math.max(end, start + duration);
+                }
+            } else if (primitive instanceof KmlTourControl) {
+                if (!primitive.kmlPlayMode || primitive.kmlPlayMode === "pause") {
+                    this.pauses.push(time);
+                }
+            } else if (primitive instanceof KmlSoundCue) {
+                if (primitive.kmlHref) {
+                    this.soundCues.push({
+                        start: time + (primitive.kmlDelayedStart || 0) * 1000,
+                        href: primitive.kmlHref,
+                        audio: null
+                    });
+                }
+            }
+        }
+
+        this.updates.sort(function (a, b) {
+            return a.start - b.start;
+        });
+
+        this.duration = Math.max(time, end);
+    };
+
+    // Internal. Intentionally not documented. Returns the view at the specified tour time, or null if no flight has
+    // started by then.
+    KmlTourPlayer.prototype.viewAtTime = function (time) {
+        var index = -1;
+        for (var i = 0; i < this.flights.length; i++) {
+            if (this.flights[i].start <= time) {
+                index = i;
+            }
+        }
+
+        if (index < 0) {
+            return null;
+        }
+
+        var flight = this.flights[index],
+            toView = this.computeView(flight.view);
+
+        if (flight.duration <= 0 || time >= flight.start + flight.duration) {
+            return toView;
+        }
+
+        var fromView = index > 0 ? this.computeView(this.flights[index - 1].view) : this.startView;
+
+        return this.interpolateViews(fromView, toView, (time - flight.start) / flight.duration, flight.smooth);
+    };
+
+    // Internal. Intentionally not documented. Interpolates between two views, each defined by an eye position,
+    // heading, tilt and roll.
+    KmlTourPlayer.prototype.interpolateViews = function (fromView, toView, amount, smooth) {
+        var globe = this.wwd.globe,
+            fraction = smooth ? amount : amount * amount * (3 - 2 * amount), // ease in and out of bounce flights
+            location = Location.interpolateGreatCircle(fraction, fromView.position, toView.position,
+                new Location(0, 0)),
+            altitude = WWMath.interpolate(fraction, fromView.position.altitude, toView.position.altitude);
+
+        if (!smooth) {
+            // Back out to approximately the altitude needed to fit both positions in the viewport, as GoToAnimator
+            // does.
+            var pA = globe.computePointFromLocation(fromView.position.latitude, fromView.position.longitude,
+                new Vec3(0, 0, 0)),
+                pB = globe.computePointFromLocation(toView.position.latitude, toView.position.longitude,
+                    new Vec3(0, 0, 0)),
+                maxAltitude = pA.distanceTo(pB),
+                backOut = maxAltitude - Math.max(fromView.position.altitude, toView.position.altitude);
+
+            if (backOut > 0) {
+                altitude += backOut * Math.sin(Math.PI * amount);
+            }
+        }
+
+        return {
+            position: new Position(location.latitude, location.longitude, altitude),
+            heading: fromView.heading + Angle.normalizedDegrees(toView.heading - fromView.heading) * fraction,
+            tilt: WWMath.interpolate(fraction, fromView.tilt, toView.tilt),
+            roll: fromView.roll + Angle.normalizedDegrees(toView.roll - fromView.roll) * fraction
+        };
+    };
+
+    // Internal. Intentionally not documented. Converts a KML Camera or LookAt to an eye position, heading, tilt and
+    // roll.
+    KmlTourPlayer.prototype.computeView = function (kmlView) {
+        // KmlCamera provides its values as strings.
+        var globe = this.wwd.globe,
+            latitude = Number(kmlView.kmlLatitude) || 0,
+            longitude = Number(kmlView.kmlLongitude) || 0,
+            altitude = Number(kmlView.kmlAltitude) || 0,
+            altitudeMode = kmlView.kmlAltitudeMode || "clampToGround",
+            elevation = altitudeMode === "absolute" ? 0 : globe.elevationAtLocation(latitude, longitude);
+
+        if (kmlView instanceof KmlCamera) {
+            // A camera clamped to the ground is treated as relative to the ground, otherwise it would be under it.
+            return {
+                position: new Position(latitude, longitude, elevation + altitude),
+                heading: Number(kmlView.kmlHeading) || 0,
+                tilt: Number(kmlView.kmlTilt) || 0,
+                roll: Number(kmlView.kmlRoll) || 0
+            };
+        }
+
+        var lookAtAltitude = altitudeMode === "clampToGround" ? elevation : elevation + altitude,
+            modelview = Matrix.fromIdentity();
+
+        modelview.multiplyByLookAtModelview(new Position(latitude, longitude, lookAtAltitude), kmlView.kmlRange || 0,
+            kmlView.kmlHeading || 0, kmlView.kmlTilt || 0, 0, globe);
+
+        return this.viewFromModelview(modelview, 0);
+    };
+
+    // Internal. Intentionally not documented.
+    KmlTourPlayer.prototype.viewFromModelview = function (modelview, roll) {
+        var eyePoint = modelview.extractEyePoint(new Vec3(0, 0, 0)),
+            params = modelview.extractViewingParameters(eyePoint, roll, this.wwd.globe, {});
+
+        return {
+            position: params.origin,
+            heading: params.heading,
+            tilt: params.tilt,
+            roll: params.roll
+        };
+    };
+
+    // Internal. Intentionally not documented. Captures the current view, which is where the first flight starts.
+    KmlTourPlayer.prototype.captureStartView = function () {
+        if (!this.startView) {
+            var modelview = Matrix.fromIdentity();
+            this.wwd.computeViewingTransform(null, modelview);
+            this.startView = this.viewFromModelview(modelview, this.wwd.navigator.roll);
+        }
+    };
+
+    // Internal. Intentionally not documented. Sets the navigator to show the specified view.
+    KmlTourPlayer.prototype.applyView = function (view) {
+        var modelview = Matrix.fromIdentity();
+        modelview.multiplyByFirstPersonModelview(view.position, view.heading, view.tilt, view.roll, this.wwd.globe);
+
+        this.wwd.navigator.roll = view.roll;
+        this.wwd.navigator.setFromModelview(modelview, this.wwd.globe);
+    };
+
+    return KmlTourPlayer;
+});
@@ -172,6 +172,20 @@ define([
             }
         },
 
+        /**
+         * Custom data attached to this feature by its ExtendedData element. The untyped Data elements and the
+         * SimpleData values of SchemaData elements are returned as strings keyed by their names. It is null when
+         * the feature has no ExtendedData.
+         * @memberof KmlFeature.prototype
+         * @type {Object}
+         * @readonly
+         */
+        kmlExtendedData: {
+            get: function () {
+                return this._factory.specific(this, {name: 'ExtendedData', transformer: NodeTransformers.extendedData});
+            }
+        },
+
         /**
          * It represents one of the AbstractViews associated with current Feature. Specific implementation of
          * AbstractView will be returned.
@@ -296,11 +310,15 @@ define([
 
     /**
      * Internal function for solving the time visibility. The element is visible when its whole range is inside the
-     * time range chosen by user.
+     * time range chosen by user and, when the scene clock is set, its time primitive includes the current time.
      */
     KmlFeature.prototype.solveTimeVisibility = function (dc) {
         var timeRangeOfFeature = this.kmlTimePrimitive && this.kmlTimePrimitive.timeRange();
 
+        if (dc.currentTime && this.kmlTimePrimitive && !this.kmlTimePrimitive.includesTime(dc.currentTime)) {
+            return false;
+        }
+
         if (dc.currentLayer.currentTimeInterval && timeRangeOfFeature) {
             var from = dc.currentLayer.currentTimeInterval[0];
             var to = dc.currentLayer.currentTimeInterval[1];
@@ -21,6 +21,8 @@ define([
     './../KmlElements',
     './KmlFeature',
     '../geom/KmlGeometry',
+    '../geom/KmlMultiTrack',
+    '../geom/KmlTrack',
     '../styles/KmlStyle',
     '../KmlTimeSpan',
     '../KmlTimeStamp',
@@ -34,6 +36,8 @@ define([
 ], function (KmlElements,
              KmlFeature,
              KmlGeometry,
+             KmlMultiTrack,
+             KmlTrack,
              KmlStyle,
              KmlTimeSpan,
              KmlTimeStamp,
@@ -103,11 +107,54 @@ define([
         if(this._renderable) {
             if (this.kmlGeometry) {
                 this.kmlGeometry.render(dc, kmlOptions);
+                if (this.isTrack()) {
+                    if (dc.currentTime) {
+                        this.moveAlongTrack(dc.currentTime);
+                    } else {
+                        this.resetTrackPosition();
+                    }
+                }
                 this._renderable.render(dc);
             }
         }
     };
 
+    /**
+     * Indicates whether the geometry of this placemark is a gx:Track or gx:MultiTrack.
+     * @returns {Boolean} true if this placemark moves along a track, otherwise false.
+     */
+    KmlPlacemark.prototype.isTrack = function () {
+        var geometry = this.kmlGeometry;
+        return geometry instanceof KmlTrack || geometry instanceof KmlMultiTrack;
+    };
+
+    /**
+     * Moves this placemark to its track's position at the specified time. The placemark is hidden when the track
+     * doesn't specify a position for that time.
+     * @param time {Date} The current scene time.
+     */
+    KmlPlacemark.prototype.moveAlongTrack = function (time) {
+        var position = this.kmlGeometry.positionAt(time);
+        if (position) {
+            this._renderable.position = position;
+        }
+
+        this._renderable.enabled = this.enabled && !!position;
+    };
+
+    /**
+     * Moves this placemark back to the default position of its track and shows it again. Used when the scene clock
+     * is cleared after the placemark was moved along its track.
+     */
+    KmlPlacemark.prototype.resetTrackPosition = function () {
+        var position = this.kmlGeometry.kmlCenter;
+        if (position) {
+            this._renderable.position = position;
+        }
+
+        this._renderable.enabled = this.enabled;
+    };
+
     /**
      * Prepare attributes for displaying the Placemark.
      * @param style {KmlStyle} Style altering the defaults.
@@ -140,7 +187,8 @@ define([
      */
     KmlPlacemark.prototype.moveValidProperties = function () {
         this._renderable.label = this.kmlName || '';
-        this._renderable.altitudeMode = this.kmlAltitudeMode || WorldWind.RELATIVE_TO_GROUND;
+        this._renderable.altitudeMode = this.isTrack() ? this.kmlGeometry.kmlAltitudeMode :
+            this.kmlAltitudeMode || WorldWind.RELATIVE_TO_GROUND;
         this._renderable.enableLeaderLinePicking = true;
     };
 
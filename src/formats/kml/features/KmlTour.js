@@ -16,16 +16,19 @@
  */
 define([
     './../KmlElements',
-    './KmlFeature'
+    './KmlFeature',
+    '../util/KmlPlaylist'
 ], function (KmlElements,
-             KmlFeature) {
+             KmlFeature,
+             KmlPlaylist) {
     "use strict";
 
     /**
      * Constructs an KmlTour. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlTour
-     * @classdesc Contains the data associated with Tour node.
+     * @classdesc Contains the data associated with Tour node. Tours aren't displayed. Use {@link KmlTourPlayer} to
+     * play them in a WorldWindow.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing Tour.
      * @constructor
@@ -39,6 +42,22 @@ define([
 
     KmlTour.prototype = Object.create(KmlFeature.prototype);
 
+    Object.defineProperties(KmlTour.prototype, {
+        /**
+         * The playlist containing the steps of this tour.
+         * @memberof KmlTour.prototype
+         * @readonly
+         * @type {KmlPlaylist}
+         */
+        kmlPlaylist: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: KmlPlaylist.prototype.getTagNames()
+                });
+            }
+        }
+    });
+
     /**
      * @inheritDoc
      */
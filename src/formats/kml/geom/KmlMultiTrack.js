@@ -16,16 +16,23 @@
  */
 define([
     './../KmlElements',
-    './KmlGeometry'
+    './KmlGeometry',
+    './KmlTrack',
+    '../util/KmlNodeTransformers',
+    '../../../geom/Position'
 ], function (KmlElements,
-             KmlGeometry) {
+             KmlGeometry,
+             KmlTrack,
+             NodeTransformers,
+             Position) {
     "use strict";
 
     /**
      * Constructs an KmlMultiTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlMultiTrack
-     * @classdesc Contains the data associated with MultiTrack node.
+     * @classdesc Contains the data associated with MultiTrack node. It combines several tracks, which are expected to
+     * be ordered in time, into one.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing MultiTrack.
      * @constructor
@@ -39,6 +46,122 @@ define([
 
     KmlMultiTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlMultiTrack.prototype, {
+        /**
+         * Whether the position should be interpolated between the end of one track and the start of the next one.
+         * When false, placemarks using this geometry are hidden in the gaps between the tracks.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        kmlInterpolate: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:interpolate', transformer: NodeTransformers.boolean}) ||
+                    false;
+            }
+        },
+
+        /**
+         * Tracks, which are part of this MultiTrack.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {KmlTrack[]}
+         */
+        kmlTracks: {
+            get: function () {
+                return this._factory.all(this).filter(function (element) {
+                    return element instanceof KmlTrack;
+                });
+            }
+        },
+
+        /**
+         * The first position of the first track.
+         * @memberof KmlMultiTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                var tracks = this.kmlTracks;
+                return tracks.length > 0 ? tracks[0].kmlCenter : null;
+            }
+        }
+    });
+
+    /**
+     * It returns the time range covered by all the tracks.
+     * @returns {{from: Number, to: Number}} Range in milliseconds since the epoch.
+     */
+    KmlMultiTrack.prototype.timeRange = function () {
+        var from, to;
+        this.kmlTracks.forEach(function (track) {
+            var range = track.timeRange();
+            if (range.from !== undefined && (from === undefined || range.from < from)) {
+                from = range.from;
+            }
+            if (range.to !== undefined && (to === undefined || range.to > to)) {
+                to = range.to;
+            }
+        });
+
+        return {
+            from: from,
+            to: to
+        };
+    };
+
+    /**
+     * Computes the position at the specified time. See {@link KmlTrack#positionAt}.
+     * @param time {Date} The time for which to compute the position.
+     * @param result {Position} Optional position in which to return the result.
+     * @returns {Position|null} The position at the specified time, or null if no track covers the time and it
+     * isn't interpolated between the tracks.
+     */
+    KmlMultiTrack.prototype.positionAt = function (time, result) {
+        var tracks = this.kmlTracks, value = time.valueOf(), previous = null;
+
+        for (var i = 0; i < tracks.length; i++) {
+            var range = tracks[i].timeRange();
+            if (range.from === undefined) {
+                continue;
+            }
+
+            if (value < range.from) {
+                if (!previous || !this.kmlInterpolate) {
+                    return null;
+                }
+
+                // Interpolate across the gap between the end of the previous track and the start of this one.
+                var previousCoords = previous.kmlCoords,
+                    previousRange = previous.timeRange(),
+                    amount = (value - previousRange.to) / (range.from - previousRange.to);
+
+                return Position.interpolateGreatCircle(amount, previousCoords[previous.sampleCount() - 1],
+                    tracks[i].kmlCoords[0], result || new Position(0, 0, 0));
+            }
+
+            if (value <= range.to) {
+                return tracks[i].positionAt(time, result);
+            }
+
+            previous = tracks[i];
+        }
+
+        return null;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlMultiTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        this.kmlTracks.forEach(function (track) {
+            track.render(dc, kmlOptions);
+        });
+    };
+
     /**
      * @inheritDoc
      */
@@ -49,4 +172,4 @@ define([
     KmlElements.addKey(KmlMultiTrack.prototype.getTagNames()[0], KmlMultiTrack);
 
     return KmlMultiTrack;
-});
\ No newline at end of file
+});
@@ -120,6 +120,25 @@ define([
             }
         },
 
+        /**
+         * All inner boundaries of this polygon represented as LinearRings, in document order. Empty when the polygon
+         * has no holes.
+         * @memberof KmlPolygon.prototype
+         * @type {KmlLinearRing[]}
+         * @readonly
+         */
+        kmlInnerBoundaries: {
+            get: function () {
+                var boundaries = [], self = this;
+                [].forEach.call(this.node.childNodes, function (node) {
+                    if (node.nodeName == 'innerBoundaryIs') {
+                        boundaries.push(NodeTransformers.linearRing(node, self, self._controls));
+                    }
+                });
+                return boundaries;
+            }
+        },
+
         /**
          * It returns center of outer boundaries of the polygon.
          * @memberof KmlPolygon.prototype
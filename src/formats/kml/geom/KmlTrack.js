@@ -16,16 +16,28 @@
  */
 define([
     './../KmlElements',
-    './KmlGeometry'
+    './KmlGeometry',
+    './KmlLineString',
+    '../util/KmlNodeTransformers',
+    '../../../shapes/Path',
+    '../../../geom/Position',
+    '../../../shapes/SurfacePolyline'
 ], function (KmlElements,
-             KmlGeometry) {
+             KmlGeometry,
+             KmlLineString,
+             NodeTransformers,
+             Path,
+             Position,
+             SurfacePolyline) {
     "use strict";
 
     /**
      * Constructs an KmlTrack. Applications usually don't call this constructor. It is called by {@link KmlFile} as
      * objects from Kml file are read. This object is already concrete implementation.
      * @alias KmlTrack
-     * @classdesc Contains the data associated with Track node.
+     * @classdesc Contains the data associated with Track node. A track is a list of positions with the times at
+     * which they were reached. It is displayed as a path through its positions, and a placemark using it as geometry
+     * moves along the path as the [scene clock]{@link WorldWindow#currentTime} advances.
      * @param options {Object}
      * @param options.objectNode {Node} Node representing the Track.
      * @constructor
@@ -35,10 +47,201 @@ define([
      */
     var KmlTrack = function (options) {
         KmlGeometry.call(this, options);
+
+        this._whens = null;
+        this._coords = null;
     };
 
     KmlTrack.prototype = Object.create(KmlGeometry.prototype);
 
+    Object.defineProperties(KmlTrack.prototype, {
+        /**
+         * Whether the path of this track should be extruded.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Boolean}
+         */
+        kmlExtrude: {
+            get: function () {
+                return this._factory.specific(this, {name: 'extrude', transformer: NodeTransformers.boolean}) || false;
+            }
+        },
+
+        /**
+         * It represents different modes to count absolute altitude. The default for tracks is clampToGround.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlAltitudeMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'altitudeMode', transformer: NodeTransformers.string}) ||
+                    this._factory.specific(this, {name: 'gx:altitudeMode', transformer: NodeTransformers.string}) ||
+                    WorldWind.CLAMP_TO_GROUND;
+            }
+        },
+
+        /**
+         * Times of the samples of this track, in the order in which they appear in the document.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Date[]}
+         */
+        kmlWhens: {
+            get: function () {
+                if (!this._whens) {
+                    this._whens = this.childValues('when', NodeTransformers.date);
+                }
+                return this._whens;
+            }
+        },
+
+        /**
+         * Positions of the samples of this track. The n-th position was reached at the n-th time of kmlWhens.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position[]}
+         */
+        kmlCoords: {
+            get: function () {
+                if (!this._coords) {
+                    this._coords = this.childValues('gx:coord', function (node) {
+                        var values = NodeTransformers.string(node).trim().split(/\s+/);
+                        return new Position(Number(values[1]), Number(values[0]), Number(values[2] || 0));
+                    });
+                }
+                return this._coords;
+            }
+        },
+
+        /**
+         * The first position of this track.
+         * @memberof KmlTrack.prototype
+         * @readonly
+         * @type {Position}
+         */
+        kmlCenter: {
+            get: function () {
+                return this.kmlCoords[0] || null;
+            }
+        }
+    });
+
+    /**
+     * It returns the time range covered by the samples of this track.
+     * @returns {{from: Number, to: Number}} Range in milliseconds since the epoch. Both are undefined when the track
+     * has no samples.
+     */
+    KmlTrack.prototype.timeRange = function () {
+        var whens = this.kmlWhens, count = this.sampleCount();
+
+        return {
+            from: count > 0 ? whens[0].valueOf() : undefined,
+            to: count > 0 ? whens[count - 1].valueOf() : undefined
+        };
+    };
+
+    /**
+     * Computes the position of this track at the specified time by interpolating between the samples surrounding
+     * the time.
+     * @param time {Date} The time for which to compute the position.
+     * @param result {Position} Optional position in which to return the result.
+     * @returns {Position|null} The position at the specified time, or null if the time is outside this track's
+     * time range.
+     */
+    KmlTrack.prototype.positionAt = function (time, result) {
+        var whens = this.kmlWhens,
+            coords = this.kmlCoords,
+            count = this.sampleCount(),
+            value = time.valueOf();
+
+        if (count === 0 || value < whens[0].valueOf() || value > whens[count - 1].valueOf()) {
+            return null;
+        }
+
+        // Find the last sample at or before the time.
+        var low = 0, high = count - 1;
+        while (low < high) {
+            var middle = Math.ceil((low + high) / 2);
+            if (whens[middle].valueOf() <= value) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        result = result || new Position(0, 0, 0);
+        if (low === count - 1) {
+            return result.copy(coords[low]);
+        }
+
+        var start = whens[low].valueOf(),
+            end = whens[low + 1].valueOf(),
+            amount = end > start ? (value - start) / (end - start) : 0;
+
+        return Position.interpolateGreatCircle(amount, coords[low], coords[low + 1], result);
+    };
+
+    /**
+     * It creates the Path representing this Track.
+     * @param styles {Object|null}
+     * @param styles.normal {KmlStyle} Style applied when item not highlighted
+     * @param styles.highlight {KmlStyle} Style applied when item is highlighted
+     */
+    KmlTrack.prototype.createPath = function (styles, fileCache) {
+        var positions = this.kmlCoords.slice(0, this.sampleCount()),
+            attributes = this.prepareAttributes(styles.normal, fileCache);
+
+        if (this.kmlAltitudeMode == WorldWind.CLAMP_TO_GROUND) {
+            this._renderable = new SurfacePolyline(positions, attributes);
+        } else {
+            this._renderable = new Path(positions, attributes);
+            this._renderable.extrude = this.kmlExtrude;
+        }
+        if (styles.highlight) {
+            this._renderable.highlightAttributes = this.prepareAttributes(styles.highlight, fileCache);
+        }
+        this._renderable.altitudeMode = this.kmlAltitudeMode;
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.render = function (dc, kmlOptions) {
+        KmlGeometry.prototype.render.call(this, dc, kmlOptions);
+
+        if (kmlOptions.lastStyle && !this._renderable && this.sampleCount() > 1) {
+            this.createPath(kmlOptions.lastStyle, kmlOptions.fileCache);
+            dc.redrawRequested = true;
+        }
+
+        if (this._renderable) {
+            this._renderable.enabled = this.enabled;
+            this._renderable.render(dc);
+        }
+    };
+
+    /**
+     * @inheritDoc
+     */
+    KmlTrack.prototype.prepareAttributes = KmlLineString.prototype.prepareAttributes;
+
+    // Internal. Intentionally not documented. Number of complete samples, i.e. pairs of time and position.
+    KmlTrack.prototype.sampleCount = function () {
+        return Math.min(this.kmlWhens.length, this.kmlCoords.length);
+    };
+
+    // Internal. Intentionally not documented. Transforms all child nodes with the given name.
+    KmlTrack.prototype.childValues = function (name, transformer) {
+        var values = [];
+        [].forEach.call(this.node.childNodes, function (node) {
+            if (node.nodeName == name) {
+                values.push(transformer(node));
+            }
+        });
+        return values;
+    };
+
     /**
      * @inheritDoc
      */
@@ -49,4 +252,4 @@ define([
     KmlElements.addKey(KmlTrack.prototype.getTagNames()[0], KmlTrack);
 
     return KmlTrack;
-});
\ No newline at end of file
+});
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './../KmlElements',
+    './KmlNodeTransformers',
+    './KmlTourPrimitive',
+    './KmlUpdate'
+], function (
+    KmlElements,
+    NodeTransformers,
+    KmlTourPrimitive,
+    KmlUpdate
+) {
+    "use strict";
+
+    /**
+     * Constructs a KmlAnimatedUpdate. Applications usually don't call this constructor. It is called by
+     * {@link KmlFile} as objects from Kml file are read. It is concrete implementation.
+     * @alias KmlAnimatedUpdate
+     * @constructor
+     * @classdesc Contains the data associated with the gx:AnimatedUpdate element, which changes the features of
+     * the document during a tour. Numeric values are changed gradually over the update's duration. The tour
+     * continues while the update plays.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the gx:AnimatedUpdate.
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxanimatedupdate
+     * @augments KmlTourPrimitive
+     */
+    var KmlAnimatedUpdate = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlAnimatedUpdate.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlAnimatedUpdate.prototype, {
+        /**
+         * Time in seconds over which the update is applied.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number});
+            }
+        },
+
+        /**
+         * Time in seconds to wait after the start of the update before applying it.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDelayedStart: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:delayedStart', transformer: NodeTransformers.number});
+            }
+        },
+
+        /**
+         * The changes to apply.
+         * @memberof KmlAnimatedUpdate.prototype
+         * @readonly
+         * @type {KmlUpdate}
+         */
+        kmlUpdate: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: KmlUpdate.prototype.getTagNames()
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlAnimatedUpdate.prototype.getTagNames = function () {
+        return ['gx:AnimatedUpdate'];
+    };
+
+    KmlElements.addKey(KmlAnimatedUpdate.prototype.getTagNames()[0], KmlAnimatedUpdate);
+
+    return KmlAnimatedUpdate;
+});
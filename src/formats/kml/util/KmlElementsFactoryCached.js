@@ -149,6 +149,36 @@ define([
         return result;
     };
 
+    /**
+     * It removes the values cached for the node, for all its descendants and for all its ancestors. It is used when
+     * the document is modified, e.g. by an Update, so that the objects and values read from the modified part of the
+     * document are read again.
+     * @param node {Node} Node which was modified.
+     */
+    KmlElementsFactoryCached.prototype.invalidate = function(node) {
+        var self = this;
+        var invalidateNode = function(pNode) {
+            if (new Attribute(pNode, "id").exists()) {
+                self.cache.removeLevel(self.cacheKey(pNode));
+                self.cache.removeLevel(self.cacheKey(pNode, "All"));
+            }
+        };
+        var invalidateDescendants = function(pNode) {
+            [].forEach.call(pNode.childNodes, function(child) {
+                if (child.nodeType === 1) {
+                    invalidateNode(child);
+                    invalidateDescendants(child);
+                }
+            });
+        };
+
+        invalidateNode(node);
+        invalidateDescendants(node);
+        for (var ancestor = node.parentNode; ancestor && ancestor.nodeType === 1; ancestor = ancestor.parentNode) {
+            invalidateNode(ancestor);
+        }
+    };
+
     var applicationWide = new KmlElementsFactoryCached();
     /**
      * It returns application wide instance of the factory.
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    '../KmlAbstractView',
+    '../KmlCamera',
+    './../KmlElements',
+    '../KmlLookAt',
+    './KmlNodeTransformers',
+    './KmlTourPrimitive'
+], function (
+    KmlAbstractView,
+    KmlCamera,
+    KmlElements,
+    KmlLookAt,
+    NodeTransformers,
+    KmlTourPrimitive
+) {
+    "use strict";
+
+    /**
+     * Constructs a KmlFlyTo. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. It is concrete implementation.
+     * @alias KmlFlyTo
+     * @constructor
+     * @classdesc Contains the data associated with the gx:FlyTo element, which moves the view of a tour to a new
+     * camera or look at position over a period of time.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the gx:FlyTo.
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxflyto
+     * @augments KmlTourPrimitive
+     */
+    var KmlFlyTo = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlFlyTo.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlFlyTo.prototype, {
+        /**
+         * Time in seconds the flight to the view takes.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number});
+            }
+        },
+
+        /**
+         * Either bounce or smooth. Bounce flights zoom out and back in between distant views and begin and end at
+         * rest. Smooth flights move directly to the view, without slowing down between consecutive smooth flights.
+         * Defaults to bounce.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {String}
+         */
+        kmlFlyToMode: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:flyToMode', transformer: NodeTransformers.string});
+            }
+        },
+
+        /**
+         * The view to fly to. Either {@link KmlCamera} or {@link KmlLookAt}.
+         * @memberof KmlFlyTo.prototype
+         * @readonly
+         * @type {KmlAbstractView}
+         */
+        kmlAbstractView: {
+            get: function () {
+                return this._factory.any(this, {
+                    name: KmlAbstractView.prototype.getTagNames()
+                });
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlFlyTo.prototype.getTagNames = function () {
+        return ['gx:FlyTo'];
+    };
+
+    KmlElements.addKey(KmlFlyTo.prototype.getTagNames()[0], KmlFlyTo);
+
+    return KmlFlyTo;
+});
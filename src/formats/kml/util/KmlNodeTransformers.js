@@ -136,6 +136,32 @@ define([
         return positions;
     };
 
+    /**
+     * It takes the ExtendedData node and returns the untyped Data and the typed SchemaData / SimpleData values
+     * included in it as properties of a plain object, keyed by their name attributes.
+     * @param node {Node} Node to transform
+     * @returns {Object} The values of the extended data by name.
+     */
+    KmlNodeTransformers.extendedData = function(node) {
+        var values = {};
+        Array.prototype.forEach.call(node.childNodes, function(pNode) {
+            if (pNode.nodeName == "Data") {
+                Array.prototype.forEach.call(pNode.childNodes, function(pValue) {
+                    if (pValue.nodeName == "value") {
+                        values[new Attribute(pNode, "name").value()] = getTextOfNode(pValue);
+                    }
+                });
+            } else if (pNode.nodeName == "SchemaData") {
+                Array.prototype.forEach.call(pNode.childNodes, function(pValue) {
+                    if (pValue.nodeName == "SimpleData") {
+                        values[new Attribute(pValue, "name").value()] = getTextOfNode(pValue);
+                    }
+                });
+            }
+        });
+        return values;
+    };
+
     /**
      * This transforming function works with attributes.
      * @param name {String} Name of the attribute to retrieve.
@@ -0,0 +1,78 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './KmlAnimatedUpdate',
+    './../KmlElements',
+    './KmlFlyTo',
+    '../KmlObject',
+    './KmlSoundCue',
+    './KmlTourControl',
+    './KmlWait'
+], function (
+    KmlAnimatedUpdate,
+    KmlElements,
+    KmlFlyTo,
+    KmlObject,
+    KmlSoundCue,
+    KmlTourControl,
+    KmlWait
+) {
+    "use strict";
+
+    /**
+     * Constructs a KmlPlaylist. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. It is concrete implementation.
+     * @alias KmlPlaylist
+     * @constructor
+     * @classdesc Contains the data associated with the gx:Playlist element, which holds the steps of a tour.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the gx:Playlist.
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxplaylist
+     * @augments KmlObject
+     */
+    var KmlPlaylist = function (options) {
+        KmlObject.call(this, options);
+    };
+
+    KmlPlaylist.prototype = Object.create(KmlObject.prototype);
+
+    Object.defineProperties(KmlPlaylist.prototype, {
+        /**
+         * The tour primitives of this playlist, in the order they are played.
+         * @memberof KmlPlaylist.prototype
+         * @readonly
+         * @type {KmlTourPrimitive[]}
+         */
+        kmlTourPrimitives: {
+            get: function () {
+                return this._factory.all(this);
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlPlaylist.prototype.getTagNames = function () {
+        return ['gx:Playlist'];
+    };
+
+    KmlElements.addKey(KmlPlaylist.prototype.getTagNames()[0], KmlPlaylist);
+
+    return KmlPlaylist;
+});
@@ -86,6 +86,14 @@ define([
         delete this.map[level][key];
     };
 
+    /**
+     * It removes the whole level of the data if such level exists.
+     * @param level {Object} Anything that can be used as a key in JavaScript object
+     */
+    KmlTreeKeyValueCache.prototype.removeLevel = function(level) {
+        delete this.map[level];
+    };
+
     var applicationLevelCache = new KmlTreeKeyValueCache();
     KmlTreeKeyValueCache.applicationLevelCache = function() {
         return applicationLevelCache;
@@ -19,12 +19,14 @@ define([
 	'./KmlCreate',
 	'./KmlDelete',
 	'../KmlElements',
+	'./KmlElementsFactoryCached',
 	'../KmlObject',
 	'./KmlNodeTransformers'
 ], function(Change,
 			Create,
 			Delete,
 			KmlElements,
+			KmlElementsFactoryCached,
 			KmlObject,
 			NodeTransformers){
 	var KmlUpdate = function(options) {
@@ -42,7 +44,7 @@ define([
 		 */
 		targetHref: {
 			get: function() {
-				return this._factory.specific(this, {name: 'minRefreshPeriod', transformer: NodeTransformers.number});
+				return this._factory.specific(this, {name: 'targetHref', transformer: NodeTransformers.string});
 			}
 		},
 
@@ -93,6 +95,155 @@ define([
 		}
 	});
 
+	/**
+	 * Applies the changes, creations and deletions of this update to the document containing it. The elements
+	 * are found by their targetId in the document, therefore the update is applied to the document in which the
+	 * update itself is present.
+	 * Numeric values which are changed, e.g. coordinates or scale, are interpolated between the original and the
+	 * new value according to the fraction. All other modifications are applied fully as soon as the update is applied.
+	 * @param fraction {Number} Portion of the update to apply, between 0 and 1.
+	 * @param state {Object|undefined} The state returned by the previous application of this update, if any.
+	 * @returns {Object} State of the application to pass to subsequent calls of apply or to revert.
+	 */
+	KmlUpdate.prototype.apply = function(fraction, state) {
+		var document = this.node.ownerDocument;
+
+		if(!state) {
+			state = {changes: [], creates: [], deletes: []};
+
+			childElements(this.node).forEach(function(operation) {
+				childElements(operation).forEach(function(element) {
+					var target = findTarget(document, element);
+					if(!target) {
+						return;
+					}
+
+					if(operation.nodeName == Change.prototype.getTagNames()[0]) {
+						state.changes.push({target: target, original: target.cloneNode(true), change: element});
+					} else if(operation.nodeName == Create.prototype.getTagNames()[0]) {
+						var created = childElements(element).map(function(child) {
+							return target.appendChild(document.importNode(child, true));
+						});
+						state.creates.push({target: target, nodes: created});
+						invalidate(target);
+					} else if(operation.nodeName == Delete.prototype.getTagNames()[0]) {
+						state.deletes.push({parent: target.parentNode, nextSibling: target.nextSibling, node: target});
+						target.parentNode.removeChild(target);
+						invalidate(state.deletes[state.deletes.length - 1].parent);
+					}
+				});
+			});
+		}
+
+		state.changes.forEach(function(change) {
+			applyChange(document, change, fraction);
+			invalidate(change.target);
+		});
+
+		return state;
+	};
+
+	/**
+	 * Reverts the application of this update, restoring the document to the state before the update was applied.
+	 * Updates must be reverted in the reverse order of their application.
+	 * @param state {Object} The state returned by the last application of this update.
+	 */
+	KmlUpdate.prototype.revert = function(state) {
+		state.deletes.slice().reverse().forEach(function(deleted) {
+			deleted.parent.insertBefore(deleted.node, deleted.nextSibling);
+			invalidate(deleted.node);
+		});
+
+		state.creates.slice().reverse().forEach(function(created) {
+			created.nodes.forEach(function(node) {
+				created.target.removeChild(node);
+			});
+			invalidate(created.target);
+		});
+
+		state.changes.slice().reverse().forEach(function(change) {
+			while(change.target.firstChild) {
+				change.target.removeChild(change.target.firstChild);
+			}
+			[].forEach.call(change.original.childNodes, function(child) {
+				change.target.appendChild(child.cloneNode(true));
+			});
+			invalidate(change.target);
+		});
+	};
+
+	// Replaces the children of the target with the children of the same name in the change. Internal use only.
+	function applyChange(document, change, fraction) {
+		childElements(change.change).forEach(function(element) {
+			var current = childElement(change.target, element.nodeName),
+				original = childElement(change.original, element.nodeName),
+				originalValues = original && numbers(original.textContent),
+				values = numbers(element.textContent);
+
+			if(fraction < 1 && current && originalValues && values && originalValues.length == values.length) {
+				var index = 0;
+				current.textContent = element.textContent.replace(/[^\s,]+/g, function() {
+					var value = originalValues[index] + (values[index] - originalValues[index]) * fraction;
+					index++;
+					return String(value);
+				});
+			} else if(current) {
+				change.target.replaceChild(document.importNode(element, true), current);
+			} else {
+				change.target.appendChild(document.importNode(element, true));
+			}
+		});
+	}
+
+	// Returns the numbers in a text consisting only of numbers separated by commas or white space, or null if the
+	// text contains anything else. Internal use only.
+	function numbers(text) {
+		if(!text.trim()) {
+			return null;
+		}
+		var values = text.trim().split(/[\s,]+/).map(Number);
+		if(values.some(isNaN)) {
+			return null;
+		}
+		return values;
+	}
+
+	// Finds the element in the document referenced by the targetId of the element. Internal use only.
+	function findTarget(document, element) {
+		var id = element.getAttribute("targetId");
+		if(!id) {
+			return null;
+		}
+		// XML documents without a DTD don't declare id as an ID attribute, so getElementById may not find the element.
+		var target = document.getElementById && document.getElementById(id);
+		if(target) {
+			return target;
+		}
+		var elements = document.getElementsByTagName("*");
+		for(var i = 0; i < elements.length; i++) {
+			if(elements[i].getAttribute("id") === id) {
+				return elements[i];
+			}
+		}
+		return null;
+	}
+
+	function childElement(node, name) {
+		return childElements(node).filter(function(child) {
+			return child.nodeName == name;
+		})[0] || null;
+	}
+
+	function childElements(node) {
+		return [].filter.call(node.childNodes, function(child) {
+			return child.nodeType === 1;
+		});
+	}
+
+	function invalidate(node) {
+		KmlElementsFactoryCached.applicationWide().invalidate(node);
+	}
+
 	/**
 	 * @inheritDoc
 	 */
@@ -0,0 +1,71 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    './../KmlElements',
+    './KmlNodeTransformers',
+    './KmlTourPrimitive'
+], function (
+    KmlElements,
+    NodeTransformers,
+    KmlTourPrimitive
+) {
+    "use strict";
+
+    /**
+     * Constructs a KmlWait. Applications usually don't call this constructor. It is called by {@link KmlFile} as
+     * objects from Kml file are read. It is concrete implementation.
+     * @alias KmlWait
+     * @constructor
+     * @classdesc Contains the data associated with the gx:Wait element, which keeps the view of a tour still for a
+     * period of time while animated updates and sound cues continue to play.
+     * @param options {Object}
+     * @param options.objectNode {Node} Node representing the gx:Wait.
+     * @throws {ArgumentError} If the node is null or undefined.
+     * @see https://developers.google.com/kml/documentation/kmlreference#gxwait
+     * @augments KmlTourPrimitive
+     */
+    var KmlWait = function (options) {
+        KmlTourPrimitive.call(this, options);
+    };
+
+    KmlWait.prototype = Object.create(KmlTourPrimitive.prototype);
+
+    Object.defineProperties(KmlWait.prototype, {
+        /**
+         * Time in seconds to wait.
+         * @memberof KmlWait.prototype
+         * @readonly
+         * @type {Number}
+         */
+        kmlDuration: {
+            get: function () {
+                return this._factory.specific(this, {name: 'gx:duration', transformer: NodeTransformers.number});
+            }
+        }
+    });
+
+    /**
+     * @inheritDoc
+     */
+    KmlWait.prototype.getTagNames = function () {
+        return ['gx:Wait'];
+    };
+
+    KmlElements.addKey(KmlWait.prototype.getTagNames()[0], KmlWait);
+
+    return KmlWait;
+});
@@ -0,0 +1,372 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports VectorTile
+ */
+define([
+        '../../error/ArgumentError',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        // Internal use only. Reads the fields of Protocol Buffers messages.
+        var ProtobufReader = function (bytes, start, end) {
+            this.bytes = bytes;
+            this.position = start;
+            this.end = end;
+        };
+
+        ProtobufReader.prototype.hasMore = function () {
+            return this.position < this.end;
+        };
+
+        ProtobufReader.prototype.readVarint = function () {
+            var value = 0, multiplier = 1, b;
+
+            do {
+                if (this.position >= this.end) {
+                    throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "VectorTile", "constructor",
+                        "The vector tile data is truncated."));
+                }
+                b = this.bytes[this.position++];
+                value += (b & 0x7f) * multiplier;
+                multiplier *= 128;
+            } while (b & 0x80);
+
+            return value;
+        };
+
+        ProtobufReader.prototype.readSVarint = function () {
+            var value = this.readVarint();
+            return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+        };
+
+        ProtobufReader.prototype.readBytesReader = function () {
+            var length = this.readVarint(), start = this.position;
+            this.position += length;
+            return new ProtobufReader(this.bytes, start, this.position);
+        };
+
+        ProtobufReader.prototype.readString = function () {
+            var reader = this.readBytesReader(), codes = [];
+
+            // Decode UTF-8.
+            for (var i = reader.position; i < reader.end; i++) {
+                var b = this.bytes[i];
+                if (b < 0x80) {
+                    codes.push(b);
+                } else if (b < 0xe0) {
+                    codes.push(((b & 0x1f) << 6) | (this.bytes[++i] & 0x3f));
+                } else if (b < 0xf0) {
+                    codes.push(((b & 0x0f) << 12) | ((this.bytes[++i] & 0x3f) << 6) | (this.bytes[++i] & 0x3f));
+                } else {
+                    var code = ((b & 0x07) << 18) | ((this.bytes[++i] & 0x3f) << 12) |
+                        ((this.bytes[++i] & 0x3f) << 6) | (this.bytes[++i] & 0x3f);
+                    code -= 0x10000;
+                    codes.push(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+                }
+            }
+
+            var result = "";
+            for (var c = 0; c < codes.length; c += 4096) {
+                result += String.fromCharCode.apply(null, codes.slice(c, c + 4096));
+            }
+
+            return result;
+        };
+
+        ProtobufReader.prototype.readFloat = function () {
+            var value = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.position, 4).getFloat32(0, true);
+            this.position += 4;
+            return value;
+        };
+
+        ProtobufReader.prototype.readDouble = function () {
+            var value = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.position, 8).getFloat64(0, true);
+            this.position += 8;
+            return value;
+        };
+
+        ProtobufReader.prototype.readPackedVarints = function () {
+            var reader = this.readBytesReader(), values = [];
+            while (reader.hasMore()) {
+                values.push(reader.readVarint());
+            }
+            return values;
+        };
+
+        ProtobufReader.prototype.skip = function (wireType) {
+            switch (wireType) {
+                case 0:
+                    this.readVarint();
+                    break;
+                case 1:
+                    this.position += 8;
+                    break;
+                case 2:
+                    this.position += this.readVarint();
+                    break;
+                case 5:
+                    this.position += 4;
+                    break;
+                default:
+                    throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "VectorTile", "constructor",
+                        "The vector tile data contains an unsupported wire type: " + wireType));
+            }
+        };
+
+        // Calls the callback with the field number, wire type and the reader positioned at the field's value. The
+        // callback returns true if it read the value, otherwise the value is skipped.
+        ProtobufReader.prototype.readFields = function (callback) {
+            while (this.hasMore()) {
+                var key = this.readVarint(), field = Math.floor(key / 8), wireType = key & 0x7;
+                if (!callback(field, wireType, this)) {
+                    this.skip(wireType);
+                }
+            }
+        };
+
+        /**
+         * Constructs a vector tile by decoding Mapbox Vector Tile data.
+         * @alias VectorTile
+         * @constructor
+         * @classdesc Decodes a tile in the Mapbox Vector Tile (MVT) format, version 1 or 2. The tile's layers are
+         * available by name in [layers]{@link VectorTile#layers}. Each layer holds its extent and its features, and
+         * each feature holds its type, its properties and its geometry. Geometry coordinates are in tile coordinates,
+         * ranging from 0 at the tile's upper left corner to the layer's extent at its lower right corner, and may lie
+         * outside that range in the tile's buffer.
+         * <p>
+         * Feature geometries are arrays of parts, each part being an array of [x, y] coordinates. Point features have
+         * one part per point, line features have one part per line, and polygon features have one part per ring, with
+         * each exterior ring followed by its interior rings. The data must not be compressed.
+         * @param {ArrayBuffer|Uint8Array} data The vector tile data.
+         * @throws {ArgumentError} If the specified data is null, undefined or is not a valid vector tile.
+         * @see https://github.com/mapbox/vector-tile-spec
+         */
+        var VectorTile = function (data) {
+            if (!data) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "VectorTile", "constructor", "missingBuffer"));
+            }
+
+            /**
+             * This tile's layers, by layer name. Each layer has a name, a version, an extent and an array of
+             * features. Each feature has an id, a type ({@link VectorTile.POINT}, {@link VectorTile.LINESTRING},
+             * {@link VectorTile.POLYGON} or {@link VectorTile.UNKNOWN}), a properties object and a geometry.
+             * @type {Object}
+             * @readonly
+             */
+            this.layers = {};
+
+            var bytes = data instanceof Uint8Array ? data : new Uint8Array(data),
+                reader = new ProtobufReader(bytes, 0, bytes.length),
+                self = this;
+
+            reader.readFields(function (field, wireType, reader) {
+                if (field === 3 && wireType === 2) {
+                    var layer = VectorTile.readLayer(reader.readBytesReader());
+                    self.layers[layer.name] = layer;
+                    return true;
+                }
+                return false;
+            });
+        };
+
+        /**
+         * The feature type of features whose geometry type is unknown.
+         * @type {Number}
+         * @constant
+         */
+        VectorTile.UNKNOWN = 0;
+
+        /**
+         * The feature type of point features.
+         * @type {Number}
+         * @constant
+         */
+        VectorTile.POINT = 1;
+
+        /**
+         * The feature type of line features.
+         * @type {Number}
+         * @constant
+         */
+        VectorTile.LINESTRING = 2;
+
+        /**
+         * The feature type of polygon features.
+         * @type {Number}
+         * @constant
+         */
+        VectorTile.POLYGON = 3;
+
+        // Internal. Intentionally not documented.
+        VectorTile.readLayer = function (reader) {
+            var layer = {name: "", version: 1, extent: 4096, features: []},
+                keys = [],
+                values = [],
+                featureReaders = [];
+
+            reader.readFields(function (field, wireType, reader) {
+                if (wireType !== 2 && field !== 5 && field !== 15) {
+                    return false;
+                }
+
+                switch (field) {
+                    case 1:
+                        layer.name = reader.readString();
+                        return true;
+                    case 2:
+                        // Features are decoded once the keys and values, which may follow them, are known.
+                        featureReaders.push(reader.readBytesReader());
+                        return true;
+                    case 3:
+                        keys.push(reader.readString());
+                        return true;
+                    case 4:
+                        values.push(VectorTile.readValue(reader.readBytesReader()));
+                        return true;
+                    case 5:
+                        layer.extent = reader.readVarint();
+                        return true;
+                    case 15:
+                        layer.version = reader.readVarint();
+                        return true;
+                    default:
+                        return false;
+                }
+            });
+
+            for (var i = 0; i < featureReaders.length; i++) {
+                layer.features.push(VectorTile.readFeature(featureReaders[i], keys, values));
+            }
+
+            return layer;
+        };
+
+        // Internal. Intentionally not documented.
+        VectorTile.readValue = function (reader) {
+            var value = null;
+
+            reader.readFields(function (field, wireType, reader) {
+                switch (field) {
+                    case 1:
+                        value = reader.readString();
+                        return true;
+                    case 2:
+                        value = reader.readFloat();
+                        return true;
+                    case 3:
+                        value = reader.readDouble();
+                        return true;
+                    case 4:
+                    case 5:
+                        value = reader.readVarint();
+                        return true;
+                    case 6:
+                        value = reader.readSVarint();
+                        return true;
+                    case 7:
+                        value = reader.readVarint() !== 0;
+                        return true;
+                    default:
+                        return false;
+                }
+            });
+
+            return value;
+        };
+
+        // Internal. Intentionally not documented.
+        VectorTile.readFeature = function (reader, keys, values) {
+            var feature = {id: null, type: VectorTile.UNKNOWN, properties: {}, geometry: []},
+                tags = [],
+                commands = [];
+
+            reader.readFields(function (field, wireType, reader) {
+                switch (field) {
+                    case 1:
+                        feature.id = reader.readVarint();
+                        return true;
+                    case 2:
+                        tags = reader.readPackedVarints();
+                        return true;
+                    case 3:
+                        feature.type = reader.readVarint();
+                        return true;
+                    case 4:
+                        commands = reader.readPackedVarints();
+                        return true;
+                    default:
+                        return false;
+                }
+            });
+
+            for (var t = 0; t + 1 < tags.length; t += 2) {
+                feature.properties[keys[tags[t]]] = values[tags[t + 1]];
+            }
+
+            feature.geometry = VectorTile.decodeGeometry(commands);
+
+            return feature;
+        };
+
+        // Internal. Intentionally not documented. Decodes the MoveTo, LineTo and ClosePath commands of a feature's
+        // geometry into parts of absolute coordinates.
+        VectorTile.decodeGeometry = function (commands) {
+            var parts = [],
+                part = null,
+                x = 0,
+                y = 0,
+                zigzag = function (value) {
+                    return value % 2 === 1 ? (value + 1) / -2 : value / 2;
+                };
+
+            for (var i = 0; i < commands.length;) {
+                var command = commands[i] & 0x7,
+                    count = Math.floor(commands[i] / 8);
+                i++;
+
+                if (command === 7) { // ClosePath
+                    if (part && part.length > 0) {
+                        part.push([part[0][0], part[0][1]]);
+                    }
+                    continue;
+                }
+
+                for (var c = 0; c < count && i + 1 < commands.length; c++) {
+                    x += zigzag(commands[i++]);
+                    y += zigzag(commands[i++]);
+
+                    if (command === 1) { // MoveTo
+                        part = [];
+                        parts.push(part);
+                    }
+
+                    if (part) {
+                        part.push([x, y]);
+                    }
+                }
+            }
+
+            return parts;
+        };
+
+        return VectorTile;
+    });
@@ -19,12 +19,12 @@
  */
 define(['../../error/ArgumentError',
         '../../util/Logger',
-        '../../error/NotYetImplementedError'
+        '../../util/proj4-src'
     ],
 
     function (ArgumentError,
               Logger,
-              NotYetImplementedError) {
+              Proj4) {
         "use strict";
 
         /**
@@ -51,6 +51,9 @@ define(['../../error/ArgumentError',
 
             // Internal use only. Intentionally not documented.
             this._params = null;
+
+            // Internal use only. Intentionally not documented.
+            this._converter = null;
         };
 
         Object.defineProperties(PrjFile.prototype, {
@@ -81,6 +84,20 @@ define(['../../error/ArgumentError',
                     }
                 }
             },
+            /**
+             * The name of the projection of a projected coordinate system, e.g.,
+             * [PROJECTION_UTM]{@link PrjFile.PROJECTION_UTM} or the projection name given in the coordinate system
+             * text, such as "TRANSVERSE_MERCATOR" or "LAMBERT_CONFORMAL_CONIC". Null if the coordinate system is not
+             * projected.
+             * @member PrjFile.prototype
+             * @type {String}
+             * @readonly
+             */
+            projectionName: {
+                get: function () {
+                    return this.params && this.params[PrjFile.PROJECTION_NAME] || null;
+                }
+            },
             /**
              * The full parameter descriptor.
              * @member PrjFile.prototype
@@ -115,6 +132,7 @@ define(['../../error/ArgumentError',
                     if (xhr.status === 200) {
                         var text = String.fromCharCode.apply(null, new Uint8Array(xhr.response));
                         this._params = this.decodeOGCCoordinateSystem(text);
+                        this._converter = this.createConverter(this._params);
                     }
                     else {
                         Logger.log(Logger.LEVEL_WARNING,
@@ -169,72 +187,123 @@ define(['../../error/ArgumentError',
 
             var params = {};
 
+            // Retain the original text for the projection library, which expects the text's original case.
+            var wkt = text.trim();
+
             // Convert the coordinate system text to upper case. The coordinate system regular expressions match against
             // upper case characters.
-            text = text.trim().toUpperCase();
+            text = wkt.toUpperCase();
+
+            // Test for a projected coordinate system first because its definition contains a GEOGCS element.
+            var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
+            if (!!result) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
+                params[PrjFile.PROJECTION_WKT] = wkt;
+
+                var projMatcher = result[1].match(PrjFile.UTM_NAME_WKT_PATTERN);
+                if (!!projMatcher) {
+                    params[PrjFile.PROJECTION_NAME] = PrjFile.PROJECTION_UTM;
+
+                    // Parse the UTM zone from the coordinate system name.
+                    var zone = parseInt(projMatcher[1], 10);
+                    if (zone >= 1 && zone <= 60) {
+                        params[PrjFile.PROJECTION_ZONE] = zone;
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "PrjFile UTM zone is invalid: " + projMatcher[1]);
+                    }
 
-            if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
-                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
-            }
-            else {
-                var result = text.match(PrjFile.PROJCS_WKT_PATTERN);
-                if (!!result) {
-                    params[PrfFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_PROJECTED;
-
-                    throw new NotYetImplementedError(Logger.log(Logger.LEVEL_SEVERE,
-                        "PrjFile implementation  for projected coordinate systems in incomplete."));
-                    // TODO: Complete the implementation; the Java implementation is summarized below.
-                    //String
-                    //csText = csMatcher.group(1);
-                    //Matcher
-                    //projMatcher = UTM_NAME_WKT_PATTERN.matcher(csText);
-                    //if (projMatcher.matches()) {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UTM);
-                    //
-                    //    // Parse the UTM zone from the coordinate system name.
-                    //    String
-                    //    s = projMatcher.group(1);
-                    //    if (s != null) {
-                    //        Integer
-                    //        i = WWUtil.makeInteger(s.trim());
-                    //        if (i != null && i >= 1 && i <= 60)
-                    //            params.setValue(AVKey.PROJECTION_ZONE, i);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_ZONE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.ZoneIsInvalid", s));
-                    //
-                    //    // Parse the UTM hemisphere form the coordinate system name.
-                    //    s = projMatcher.group(2);
-                    //    if (s != null) {
-                    //        s = s.trim();
-                    //        if (s.startsWith("N") || s.startsWith("n"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.NORTH);
-                    //        else if (s.startsWith("S") || s.startsWith("s"))
-                    //            params.setValue(AVKey.PROJECTION_HEMISPHERE, AVKey.SOUTH);
-                    //    }
-                    //
-                    //    if (params.getValue(AVKey.PROJECTION_HEMISPHERE) == null)
-                    //        Logging.logger().warning(Logging.getMessage("generic.HemisphereIsInvalid", s));
-                    //}
-                    //else {
-                    //    params.setValue(AVKey.PROJECTION_NAME, AVKey.PROJECTION_UNKNOWN);
-                    //}
+                    // Parse the UTM hemisphere form the coordinate system name.
+                    var hemisphere = projMatcher[2].replace(/^[_\s]+/, "");
+                    if (hemisphere.indexOf("N") === 0) {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_NORTH;
+                    } else if (hemisphere.indexOf("S") === 0) {
+                        params[PrjFile.PROJECTION_HEMISPHERE] = PrjFile.PROJECTION_HEMISPHERE_SOUTH;
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "PrjFile UTM hemisphere is invalid: " + hemisphere);
+                    }
                 }
                 else {
-                    params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+                    var nameMatcher = result[1].match(PrjFile.PROJECTION_NAME_WKT_PATTERN);
+                    params[PrjFile.PROJECTION_NAME] = !!nameMatcher ? nameMatcher[1] : PrjFile.PROJECTION_UNKNOWN;
                 }
             }
+            else if (PrjFile.GEOGCS_WKT_PATTERN.test(text)) {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            }
+            else {
+                params[PrjFile.COORDINATE_SYSTEM] = PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            }
 
             return params;
         };
 
+        /**
+         * Creates a converter from a projected coordinate system to geographic WGS84 coordinates. The projected
+         * coordinate system's well-known text is interpreted by proj4js. UTM coordinate systems whose text cannot be
+         * interpreted fall back to a WGS84 UTM definition for the zone and hemisphere named in the text.
+         * @param {Object} params The parameters returned by
+         * [decodeOGCCoordinateSystem]{@link PrjFile#decodeOGCCoordinateSystem}.
+         * @returns {Object} A proj4js converter whose forward function maps [x, y] to [longitude, latitude], or null
+         * if the parameters do not describe a supported projected coordinate system.
+         */
+        PrjFile.prototype.createConverter = function (params) {
+            if (!params || params[PrjFile.COORDINATE_SYSTEM] !== PrjFile.COORDINATE_SYSTEM_PROJECTED) {
+                return null;
+            }
+
+            try {
+                return Proj4(params[PrjFile.PROJECTION_WKT], PrjFile.WGS84_DEFINITION);
+            }
+            catch (e) {
+                if (params[PrjFile.PROJECTION_NAME] === PrjFile.PROJECTION_UTM && params[PrjFile.PROJECTION_ZONE]) {
+                    return Proj4("+proj=utm +zone=" + params[PrjFile.PROJECTION_ZONE] +
+                        (params[PrjFile.PROJECTION_HEMISPHERE] === PrjFile.PROJECTION_HEMISPHERE_SOUTH ? " +south" : "") +
+                        " +datum=WGS84 +units=m +no_defs", PrjFile.WGS84_DEFINITION);
+                }
+
+                Logger.log(Logger.LEVEL_WARNING, "PrjFile projection is unsupported: " + this._url);
+                return null;
+            }
+        };
+
+        /**
+         * Converts projected coordinates to geographic WGS84 coordinates in place. The coordinates are specified as
+         * pairs in the order X0, Y0, X1, Y1, ..., Xn, Yn, as they are stored in shapefiles, and are replaced by
+         * longitude and latitude pairs in the same order.
+         * @param {Float64Array|Number[]} points The coordinates to convert.
+         * @returns {Float64Array|Number[]} The specified array, containing the converted coordinates.
+         * @throws {ArgumentError} If the specified array is null or undefined.
+         * @throws {Error} If this file's coordinate system is not a supported projected coordinate system.
+         */
+        PrjFile.prototype.toGeographic = function (points) {
+            if (!points) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "PrjFile", "toGeographic", "missingArray"));
+            }
+
+            if (!this._converter) {
+                // Let the caller catch and log the message.
+                throw new Error(Logger.log(Logger.LEVEL_SEVERE, "Shapefile has an unsupported projection"));
+            }
+
+            var xy = [0, 0], lonLat;
+            for (var i = 0, len = points.length - 1; i < len; i += 2) {
+                xy[0] = points[i];
+                xy[1] = points[i + 1];
+                lonLat = this._converter.forward(xy);
+                points[i] = lonLat[0];
+                points[i + 1] = lonLat[1];
+            }
+
+            return points;
+        };
+
         /**
          * Indicates that an unknown coordinate system was encountered.
          * @returns {Boolean} True if an unknown coordinate system was encountered.
          */
         PrjFile.prototype.isUnknownCoordinateSystem = function() {
-            return !this.params || this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !this.params || this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -242,7 +311,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a known coordinate system was encountered.
          */
         PrjFile.prototype.isKnownCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
+            return !!this.params && this.coordinateSystem !== PrjFile.COORDINATE_SYSTEM_UNKNOWN;
         };
 
         /**
@@ -250,7 +319,7 @@ define(['../../error/ArgumentError',
          * @returns {Boolean} True if a geographic coordinate system was encountered.
          */
         PrjFile.prototype.isGeographicCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
+            return !!this.params && this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_GEOGRAPHIC;
         };
 
         /**
@@ -258,7 +327,7 @@ define(['../../error/ArgumentError',
          * @returns {boolean} True if a projected coordinate system was encountered.
          */
         PrjFile.prototype.isProjectedCoordinateSystem = function() {
-            return !!this.params && this.params.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
+            return !!this.params && this.coordinateSystem === PrjFile.COORDINATE_SYSTEM_PROJECTED;
         };
 
         /** Pattern matching the geographic coordinate system keyword in an OGC coordinate system well-known text. */
@@ -270,6 +339,12 @@ define(['../../error/ArgumentError',
         /** Pattern matching the UTM name in an projected coordinate system's well-known text. */
         PrjFile.UTM_NAME_WKT_PATTERN = new RegExp(".*UTM.*ZONE.*?(\\d+).*?([\\w\\s]+).*?");
 
+        /** Pattern matching the projection name in an projected coordinate system's well-known text. */
+        PrjFile.PROJECTION_NAME_WKT_PATTERN = new RegExp("PROJECTION[\\[\\(]\"([^\"]+)\"");
+
+        // Internal use only. Intentionally not documented.
+        PrjFile.WGS84_DEFINITION = "EPSG:4326";
+
         /**
          * A key for a coordinate system description.
          * @type {String}
@@ -300,6 +375,18 @@ define(['../../error/ArgumentError',
          */
         PrjFile.PROJECTION_NAME = 'Projection_name';
 
+        /**
+         * The key for the well-known text of a projected coordinate system.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_WKT = 'Projection_wkt';
+
+        /**
+         * An unknown projection descriptor.
+         * @type {String}
+         */
+        PrjFile.PROJECTION_UNKNOWN = 'Projection_unknown';
+
         /**
          * A UTM projection descriptor.
          * @type {String}
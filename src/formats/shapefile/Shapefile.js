@@ -25,7 +25,6 @@ define([
         '../../formats/shapefile/DBaseFile',
         '../../geom/Location',
         '../../util/Logger',
-        '../../error/NotYetImplementedError',
         '../../shapes/Path',
         '../../shapes/Placemark',
         '../../shapes/PlacemarkAttributes',
@@ -50,7 +49,6 @@ define([
               DBaseFile,
               Location,
               Logger,
-              NotYetImplementedError,
               Path,
               Placemark,
               PlacemarkAttributes,
@@ -286,6 +284,9 @@ define([
          * the record attribute. This value is specified as the label displayName property for all shapes created.
          * For {@link Placemark} shapes it is also specified as the placemark label.
          * It is specified as the displayName for all other shapes.
+         * <p>
+         * For all records, the record's attribute values are specified as the userProperties of the shapes created,
+         * so that they remain available to applications and are retained by {@link GeoJSONExporter}.
          *
          * @param {{}} attributes An object containing the attribute-value pairs found in the database file
          * associated with this shapefile. See [load]{@link Shapefile#load} for more information.
@@ -295,6 +296,8 @@ define([
         Shapefile.prototype.defaultShapeConfigurationCallback = function (attributes, record) {
             var configuration = {};
 
+            configuration.userProperties = attributes.values;
+
             var name = attributes.values.name || attributes.values.Name || attributes.values.NAME;
             if (name) {
                 configuration.name = name;
@@ -884,31 +887,59 @@ define([
 
         // Intentionally not documented.
         Shapefile.prototype.readProjectedBoundingRectangle = function (buffer) {
-            throw new NotYetImplementedError(
-                Logger.log(Logger.LEVEL_SEVERE, "Shapefile.readProjectedBoundingRectangle() not yet implemented"));
-
-            // TODO: complete the implementation; the Java implementation is summarized below.
-            //Object o = this.getValue(AVKey.PROJECTION_NAME);
-            //
-            //if (AVKey.PROJECTION_UTM.equals(o)) {
-            //    // Read the bounding rectangle coordinates in the following order: minEast, minNorth, maxEast, maxNorth.
-            //    var coords = ShapefileUtils.readDoubleArray(buffer, 4);
-            //    // Convert the UTM bounding rectangle to a geographic bounding rectangle. The zone and hemisphere parameters
-            //    // have already been validated in validateBounds.
-            //    var zone = (Integer) this.getValue(AVKey.PROJECTION_ZONE);
-            //    var hemisphere = (String) this.getValue(AVKey.PROJECTION_HEMISPHERE);
-            //    Sector sector = Sector.fromUTMRectangle(zone, hemisphere, coords[0], coords[2], coords[1], coords[3]);
-            //    // Return an array with bounding rectangle coordinates in the following order: minLon, maxLon, minLat, maxLat.
-            //    BoundingRectangle rect = new BoundingRectangle();
-            //    rect.coords = sector.toArrayDegrees();
-            //    return rect;
-            //}
-            //else {
-            //    // The Shapefile's coordinate system projection is unsupported. This should never happen because the
-            //    // projection is validated during initialization, but we check anyway. Let the caller catch and log the
-            //    // message.
-            //    throw new Error(Logger.log(Logger.LEVEL_SEVERE, "Shapefile has an unsupported projection"));
-            //}
+            // Read the bounding rectangle coordinates in the following order: minNorth, maxNorth, minEast, maxEast.
+            var coords = this.readBoundingRectangleCoordinates(buffer),
+                numSamples = Shapefile.PROJECTED_BOUNDS_SAMPLES,
+                points = new Float64Array(numSamples * 8),
+                idx = 0;
+
+            // Sample the rectangle's edges rather than only its corners, because the edges of a projected rectangle
+            // are generally curved in geographic coordinates.
+            for (var i = 0; i < numSamples; i++) {
+                var s = i / numSamples,
+                    x = coords[2] + s * (coords[3] - coords[2]),
+                    y = coords[0] + s * (coords[1] - coords[0]);
+
+                points[idx++] = x;
+                points[idx++] = coords[0];
+                points[idx++] = coords[3];
+                points[idx++] = y;
+                points[idx++] = coords[3] - (x - coords[2]);
+                points[idx++] = coords[1];
+                points[idx++] = coords[2];
+                points[idx++] = coords[1] - (y - coords[0]);
+            }
+
+            // Convert the samples to geographic coordinates. This throws if the projection is unsupported; let the
+            // caller catch and log the message.
+            this.projectionFile.toGeographic(points);
+
+            // Return an array with bounding rectangle coordinates in the following order: minLat, maxLat, minLon, maxLon.
+            var rect = [90, -90, 180, -180];
+            for (idx = 0; idx < points.length; idx += 2) {
+                rect[0] = Math.min(rect[0], points[idx + 1]);
+                rect[1] = Math.max(rect[1], points[idx + 1]);
+                rect[2] = Math.min(rect[2], points[idx]);
+                rect[3] = Math.max(rect[3], points[idx]);
+            }
+
+            return {'coords': rect, 'isNormalized': false};
+        };
+
+        /**
+         * Converts point coordinates read from this shapefile to geographic coordinates when this shapefile has a
+         * projected coordinate system. The conversion uses the projection described by the shapefile's accompanying
+         * projection file (.prj), and produces WGS84 longitudes and latitudes. Coordinates are converted in place.
+         * This method has no effect when the shapefile's coordinate system is not projected.
+         * @param {Float64Array} points The coordinates to convert, in the order X0, Y0, X1, Y1, ..., Xn, Yn.
+         * @returns {Float64Array} The specified array.
+         */
+        Shapefile.prototype.toGeographicLocations = function (points) {
+            if (this.projectionFile && this.projectionFile.isProjectedCoordinateSystem()) {
+                this.projectionFile.toGeographic(points);
+            }
+
+            return points;
         };
 
         // Intentionally not documented.
@@ -1180,6 +1211,9 @@ define([
         // Intentionally not documented.
         Shapefile.FILE_CODE = 0x0000270A;
 
+        // Intentionally not documented. The number of samples per edge used to convert projected bounding rectangles.
+        Shapefile.PROJECTED_BOUNDS_SAMPLES = 8;
+
         return Shapefile;
     }
 );
\ No newline at end of file
@@ -0,0 +1,601 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ShapefileExporter
+ */
+define(['../../error/ArgumentError',
+        '../../globe/ElevationModel',
+        '../../globe/Globe',
+        '../../util/jszip',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              ElevationModel,
+              Globe,
+              JsZip,
+              Logger) {
+        "use strict";
+
+        /**
+         * Provides shapefile exporter functions.
+         * The following renderables can be exported:
+         * <ul>
+         *     <li>WorldWind.Placemark, as a point</li>
+         *     <li>WorldWind.Path and WorldWind.SurfacePolyline, as polylines</li>
+         *     <li>WorldWind.Polygon, WorldWind.SurfacePolygon, WorldWind.SurfaceEllipse, WorldWind.SurfaceCircle,
+         *     WorldWind.SurfaceRectangle and WorldWind.SurfaceSector, as polygons</li>
+         * </ul>
+         * A shapefile holds a single type of shape, so points, polylines and polygons are written to separate
+         * shapefiles, each consisting of .shp, .shx, .dbf, .prj and .cpg files. Coordinates are geographic WGS84
+         * longitudes and latitudes, and altitudes are not exported.
+         * <p>
+         * The attribute table of each shapefile has a column for every property found in the userProperties of
+         * its renderables, such as the attributes of shapes read from a shapefile. Columns holding only numbers are
+         * numeric, columns holding only booleans are logical and all other columns are text encoded in UTF-8.
+         * Column names are truncated to the 10 characters dBase allows. The label of a placemark is written to a
+         * "name" column when its userProperties have no name.
+         * @exports ShapefileExporter
+         */
+        var ShapefileExporter = {
+
+            /**
+             * Exports a [Layer]{@link Layer} as a zipped set of shapefiles named after the layer.
+             * @param {Layer} layer The layer to export.
+             * @throws {ArgumentError} If the specified argument is null or undefined.
+             * @returns {Promise} A promise resolved with the zip archive as a Blob.
+             */
+            exportLayer: function (layer) {
+                if (!layer) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportLayer",
+                            "missingLayer"));
+                }
+
+                return this.exportRenderables(layer.renderables, layer.displayName);
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as a zipped set of shapefiles.
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name The base name of the shapefiles. May be null or undefined, in which case
+             * "shapes" is used.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {Promise} A promise resolved with the zip archive as a Blob.
+             */
+            exportRenderables: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportRenderables",
+                            "missingRenderables"));
+                }
+
+                var files = this.exportFiles(renderables, name),
+                    zip = new JsZip();
+
+                for (var fileName in files) {
+                    if (files.hasOwnProperty(fileName)) {
+                        zip.file(fileName, files[fileName]);
+                    }
+                }
+
+                return zip.generateAsync({type: "blob", compression: "DEFLATE"});
+            },
+
+            /**
+             * Exports a list of [Renderable]{@link Renderable} as the files of one or more shapefiles. The
+             * shapefiles are named after the specified name when the renderables have a single type of shape, and
+             * otherwise after the name followed by "_points", "_polylines" or "_polygons".
+             * @param {Renderable[]} renderables The renderables to export.
+             * @param {String} name The base name of the shapefiles. May be null or undefined, in which case
+             * "shapes" is used.
+             * @throws {ArgumentError} If the specified renderables are null or undefined.
+             * @returns {Object} The contents of the files by file name, as ArrayBuffers.
+             */
+            exportFiles: function (renderables, name) {
+                if (!renderables) {
+                    throw new ArgumentError(
+                        Logger.logMessage(Logger.LEVEL_SEVERE, "ShapefileExporter", "exportFiles",
+                            "missingRenderables"));
+                }
+
+                var groups = {},
+                    shapeTypes = [
+                        ShapefileExporter.SHAPE_POINT,
+                        ShapefileExporter.SHAPE_POLYLINE,
+                        ShapefileExporter.SHAPE_POLYGON
+                    ];
+
+                for (var i = 0; i < renderables.length; i++) {
+                    var shape = this.exportShape(renderables[i]);
+                    if (shape) {
+                        groups[shape.type] = groups[shape.type] || [];
+                        groups[shape.type].push(shape);
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING, "Export renderable not implemented: " + renderables[i]);
+                    }
+                }
+
+                var baseName = (name || "shapes").replace(/[\\\/:*?"<>|]/g, "_"),
+                    groupCount = Object.keys(groups).length,
+                    files = {};
+
+                for (var t = 0; t < shapeTypes.length; t++) {
+                    var shapes = groups[shapeTypes[t]];
+                    if (!shapes) {
+                        continue;
+                    }
+
+                    var fileName = groupCount > 1 ? baseName + "_" + ShapefileExporter.SUFFIXES[shapeTypes[t]] :
+                        baseName;
+
+                    var shpAndShx = this.writeShp(shapeTypes[t], shapes);
+                    files[fileName + ".shp"] = shpAndShx.shp;
+                    files[fileName + ".shx"] = shpAndShx.shx;
+                    files[fileName + ".dbf"] = this.writeDbf(shapes);
+                    files[fileName + ".prj"] = ShapefileExporter.encodeUtf8(ShapefileExporter.WGS84_PRJ).buffer;
+                    files[fileName + ".cpg"] = ShapefileExporter.encodeUtf8("UTF-8").buffer;
+                }
+
+                return files;
+            },
+
+            // Internal. Intentionally not documented. Returns the shape type, parts and attributes of a renderable,
+            // or null if the renderable cannot be exported.
+            exportShape: function (renderable) {
+                var parts, type;
+
+                if (renderable instanceof WorldWind.Placemark) {
+                    type = ShapefileExporter.SHAPE_POINT;
+                    parts = [[renderable.position]];
+                }
+                else if (renderable instanceof WorldWind.Path) {
+                    type = ShapefileExporter.SHAPE_POLYLINE;
+                    parts = [renderable.positions];
+                }
+                else if (renderable instanceof WorldWind.SurfacePolyline) {
+                    type = ShapefileExporter.SHAPE_POLYLINE;
+                    parts = [renderable.boundaries];
+                }
+                else if (renderable instanceof WorldWind.Polygon || renderable instanceof WorldWind.SurfacePolygon) {
+                    type = ShapefileExporter.SHAPE_POLYGON;
+                    parts = ShapefileExporter.rings(renderable.boundaries);
+                }
+                else if (renderable instanceof WorldWind.SurfaceEllipse ||
+                    renderable instanceof WorldWind.SurfaceCircle ||
+                    renderable instanceof WorldWind.SurfaceRectangle ||
+                    renderable instanceof WorldWind.SurfaceSector) {
+                    if (!ShapefileExporter.globe) {
+                        ShapefileExporter.globe = new Globe(new ElevationModel());
+                    }
+
+                    // The boundaries of these shapes are computed when they are drawn. Compute them now in case this
+                    // shape has not been drawn yet, or has changed since it was last drawn.
+                    renderable.computeBoundaries({globe: ShapefileExporter.globe});
+
+                    type = ShapefileExporter.SHAPE_POLYGON;
+                    parts = ShapefileExporter.rings(renderable._boundaries || []);
+                }
+                else {
+                    return null;
+                }
+
+                var attributes = {},
+                    userProperties = renderable.userProperties;
+
+                if (userProperties && typeof userProperties === "object") {
+                    for (var key in userProperties) {
+                        if (userProperties.hasOwnProperty(key) && typeof userProperties[key] !== "function") {
+                            attributes[key] = userProperties[key];
+                        }
+                    }
+                }
+
+                if (renderable instanceof WorldWind.Placemark && renderable.label &&
+                    !attributes.name && !attributes.Name && !attributes.NAME) {
+                    attributes.name = renderable.label;
+                }
+
+                return {type: type, parts: parts, attributes: attributes};
+            },
+
+            // Internal. Intentionally not documented. Writes the .shp and .shx files of shapes of the same type.
+            writeShp: function (shapeType, shapes) {
+                var contents = [],
+                    box = [Number.MAX_VALUE, Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE],
+                    shpLength = ShapefileExporter.HEADER_LENGTH,
+                    i;
+
+                for (i = 0; i < shapes.length; i++) {
+                    var content = this.writeShapeContent(shapeType, shapes[i].parts, box);
+                    contents.push(content);
+                    shpLength += 8 + content.byteLength;
+                }
+
+                if (shapes.length === 0) {
+                    box = [0, 0, 0, 0];
+                }
+
+                var shx = new DataView(new ArrayBuffer(ShapefileExporter.HEADER_LENGTH + 8 * shapes.length)),
+                    shp = new DataView(new ArrayBuffer(shpLength)),
+                    offset = ShapefileExporter.HEADER_LENGTH;
+
+                this.writeHeader(shp, shapeType, shpLength, box);
+                this.writeHeader(shx, shapeType, shx.byteLength, box);
+
+                for (i = 0; i < contents.length; i++) {
+                    // Offsets and lengths are measured in 16-bit words.
+                    shx.setInt32(ShapefileExporter.HEADER_LENGTH + 8 * i, offset / 2, false);
+                    shx.setInt32(ShapefileExporter.HEADER_LENGTH + 8 * i + 4, contents[i].byteLength / 2, false);
+
+                    shp.setInt32(offset, i + 1, false);
+                    shp.setInt32(offset + 4, contents[i].byteLength / 2, false);
+                    new Uint8Array(shp.buffer, offset + 8).set(new Uint8Array(contents[i]));
+                    offset += 8 + contents[i].byteLength;
+                }
+
+                return {shp: shp.buffer, shx: shx.buffer};
+            },
+
+            // Internal. Intentionally not documented.
+            writeHeader: function (view, shapeType, fileLength, box) {
+                view.setInt32(0, 9994, false); // file code
+                view.setInt32(24, fileLength / 2, false);
+                view.setInt32(28, 1000, true); // version
+                view.setInt32(32, shapeType, true);
+                for (var i = 0; i < 4; i++) {
+                    view.setFloat64(36 + 8 * i, box[i], true);
+                }
+            },
+
+            // Internal. Intentionally not documented. Writes the content of a shape record and expands the specified
+            // bounding box, ordered xmin, ymin, xmax, ymax, to include the shape.
+            writeShapeContent: function (shapeType, parts, box) {
+                var view, i, j;
+
+                if (shapeType === ShapefileExporter.SHAPE_POINT) {
+                    var position = parts[0][0];
+                    view = new DataView(new ArrayBuffer(20));
+                    view.setInt32(0, shapeType, true);
+                    view.setFloat64(4, position.longitude, true);
+                    view.setFloat64(12, position.latitude, true);
+                    ShapefileExporter.expandBox(box, [position]);
+                    return view.buffer;
+                }
+
+                var numPoints = 0,
+                    shapeBox = [Number.MAX_VALUE, Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE];
+                for (i = 0; i < parts.length; i++) {
+                    numPoints += parts[i].length;
+                    ShapefileExporter.expandBox(shapeBox, parts[i]);
+                }
+                if (numPoints === 0) {
+                    shapeBox = [0, 0, 0, 0];
+                }
+
+                view = new DataView(new ArrayBuffer(44 + 4 * parts.length + 16 * numPoints));
+                view.setInt32(0, shapeType, true);
+                for (i = 0; i < 4; i++) {
+                    view.setFloat64(4 + 8 * i, shapeBox[i], true);
+                }
+                view.setInt32(36, parts.length, true);
+                view.setInt32(40, numPoints, true);
+
+                var pointIndex = 0, offset = 44 + 4 * parts.length;
+                for (i = 0; i < parts.length; i++) {
+                    view.setInt32(44 + 4 * i, pointIndex, true);
+                    for (j = 0; j < parts[i].length; j++, pointIndex++) {
+                        view.setFloat64(offset + 16 * pointIndex, parts[i][j].longitude, true);
+                        view.setFloat64(offset + 16 * pointIndex + 8, parts[i][j].latitude, true);
+                    }
+                }
+
+                if (numPoints > 0) {
+                    ShapefileExporter.expandBox(box, [
+                        {longitude: shapeBox[0], latitude: shapeBox[1]},
+                        {longitude: shapeBox[2], latitude: shapeBox[3]}
+                    ]);
+                }
+
+                return view.buffer;
+            },
+
+            // Internal. Intentionally not documented. Writes the dBase file holding the attributes of shapes.
+            writeDbf: function (shapes) {
+                var fields = ShapefileExporter.fieldsFor(shapes),
+                    recordLength = 1,
+                    i, f;
+
+                for (f = 0; f < fields.length; f++) {
+                    recordLength += fields[f].length;
+                }
+
+                var headerLength = 32 + 32 * fields.length + 1,
+                    bytes = new Uint8Array(headerLength + recordLength * shapes.length + 1),
+                    view = new DataView(bytes.buffer),
+                    today = new Date();
+
+                bytes[0] = 0x03; // dBase III without memo
+                bytes[1] = today.getFullYear() - 1900;
+                bytes[2] = today.getMonth() + 1;
+                bytes[3] = today.getDate();
+                view.setUint32(4, shapes.length, true);
+                view.setUint16(8, headerLength, true);
+                view.setUint16(10, recordLength, true);
+
+                for (f = 0; f < fields.length; f++) {
+                    var descriptor = 32 + 32 * f;
+                    for (i = 0; i < fields[f].name.length; i++) {
+                        bytes[descriptor + i] = fields[f].name.charCodeAt(i);
+                    }
+                    bytes[descriptor + 11] = fields[f].type.charCodeAt(0);
+                    bytes[descriptor + 16] = fields[f].length;
+                    bytes[descriptor + 17] = fields[f].decimals;
+                }
+                bytes[headerLength - 1] = 0x0D; // end of field descriptors
+
+                var offset = headerLength;
+                for (i = 0; i < shapes.length; i++) {
+                    bytes[offset++] = 0x20; // not deleted
+                    for (f = 0; f < fields.length; f++) {
+                        var value = shapes[i].attributes[fields[f].key];
+                        bytes.set(ShapefileExporter.formatValue(fields[f], value), offset);
+                        offset += fields[f].length;
+                    }
+                }
+                bytes[offset] = 0x1A; // end of file
+
+                return bytes.buffer;
+            }
+        };
+
+        /**
+         * The shape type code of point shapefiles.
+         * @type {Number}
+         * @constant
+         */
+        ShapefileExporter.SHAPE_POINT = 1;
+
+        /**
+         * The shape type code of polyline shapefiles.
+         * @type {Number}
+         * @constant
+         */
+        ShapefileExporter.SHAPE_POLYLINE = 3;
+
+        /**
+         * The shape type code of polygon shapefiles.
+         * @type {Number}
+         * @constant
+         */
+        ShapefileExporter.SHAPE_POLYGON = 5;
+
+        // Internal. Intentionally not documented.
+        ShapefileExporter.SUFFIXES = {1: "points", 3: "polylines", 5: "polygons"};
+
+        // Internal. Intentionally not documented.
+        ShapefileExporter.HEADER_LENGTH = 100;
+
+        // Internal. Intentionally not documented. The maximum length of dBase character fields.
+        ShapefileExporter.MAX_FIELD_LENGTH = 254;
+
+        // Internal. Intentionally not documented. The maximum length of dBase numeric fields.
+        ShapefileExporter.MAX_NUMBER_LENGTH = 19;
+
+        // Internal. Intentionally not documented.
+        ShapefileExporter.WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+            'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],' +
+            'UNIT["Degree",0.0174532925199433]]';
+
+        // Internal. Intentionally not documented. Returns the closed rings of a boundary or list of boundaries,
+        // the first one clockwise and the others, its holes, counter-clockwise as the shapefile format requires.
+        ShapefileExporter.rings = function (boundaries) {
+            if (boundaries.length > 0 && !Array.isArray(boundaries[0])) {
+                boundaries = [boundaries];
+            }
+
+            var rings = [];
+            for (var i = 0; i < boundaries.length; i++) {
+                var ring = boundaries[i].slice();
+                if (ring.length === 0) {
+                    continue;
+                }
+                if (ring[0].latitude !== ring[ring.length - 1].latitude ||
+                    ring[0].longitude !== ring[ring.length - 1].longitude) {
+                    ring.push(ring[0]);
+                }
+
+                var clockwise = ShapefileExporter.signedArea(ring) < 0;
+                if (clockwise !== (rings.length === 0)) {
+                    ring.reverse();
+                }
+                rings.push(ring);
+            }
+
+            return rings;
+        };
+
+        // Internal. Intentionally not documented. Positive for counter-clockwise rings.
+        ShapefileExporter.signedArea = function (ring) {
+            var area = 0;
+            for (var i = 0, len = ring.length - 1; i < len; i++) {
+                area += ring[i].longitude * ring[i + 1].latitude - ring[i + 1].longitude * ring[i].latitude;
+            }
+
+            return area / 2;
+        };
+
+        // Internal. Intentionally not documented.
+        ShapefileExporter.expandBox = function (box, positions) {
+            for (var i = 0; i < positions.length; i++) {
+                box[0] = Math.min(box[0], positions[i].longitude);
+                box[1] = Math.min(box[1], positions[i].latitude);
+                box[2] = Math.max(box[2], positions[i].longitude);
+                box[3] = Math.max(box[3], positions[i].latitude);
+            }
+        };
+
+        // Internal. Intentionally not documented. Determines the dBase fields holding the attributes of shapes.
+        ShapefileExporter.fieldsFor = function (shapes) {
+            var fields = [], fieldsByKey = {}, names = {}, i, key, field, value;
+
+            for (i = 0; i < shapes.length; i++) {
+                for (key in shapes[i].attributes) {
+                    if (!shapes[i].attributes.hasOwnProperty(key)) {
+                        continue;
+                    }
+
+                    field = fieldsByKey[key];
+                    if (!field) {
+                        field = {key: key, name: ShapefileExporter.fieldName(key, names), type: null, length: 1,
+                            decimals: 0};
+                        fieldsByKey[key] = field;
+                        fields.push(field);
+                    }
+
+                    value = shapes[i].attributes[key];
+                    if (value === null || value === undefined) {
+                        continue;
+                    }
+
+                    var valueType = typeof value === "number" && isFinite(value) ? "N" :
+                        typeof value === "boolean" ? "L" : "C";
+                    field.type = !field.type || field.type === valueType ? valueType : "C";
+                }
+            }
+
+            // The numeric and logical fields that turned out to hold text are sized in the second pass.
+            for (i = 0; i < shapes.length; i++) {
+                for (var f = 0; f < fields.length; f++) {
+                    field = fields[f];
+                    value = shapes[i].attributes[field.key];
+                    if (value === null || value === undefined) {
+                        continue;
+                    }
+
+                    if (field.type === "N") {
+                        var text = String(value);
+                        if (/e/i.test(text)) {
+                            text = value.toFixed(Math.min(15, Math.max(0, -Math.floor(Math.log(Math.abs(value)) /
+                                Math.LN10) + 15)));
+                        }
+                        var point = text.indexOf(".");
+                        field.decimals = Math.max(field.decimals, point < 0 ? 0 : text.length - point - 1);
+                        field.length = Math.max(field.length, point < 0 ? text.length : point);
+                    } else if (field.type === "C") {
+                        field.length = Math.max(field.length,
+                            ShapefileExporter.encodeUtf8(ShapefileExporter.stringValue(value)).length);
+                    }
+                }
+            }
+
+            for (var n = 0; n < fields.length; n++) {
+                field = fields[n];
+                if (!field.type) {
+                    field.type = "C";
+                }
+                if (field.type === "N") {
+                    // The length of numeric fields includes the decimal point and the decimals. Decimals that do
+                    // not fit in the maximum length are rounded away.
+                    var integerLength = field.length;
+                    field.decimals = Math.min(field.decimals, ShapefileExporter.MAX_NUMBER_LENGTH - integerLength - 1);
+                    field.decimals = Math.max(field.decimals, 0);
+                    field.length = Math.min(integerLength + (field.decimals > 0 ? field.decimals + 1 : 0),
+                        ShapefileExporter.MAX_NUMBER_LENGTH);
+                }
+                field.length = Math.min(field.length, ShapefileExporter.MAX_FIELD_LENGTH);
+            }
+
+            // dBase files must have at least one field.
+            if (fields.length === 0) {
+                fields.push({key: "ID", name: "ID", type: "N", length: 10, decimals: 0});
+                for (i = 0; i < shapes.length; i++) {
+                    shapes[i].attributes = {ID: i + 1};
+                }
+            }
+
+            return fields;
+        };
+
+        // Internal. Intentionally not documented. Returns a unique dBase field name of at most 10 ASCII characters.
+        ShapefileExporter.fieldName = function (key, names) {
+            var base = String(key).replace(/[^A-Za-z0-9_]/g, "_").substring(0, 10) || "FIELD",
+                name = base;
+
+            for (var suffix = 1; names.hasOwnProperty(name.toUpperCase()); suffix++) {
+                name = base.substring(0, 10 - String(suffix).length) + suffix;
+            }
+            names[name.toUpperCase()] = true;
+
+            return name;
+        };
+
+        // Internal. Intentionally not documented. Returns the bytes of a value formatted for a dBase field.
+        ShapefileExporter.formatValue = function (field, value) {
+            var bytes = new Uint8Array(field.length), text = "", i;
+
+            if (value !== null && value !== undefined) {
+                if (field.type === "N") {
+                    text = value.toFixed(field.decimals);
+                    if (text.length > field.length) {
+                        text = value.toPrecision(Math.max(1, field.length - 6)); // Leave room for the exponent.
+                    }
+                } else if (field.type === "L") {
+                    text = value ? "T" : "F";
+                } else {
+                    text = ShapefileExporter.stringValue(value);
+                }
+            }
+
+            if (field.type === "C") {
+                var encoded = ShapefileExporter.encodeUtf8(text);
+                for (i = 0; i < field.length; i++) {
+                    bytes[i] = i < encoded.length ? encoded[i] : 0x20;
+                }
+            } else {
+                // Numeric and logical values are right-justified ASCII.
+                for (i = 0; i < field.length; i++) {
+                    var c = i - (field.length - text.length);
+                    bytes[i] = c >= 0 ? text.charCodeAt(c) : 0x20;
+                }
+            }
+
+            return bytes;
+        };
+
+        // Internal. Intentionally not documented.
+        ShapefileExporter.stringValue = function (value) {
+            if (value instanceof Date) {
+                return value.toISOString();
+            }
+
+            return typeof value === "object" ? JSON.stringify(value) : String(value);
+        };
+
+        // Internal. Intentionally not documented.
+        ShapefileExporter.encodeUtf8 = function (text) {
+            var utf8 = unescape(encodeURIComponent(text)),
+                bytes = new Uint8Array(utf8.length);
+
+            for (var i = 0; i < utf8.length; i++) {
+                bytes[i] = utf8.charCodeAt(i);
+            }
+
+            return bytes;
+        };
+
+        return ShapefileExporter;
+    });
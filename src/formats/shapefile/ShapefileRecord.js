@@ -320,7 +320,7 @@ define([
             this._lastPartNumber = this._numberOfParts - 1;
             this._numberOfPoints = 1;
 
-            this._parts = [this._buffer.getDoubleArray(2)];
+            this._parts = [this.shapefile.toGeographicLocations(this._buffer.getDoubleArray(2))];
 
             var latitude = this._parts[0][1];
             var longitude = this._parts[0][0];
@@ -365,6 +365,7 @@ define([
                     // Add the record's points to the Shapefile's point buffer, and record this record's part offset in the
                     // Shapefile's point buffer.
                     this._parts[partNumber] = this._buffer.getDoubleArray(numPointsInPart * 2);
+                    this.shapefile.toGeographicLocations(this._parts[partNumber]);
                     ShapefileRecord.normalizeLocations(this._parts[partNumber]);
                 }
             }
@@ -394,7 +395,7 @@ define([
             this._numberOfParts = 1;
             this._numberOfPoints = this._buffer.getInt32();
 
-            this._parts = [this._buffer.getDoubleArray(this._numberOfPoints * 2)];
+            this._parts = [this.shapefile.toGeographicLocations(this._buffer.getDoubleArray(this._numberOfPoints * 2))];
             ShapefileRecord.normalizeLocations(this._parts[0]);
 
             // Read the optional Z value.
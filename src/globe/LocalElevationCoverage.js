@@ -0,0 +1,312 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports LocalElevationCoverage
+ */
+define([
+        '../formats/aaigrid/AAIGridReader',
+        '../error/ArgumentError',
+        '../globe/ElevationCoverage',
+        '../analysis/ElevationGrid',
+        '../formats/geotiff/GeoTiffReader',
+        '../util/Logger',
+        '../geom/Sector'
+    ],
+    function (AAIGridReader,
+              ArgumentError,
+              ElevationCoverage,
+              ElevationGrid,
+              GeoTiffReader,
+              Logger,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs a local elevation coverage.
+         * @alias LocalElevationCoverage
+         * @constructor
+         * @augments ElevationCoverage
+         * @classdesc Provides elevations from a DEM held in memory, typically read from a local file. Coverages of
+         * this type are created from the file's contents by [fromAAIGrid]{@link LocalElevationCoverage.fromAAIGrid},
+         * [fromGeoTiff]{@link LocalElevationCoverage.fromGeoTiff}, [fromBil]{@link LocalElevationCoverage.fromBil}
+         * or [fromHgt]{@link LocalElevationCoverage.fromHgt}, and added to an {@link ElevationModel}. The model
+         * uses the coverage where it has data and its resolution best matches the resolution requested, just as it
+         * does its remote coverages. Elsewhere the model's other coverages provide the elevations.
+         * @param {ElevationGrid} grid The DEM's elevations.
+         * @throws {ArgumentError} If the specified grid is null or undefined.
+         */
+        var LocalElevationCoverage = function (grid) {
+            if (!grid) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "constructor",
+                        "The specified grid is null or undefined."));
+            }
+
+            ElevationCoverage.call(this, Math.min(grid.sector.deltaLatitude() / (grid.height - 1),
+                grid.sector.deltaLongitude() / (grid.width - 1)));
+
+            this.displayName = "Local Elevation Coverage";
+
+            this.coverageSector = grid.sector;
+
+            /**
+             * The DEM's elevations.
+             * @type {ElevationGrid}
+             * @readonly
+             */
+            this.grid = grid;
+
+            /**
+             * The DEM's minimum elevation in meters.
+             * @type {Number}
+             * @readonly
+             */
+            this.minElevation = Number.MAX_VALUE;
+
+            /**
+             * The DEM's maximum elevation in meters.
+             * @type {Number}
+             * @readonly
+             */
+            this.maxElevation = -Number.MAX_VALUE;
+
+            for (var i = 0, len = grid.width * grid.height; i < len; i++) {
+                var elevation = grid.elevations[i];
+                if (!isNaN(elevation)) {
+                    this.minElevation = Math.min(this.minElevation, elevation);
+                    this.maxElevation = Math.max(this.maxElevation, elevation);
+                }
+            }
+
+            if (this.minElevation > this.maxElevation) { // no data
+                this.minElevation = this.maxElevation = 0;
+            }
+        };
+
+        LocalElevationCoverage.prototype = Object.create(ElevationCoverage.prototype);
+
+        /**
+         * Creates a coverage from an ESRI ASCII grid DEM.
+         * @param {String|ArrayBuffer} dataSource The contents of the ASCII grid file.
+         * @returns {LocalElevationCoverage} The new coverage.
+         * @throws {ArgumentError} If the specified data source is null, undefined or not a string or array buffer.
+         */
+        LocalElevationCoverage.fromAAIGrid = function (dataSource) {
+            return new LocalElevationCoverage(ElevationGrid.fromAAIGrid(new AAIGridReader(dataSource)));
+        };
+
+        /**
+         * Creates a coverage from a GeoTIFF DEM in geographic coordinates.
+         * @param {ArrayBuffer} arrayBuffer The contents of the GeoTIFF file.
+         * @returns {LocalElevationCoverage} The new coverage.
+         * @throws {ArgumentError} If the specified array buffer is null or undefined.
+         */
+        LocalElevationCoverage.fromGeoTiff = function (arrayBuffer) {
+            return new LocalElevationCoverage(ElevationGrid.fromGeoTiff(new GeoTiffReader(arrayBuffer)));
+        };
+
+        /**
+         * Creates a coverage from a raw BIL DEM. BIL files carry no georeferencing, which is typically found in an
+         * accompanying header file and must be specified here.
+         * @param {ArrayBuffer} arrayBuffer The contents of the BIL file.
+         * @param {Sector} sector The sector spanned by the centers of the DEM's pixels. The header's ULXMAP and
+         * ULYMAP values indicate the center of the northwest pixel.
+         * @param {Number} width The number of pixels in each row.
+         * @param {Number} height The number of rows.
+         * @param {Object} options Optional. An object with any of the following properties:
+         * <ul>
+         *     <li>dataType - The type of the pixel values, "int16" or "float32". The default is "int16".</li>
+         *     <li>littleEndian - Indicates whether the values are little endian. The default is true.</li>
+         *     <li>noData - The value indicating missing elevations. The default is -9999.</li>
+         * </ul>
+         * @returns {LocalElevationCoverage} The new coverage.
+         * @throws {ArgumentError} If the specified array buffer or sector is null or undefined, or the array buffer is
+         * smaller than the specified size indicates.
+         */
+        LocalElevationCoverage.fromBil = function (arrayBuffer, sector, width, height, options) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "fromBil", "missingSector"));
+            }
+
+            options = options || {};
+
+            return LocalElevationCoverage.fromRawRaster(arrayBuffer, sector, width, height,
+                options.dataType || "int16",
+                options.littleEndian !== undefined ? options.littleEndian : true,
+                options.noData !== undefined ? options.noData : -9999);
+        };
+
+        /**
+         * Creates a coverage from an SRTM HGT tile. HGT tiles span one degree of latitude and longitude, identified
+         * by the file's name, and hold big endian 16-bit elevations at 1 or 3 arc-second spacing.
+         * @param {ArrayBuffer} arrayBuffer The contents of the HGT file.
+         * @param {String} fileName The file's name, such as "N37W122.hgt", indicating the tile's southwest corner.
+         * @returns {LocalElevationCoverage} The new coverage.
+         * @throws {ArgumentError} If the specified array buffer is null or undefined or not the size of an HGT tile,
+         * or the file name does not identify the tile's location.
+         */
+        LocalElevationCoverage.fromHgt = function (arrayBuffer, fileName) {
+            if (!arrayBuffer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "fromHgt",
+                        "missingArrayBuffer"));
+            }
+
+            var size = Math.round(Math.sqrt(arrayBuffer.byteLength / 2));
+            if (size < 2 || 2 * size * size !== arrayBuffer.byteLength) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "fromHgt",
+                        "The specified array buffer is not the size of an HGT tile."));
+            }
+
+            var match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName || "");
+            if (!match) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "fromHgt",
+                        "The specified file name does not identify the tile's location."));
+            }
+
+            var latitude = parseInt(match[2], 10) * (match[1].toUpperCase() === "S" ? -1 : 1),
+                longitude = parseInt(match[4], 10) * (match[3].toUpperCase() === "W" ? -1 : 1);
+
+            return LocalElevationCoverage.fromRawRaster(arrayBuffer,
+                new Sector(latitude, latitude + 1, longitude, longitude + 1), size, size, "int16", false, -32768);
+        };
+
+        // Internal. Intentionally not documented. Creates a coverage from raw raster values ordered from north to
+        // south.
+        LocalElevationCoverage.fromRawRaster = function (arrayBuffer, sector, width, height, dataType, littleEndian,
+                                                         noData) {
+            if (!arrayBuffer) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "fromRawRaster",
+                        "missingArrayBuffer"));
+            }
+
+            var bytesPerValue = dataType === "float32" ? 4 : 2;
+            if (!width || !height || arrayBuffer.byteLength < width * height * bytesPerValue) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "fromRawRaster",
+                        "The specified array buffer is smaller than the raster's size."));
+            }
+
+            var dataView = new DataView(arrayBuffer),
+                values = new Float64Array(width * height);
+
+            for (var i = 0, len = values.length; i < len; i++) {
+                values[i] = bytesPerValue === 4 ? dataView.getFloat32(4 * i, littleEndian) :
+                    dataView.getInt16(2 * i, littleEndian);
+            }
+
+            return new LocalElevationCoverage(ElevationGrid.fromRaster(values, width, height, sector, noData));
+        };
+
+        // Documented in super class
+        LocalElevationCoverage.prototype.minAndMaxElevationsForSector = function (sector, result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "minAndMaxElevationsForSector",
+                        "missingSector"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "minAndMaxElevationsForSector",
+                        "missingResult"));
+            }
+
+            if (!this.coverageSector.intersects(sector)) {
+                return false; // Sector is outside the coverage's coverage area. Don't modify the result.
+            }
+
+            // Include the grid points surrounding the sector, which contribute to elevations within it.
+            var grid = this.grid,
+                deltaLat = grid.sector.deltaLatitude() / (grid.height - 1),
+                deltaLon = grid.sector.deltaLongitude() / (grid.width - 1),
+                firstRow = Math.max(0, Math.floor((sector.minLatitude - grid.sector.minLatitude) / deltaLat)),
+                lastRow = Math.min(grid.height - 1,
+                    Math.ceil((sector.maxLatitude - grid.sector.minLatitude) / deltaLat)),
+                firstCol = Math.max(0, Math.floor((sector.minLongitude - grid.sector.minLongitude) / deltaLon)),
+                lastCol = Math.min(grid.width - 1,
+                    Math.ceil((sector.maxLongitude - grid.sector.minLongitude) / deltaLon)),
+                hasMissingData = false;
+
+            for (var row = firstRow; row <= lastRow; row++) {
+                for (var col = firstCol; col <= lastCol; col++) {
+                    var elevation = grid.elevations[row * grid.width + col];
+                    if (isNaN(elevation)) {
+                        hasMissingData = true;
+                    } else {
+                        if (result[0] > elevation) {
+                            result[0] = elevation;
+                        }
+
+                        if (result[1] < elevation) {
+                            result[1] = elevation;
+                        }
+                    }
+                }
+            }
+
+            return !hasMissingData && this.coverageSector.contains(sector);
+        };
+
+        // Documented in super class
+        LocalElevationCoverage.prototype.elevationAtLocation = function (latitude, longitude) {
+            var elevation = this.grid.elevationAtLocation(latitude, longitude);
+
+            return isNaN(elevation) ? null : elevation; // null when outside the coverage or missing
+        };
+
+        // Documented in super class
+        LocalElevationCoverage.prototype.elevationsForGrid = function (sector, numLat, numLon, result) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "elevationsForGrid",
+                        "missingSector"));
+            }
+
+            if (!numLat || !numLon || numLat < 1 || numLon < 1) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LocalElevationCoverage", "elevationsForGrid",
+                        "The specified number of latitudinal or longitudinal positions is less than one."));
+            }
+
+            var deltaLat = sector.deltaLatitude() / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = sector.deltaLongitude() / (numLon > 1 ? numLon - 1 : 1),
+                resultFilled = true,
+                index = 0;
+
+            for (var j = 0; j < numLat; j++) {
+                // Explicitly use the max latitude and longitude for the last row and column to ensure alignment.
+                var latitude = j === numLat - 1 ? sector.maxLatitude : sector.minLatitude + j * deltaLat;
+
+                for (var i = 0; i < numLon; i++, index++) {
+                    if (isNaN(result[index])) { // don't replace elevations from higher resolution coverages
+                        var longitude = i === numLon - 1 ? sector.maxLongitude : sector.minLongitude + i * deltaLon;
+                        result[index] = this.grid.elevationAtLocation(latitude, longitude);
+                        resultFilled = resultFilled && !isNaN(result[index]);
+                    }
+                }
+            }
+
+            return resultFilled;
+        };
+
+        return LocalElevationCoverage;
+    });
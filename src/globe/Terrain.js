@@ -119,6 +119,7 @@ define([
         /**
          * Computes a Cartesian point at a location on the surface of this terrain according to a specified
          * altitude mode.
+         * Both the terrain elevation and the offset are multiplied by the vertical exaggeration.
          * @param {Number} latitude The location's latitude.
          * @param {Number} longitude The location's longitude.
          * @param {Number} offset Distance above the terrain, in meters relative to the specified altitude mode, at
@@ -143,7 +144,8 @@ define([
             if (altitudeMode === WorldWind.CLAMP_TO_GROUND) {
                 return this.surfacePoint(latitude, longitude, 0, result);
             } else if (altitudeMode === WorldWind.RELATIVE_TO_GROUND) {
-                return this.surfacePoint(latitude, longitude, offset, result);
+                // Exaggerate the offset as absolute altitudes are, so a position maps to the same point in either mode.
+                return this.surfacePoint(latitude, longitude, offset * this.verticalExaggeration, result);
             } else {
                 var height = offset * this.verticalExaggeration;
                 this.globe.computePointFromPosition(latitude, longitude, height, result);
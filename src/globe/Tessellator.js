@@ -667,6 +667,17 @@ define(['../geom/Angle',
             Tile.createTilesForLevel(this.levels.firstLevel(), this, this.topLevelTiles[dc.globeStateKey]);
         };
 
+        // Releases the top-level tiles and the vertex buffers created for a globe state that won't be displayed
+        // again, such as an intermediate state of a globe morph. Only the vertex buffers of the most recently
+        // tessellated tiles are released, since those of other tiles have been created for other globe states.
+        Tessellator.prototype.discardGlobeState = function (globeStateKey, gpuResourceCache) {
+            delete this.topLevelTiles[globeStateKey];
+
+            for (var i = 0, len = this.tiles.length; i < len; i++) {
+                gpuResourceCache.removeResource(globeStateKey + this.tiles[i].tileKey);
+            }
+        };
+
         Tessellator.prototype.addTileOrDescendants = function (dc, tile) {
             if (this.tileMeetsRenderCriteria(dc, tile)) {
                 this.addTile(dc, tile);
@@ -0,0 +1,463 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports CloudOptimizedGeoTiffLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geotiff/GeoTiffReader',
+        '../geom/Location',
+        '../util/Logger',
+        '../cache/MemoryCache',
+        '../layer/TiledImageLayer'
+    ],
+    function (ArgumentError,
+              GeoTiffReader,
+              Location,
+              Logger,
+              MemoryCache,
+              TiledImageLayer) {
+        "use strict";
+
+        /**
+         * Constructs a Cloud Optimized GeoTiff layer. Applications typically use
+         * [CloudOptimizedGeoTiffLayer.retrieveFromUrl]{@link CloudOptimizedGeoTiffLayer.retrieveFromUrl} rather than
+         * this constructor, which requires the GeoTiff's header to have already been read.
+         * @alias CloudOptimizedGeoTiffLayer
+         * @constructor
+         * @augments TiledImageLayer
+         * @classdesc Displays a tiled GeoTiff and its reduced resolution overviews, i.e., a Cloud Optimized GeoTiff
+         * (COG), directly from a web server. Only the GeoTiff tiles needed for the current view are retrieved, using
+         * HTTP range requests, so very large images can be displayed from a static file server without first
+         * splitting them into separate image tiles.
+         * <p>
+         * The GeoTiff's images are mapped to this layer's levels from lowest to highest resolution: level 0 displays
+         * the lowest resolution overview and the last level displays the full resolution image. The GeoTiff must be
+         * tiled and use geographic coordinates. Its overviews are expected to each halve the resolution of the next
+         * higher resolution image.
+         * <p>
+         * Projected GeoTiffs, including Web Mercator (EPSG:3857) and UTM GeoTiffs, are not supported: this layer's
+         * levels and tiles are defined in geographic coordinates, and GeoTiff tiles are displayed without resampling,
+         * so each image's pixels must be evenly spaced in latitude and longitude. Reproject such GeoTiffs to WGS 84
+         * geographic coordinates (EPSG:4326) before displaying them, e.g., with GDAL's
+         * <code>gdalwarp -t_srs EPSG:4326 -of COG</code>.
+         * @param {String} url The URL of the GeoTiff.
+         * @param {GeoTiffReader} geoTiffReader A reader containing at least the GeoTiff's image file directories.
+         * @throws {ArgumentError} If the specified URL or reader is null or undefined, or if the GeoTiff is not tiled
+         * or is not in geographic coordinates.
+         */
+        var CloudOptimizedGeoTiffLayer = function (url, geoTiffReader) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "constructor", "missingUrl"));
+            }
+
+            if (!geoTiffReader) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "constructor",
+                        "The specified GeoTiff reader is null or undefined."));
+            }
+
+            if (geoTiffReader.metadata.projectedCSType) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "constructor",
+                        "The specified GeoTiff is in projected coordinates. Only geographic GeoTiffs are supported."));
+            }
+
+            var images = CloudOptimizedGeoTiffLayer.tiledImages(geoTiffReader);
+            if (images.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "constructor",
+                        "The specified GeoTiff is not tiled."));
+            }
+
+            var sector = geoTiffReader.metadata.bbox,
+                lowestResolution = images[0],
+                tileWidth = lowestResolution.tileWidth,
+                tileHeight = lowestResolution.tileLength,
+                // Level zero tiles span one tile of the lowest resolution image.
+                levelZeroDelta = new Location(
+                    sector.deltaLatitude() * tileHeight / lowestResolution.imageLength,
+                    sector.deltaLongitude() * tileWidth / lowestResolution.imageWidth);
+
+            TiledImageLayer.call(this, sector, levelZeroDelta, images.length, "image/png", url, tileWidth,
+                tileHeight);
+
+            this.displayName = "Cloud Optimized GeoTiff";
+
+            /**
+             * The URL of the GeoTiff displayed by this layer.
+             * @type {String}
+             * @readonly
+             */
+            this.url = url;
+
+            /**
+             * The reader containing the GeoTiff's image file directories.
+             * @type {GeoTiffReader}
+             * @readonly
+             */
+            this.geoTiffReader = geoTiffReader;
+
+            // Internal. Intentionally not documented. The metadata of the GeoTiff's images, one per level.
+            this.images = images;
+
+            // Internal. Intentionally not documented. Holds decoded GeoTiff tiles, which are shared by adjacent
+            // layer tiles.
+            this.geoTiffTileCache = new MemoryCache(50e6, 40e6);
+
+            // Internal. Intentionally not documented. Maps the keys of GeoTiff tiles being retrieved to the callbacks
+            // awaiting them.
+            this.geoTiffTileRetrievals = {};
+        };
+
+        CloudOptimizedGeoTiffLayer.prototype = Object.create(TiledImageLayer.prototype);
+
+        /**
+         * The number of bytes initially requested when reading a GeoTiff's header. The request is repeated with a
+         * larger range if the header's image file directories extend beyond this length.
+         * @type {Number}
+         * @default 65536
+         */
+        CloudOptimizedGeoTiffLayer.HEADER_LENGTH = 65536;
+
+        // Internal. Intentionally not documented. The largest header range requested before giving up.
+        CloudOptimizedGeoTiffLayer.MAX_HEADER_LENGTH = 16777216;
+
+        /**
+         * Retrieves the header of a Cloud Optimized GeoTiff and creates a layer to display it. The header is read with
+         * an HTTP range request, so the GeoTiff's image data is not retrieved.
+         * @param {String} url The URL of the GeoTiff.
+         * @param {Function} callback A function called when the layer has been created, or creation failed. The
+         * function's first argument is the new layer, or null if creation failed. The second argument is the
+         * XMLHttpRequest used to retrieve the header.
+         * @throws {ArgumentError} If the specified URL or callback is null or undefined.
+         */
+        CloudOptimizedGeoTiffLayer.retrieveFromUrl = function (url, callback) {
+            if (!url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "retrieveFromUrl",
+                        "missingUrl"));
+            }
+
+            if (!callback) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "CloudOptimizedGeoTiffLayer", "retrieveFromUrl",
+                        "The specified callback is null or undefined."));
+            }
+
+            var retrieveHeader = function (headerLength) {
+                var xhr = new XMLHttpRequest();
+
+                xhr.open("GET", url, true);
+                xhr.setRequestHeader("Range", "bytes=0-" + (headerLength - 1));
+                xhr.responseType = 'arraybuffer';
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState !== 4) {
+                        return;
+                    }
+
+                    if (xhr.status !== 200 && xhr.status !== 206) {
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "GeoTiff header retrieval failed (" + xhr.statusText + "): " + url);
+                        callback(null, xhr);
+                        return;
+                    }
+
+                    var layer;
+                    try {
+                        layer = new CloudOptimizedGeoTiffLayer(url, new GeoTiffReader(xhr.response));
+                    } catch (e) {
+                        // A partial header that ends within the image file directories can't be read. Retry with
+                        // a larger range.
+                        if (e instanceof RangeError && xhr.status === 206 &&
+                            headerLength < CloudOptimizedGeoTiffLayer.MAX_HEADER_LENGTH) {
+                            retrieveHeader(headerLength * 4);
+                            return;
+                        }
+
+                        Logger.log(Logger.LEVEL_WARNING, "Unable to read GeoTiff header: " + url + " " + e.message);
+                        callback(null, xhr);
+                        return;
+                    }
+
+                    callback(layer, xhr);
+                };
+
+                // Network errors, which are followed by an error event, also complete the request with a status of 0,
+                // so every failure is reported above.
+                xhr.send(null);
+            };
+
+            retrieveHeader(CloudOptimizedGeoTiffLayer.HEADER_LENGTH);
+        };
+
+        // Internal. Intentionally not documented. Returns the metadata of a GeoTiff's tiled images, excluding
+        // transparency masks, ordered from lowest to highest resolution.
+        CloudOptimizedGeoTiffLayer.tiledImages = function (geoTiffReader) {
+            var images = [];
+
+            for (var i = 0, len = geoTiffReader.imageFileDirectories.length; i < len; i++) {
+                var metadata = geoTiffReader.getImageMetadata(i);
+                if (metadata.tileOffsets && !(metadata.newSubfileType & 4)) {
+                    images.push(metadata);
+                }
+            }
+
+            images.sort(function (a, b) {
+                return a.imageWidth - b.imageWidth;
+            });
+
+            return images;
+        };
+
+        /**
+         * Retrieves the image for the specified tile by reading the GeoTiff tiles it overlaps from the GeoTiff image
+         * associated with the tile's level.
+         * @param {DrawContext} dc The current draw context.
+         * @param {ImageTile} tile The tile for which to retrieve the image.
+         * @param {Boolean} suppressRedraw true to suppress generation of redraw events when an image is successfully
+         * retrieved, otherwise false.
+         * @protected
+         */
+        CloudOptimizedGeoTiffLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.currentRetrievals.indexOf(tile.imagePath) >= 0 ||
+                this.currentRetrievals.length > this.retrievalQueueSize ||
+                this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                return;
+            }
+
+            var imageIndex = tile.level.levelNumber,
+                metadata = this.images[imageIndex],
+                pixelWindow = this.pixelWindowForSector(tile.sector, metadata),
+                geoTiffTiles = this.geoTiffTilesForSector(tile.sector, imageIndex),
+                imagePath = tile.imagePath,
+                cache = dc.gpuResourceCache,
+                canvas = dc.currentGlContext.canvas,
+                numPending = 0,
+                failed = false,
+                layer = this;
+
+            if (geoTiffTiles.length === 0) {
+                this.absentResourceList.markResourceAbsentPermanently(imagePath);
+                return;
+            }
+
+            var onGeoTiffTileRetrieved = function (success) {
+                failed = failed || !success;
+
+                if (--numPending > 0) {
+                    return;
+                }
+
+                layer.removeFromCurrentRetrievals(imagePath);
+
+                if (failed) {
+                    layer.absentResourceList.markResourceAbsent(imagePath);
+                    return;
+                }
+
+                var texture = layer.createTexture(dc, tile,
+                    layer.composeTileImage(metadata, pixelWindow, geoTiffTiles));
+
+                if (texture) {
+                    cache.putResource(imagePath, texture, texture.size);
+
+                    layer.currentTilesInvalid = true;
+                    layer.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                    if (!suppressRedraw) {
+                        // Send an event to request a redraw.
+                        var e = document.createEvent('Event');
+                        e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                        canvas.dispatchEvent(e);
+                    }
+                }
+            };
+
+            this.currentRetrievals.push(imagePath);
+            numPending = geoTiffTiles.length;
+
+            geoTiffTiles.forEach(function (geoTiffTile) {
+                layer.retrieveGeoTiffTile(imageIndex, geoTiffTile.row, geoTiffTile.column, function (image, success) {
+                    geoTiffTile.image = image;
+                    onGeoTiffTileRetrieved(success);
+                });
+            });
+        };
+
+        // Internal. Intentionally not documented. Computes the region of a GeoTiff image covered by a sector, in
+        // pixels from the image's upper left corner.
+        CloudOptimizedGeoTiffLayer.prototype.pixelWindowForSector = function (sector, metadata) {
+            var bbox = this.geoTiffReader.metadata.bbox,
+                pixelsPerDegreeX = metadata.imageWidth / bbox.deltaLongitude(),
+                pixelsPerDegreeY = metadata.imageLength / bbox.deltaLatitude();
+
+            return {
+                minX: (sector.minLongitude - bbox.minLongitude) * pixelsPerDegreeX,
+                maxX: (sector.maxLongitude - bbox.minLongitude) * pixelsPerDegreeX,
+                minY: (bbox.maxLatitude - sector.maxLatitude) * pixelsPerDegreeY,
+                maxY: (bbox.maxLatitude - sector.minLatitude) * pixelsPerDegreeY
+            };
+        };
+
+        // Internal. Intentionally not documented. Returns the rows and columns of the tiles of a specified GeoTiff
+        // image that overlap a sector, as objects with row, column and image properties. The image properties are null.
+        CloudOptimizedGeoTiffLayer.prototype.geoTiffTilesForSector = function (sector, imageIndex) {
+            var metadata = this.images[imageIndex],
+                pixelWindow = this.pixelWindowForSector(sector, metadata),
+                tilesAcross = Math.ceil(metadata.imageWidth / metadata.tileWidth),
+                tilesDown = Math.ceil(metadata.imageLength / metadata.tileLength),
+                firstColumn = Math.max(0, Math.floor(pixelWindow.minX / metadata.tileWidth)),
+                lastColumn = Math.min(tilesAcross - 1, Math.ceil(pixelWindow.maxX / metadata.tileWidth) - 1),
+                firstRow = Math.max(0, Math.floor(pixelWindow.minY / metadata.tileLength)),
+                lastRow = Math.min(tilesDown - 1, Math.ceil(pixelWindow.maxY / metadata.tileLength) - 1),
+                geoTiffTiles = [];
+
+            for (var row = firstRow; row <= lastRow; row++) {
+                for (var column = firstColumn; column <= lastColumn; column++) {
+                    geoTiffTiles.push({row: row, column: column, image: null});
+                }
+            }
+
+            return geoTiffTiles;
+        };
+
+        // Internal. Intentionally not documented. Returns the byte range of a GeoTiff tile within the GeoTiff, as an
+        // object with offset and byteCount properties. The byte count is 0 for tiles omitted from sparse GeoTiffs.
+        CloudOptimizedGeoTiffLayer.prototype.geoTiffTileByteRange = function (imageIndex, row, column) {
+            var metadata = this.images[imageIndex],
+                tileIndex = row * Math.ceil(metadata.imageWidth / metadata.tileWidth) + column;
+
+            return {
+                offset: metadata.tileOffsets[tileIndex],
+                byteCount: metadata.tileByteCounts[tileIndex] || 0
+            };
+        };
+
+        // Internal. Intentionally not documented. Draws the GeoTiff tiles covering a layer tile into a canvas the
+        // size of the layer's tiles. Regions of the layer tile outside the GeoTiff image are left transparent.
+        CloudOptimizedGeoTiffLayer.prototype.composeTileImage = function (metadata, pixelWindow, geoTiffTiles) {
+            var canvas = document.createElement("canvas"),
+                ctx = canvas.getContext("2d"),
+                width = this.levels.tileWidth,
+                height = this.levels.tileHeight,
+                scaleX = width / (pixelWindow.maxX - pixelWindow.minX),
+                scaleY = height / (pixelWindow.maxY - pixelWindow.minY);
+
+            canvas.width = width;
+            canvas.height = height;
+
+            // Clip to the image to exclude the padding of tiles at the image's right and bottom edges.
+            ctx.beginPath();
+            ctx.rect(-pixelWindow.minX * scaleX, -pixelWindow.minY * scaleY,
+                metadata.imageWidth * scaleX, metadata.imageLength * scaleY);
+            ctx.clip();
+
+            for (var i = 0, len = geoTiffTiles.length; i < len; i++) {
+                var geoTiffTile = geoTiffTiles[i];
+                if (geoTiffTile.image) {
+                    ctx.drawImage(geoTiffTile.image,
+                        (geoTiffTile.column * metadata.tileWidth - pixelWindow.minX) * scaleX,
+                        (geoTiffTile.row * metadata.tileLength - pixelWindow.minY) * scaleY,
+                        metadata.tileWidth * scaleX,
+                        metadata.tileLength * scaleY);
+                }
+            }
+
+            return canvas;
+        };
+
+        // Internal. Intentionally not documented. Retrieves and decodes a GeoTiff tile using an HTTP range request.
+        // The callback receives the tile's image, or null if the tile is empty or retrieval failed, and a flag
+        // indicating whether retrieval succeeded.
+        CloudOptimizedGeoTiffLayer.prototype.retrieveGeoTiffTile = function (imageIndex, row, column, callback) {
+            var metadata = this.images[imageIndex],
+                byteRange = this.geoTiffTileByteRange(imageIndex, row, column),
+                tileOffset = byteRange.offset,
+                tileByteCount = byteRange.byteCount,
+                key = imageIndex + "/" + row + "/" + column,
+                image = this.geoTiffTileCache.entryForKey(key),
+                layer = this;
+
+            if (image) {
+                callback(image, true);
+                return;
+            }
+
+            // Sparse GeoTiffs omit empty tiles.
+            if (!tileByteCount) {
+                callback(null, true);
+                return;
+            }
+
+            if (this.geoTiffTileRetrievals[key]) {
+                this.geoTiffTileRetrievals[key].push(callback);
+                return;
+            }
+
+            this.geoTiffTileRetrievals[key] = [callback];
+
+            var complete = function (image, success) {
+                var callbacks = layer.geoTiffTileRetrievals[key];
+                delete layer.geoTiffTileRetrievals[key];
+
+                if (image) {
+                    layer.geoTiffTileCache.putEntry(key, image, image.width * image.height * 4);
+                }
+
+                for (var i = 0; i < callbacks.length; i++) {
+                    callbacks[i](image, success);
+                }
+            };
+
+            var url = this.url,
+                xhr = new XMLHttpRequest();
+
+            xhr.open("GET", url, true);
+            xhr.setRequestHeader("Range", "bytes=" + tileOffset + "-" + (tileOffset + tileByteCount - 1));
+            xhr.responseType = 'arraybuffer';
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState !== 4) {
+                    return;
+                }
+
+                if (xhr.status === 206 || xhr.status === 200) {
+                    // A server that doesn't support range requests returns the entire file.
+                    var tileData = xhr.status === 206 ? xhr.response :
+                        xhr.response.slice(tileOffset, tileOffset + tileByteCount);
+
+                    try {
+                        complete(layer.geoTiffReader.getTileImage(metadata, tileData), true);
+                    } catch (e) {
+                        Logger.log(Logger.LEVEL_WARNING, "Unable to decode GeoTiff tile: " + url + " " + e.message);
+                        complete(null, false);
+                    }
+                }
+                else {
+                    Logger.log(Logger.LEVEL_WARNING, "GeoTiff tile retrieval failed (" + xhr.statusText + "): " + url);
+                    complete(null, false);
+                }
+            };
+
+            // As in retrieveFromUrl, network errors complete the request with a status of 0, so there's no separate
+            // error handler to call the callbacks a second time.
+            xhr.send(null);
+        };
+
+        return CloudOptimizedGeoTiffLayer;
+    });
@@ -0,0 +1,431 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ClusteringLayer
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../shapes/ClusterPlacemark',
+        '../util/Color',
+        '../util/ImageSource',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Matrix',
+        '../util/Offset',
+        '../shapes/Placemark',
+        '../shapes/PlacemarkAttributes',
+        '../geom/Position',
+        '../layer/RenderableLayer',
+        '../geom/Vec3'
+    ],
+    function (Angle,
+              ArgumentError,
+              ClusterPlacemark,
+              Color,
+              ImageSource,
+              Location,
+              Logger,
+              Matrix,
+              Offset,
+              Placemark,
+              PlacemarkAttributes,
+              Position,
+              RenderableLayer,
+              Vec3) {
+        "use strict";
+
+        /**
+         * Constructs a clustering layer.
+         * @alias ClusteringLayer
+         * @constructor
+         * @augments RenderableLayer
+         * @classdesc Provides a layer that groups its placemarks by their proximity on the screen. Placemarks whose
+         * screen points are within [clusterRadius]{@link ClusteringLayer#clusterRadius} of each other are replaced
+         * by one {@link ClusterPlacemark} displaying a badge with the number of placemarks it represents. The
+         * clusters are recomputed whenever the view changes, so they split apart as the user zooms in. Renderables
+         * other than placemarks are displayed as they are in a {@link RenderableLayer}.
+         * <p>
+         * Cluster placemarks are picked and highlighted like other placemarks. A cluster whose placemarks are
+         * unchanged when the clusters are recomputed is kept, along with its highlight state. Applications typically
+         * respond to a picked cluster by calling [zoomToCluster]{@link ClusteringLayer#zoomToCluster} or
+         * [expandCluster]{@link ClusteringLayer#expandCluster}.
+         * <p>
+         * The placemarks are clustered according to their positions at the time the view changes. Applications
+         * moving placemarks in a view that doesn't change must call
+         * [invalidateClusters]{@link ClusteringLayer#invalidateClusters}.
+         * @param {String} displayName This layer's display name.
+         */
+        var ClusteringLayer = function (displayName) {
+            RenderableLayer.call(this, displayName);
+
+            /**
+             * Indicates whether placemarks are clustered. When false, this layer behaves like a
+             * {@link RenderableLayer}.
+             * @type {Boolean}
+             * @default true
+             */
+            this.clusteringEnabled = true;
+
+            /**
+             * The screen distance, in pixels, within which placemarks are grouped into one cluster.
+             * @type {Number}
+             * @default 40
+             */
+            this.clusterRadius = 40;
+
+            /**
+             * The minimum number of placemarks forming a cluster. Smaller groups are displayed as individual
+             * placemarks.
+             * @type {Number}
+             * @default 2
+             */
+            this.minimumClusterSize = 2;
+
+            /**
+             * The color of cluster badges.
+             * @type {Color}
+             * @default Semi-transparent blue (0.1, 0.4, 0.8, 0.9)
+             */
+            this.clusterColor = new Color(0.1, 0.4, 0.8, 0.9);
+
+            /**
+             * The color of the count displayed on cluster badges.
+             * @type {Color}
+             * @default White
+             */
+            this.clusterTextColor = Color.WHITE;
+
+            /**
+             * The clusters displayed by this layer in the most recent frame.
+             * @type {ClusterPlacemark[]}
+             * @readonly
+             */
+            this.clusters = [];
+
+            // Internal. Intentionally not documented.
+            this.displayedRenderables = [];
+
+            // Internal. Intentionally not documented.
+            this.expandedPlacemarks = [];
+
+            // Internal. Intentionally not documented.
+            this.clusterAttributes = {};
+
+            // Internal. Intentionally not documented.
+            this.lastModelviewProjection = Matrix.fromIdentity();
+
+            // Internal. Intentionally not documented.
+            this.clustersInvalid = true;
+        };
+
+        ClusteringLayer.prototype = Object.create(RenderableLayer.prototype);
+
+        // Documented in superclass.
+        ClusteringLayer.prototype.addRenderable = function (renderable) {
+            RenderableLayer.prototype.addRenderable.call(this, renderable);
+            this.invalidateClusters();
+        };
+
+        // Documented in superclass.
+        ClusteringLayer.prototype.removeRenderable = function (renderable) {
+            RenderableLayer.prototype.removeRenderable.call(this, renderable);
+            this.invalidateClusters();
+        };
+
+        // Documented in superclass.
+        ClusteringLayer.prototype.removeAllRenderables = function () {
+            RenderableLayer.prototype.removeAllRenderables.call(this);
+            this.expandedPlacemarks = [];
+            this.invalidateClusters();
+        };
+
+        /**
+         * Causes the clusters to be recomputed during the next frame.
+         */
+        ClusteringLayer.prototype.invalidateClusters = function () {
+            this.clustersInvalid = true;
+        };
+
+        /**
+         * Displays the placemarks of a specified cluster individually, regardless of their proximity, until
+         * [collapseClusters]{@link ClusteringLayer#collapseClusters} is called.
+         * @param {ClusterPlacemark} cluster The cluster to expand.
+         * @throws {ArgumentError} If the specified cluster is null or undefined.
+         */
+        ClusteringLayer.prototype.expandCluster = function (cluster) {
+            if (!cluster) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ClusteringLayer", "expandCluster",
+                    "missingRenderable"));
+            }
+
+            this.expandedPlacemarks = this.expandedPlacemarks.concat(cluster.placemarks);
+            this.invalidateClusters();
+        };
+
+        /**
+         * Resumes clustering the placemarks of all clusters expanded by
+         * [expandCluster]{@link ClusteringLayer#expandCluster}.
+         */
+        ClusteringLayer.prototype.collapseClusters = function () {
+            this.expandedPlacemarks = [];
+            this.invalidateClusters();
+        };
+
+        /**
+         * Moves a WorldWindow's navigator close enough to a specified cluster for its placemarks to be displayed
+         * apart from each other, or clustered in smaller groups.
+         * @param {WorldWindow} worldWindow The WorldWindow to move.
+         * @param {ClusterPlacemark} cluster The cluster to zoom to.
+         * @param {Function} completionCallback If not null or undefined, specifies a function to call when the
+         * animation completes. See [WorldWindow.goTo]{@link WorldWindow#goTo}.
+         * @throws {ArgumentError} If the specified WorldWindow or cluster is null or undefined.
+         */
+        ClusteringLayer.prototype.zoomToCluster = function (worldWindow, cluster, completionCallback) {
+            if (!worldWindow) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ClusteringLayer", "zoomToCluster",
+                    "missingWorldWindow"));
+            }
+
+            if (!cluster) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ClusteringLayer", "zoomToCluster",
+                    "missingRenderable"));
+            }
+
+            var sector = cluster.sector,
+                center = sector.centroid(new Location(0, 0)),
+                diagonal = Location.greatCircleDistance(
+                    new Location(sector.minLatitude, sector.minLongitude),
+                    new Location(sector.maxLatitude, sector.maxLongitude)),
+                range = Math.max(diagonal * worldWindow.globe.equatorialRadius * 2, ClusteringLayer.MINIMUM_ZOOM_RANGE);
+
+            worldWindow.goTo(new Position(center.latitude, Angle.normalizedDegreesLongitude(center.longitude), range),
+                completionCallback);
+        };
+
+        // Documented in superclass.
+        ClusteringLayer.prototype.doRender = function (dc) {
+            // Picking frames have the same view as the frame displayed, so they reuse its clusters.
+            if (this.mustAssembleClusters(dc)) {
+                this.assembleClusters(dc);
+            }
+
+            var numOrderedRenderablesAtStart = dc.orderedRenderables.length;
+
+            for (var i = 0, len = this.displayedRenderables.length; i < len; i++) {
+                try {
+                    this.displayedRenderables[i].render(dc);
+                } catch (e) {
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ClusteringLayer", "doRender",
+                        "Error while rendering shape " + this.displayedRenderables[i].displayName + ".\n" +
+                        e.toString());
+                    // Keep going. Render the rest of the shapes.
+                }
+            }
+
+            if (dc.orderedRenderables.length > numOrderedRenderablesAtStart) {
+                this.inCurrentFrame = true;
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        ClusteringLayer.prototype.mustAssembleClusters = function (dc) {
+            if (this.clustersInvalid || !this.lastModelviewProjection.equals(dc.modelviewProjection)) {
+                this.clustersInvalid = false;
+                this.lastModelviewProjection.copy(dc.modelviewProjection);
+                return true;
+            }
+
+            return false;
+        };
+
+        // Internal. Intentionally not documented. Groups the placemarks in a grid of cells the size of the cluster
+        // radius. Each placemark joins the first cluster within the cluster radius in its cell or the neighboring
+        // cells, or otherwise starts a new cluster.
+        ClusteringLayer.prototype.assembleClusters = function (dc) {
+            var radius = this.clusterRadius,
+                modelPoint = new Vec3(0, 0, 0),
+                screenPoint = new Vec3(0, 0, 0),
+                grid = {},
+                groups = [],
+                previousClusters = this.clusters;
+
+            this.clusters = [];
+            this.displayedRenderables = [];
+
+            for (var r = 0, len = this.renderables.length; r < len; r++) {
+                var renderable = this.renderables[r];
+
+                if (!this.clusteringEnabled || !(renderable instanceof Placemark) || !renderable.enabled ||
+                    this.expandedPlacemarks.indexOf(renderable) >= 0 ||
+                    !this.computeScreenPoint(dc, renderable, modelPoint, screenPoint)) {
+                    this.displayedRenderables.push(renderable);
+                    continue;
+                }
+
+                var column = Math.floor(screenPoint[0] / radius),
+                    row = Math.floor(screenPoint[1] / radius),
+                    group = null;
+
+                for (var c = column - 1; c <= column + 1 && !group; c++) {
+                    for (var w = row - 1; w <= row + 1 && !group; w++) {
+                        var cell = grid[c + "," + w] || [];
+                        for (var g = 0; g < cell.length; g++) {
+                            var dx = cell[g].x - screenPoint[0], dy = cell[g].y - screenPoint[1];
+                            if (dx * dx + dy * dy <= radius * radius) {
+                                group = cell[g];
+                                break;
+                            }
+                        }
+                    }
+                }
+
+                if (!group) {
+                    group = {x: screenPoint[0], y: screenPoint[1], placemarks: []};
+                    (grid[column + "," + row] = grid[column + "," + row] || []).push(group);
+                    groups.push(group);
+                }
+
+                group.placemarks.push(renderable);
+            }
+
+            for (var i = 0; i < groups.length; i++) {
+                var placemarks = groups[i].placemarks;
+
+                if (placemarks.length >= Math.max(this.minimumClusterSize, 2)) {
+                    var attributes = this.attributesForCount(placemarks.length, false),
+                        cluster = this.findCluster(previousClusters, placemarks);
+                    if (cluster) {
+                        // The placemarks may have moved since the cluster was created.
+                        cluster.position = ClusterPlacemark.averagePosition(placemarks);
+                        cluster.sector = ClusterPlacemark.boundingSector(placemarks);
+                        cluster.attributes = attributes;
+                    } else {
+                        cluster = new ClusterPlacemark(placemarks, attributes);
+                    }
+                    cluster.highlightAttributes = this.attributesForCount(placemarks.length, true);
+                    this.clusters.push(cluster);
+                    this.displayedRenderables.push(cluster);
+                } else {
+                    Array.prototype.push.apply(this.displayedRenderables, placemarks);
+                }
+            }
+        };
+
+        // Internal. Intentionally not documented. Returns the cluster representing exactly the specified placemarks,
+        // in the same order, or null if there is none. Reusing it keeps its highlight state and the references held
+        // by applications and the highlight controller valid across frames.
+        ClusteringLayer.prototype.findCluster = function (clusters, placemarks) {
+            for (var i = 0, len = clusters.length; i < len; i++) {
+                var candidate = clusters[i].placemarks;
+
+                if (candidate.length === placemarks.length && candidate[0] === placemarks[0] &&
+                    candidate.every(function (placemark, index) {
+                        return placemark === placemarks[index];
+                    })) {
+                    return clusters[i];
+                }
+            }
+
+            return null;
+        };
+
+        // Internal. Intentionally not documented. Computes a placemark's screen point, ignoring the terrain. Returns
+        // false if the placemark is beyond the horizon or far enough outside the viewport not to join any cluster.
+        ClusteringLayer.prototype.computeScreenPoint = function (dc, placemark, modelPoint, screenPoint) {
+            var position = placemark.position,
+                altitude = placemark.altitudeMode === WorldWind.ABSOLUTE ?
+                    position.altitude * dc.verticalExaggeration : 0,
+                viewport = dc.viewport,
+                radius = this.clusterRadius;
+
+            dc.globe.computePointFromPosition(position.latitude, position.longitude, altitude, modelPoint);
+
+            // On a 3D globe, points whose surface faces away from the eye are hidden by the horizon.
+            if (!dc.globe.is2D() && dc.eyePoint.dot(modelPoint) - modelPoint.dot(modelPoint) < 0) {
+                return false;
+            }
+
+            if (!dc.project(modelPoint, screenPoint)) {
+                return false;
+            }
+
+            return screenPoint[0] >= viewport.x - radius && screenPoint[0] <= viewport.x + viewport.width + radius &&
+                screenPoint[1] >= viewport.y - radius && screenPoint[1] <= viewport.y + viewport.height + radius;
+        };
+
+        // Internal. Intentionally not documented. Returns the attributes displaying the badge for a count. The
+        // attributes are shared by all clusters with the same badge.
+        ClusteringLayer.prototype.attributesForCount = function (count, highlighted) {
+            var text = count < 1000 ? count.toString() : Math.floor(count / 1000) + "k",
+                key = text + " " + this.clusterColor.toCssColorString() + " " +
+                    this.clusterTextColor.toCssColorString();
+
+            if (!this.clusterAttributes[key]) {
+                var attributes = new PlacemarkAttributes(null);
+                attributes.imageSource = this.createBadge(text, key);
+                attributes.imageOffset = new Offset(WorldWind.OFFSET_FRACTION, 0.5, WorldWind.OFFSET_FRACTION, 0.5);
+                attributes.imageColor = Color.WHITE;
+
+                var highlightAttributes = new PlacemarkAttributes(attributes);
+                highlightAttributes.imageScale = 1.2;
+
+                this.clusterAttributes[key] = {normal: attributes, highlight: highlightAttributes};
+            }
+
+            return highlighted ? this.clusterAttributes[key].highlight : this.clusterAttributes[key].normal;
+        };
+
+        // Internal. Intentionally not documented.
+        ClusteringLayer.prototype.createBadge = function (text, key) {
+            var canvas = document.createElement("canvas"),
+                size = 24 + 6 * text.length,
+                ctx2D = canvas.getContext("2d");
+
+            canvas.width = size;
+            canvas.height = size;
+
+            ctx2D.beginPath();
+            ctx2D.arc(size / 2, size / 2, size / 2 - 2, 0, 2 * Math.PI);
+            ctx2D.fillStyle = this.clusterColor.toCssColorString();
+            ctx2D.fill();
+            ctx2D.lineWidth = 2;
+            ctx2D.strokeStyle = this.clusterTextColor.toCssColorString();
+            ctx2D.stroke();
+
+            ctx2D.font = "bold 12px sans-serif";
+            ctx2D.textAlign = "center";
+            ctx2D.textBaseline = "middle";
+            ctx2D.fillStyle = this.clusterTextColor.toCssColorString();
+            ctx2D.fillText(text, size / 2, size / 2);
+
+            var imageSource = new ImageSource(canvas);
+            imageSource.key = "ClusteringLayer " + key;
+
+            return imageSource;
+        };
+
+        /**
+         * The smallest range, in meters, to which [zoomToCluster]{@link ClusteringLayer#zoomToCluster} moves the
+         * navigator.
+         * @type {Number}
+         * @default 1000
+         */
+        ClusteringLayer.MINIMUM_ZOOM_RANGE = 1000;
+
+        return ClusteringLayer;
+    });
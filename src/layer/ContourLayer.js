@@ -0,0 +1,318 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ContourLayer
+ */
+define([
+        '../formats/aaigrid/AAIGridReader',
+        '../error/ArgumentError',
+        '../util/Color',
+        '../analysis/ContourGenerator',
+        '../analysis/ElevationGrid',
+        '../globe/ElevationModel',
+        '../util/Font',
+        '../shapes/GeographicText',
+        '../formats/geotiff/GeoTiffReader',
+        '../util/Logger',
+        '../geom/Position',
+        '../layer/RenderableLayer',
+        '../shapes/ShapeAttributes',
+        '../shapes/SurfacePolyline',
+        '../shapes/TextAttributes'
+    ],
+    function (AAIGridReader,
+              ArgumentError,
+              Color,
+              ContourGenerator,
+              ElevationGrid,
+              ElevationModel,
+              Font,
+              GeographicText,
+              GeoTiffReader,
+              Logger,
+              Position,
+              RenderableLayer,
+              ShapeAttributes,
+              SurfacePolyline,
+              TextAttributes) {
+        "use strict";
+
+        /**
+         * Constructs a contour layer.
+         * @alias ContourLayer
+         * @constructor
+         * @augments RenderableLayer
+         * @classdesc Displays the contour lines of terrain elevations at regular intervals. The contours are
+         * generated with the marching squares algorithm from an elevation grid and displayed as
+         * {@link SurfacePolyline}s. Every [indexInterval]{@link ContourLayer#indexInterval}th contour is an index
+         * contour, drawn with [indexAttributes]{@link ContourLayer#indexAttributes} and labeled with its elevation.
+         * <p>
+         * The elevations are taken from an {@link ElevationModel}, typically the globe's, or from a DEM read by an
+         * {@link AAIGridReader} or a {@link GeoTiffReader}. Elevation models retrieve their elevation data as it is
+         * needed, so contours from an elevation model are regenerated as higher resolution data arrives. Call
+         * [refresh]{@link ContourLayer#refresh} after changing this layer's interval or grid size.
+         * @param {Sector} sector The sector in which to generate contours. May be null when the elevation source is a
+         * DEM, in which case contours are generated for the DEM's full extent.
+         * @param {Number} interval The elevation interval between contours, in meters.
+         * @param {ElevationModel|AAIGridReader|GeoTiffReader} elevationSource The source of the elevations.
+         * @throws {ArgumentError} If the interval is not positive, the elevation source is null, undefined or not of
+         * a supported type, or the sector is null or undefined and the elevation source is an elevation model.
+         */
+        var ContourLayer = function (sector, interval, elevationSource) {
+            if (!interval || interval <= 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ContourLayer", "constructor",
+                        "The specified interval is not positive."));
+            }
+
+            if (!(elevationSource instanceof ElevationModel || elevationSource instanceof AAIGridReader ||
+                elevationSource instanceof GeoTiffReader)) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ContourLayer", "constructor",
+                        "The specified elevation source is not an elevation model, AAIGrid reader or GeoTiff reader."));
+            }
+
+            if (!sector && elevationSource instanceof ElevationModel) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ContourLayer", "constructor", "missingSector"));
+            }
+
+            RenderableLayer.call(this, "Contours");
+
+            /**
+             * The sector in which contours are generated, or null to generate contours for a DEM's full extent.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = sector;
+
+            /**
+             * The elevation interval between contours, in meters.
+             * @type {Number}
+             */
+            this.interval = interval;
+
+            /**
+             * The source of the elevations.
+             * @type {ElevationModel|AAIGridReader|GeoTiffReader}
+             * @readonly
+             */
+            this.elevationSource = elevationSource;
+
+            /**
+             * The number of contour intervals between index contours. Index contours are those whose elevations are
+             * multiples of this number times the [interval]{@link ContourLayer#interval}.
+             * @type {Number}
+             * @default 5
+             */
+            this.indexInterval = 5;
+
+            /**
+             * The number of grid points along each side of the sector at which elevations are sampled from an
+             * elevation model. Not used for DEM sources, whose own grids are used.
+             * @type {Number}
+             * @default 256
+             */
+            this.gridSize = 256;
+
+            /**
+             * Indicates whether index contours are labeled with their elevations.
+             * @type {Boolean}
+             * @default true
+             */
+            this.labelsEnabled = true;
+
+            /**
+             * The attributes of contours other than index contours.
+             * @type {ShapeAttributes}
+             */
+            this.attributes = new ShapeAttributes(null);
+            this.attributes.outlineColor = new Color(0.55, 0.35, 0.15, 0.8);
+            this.attributes.outlineWidth = 1;
+
+            /**
+             * The attributes of index contours.
+             * @type {ShapeAttributes}
+             */
+            this.indexAttributes = new ShapeAttributes(this.attributes);
+            this.indexAttributes.outlineWidth = 2;
+
+            /**
+             * The attributes of the index contour labels.
+             * @type {TextAttributes}
+             */
+            this.labelAttributes = new TextAttributes(null);
+            this.labelAttributes.color = new Color(0.45, 0.25, 0.1, 1);
+            this.labelAttributes.font = new Font(12);
+
+            /**
+             * The contours most recently generated, as returned by
+             * [ContourGenerator.generateContours]{@link ContourGenerator#generateContours}.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.contours = [];
+
+            // Internal. Intentionally not documented. The elevation grid the contours were generated from.
+            this.grid = null;
+
+            // Internal. Intentionally not documented. The elevation model timestamp when the contours were
+            // generated.
+            this.generationTimestamp = -1;
+
+            // Internal. Intentionally not documented.
+            this.lastGenerationTime = 0;
+        };
+
+        ContourLayer.prototype = Object.create(RenderableLayer.prototype);
+
+        /**
+         * The minimum number of milliseconds between regenerations of contours from an elevation model while its
+         * elevation data is being retrieved.
+         * @type {Number}
+         * @constant
+         */
+        ContourLayer.REGENERATION_DELAY = 1000;
+
+        // Documented in superclass.
+        ContourLayer.prototype.refresh = function () {
+            this.grid = null;
+            this.generationTimestamp = -1;
+        };
+
+        /**
+         * Indicates whether a contour elevation is an index contour elevation.
+         * @param {Number} elevation The contour elevation.
+         * @returns {Boolean} true if the elevation is a multiple of the index contour interval, otherwise false.
+         */
+        ContourLayer.prototype.isIndexContour = function (elevation) {
+            var indexInterval = this.interval * this.indexInterval,
+                remainder = Math.abs(elevation % indexInterval);
+
+            return remainder < 1e-6 * indexInterval || indexInterval - remainder < 1e-6 * indexInterval;
+        };
+
+        // Documented in superclass.
+        ContourLayer.prototype.doRender = function (dc) {
+            if (this.mustGenerateContours(dc)) {
+                this.generateContours();
+                this.lastGenerationTime = dc.timestamp;
+            }
+
+            RenderableLayer.prototype.doRender.call(this, dc);
+        };
+
+        // Internal. Intentionally not documented. Indicates whether the contours must be generated, either because
+        // they've never been generated or because elevation data has arrived for an elevation model. The resolution
+        // an elevation model reports is that of the coverage filling the grid, not that of the data it has loaded, so
+        // any change to the model's elevations is considered.
+        ContourLayer.prototype.mustGenerateContours = function (dc) {
+            if (!this.grid) {
+                return true;
+            }
+
+            if (!(this.elevationSource instanceof ElevationModel) ||
+                this.elevationSource.timestamp === this.generationTimestamp) {
+                return false;
+            }
+
+            if (dc.timestamp - this.lastGenerationTime < ContourLayer.REGENERATION_DELAY) {
+                dc.redrawRequested = true; // regenerate in a subsequent frame
+                return false;
+            }
+
+            return true;
+        };
+
+        // Internal. Intentionally not documented.
+        ContourLayer.prototype.generateContours = function () {
+            var grid;
+
+            if (this.elevationSource instanceof ElevationModel) {
+                this.generationTimestamp = this.elevationSource.timestamp;
+                grid = ElevationGrid.fromElevationModel(this.elevationSource, this.sector, this.gridSize,
+                    this.gridSize);
+
+                if (this.grid && ContourLayer.haveEqualElevations(this.grid, grid)) {
+                    return; // the data that arrived lies outside the sector or doesn't refine it
+                }
+            } else {
+                grid = this.elevationSource instanceof AAIGridReader ?
+                    ElevationGrid.fromAAIGrid(this.elevationSource) : ElevationGrid.fromGeoTiff(this.elevationSource);
+
+                if (this.sector) {
+                    grid = grid.subgrid(this.sector) || grid;
+                }
+            }
+
+            this.grid = grid;
+            this.contours = ContourGenerator.generateContours(grid.elevations, grid.width, grid.height, grid.sector,
+                this.interval);
+
+            this.removeAllRenderables();
+
+            for (var c = 0; c < this.contours.length; c++) {
+                var contour = this.contours[c],
+                    isIndex = this.isIndexContour(contour.elevation);
+
+                for (var l = 0; l < contour.lines.length; l++) {
+                    var line = contour.lines[l],
+                        polyline = new SurfacePolyline(line, isIndex ? this.indexAttributes : this.attributes);
+
+                    polyline.displayName = contour.elevation + " m";
+                    polyline.userProperties = {elevation: contour.elevation};
+                    this.addRenderable(polyline);
+
+                    if (isIndex && this.labelsEnabled && line.length >= ContourLayer.MIN_LABELED_LINE_LENGTH) {
+                        this.addRenderable(this.createLabel(line[Math.floor(line.length / 2)], contour.elevation));
+                    }
+                }
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        ContourLayer.haveEqualElevations = function (gridA, gridB) {
+            if (gridA.elevations.length !== gridB.elevations.length) {
+                return false;
+            }
+
+            for (var i = 0, len = gridA.elevations.length; i < len; i++) {
+                var a = gridA.elevations[i], b = gridB.elevations[i];
+                if (a !== b && !(isNaN(a) && isNaN(b))) {
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
+        // Internal. Intentionally not documented. Lines with fewer locations are too short to label.
+        ContourLayer.MIN_LABELED_LINE_LENGTH = 10;
+
+        // Internal. Intentionally not documented.
+        ContourLayer.prototype.createLabel = function (location, elevation) {
+            var label = new GeographicText(new Position(location.latitude, location.longitude, elevation),
+                Math.round(elevation) + " m");
+
+            label.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+            label.attributes = this.labelAttributes;
+
+            return label;
+        };
+
+        return ContourLayer;
+    });
@@ -0,0 +1,102 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports HypsometricTintLayer
+ */
+define([
+        '../util/Color',
+        '../util/ColorRamp',
+        '../shapes/ColorRampLegend',
+        '../layer/TerrainShadingLayer'
+    ],
+    function (Color,
+              ColorRamp,
+              ColorRampLegend,
+              TerrainShadingLayer) {
+        "use strict";
+
+        /**
+         * Constructs a hypsometric tint layer.
+         * @alias HypsometricTintLayer
+         * @constructor
+         * @augments TerrainShadingLayer
+         * @classdesc Colors the terrain by its elevation, using a {@link ColorRamp} whose stops assign colors to
+         * elevations in meters. The elevations are taken from the globe's elevation model, or from this layer's
+         * [elevationModel]{@link TerrainShadingLayer#elevationModel} when specified. Use
+         * [createLegend]{@link HypsometricTintLayer#createLegend} to display the color ramp as a legend.
+         * <p>
+         * The default [TERRAIN_COLOR_RAMP]{@link HypsometricTintLayer.TERRAIN_COLOR_RAMP} colors land and leaves
+         * terrain below sea level uncolored. To color the ocean floor use
+         * [BATHYMETRY_COLOR_RAMP]{@link HypsometricTintLayer.BATHYMETRY_COLOR_RAMP}. The globe's
+         * {@link EarthElevationModel} already provides the depths of the ocean floor from its GEBCO coverage, so no
+         * separate elevation model is needed for bathymetry.
+         * @param {ColorRamp} colorRamp The color ramp mapping elevations to colors. If null or undefined,
+         * [TERRAIN_COLOR_RAMP]{@link HypsometricTintLayer.TERRAIN_COLOR_RAMP} is used.
+         * @param {ElevationModel} elevationModel The elevation model providing the elevations. If null or
+         * undefined, the globe's elevation model is used.
+         */
+        var HypsometricTintLayer = function (colorRamp, elevationModel) {
+            TerrainShadingLayer.call(this, TerrainShadingLayer.ELEVATION);
+
+            this.displayName = "Hypsometric Tint";
+
+            this.colorRamp = colorRamp || HypsometricTintLayer.TERRAIN_COLOR_RAMP;
+
+            this.elevationModel = elevationModel || null;
+
+            this.opacity = 0.7;
+        };
+
+        HypsometricTintLayer.prototype = Object.create(TerrainShadingLayer.prototype);
+
+        /**
+         * A color ramp coloring land from green lowlands through tan and brown to white peaks. Terrain below sea
+         * level is not colored.
+         * @type {ColorRamp}
+         * @constant
+         */
+        HypsometricTintLayer.TERRAIN_COLOR_RAMP = TerrainShadingLayer.DEFAULT_COLOR_RAMPS.elevation;
+
+        /**
+         * A color ramp coloring the ocean floor in blues darkening with depth to the deepest ocean trenches, and land
+         * as does [TERRAIN_COLOR_RAMP]{@link HypsometricTintLayer.TERRAIN_COLOR_RAMP}.
+         * @type {ColorRamp}
+         * @constant
+         */
+        HypsometricTintLayer.BATHYMETRY_COLOR_RAMP = new ColorRamp([
+            {value: -11000, color: new Color(0.03, 0.05, 0.25, 1)},
+            {value: -6000, color: new Color(0.05, 0.15, 0.45, 1)},
+            {value: -4000, color: new Color(0.1, 0.3, 0.6, 1)},
+            {value: -2000, color: new Color(0.2, 0.45, 0.75, 1)},
+            {value: -200, color: new Color(0.45, 0.7, 0.9, 1)},
+            {value: -0.001, color: new Color(0.7, 0.88, 0.97, 1)}
+        ].concat(HypsometricTintLayer.TERRAIN_COLOR_RAMP.stops.slice(1)));
+
+        /**
+         * Creates a legend displaying this layer's color ramp. Add the legend to a {@link RenderableLayer} to display
+         * it. The legend does not follow subsequent changes to this layer's color ramp; assign the new ramp to the
+         * legend's [colorRamp]{@link ColorRampLegend#colorRamp} property.
+         * @param {Offset} screenOffset The offset indicating the legend's placement on the screen. If null or
+         * undefined the legend is placed at the lower-right corner of the WorldWindow.
+         * @returns {ColorRampLegend} The new legend.
+         */
+        HypsometricTintLayer.prototype.createLegend = function (screenOffset) {
+            return new ColorRampLegend(screenOffset, this.colorRampForMode(), "Elevation");
+        };
+
+        return HypsometricTintLayer;
+    });
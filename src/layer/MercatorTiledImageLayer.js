@@ -152,6 +152,34 @@ define([
             return TiledImageLayer.prototype.createTexture.call(this, dc, tile, destCanvas);
         };
 
+        // Overridden from TiledImageLayer. Computes the tile rows from Mercator coordinates, since rows at the same
+        // level do not span the same latitudes.
+        MercatorTiledImageLayer.prototype.tilesInSector = function (sector, levelNumber) {
+            var level = this.levels.level(levelNumber),
+                tiles = [];
+
+            if (!level || !sector.intersects(this.levels.sector)) {
+                return tiles;
+            }
+
+            var tileCount = this.mapSizeForLevel(levelNumber) / this.imageSize,
+                tileIndex = function (fraction) {
+                    return WWMath.clamp(Math.floor(fraction * tileCount), 0, tileCount - 1);
+                },
+                firstRow = tileIndex(0.5 - WWMath.gudermannianInverse(Math.min(sector.maxLatitude, 85.05)) / 2),
+                lastRow = tileIndex(0.5 - WWMath.gudermannianInverse(Math.max(sector.minLatitude, -85.05)) / 2),
+                firstCol = tileIndex((sector.minLongitude + 180) / 360),
+                lastCol = tileIndex((sector.maxLongitude + 180) / 360);
+
+            for (var row = firstRow; row <= lastRow; row++) {
+                for (var col = firstCol; col <= lastCol; col++) {
+                    tiles.push(this.createTile(null, level, row, col));
+                }
+            }
+
+            return tiles;
+        };
+
         // Determines whether a retrieved image is blank.
         MercatorTiledImageLayer.prototype.isBlankImage = function (image, srcImageData) {
             var pixel, k, pixelValue = null;
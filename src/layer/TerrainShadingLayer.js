@@ -0,0 +1,449 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports TerrainShadingLayer
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../util/Color',
+        '../util/ColorRamp',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Sector',
+        '../util/SunPosition',
+        '../layer/TiledImageLayer',
+        '../util/WWUtil'
+    ],
+    function (Angle,
+              ArgumentError,
+              Color,
+              ColorRamp,
+              Location,
+              Logger,
+              Sector,
+              SunPosition,
+              TiledImageLayer,
+              WWUtil) {
+        "use strict";
+
+        /**
+         * Constructs a terrain shading layer.
+         * @alias TerrainShadingLayer
+         * @constructor
+         * @augments TiledImageLayer
+         * @classdesc Shades the terrain according to its hillshade, slope, aspect or elevation. The shading is
+         * computed for each of the layer's tiles from the elevations of the globe's elevation model, or of this
+         * layer's [elevationModel]{@link TerrainShadingLayer#elevationModel} when specified, colored by a
+         * [color ramp]{@link ColorRamp} and drawn on the terrain like imagery.
+         * <p>
+         * In [HILLSHADE]{@link TerrainShadingLayer.HILLSHADE} mode the ramp maps the illumination of the terrain,
+         * from 0 for terrain facing away from the sun to 1 for terrain facing the sun. The sun's direction is
+         * specified by [sunAzimuth]{@link TerrainShadingLayer#sunAzimuth} and
+         * [sunElevation]{@link TerrainShadingLayer#sunElevation}, or computed from
+         * [sunDate]{@link TerrainShadingLayer#sunDate} when that is specified. In
+         * [SLOPE]{@link TerrainShadingLayer.SLOPE} mode the ramp maps the terrain's slope in degrees from 0 to 90.
+         * In [ASPECT]{@link TerrainShadingLayer.ASPECT} mode it maps the direction the terrain faces, in degrees
+         * clockwise from north; flat terrain has no aspect and is not shaded. In
+         * [ELEVATION]{@link TerrainShadingLayer.ELEVATION} mode it maps the terrain's elevation in meters.
+         * <p>
+         * Tiles are recomputed when this layer's properties change and when the elevations they were computed from
+         * change as elevation data is retrieved.
+         * @param {String} mode The shading mode, one of [HILLSHADE]{@link TerrainShadingLayer.HILLSHADE},
+         * [SLOPE]{@link TerrainShadingLayer.SLOPE}, [ASPECT]{@link TerrainShadingLayer.ASPECT} or
+         * [ELEVATION]{@link TerrainShadingLayer.ELEVATION}. If null or undefined, the mode is HILLSHADE.
+         * @throws {ArgumentError} If the specified mode is not one of the recognized modes.
+         */
+        var TerrainShadingLayer = function (mode) {
+            mode = mode || TerrainShadingLayer.HILLSHADE;
+            if (!TerrainShadingLayer.DEFAULT_COLOR_RAMPS[mode]) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "TerrainShadingLayer", "constructor",
+                        "The specified shading mode is not recognized."));
+            }
+
+            TiledImageLayer.call(this, Sector.FULL_SPHERE, new Location(45, 45), 12, "image/png",
+                "TerrainShading" + WWUtil.guid(), 256, 256);
+
+            this.displayName = "Terrain Shading";
+
+            /**
+             * The shading mode, one of [HILLSHADE]{@link TerrainShadingLayer.HILLSHADE},
+             * [SLOPE]{@link TerrainShadingLayer.SLOPE}, [ASPECT]{@link TerrainShadingLayer.ASPECT} or
+             * [ELEVATION]{@link TerrainShadingLayer.ELEVATION}.
+             * @type {String}
+             */
+            this.mode = mode;
+
+            /**
+             * The elevation model providing the elevations shaded by this layer. If null, the globe's elevation model
+             * is used.
+             * @type {ElevationModel}
+             * @default null
+             */
+            this.elevationModel = null;
+
+            /**
+             * The sun's azimuth in degrees clockwise from north, used in hillshade mode when no
+             * [sunDate]{@link TerrainShadingLayer#sunDate} is specified.
+             * @type {Number}
+             * @default 315
+             */
+            this.sunAzimuth = 315;
+
+            /**
+             * The sun's elevation in degrees above the horizon, used in hillshade mode when no
+             * [sunDate]{@link TerrainShadingLayer#sunDate} is specified.
+             * @type {Number}
+             * @default 45
+             */
+            this.sunElevation = 45;
+
+            /**
+             * The date from which to compute the sun's position in hillshade mode. When specified, the sun's azimuth
+             * and elevation are computed for each tile using {@link SunPosition}, and terrain on the night side of
+             * the globe receives no illumination. Assign a new date to move the sun.
+             * @type {Date}
+             * @default null
+             */
+            this.sunDate = null;
+
+            /**
+             * The color ramp mapping shading values to colors. If null, the mode's default ramp in
+             * [DEFAULT_COLOR_RAMPS]{@link TerrainShadingLayer.DEFAULT_COLOR_RAMPS} is used.
+             * @type {ColorRamp}
+             * @default null
+             */
+            this.colorRamp = null;
+
+            // Internal. Intentionally not documented. Identifies the shading state tile textures are computed for.
+            this.shadingKey = null;
+
+            // Internal. Intentionally not documented.
+            this.elevationTimestamp = null;
+
+            // Internal. Intentionally not documented.
+            this.sunLocation = null;
+
+            // Internal. Intentionally not documented.
+            this.tilesComputedThisFrame = 0;
+        };
+
+        TerrainShadingLayer.prototype = Object.create(TiledImageLayer.prototype);
+
+        /**
+         * Hillshade mode, shading terrain by its illumination from the sun.
+         * @type {String}
+         * @constant
+         */
+        TerrainShadingLayer.HILLSHADE = "hillshade";
+
+        /**
+         * Slope mode, shading terrain by its steepness.
+         * @type {String}
+         * @constant
+         */
+        TerrainShadingLayer.SLOPE = "slope";
+
+        /**
+         * Aspect mode, shading terrain by the direction it faces.
+         * @type {String}
+         * @constant
+         */
+        TerrainShadingLayer.ASPECT = "aspect";
+
+        /**
+         * Elevation mode, shading terrain by its elevation.
+         * @type {String}
+         * @constant
+         */
+        TerrainShadingLayer.ELEVATION = "elevation";
+
+        /**
+         * The default color ramps of each shading mode. The hillshade ramp darkens terrain facing away from the sun
+         * and lightens terrain facing it, leaving moderately lit terrain unshaded. The slope ramp progresses from
+         * transparent for flat terrain through yellow and orange to red for slopes of 45 degrees and more. The aspect
+         * ramp is a color wheel with red for north, yellow for east, cyan for south and blue for west. The elevation
+         * ramp progresses from green lowlands through tan and brown to white peaks, leaving terrain below sea level
+         * unshaded.
+         * @type {Object}
+         * @constant
+         */
+        TerrainShadingLayer.DEFAULT_COLOR_RAMPS = {
+            hillshade: new ColorRamp([
+                {value: 0, color: new Color(0, 0, 0, 0.7)},
+                {value: 0.7, color: new Color(0, 0, 0, 0)},
+                {value: 1, color: new Color(1, 1, 1, 0.3)}
+            ]),
+            slope: new ColorRamp([
+                {value: 0, color: new Color(0, 1, 0, 0)},
+                {value: 15, color: new Color(1, 1, 0, 0.6)},
+                {value: 30, color: new Color(1, 0.5, 0, 0.7)},
+                {value: 45, color: new Color(1, 0, 0, 0.8)},
+                {value: 90, color: new Color(0.4, 0, 0.2, 0.8)}
+            ]),
+            aspect: new ColorRamp([
+                {value: 0, color: new Color(1, 0, 0, 0.6)},
+                {value: 90, color: new Color(1, 1, 0, 0.6)},
+                {value: 180, color: new Color(0, 1, 1, 0.6)},
+                {value: 270, color: new Color(0, 0, 1, 0.6)},
+                {value: 360, color: new Color(1, 0, 0, 0.6)}
+            ]),
+            elevation: new ColorRamp([
+                {value: -0.001, color: new Color(0, 0.38, 0.22, 0)},
+                {value: 0, color: new Color(0, 0.38, 0.22, 1)},
+                {value: 200, color: new Color(0.24, 0.6, 0.26, 1)},
+                {value: 500, color: new Color(0.9, 0.85, 0.45, 1)},
+                {value: 1000, color: new Color(0.8, 0.6, 0.35, 1)},
+                {value: 2000, color: new Color(0.6, 0.4, 0.25, 1)},
+                {value: 3000, color: new Color(0.55, 0.5, 0.48, 1)},
+                {value: 4500, color: new Color(0.95, 0.95, 0.95, 1)},
+                {value: 8000, color: new Color(1, 1, 1, 1)}
+            ])
+        };
+
+        /**
+         * The maximum number of tiles computed per frame. Tiles beyond this number are computed in subsequent
+         * frames, keeping the frame rate up while the layer's tiles are computed.
+         * @type {Number}
+         * @default 4
+         */
+        TerrainShadingLayer.MAX_TILES_PER_FRAME = 4;
+
+        // Documented in superclass.
+        TerrainShadingLayer.prototype.doRender = function (dc) {
+            if (!dc.terrain) {
+                return;
+            }
+
+            this.sunLocation = this.mode === TerrainShadingLayer.HILLSHADE && this.sunDate ?
+                SunPosition.getAsGeographicLocation(this.sunDate) : null;
+
+            var shadingKey = this.computeShadingKey(dc),
+                elevationTimestamp = (this.elevationModel || dc.globe.elevationModel).timestamp;
+
+            // Reassemble the tiles when the shading changes or elevations arrive, so that stale tiles are recomputed.
+            if (shadingKey !== this.shadingKey || elevationTimestamp !== this.elevationTimestamp) {
+                this.shadingKey = shadingKey;
+                this.elevationTimestamp = elevationTimestamp;
+                this.currentTilesInvalid = true;
+            }
+
+            this.tilesComputedThisFrame = 0;
+            this.currentRetrievals = [];
+
+            TiledImageLayer.prototype.doRender.call(this, dc);
+        };
+
+        // Internal. Intentionally not documented.
+        TerrainShadingLayer.prototype.computeShadingKey = function (dc) {
+            var key = this.mode + "|" + dc.verticalExaggeration + "|" + this.colorRampForMode().stateKey();
+
+            if (this.mode === TerrainShadingLayer.HILLSHADE) {
+                key += "|" + (this.sunDate ? this.sunDate.getTime() : this.sunAzimuth + "," + this.sunElevation);
+            }
+
+            return key;
+        };
+
+        // Internal. Intentionally not documented.
+        TerrainShadingLayer.prototype.colorRampForMode = function () {
+            return this.colorRamp || TerrainShadingLayer.DEFAULT_COLOR_RAMPS[this.mode];
+        };
+
+        // Overridden from superclass to recompute the textures of tiles whose shading is stale. The stale texture is
+        // displayed until it's replaced.
+        TerrainShadingLayer.prototype.addTile = function (dc, tile) {
+            TiledImageLayer.prototype.addTile.call(this, dc, tile);
+
+            var texture = dc.gpuResourceCache.resourceForKey(tile.imagePath);
+            if (texture && this.isTextureStale(texture)) {
+                this.retrieveTileImage(dc, tile, true);
+            }
+        };
+
+        // Internal. Intentionally not documented. The resolution elevation models report is that of the coverage
+        // providing the elevations, not that of the data retrieved, so a texture may have been computed from the
+        // coarse elevations of an ancestor tile whatever its reported resolution. Textures are therefore stale
+        // whenever the elevation model changes; retrieveTileImage keeps those whose elevations haven't changed.
+        TerrainShadingLayer.prototype.isTextureStale = function (texture) {
+            return texture.shadingKey !== this.shadingKey || texture.elevationTimestamp !== this.elevationTimestamp;
+        };
+
+        /**
+         * Computes the image for the specified tile from the globe's elevations.
+         * @param {DrawContext} dc The current draw context.
+         * @param {ImageTile} tile The tile for which to compute the image.
+         * @param {Boolean} suppressRedraw Not used. The tile is displayed in the next frame, which this layer
+         * requests.
+         * @protected
+         */
+        TerrainShadingLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            // Request another frame, either to display this tile or to compute it if this frame's budget is spent.
+            this.currentTilesInvalid = true;
+            dc.redrawRequested = true;
+
+            if (this.tilesComputedThisFrame >= TerrainShadingLayer.MAX_TILES_PER_FRAME) {
+                // Tiles awaiting computation are the layer's retrievals, which snapshots wait for.
+                this.currentRetrievals.push(tile.imagePath);
+                return;
+            }
+
+            this.tilesComputedThisFrame++;
+
+            var tileWidth = tile.level.tileWidth,
+                tileHeight = tile.level.tileHeight,
+                deltaLat = tile.sector.deltaLatitude() / tileHeight,
+                deltaLon = tile.sector.deltaLongitude() / tileWidth,
+                // Elevations at the pixel centers, surrounded by a border of one pixel for computing gradients.
+                gridSector = new Sector(
+                    tile.sector.minLatitude - deltaLat / 2, tile.sector.maxLatitude + deltaLat / 2,
+                    tile.sector.minLongitude - deltaLon / 2, tile.sector.maxLongitude + deltaLon / 2),
+                elevations = new Float64Array((tileWidth + 2) * (tileHeight + 2));
+
+            (this.elevationModel || dc.globe).elevationsForGrid(gridSector, tileHeight + 2, tileWidth + 2, deltaLat,
+                elevations);
+
+            var elevationChecksum = TerrainShadingLayer.checksum(elevations),
+                existingTexture = dc.gpuResourceCache.resourceForKey(tile.imagePath);
+
+            // Keep the existing texture when the elevations arriving don't change this tile's.
+            if (existingTexture && existingTexture.shadingKey === this.shadingKey &&
+                existingTexture.elevationChecksum === elevationChecksum) {
+                existingTexture.elevationTimestamp = this.elevationTimestamp;
+                return;
+            }
+
+            var canvas = document.createElement("canvas");
+            canvas.width = tileWidth;
+            canvas.height = tileHeight;
+
+            var ctx2D = canvas.getContext("2d"),
+                imageData = ctx2D.createImageData(tileWidth, tileHeight);
+
+            this.shadeTile(dc, tile, elevations, imageData.data);
+            ctx2D.putImageData(imageData, 0, 0);
+
+            var texture = this.createTexture(dc, tile, canvas);
+            texture.shadingKey = this.shadingKey;
+            texture.elevationTimestamp = this.elevationTimestamp;
+            texture.elevationChecksum = elevationChecksum;
+
+            dc.gpuResourceCache.putResource(tile.imagePath, texture, texture.size);
+        };
+
+        // Internal. Intentionally not documented. Computes an FNV-1a hash of an array of elevations.
+        TerrainShadingLayer.checksum = function (elevations) {
+            var words = new Uint32Array(elevations.buffer, elevations.byteOffset, elevations.byteLength / 4),
+                hash = 2166136261;
+
+            for (var i = 0, len = words.length; i < len; i++) {
+                hash = Math.imul(hash ^ words[i], 16777619);
+            }
+
+            return hash >>> 0;
+        };
+
+        // Internal. Intentionally not documented. Computes the colors of a tile's pixels from the elevations at
+        // their centers, using Horn's method to compute the terrain gradient at each pixel.
+        TerrainShadingLayer.prototype.shadeTile = function (dc, tile, elevations, pixels) {
+            var tileWidth = tile.level.tileWidth,
+                tileHeight = tile.level.tileHeight,
+                gridWidth = tileWidth + 2,
+                radius = dc.globe.equatorialRadius,
+                exaggeration = dc.verticalExaggeration,
+                deltaLat = tile.sector.deltaLatitude() / tileHeight,
+                deltaLon = tile.sector.deltaLongitude() / tileWidth,
+                dy = deltaLat * Angle.DEGREES_TO_RADIANS * radius,
+                ramp = this.colorRampForMode(),
+                sun = this.mode === TerrainShadingLayer.HILLSHADE ? this.sunVector(tile) : null;
+
+            for (var y = 0; y < tileHeight; y++) {
+                // Image rows run from north to south, grid rows from south to north.
+                var row = tileHeight - y,
+                    latitude = tile.sector.maxLatitude - (y + 0.5) * deltaLat,
+                    dx = Math.max(deltaLon * Angle.DEGREES_TO_RADIANS * radius * Math.cos(latitude *
+                        Angle.DEGREES_TO_RADIANS), 1e-6);
+
+                for (var x = 0; x < tileWidth; x++) {
+                    var center = row * gridWidth + x + 1,
+                        nw = elevations[center + gridWidth - 1],
+                        n = elevations[center + gridWidth],
+                        ne = elevations[center + gridWidth + 1],
+                        w = elevations[center - 1],
+                        e = elevations[center + 1],
+                        sw = elevations[center - gridWidth - 1],
+                        s = elevations[center - gridWidth],
+                        se = elevations[center - gridWidth + 1],
+                        dzdx = exaggeration * ((ne + 2 * e + se) - (nw + 2 * w + sw)) / (8 * dx),
+                        dzdy = exaggeration * ((nw + 2 * n + ne) - (sw + 2 * s + se)) / (8 * dy),
+                        value = this.mode === TerrainShadingLayer.ELEVATION ? elevations[center] :
+                            this.shadingValue(dzdx, dzdy, sun);
+
+                    ramp.colorBytes(value, pixels, 4 * (y * tileWidth + x));
+                }
+            }
+        };
+
+        // Internal. Intentionally not documented. Computes the value this layer's mode assigns to a terrain gradient,
+        // given as the elevation change per meter eastward and northward.
+        TerrainShadingLayer.prototype.shadingValue = function (dzdx, dzdy, sun) {
+            switch (this.mode) {
+                case TerrainShadingLayer.SLOPE:
+                    return Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy)) * Angle.RADIANS_TO_DEGREES;
+                case TerrainShadingLayer.ASPECT:
+                    if (dzdx === 0 && dzdy === 0) {
+                        return NaN; // flat terrain has no aspect
+                    }
+                    var aspect = Math.atan2(-dzdx, -dzdy) * Angle.RADIANS_TO_DEGREES;
+                    return aspect < 0 ? aspect + 360 : aspect;
+                default:
+                    // The cosine of the angle between the surface normal (-dzdx, -dzdy, 1) and the sun direction.
+                    var illumination = (-dzdx * sun[0] - dzdy * sun[1] + sun[2]) /
+                        Math.sqrt(dzdx * dzdx + dzdy * dzdy + 1);
+                    return Math.max(illumination, 0);
+            }
+        };
+
+        // Internal. Intentionally not documented. Computes the unit vector toward the sun in the east, north, up
+        // frame at a tile's center.
+        TerrainShadingLayer.prototype.sunVector = function (tile) {
+            var azimuth = this.sunAzimuth,
+                elevation = this.sunElevation;
+
+            if (this.sunLocation) {
+                var center = tile.sector.centroid(new Location(0, 0));
+                azimuth = Location.greatCircleAzimuth(center, this.sunLocation);
+                elevation = 90 - Location.greatCircleDistance(center, this.sunLocation) * Angle.RADIANS_TO_DEGREES;
+
+                if (elevation <= 0) {
+                    return [0, 0, 0]; // night
+                }
+            }
+
+            var azimuthRadians = azimuth * Angle.DEGREES_TO_RADIANS,
+                elevationRadians = elevation * Angle.DEGREES_TO_RADIANS;
+
+            return [
+                Math.sin(azimuthRadians) * Math.cos(elevationRadians),
+                Math.cos(azimuthRadians) * Math.cos(elevationRadians),
+                Math.sin(elevationRadians)
+            ];
+        };
+
+        return TerrainShadingLayer;
+    });
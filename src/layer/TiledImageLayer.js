@@ -26,6 +26,7 @@ define([
         '../util/Logger',
         '../geom/Matrix',
         '../cache/MemoryCache',
+        '../geom/Sector',
         '../render/Texture',
         '../util/Tile',
         '../util/WWUtil'
@@ -38,6 +39,7 @@ define([
               Logger,
               Matrix,
               MemoryCache,
+              Sector,
               Texture,
               Tile,
               WWUtil) {
@@ -153,6 +155,18 @@ define([
              */
             this.expiration = null;
 
+            /**
+             * A store persisting this layer's tile images. When specified, this layer looks for tile images in the
+             * store before requesting them, and adds the images it retrieves to the store. See {@link TileStore}.
+             * <p>
+             * The store retrieves tile images with XMLHttpRequest rather than image elements, so a server in a
+             * different origin must allow cross-origin requests (CORS) for its tiles to display, even if they
+             * display without a store.
+             * @type {TileStore}
+             * @default null
+             */
+            this.tileStore = null;
+
             this.currentTiles = [];
             this.currentTilesInvalid = true;
             this.tileCache = new MemoryCache(500000, 400000);
@@ -517,8 +531,13 @@ define([
                 };
 
                 this.currentRetrievals.push(imagePath);
-                image.crossOrigin = this.crossOrigin;
-                image.src = url;
+
+                if (this.tileStore) {
+                    this.tileStore.loadImage(imagePath, url, image, this.crossOrigin);
+                } else {
+                    image.crossOrigin = this.crossOrigin;
+                    image.src = url;
+                }
             }
         };
 
@@ -535,6 +554,42 @@ define([
             }
         };
 
+        /**
+         * Creates the tiles of a specified level that intersect a specified sector. Used by
+         * [TileStore.seed]{@link TileStore#seed} to determine the tiles to store.
+         * @param {Sector} sector The sector of interest.
+         * @param {Number} levelNumber The number of the level whose tiles to create.
+         * @returns {ImageTile[]} The tiles intersecting the sector, or an empty array if the sector does not
+         * intersect this layer or this layer has no level with the specified number.
+         */
+        TiledImageLayer.prototype.tilesInSector = function (sector, levelNumber) {
+            var level = this.levels.level(levelNumber),
+                tiles = [];
+
+            if (!level || !sector.intersects(this.levels.sector)) {
+                return tiles;
+            }
+
+            var intersection = new Sector(0, 0, 0, 0);
+            intersection.copy(sector);
+            intersection.intersection(this.levels.sector);
+
+            var deltaLat = level.tileDelta.latitude,
+                deltaLon = level.tileDelta.longitude,
+                firstRow = Tile.computeRow(deltaLat, intersection.minLatitude),
+                lastRow = Tile.computeLastRow(deltaLat, intersection.maxLatitude),
+                firstCol = Tile.computeColumn(deltaLon, intersection.minLongitude),
+                lastCol = Tile.computeLastColumn(deltaLon, intersection.maxLongitude);
+
+            for (var row = firstRow; row <= lastRow; row++) {
+                for (var col = firstCol; col <= lastCol; col++) {
+                    tiles.push(this.createTile(Tile.computeSector(level, row, col), level, row, col));
+                }
+            }
+
+            return tiles;
+        };
+
         /**
          * Returns the URL string for the resource.
          * @param {ImageTile} tile The tile whose image is returned
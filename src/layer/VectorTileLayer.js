@@ -0,0 +1,515 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports VectorTileLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../geom/Location',
+        '../util/Logger',
+        '../cache/MemoryCache',
+        '../layer/MercatorTiledImageLayer',
+        '../geom/Sector',
+        '../formats/mvt/VectorTile'
+    ],
+    function (ArgumentError,
+              Color,
+              Location,
+              Logger,
+              MemoryCache,
+              MercatorTiledImageLayer,
+              Sector,
+              VectorTile) {
+        "use strict";
+
+        /**
+         * Constructs a vector tile layer.
+         * @alias VectorTileLayer
+         * @constructor
+         * @augments MercatorTiledImageLayer
+         * @classdesc Displays Mapbox Vector Tiles (MVT) in the web Mercator tiling scheme. Tiles are retrieved as
+         * .pbf files, decoded by {@link VectorTile} and drawn into the layer's tile images according to the
+         * layer's [style]{@link VectorTileLayer#style}, so a basemap can be served as static vector tiles, for
+         * example from a local tile directory. The tiles must not be gzip compressed unless the server declares it
+         * with a Content-Encoding header.
+         * <p>
+         * Beyond the tile source's maximum zoom level, the layer draws magnified portions of the maximum zoom
+         * level's tiles, which keeps lines and labels sharp.
+         * <p>
+         * A style is an object with an optional <code>background</code> color and an array of <code>rules</code>,
+         * drawn in order. Each rule may have the following properties, all optional:
+         * <ul>
+         *     <li>sourceLayer: The name of the tile layer the rule applies to. The rule applies to all tile layers
+         *     when not specified.</li>
+         *     <li>filter: Either a function receiving a feature and returning true if the rule applies to it, or an
+         *     object whose properties must all match the feature's properties. An object's property value may be an
+         *     array of accepted values.</li>
+         *     <li>geometryType: The {@link VectorTile} feature type the rule applies to.</li>
+         *     <li>minZoom, maxZoom: The range of zoom levels in which the rule applies.</li>
+         *     <li>fill, stroke: The colors used to fill polygons and points and to outline polygons and draw lines,
+         *     as {@link Color} objects or CSS color strings.</li>
+         *     <li>lineWidth: The width in pixels of lines and outlines. The default is 1.</li>
+         *     <li>pointRadius: The radius in pixels of points. The default is 3.</li>
+         *     <li>label: The name of the feature property to display as a label, or a function receiving a feature
+         *     and returning the label.</li>
+         *     <li>font, textFill, textStroke: The CSS font and colors of labels.</li>
+         * </ul>
+         * Labels are drawn above all other features.
+         * @param {Object} config Configuration properties for the layer:
+         * <ul>
+         *     <li>url: The URL template of the tiles, with {z}, {x} and {y} placeholders, e.g.
+         *     "tiles/{z}/{x}/{y}.pbf". Required.</li>
+         *     <li>style: The style with which to draw the tiles. Features are drawn in gray when not specified.</li>
+         *     <li>maxZoom: The tile source's maximum zoom level. The default is 14.</li>
+         *     <li>overzoomLevels: The number of levels displayed beyond the maximum zoom level. The default is
+         *     4.</li>
+         *     <li>tms: true if the tiles' y coordinate increases northward, as in the TMS specification, rather than
+         *     southward. The default is false.</li>
+         *     <li>title: The layer's display name. The default is "Vector Tiles".</li>
+         * </ul>
+         * @throws {ArgumentError} If the specified configuration or its URL is null or undefined.
+         */
+        var VectorTileLayer = function (config) {
+            if (!config) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "VectorTileLayer", "constructor",
+                        "No configuration specified."));
+            }
+
+            if (!config.url) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "VectorTileLayer", "constructor", "missingUrl"));
+            }
+
+            var maxZoom = config.maxZoom !== undefined ? config.maxZoom : 14,
+                overzoomLevels = config.overzoomLevels !== undefined ? config.overzoomLevels : 4;
+
+            this.imageSize = 256;
+
+            MercatorTiledImageLayer.call(this,
+                new Sector(-85.05, 85.05, -180, 180), new Location(85.05, 180), Math.max(maxZoom + overzoomLevels, 1),
+                "image/png", config.url, this.imageSize, this.imageSize);
+
+            this.displayName = config.title || "Vector Tiles";
+
+            /**
+             * The URL template of the tiles displayed by this layer.
+             * @type {String}
+             * @readonly
+             */
+            this.url = config.url;
+
+            /**
+             * The maximum zoom level of the tile source.
+             * @type {Number}
+             * @readonly
+             */
+            this.maxZoom = maxZoom;
+
+            /**
+             * Indicates whether the tiles' y coordinate increases northward.
+             * @type {Boolean}
+             * @readonly
+             */
+            this.tms = !!config.tms;
+
+            // Internal. Intentionally not documented. Holds decoded vector tiles, which are shared by the tiles
+            // displaying magnified portions of them.
+            this.vectorTileCache = new MemoryCache(50e6, 40e6);
+
+            // Internal. Intentionally not documented. Maps the URLs of vector tiles being retrieved to the callbacks
+            // awaiting them.
+            this.vectorTileRetrievals = {};
+
+            // Internal. Intentionally not documented.
+            this._style = config.style || VectorTileLayer.DEFAULT_STYLE;
+        };
+
+        VectorTileLayer.prototype = Object.create(MercatorTiledImageLayer.prototype);
+
+        Object.defineProperties(VectorTileLayer.prototype, {
+            /**
+             * The style with which this layer draws its tiles. See the class description for its properties.
+             * Setting the style redraws the tiles.
+             * @memberof VectorTileLayer.prototype
+             * @type {Object}
+             */
+            style: {
+                get: function () {
+                    return this._style;
+                },
+                set: function (value) {
+                    this._style = value;
+                    this.refresh();
+                }
+            }
+        });
+
+        /**
+         * The style used when none is specified. It draws all features in gray.
+         * @type {Object}
+         */
+        VectorTileLayer.DEFAULT_STYLE = {
+            rules: [
+                {
+                    fill: new Color(0.5, 0.5, 0.5, 0.3),
+                    stroke: Color.DARK_GRAY,
+                    lineWidth: 1
+                }
+            ]
+        };
+
+        // Overridden from TiledImageLayer.
+        VectorTileLayer.prototype.createTopLevelTiles = function (dc) {
+            this.topLevelTiles = [];
+
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 0, 0));
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 0, 1));
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 1, 0));
+            this.topLevelTiles.push(this.createTile(null, this.levels.firstLevel(), 1, 1));
+        };
+
+        // Determines the map size for a specified level number. Level 0 corresponds to zoom level 1.
+        VectorTileLayer.prototype.mapSizeForLevel = function (levelNumber) {
+            return 256 << (levelNumber + 1);
+        };
+
+        /**
+         * Returns the URL of a vector tile.
+         * @param {Number} zoom The tile's zoom level.
+         * @param {Number} x The tile's column.
+         * @param {Number} y The tile's row, counted from the north.
+         * @returns {String} The URL of the vector tile.
+         */
+        VectorTileLayer.prototype.urlForVectorTile = function (zoom, x, y) {
+            if (this.tms) {
+                y = (1 << zoom) - 1 - y;
+            }
+
+            return this.url.replace("{z}", zoom).replace("{x}", x).replace("{y}", y);
+        };
+
+        /**
+         * Retrieves the vector tile covering the specified tile, or the portion of it at the tile source's maximum
+         * zoom level, and draws it into the tile's image.
+         * @param {DrawContext} dc The current draw context.
+         * @param {ImageTile} tile The tile for which to create the image.
+         * @param {Boolean} suppressRedraw true to suppress generation of redraw events when an image is successfully
+         * created, otherwise false.
+         * @protected
+         */
+        VectorTileLayer.prototype.retrieveTileImage = function (dc, tile, suppressRedraw) {
+            if (this.currentRetrievals.indexOf(tile.imagePath) >= 0 ||
+                this.currentRetrievals.length > this.retrievalQueueSize ||
+                this.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                return;
+            }
+
+            var zoom = tile.level.levelNumber + 1,
+                overzoom = Math.max(zoom - this.maxZoom, 0),
+                url = this.urlForVectorTile(zoom - overzoom, tile.column >> overzoom, tile.row >> overzoom),
+                imagePath = tile.imagePath,
+                cache = dc.gpuResourceCache,
+                canvas = dc.currentGlContext.canvas,
+                layer = this;
+
+            this.currentRetrievals.push(imagePath);
+
+            this.retrieveVectorTile(url, function (vectorTile) {
+                layer.removeFromCurrentRetrievals(imagePath);
+
+                if (!vectorTile) {
+                    layer.absentResourceList.markResourceAbsent(imagePath);
+                    return;
+                }
+
+                // The portion of the vector tile covered by the tile, in units of the tile's size.
+                var scale = 1 << overzoom,
+                    offsetX = tile.column - ((tile.column >> overzoom) << overzoom),
+                    offsetY = tile.row - ((tile.row >> overzoom) << overzoom),
+                    tileCanvas = document.createElement("canvas");
+
+                tileCanvas.width = layer.imageSize;
+                tileCanvas.height = layer.imageSize;
+                layer.drawVectorTile(tileCanvas.getContext("2d"), vectorTile, zoom, scale, offsetX, offsetY);
+
+                var texture = layer.createTexture(dc, tile, tileCanvas);
+                if (texture) {
+                    cache.putResource(imagePath, texture, texture.size);
+
+                    layer.currentTilesInvalid = true;
+                    layer.absentResourceList.unmarkResourceAbsent(imagePath);
+
+                    if (!suppressRedraw) {
+                        // Send an event to request a redraw.
+                        var e = document.createEvent('Event');
+                        e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                        canvas.dispatchEvent(e);
+                    }
+                }
+            });
+        };
+
+        // Internal. Intentionally not documented. Retrieves and decodes a vector tile, or gets it from the cache, and
+        // passes it to the callback. Passes null if the tile can't be retrieved or decoded.
+        VectorTileLayer.prototype.retrieveVectorTile = function (url, callback) {
+            var vectorTile = this.vectorTileCache.entryForKey(url);
+            if (vectorTile) {
+                callback(vectorTile);
+                return;
+            }
+
+            if (this.vectorTileRetrievals[url]) {
+                this.vectorTileRetrievals[url].push(callback);
+                return;
+            }
+
+            this.vectorTileRetrievals[url] = [callback];
+
+            var layer = this,
+                xhr = new XMLHttpRequest();
+
+            var complete = function (vectorTile, size) {
+                var callbacks = layer.vectorTileRetrievals[url];
+                delete layer.vectorTileRetrievals[url];
+
+                if (vectorTile) {
+                    layer.vectorTileCache.putEntry(url, vectorTile, size);
+                }
+
+                for (var i = 0; i < callbacks.length; i++) {
+                    callbacks[i](vectorTile);
+                }
+            };
+
+            xhr.open("GET", url, true);
+            xhr.responseType = 'arraybuffer';
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState !== 4) {
+                    return;
+                }
+
+                if (xhr.status === 200) {
+                    try {
+                        // Decoded tiles take roughly four times the size of their encoding.
+                        complete(new VectorTile(xhr.response), xhr.response.byteLength * 4 || 1);
+                    } catch (e) {
+                        Logger.log(Logger.LEVEL_WARNING, "Unable to decode vector tile: " + url + " " + e.message);
+                        complete(null);
+                    }
+                } else if (xhr.status === 204 || xhr.status === 404) {
+                    // Tile servers commonly omit tiles without features.
+                    complete(new VectorTile(new ArrayBuffer(0)), 1);
+                } else {
+                    Logger.log(Logger.LEVEL_WARNING, "Vector tile retrieval failed (" + xhr.statusText + "): " + url);
+                    complete(null);
+                }
+            };
+
+            // Network errors complete the request with a status of 0 before the error event, so they're reported
+            // above. Handling the error event too would call the callbacks a second time.
+            xhr.send(null);
+        };
+
+        /**
+         * Draws a vector tile, or a portion of it, according to this layer's style.
+         * @param {CanvasRenderingContext2D} ctx2D The context of the canvas to draw into.
+         * @param {VectorTile} vectorTile The vector tile to draw.
+         * @param {Number} zoom The zoom level at which the tile is displayed, used to select the style rules.
+         * @param {Number} scale The magnification of the vector tile, 1 to draw all of it.
+         * @param {Number} offsetX The column of the portion to draw, counted from the left in units of the canvas
+         * size.
+         * @param {Number} offsetY The row of the portion to draw, counted from the top in units of the canvas size.
+         * @protected
+         */
+        VectorTileLayer.prototype.drawVectorTile = function (ctx2D, vectorTile, zoom, scale, offsetX, offsetY) {
+            var style = this.style || VectorTileLayer.DEFAULT_STYLE,
+                rules = style.rules || [],
+                size = ctx2D.canvas.width,
+                labels = [];
+
+            if (style.background) {
+                ctx2D.fillStyle = VectorTileLayer.cssColor(style.background);
+                ctx2D.fillRect(0, 0, size, ctx2D.canvas.height);
+            }
+
+            for (var r = 0; r < rules.length; r++) {
+                var rule = rules[r];
+
+                if ((rule.minZoom !== undefined && zoom < rule.minZoom) ||
+                    (rule.maxZoom !== undefined && zoom > rule.maxZoom)) {
+                    continue;
+                }
+
+                for (var name in vectorTile.layers) {
+                    if (!vectorTile.layers.hasOwnProperty(name) ||
+                        (rule.sourceLayer !== undefined && rule.sourceLayer !== name)) {
+                        continue;
+                    }
+
+                    var tileLayer = vectorTile.layers[name],
+                        transform = {
+                            factor: size * scale / tileLayer.extent,
+                            dx: -offsetX * size,
+                            dy: -offsetY * size
+                        };
+
+                    for (var f = 0; f < tileLayer.features.length; f++) {
+                        var feature = tileLayer.features[f];
+                        if (VectorTileLayer.ruleApplies(rule, feature)) {
+                            this.drawFeature(ctx2D, feature, rule, transform);
+
+                            if (rule.label) {
+                                labels.push({feature: feature, rule: rule, transform: transform});
+                            }
+                        }
+                    }
+                }
+            }
+
+            for (var l = 0; l < labels.length; l++) {
+                this.drawLabel(ctx2D, labels[l].feature, labels[l].rule, labels[l].transform);
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        VectorTileLayer.prototype.drawFeature = function (ctx2D, feature, rule, transform) {
+            var parts = feature.geometry,
+                factor = transform.factor,
+                dx = transform.dx,
+                dy = transform.dy,
+                p, i;
+
+            ctx2D.lineWidth = rule.lineWidth || 1;
+            ctx2D.lineJoin = "round";
+            ctx2D.lineCap = "round";
+
+            if (feature.type === VectorTile.POINT) {
+                var radius = rule.pointRadius || 3;
+                for (p = 0; p < parts.length; p++) {
+                    for (i = 0; i < parts[p].length; i++) {
+                        ctx2D.beginPath();
+                        ctx2D.arc(parts[p][i][0] * factor + dx, parts[p][i][1] * factor + dy, radius, 0, 2 * Math.PI);
+                        this.paint(ctx2D, rule, true);
+                    }
+                }
+                return;
+            }
+
+            ctx2D.beginPath();
+            for (p = 0; p < parts.length; p++) {
+                for (i = 0; i < parts[p].length; i++) {
+                    var x = parts[p][i][0] * factor + dx,
+                        y = parts[p][i][1] * factor + dy;
+                    if (i === 0) {
+                        ctx2D.moveTo(x, y);
+                    } else {
+                        ctx2D.lineTo(x, y);
+                    }
+                }
+            }
+
+            this.paint(ctx2D, rule, feature.type === VectorTile.POLYGON);
+        };
+
+        // Internal. Intentionally not documented.
+        VectorTileLayer.prototype.paint = function (ctx2D, rule, fill) {
+            if (fill && rule.fill) {
+                ctx2D.fillStyle = VectorTileLayer.cssColor(rule.fill);
+                // Interior rings wind opposite to exterior rings, so the non-zero rule leaves holes unfilled.
+                ctx2D.fill();
+            }
+
+            if (rule.stroke) {
+                ctx2D.strokeStyle = VectorTileLayer.cssColor(rule.stroke);
+                ctx2D.stroke();
+            }
+        };
+
+        // Internal. Intentionally not documented. Draws a label at a point, at the middle vertex of a line or at the
+        // center of the bounding box of a polygon's first ring.
+        VectorTileLayer.prototype.drawLabel = function (ctx2D, feature, rule, transform) {
+            var text = typeof rule.label === "function" ? rule.label(feature) : feature.properties[rule.label],
+                part = feature.geometry[0];
+
+            if (text === undefined || text === null || text === "" || !part || part.length === 0) {
+                return;
+            }
+
+            var anchor;
+            if (feature.type === VectorTile.POLYGON) {
+                var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+                for (var i = 0; i < part.length; i++) {
+                    minX = Math.min(minX, part[i][0]);
+                    maxX = Math.max(maxX, part[i][0]);
+                    minY = Math.min(minY, part[i][1]);
+                    maxY = Math.max(maxY, part[i][1]);
+                }
+                anchor = [(minX + maxX) / 2, (minY + maxY) / 2];
+            } else {
+                anchor = part[Math.floor(part.length / 2)];
+            }
+
+            var x = anchor[0] * transform.factor + transform.dx,
+                y = anchor[1] * transform.factor + transform.dy;
+
+            ctx2D.font = rule.font || "12px sans-serif";
+            ctx2D.textAlign = "center";
+            ctx2D.textBaseline = "middle";
+
+            if (rule.textStroke) {
+                ctx2D.lineWidth = 3;
+                ctx2D.strokeStyle = VectorTileLayer.cssColor(rule.textStroke);
+                ctx2D.strokeText(String(text), x, y);
+            }
+
+            ctx2D.fillStyle = VectorTileLayer.cssColor(rule.textFill || Color.BLACK);
+            ctx2D.fillText(String(text), x, y);
+        };
+
+        // Internal. Intentionally not documented.
+        VectorTileLayer.ruleApplies = function (rule, feature) {
+            if (rule.geometryType !== undefined && rule.geometryType !== feature.type) {
+                return false;
+            }
+
+            if (typeof rule.filter === "function") {
+                return !!rule.filter(feature);
+            }
+
+            if (rule.filter) {
+                for (var key in rule.filter) {
+                    if (rule.filter.hasOwnProperty(key)) {
+                        var accepted = rule.filter[key], value = feature.properties[key];
+                        if (Array.isArray(accepted) ? accepted.indexOf(value) < 0 : accepted !== value) {
+                            return false;
+                        }
+                    }
+                }
+            }
+
+            return true;
+        };
+
+        // Internal. Intentionally not documented.
+        VectorTileLayer.cssColor = function (color) {
+            return color instanceof Color ? color.toCssColorString() : color;
+        };
+
+        return VectorTileLayer;
+    });
@@ -682,19 +682,20 @@ define([
                 var thisLayer = this; // capture 'this' for use in the function
                 var setLookAtLocation = function () {
                     if (thisLayer.activeControl) {
-                        var dx = thisLayer.panControlCenter[0] - thisLayer.currentEventPoint[0],
+                        var lookAt = thisLayer.wwd.navigator.getAsLookAt(thisLayer.wwd.globe, {}),
+                            dx = thisLayer.panControlCenter[0] - thisLayer.currentEventPoint[0],
                             dy = thisLayer.panControlCenter[1]
                                 - (thisLayer.wwd.viewport.height - thisLayer.currentEventPoint[1]),
-                            oldLat = thisLayer.wwd.navigator.lookAtLocation.latitude,
-                            oldLon = thisLayer.wwd.navigator.lookAtLocation.longitude,
+                            oldLat = lookAt.lookAtLocation.latitude,
+                            oldLon = lookAt.lookAtLocation.longitude,
                             // Scale the increment by a constant and the relative distance of the eye to the surface.
                             scale = thisLayer.panIncrement
-                                * (thisLayer.wwd.navigator.range / thisLayer.wwd.globe.radiusAt(oldLat, oldLon)),
-                            heading = thisLayer.wwd.navigator.heading + (Math.atan2(dx, dy) * Angle.RADIANS_TO_DEGREES),
+                                * (lookAt.range / thisLayer.wwd.globe.radiusAt(oldLat, oldLon)),
+                            heading = lookAt.heading + (Math.atan2(dx, dy) * Angle.RADIANS_TO_DEGREES),
                             distance = scale * Math.sqrt(dx * dx + dy * dy);
 
-                        Location.greatCircleLocation(thisLayer.wwd.navigator.lookAtLocation, heading, -distance,
-                            thisLayer.wwd.navigator.lookAtLocation);
+                        Location.greatCircleLocation(lookAt.lookAtLocation, heading, -distance, lookAt.lookAtLocation);
+                        thisLayer.wwd.navigator.setAsLookAt(thisLayer.wwd.globe, lookAt);
                         thisLayer.wwd.redraw();
                         setTimeout(setLookAtLocation, 50);
                     }
@@ -725,11 +726,13 @@ define([
                 var thisLayer = this; // capture 'this' for use in the function
                 var setRange = function () {
                     if (thisLayer.activeControl) {
+                        var lookAt = thisLayer.wwd.navigator.getAsLookAt(thisLayer.wwd.globe, {});
                         if (thisLayer.activeControl === thisLayer.zoomInControl) {
-                            thisLayer.wwd.navigator.range *= (1 - thisLayer.zoomIncrement);
+                            lookAt.range *= (1 - thisLayer.zoomIncrement);
                         } else if (thisLayer.activeControl === thisLayer.zoomOutControl) {
-                            thisLayer.wwd.navigator.range *= (1 + thisLayer.zoomIncrement);
+                            lookAt.range *= (1 + thisLayer.zoomIncrement);
                         }
+                        thisLayer.wwd.navigator.setAsLookAt(thisLayer.wwd.globe, lookAt);
                         thisLayer.wwd.redraw();
                         setTimeout(setRange, 50);
                     }
@@ -760,11 +763,13 @@ define([
                 var thisLayer = this; // capture 'this' for use in the function
                 var setRange = function () {
                     if (thisLayer.activeControl) {
+                        var lookAt = thisLayer.wwd.navigator.getAsLookAt(thisLayer.wwd.globe, {});
                         if (thisLayer.activeControl === thisLayer.headingLeftControl) {
-                            thisLayer.wwd.navigator.heading += thisLayer.headingIncrement;
+                            lookAt.heading += thisLayer.headingIncrement;
                         } else if (thisLayer.activeControl === thisLayer.headingRightControl) {
-                            thisLayer.wwd.navigator.heading -= thisLayer.headingIncrement;
+                            lookAt.heading -= thisLayer.headingIncrement;
                         }
+                        thisLayer.wwd.navigator.setAsLookAt(thisLayer.wwd.globe, lookAt);
                         thisLayer.wwd.redraw();
                         setTimeout(setRange, 50);
                     }
@@ -794,13 +799,13 @@ define([
                 var thisLayer = this; // capture 'this' for use in the function
                 var setRange = function () {
                     if (thisLayer.activeControl) {
+                        var lookAt = thisLayer.wwd.navigator.getAsLookAt(thisLayer.wwd.globe, {});
                         if (thisLayer.activeControl === thisLayer.tiltUpControl) {
-                            thisLayer.wwd.navigator.tilt =
-                                Math.max(0, thisLayer.wwd.navigator.tilt - thisLayer.tiltIncrement);
+                            lookAt.tilt = Math.max(0, lookAt.tilt - thisLayer.tiltIncrement);
                         } else if (thisLayer.activeControl === thisLayer.tiltDownControl) {
-                            thisLayer.wwd.navigator.tilt =
-                                Math.min(90, thisLayer.wwd.navigator.tilt + thisLayer.tiltIncrement);
+                            lookAt.tilt = Math.min(90, lookAt.tilt + thisLayer.tiltIncrement);
                         }
+                        thisLayer.wwd.navigator.setAsLookAt(thisLayer.wwd.globe, lookAt);
                         thisLayer.wwd.redraw();
                         setTimeout(setRange, 50);
                     }
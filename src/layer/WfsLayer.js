@@ -0,0 +1,500 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports WfsLayer
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geojson/GeoJSONParser',
+        '../ogc/gml/GmlFeatureCollection',
+        '../util/Logger',
+        '../layer/RenderableLayer',
+        '../geom/Sector'
+    ],
+    function (ArgumentError,
+              GeoJSONParser,
+              GmlFeatureCollection,
+              Logger,
+              RenderableLayer,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs a WFS feature layer.
+         * @alias WfsLayer
+         * @constructor
+         * @augments RenderableLayer
+         * @classdesc Displays the features of a WFS feature type. The layer issues GetFeature requests for the
+         * portion of the feature type's extent that is in view, and requests features again when the view moves
+         * outside the area last requested. The features are converted to shapes by {@link GeoJSONParser}: points
+         * become placemarks, lines become surface polylines and polygons become surface polygons.
+         * <p>
+         * Features are requested as GeoJSON or GML, depending on the configured output format. Any output format
+         * whose name contains "json" is interpreted as GeoJSON, all others as GML. WFS 2.0 requests are paged
+         * according to the configuration's pageSize. At most maxFeatures features are displayed; when the service
+         * has more features in view than that, the layer requests features again each time the view changes so
+         * that zooming in reveals the features omitted.
+         * @param {{}} config Specifies configuration information for the layer. Must contain the following
+         * properties:
+         * <ul>
+         *     <li>service: {String} The URL of the WFS GetFeature operation.</li>
+         *     <li>typeNames: {String} A comma separated list of the names of the feature types to display.</li>
+         *     <li>version (optional): {String} The WFS version to use, e.g., 1.1.0. Defaults to 2.0.0.</li>
+         *     <li>outputFormat (optional): {String} The output format to request. Defaults to application/json.</li>
+         *     <li>maxFeatures (optional): {Number} The maximum number of features to display. Defaults to 1000.</li>
+         *     <li>pageSize (optional): {Number} The number of features to request at a time from WFS 2.0 services.
+         *     Defaults to maxFeatures.</li>
+         *     <li>sector (optional): {Sector} The sector spanned by the feature types. Defaults to the full
+         *     sphere.</li>
+         *     <li>title (optional): {String} The layer's display name.</li>
+         *     <li>shapeConfigurationCallback (optional): {Function} The shape configuration callback passed to
+         *     [GeoJSONParser.load]{@link GeoJSONParser#load}.</li>
+         * </ul>
+         * The function [WfsLayer.formLayerConfiguration]{@link WfsLayer#formLayerConfiguration} will create an
+         * appropriate configuration object given a {@link WfsCapabilities} object.
+         * @throws {ArgumentError} If the specified configuration is null or undefined or does not specify a service
+         * URL or feature type names.
+         */
+        var WfsLayer = function (config) {
+            if (!config) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "constructor", "No configuration specified."));
+            }
+
+            if (!config.service || !config.typeNames) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "constructor",
+                        "The configuration does not specify a service URL and feature type names."));
+            }
+
+            RenderableLayer.call(this, config.title || config.typeNames);
+
+            /**
+             * The configuration of this layer, as specified to the constructor.
+             * @type {{}}
+             * @readonly
+             */
+            this.config = config;
+
+            /**
+             * The WFS version used by this layer.
+             * @type {String}
+             * @readonly
+             */
+            this.version = config.version || "2.0.0";
+
+            /**
+             * The output format requested by this layer.
+             * @type {String}
+             * @readonly
+             */
+            this.outputFormat = config.outputFormat || "application/json";
+
+            /**
+             * The maximum number of features this layer displays.
+             * @type {Number}
+             * @default 1000
+             */
+            this.maxFeatures = config.maxFeatures || 1000;
+
+            /**
+             * The number of features requested at a time from WFS 2.0 services.
+             * @type {Number}
+             */
+            this.pageSize = config.pageSize || this.maxFeatures;
+
+            /**
+             * The sector spanned by this layer's feature types.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = config.sector || Sector.FULL_SPHERE;
+
+            /**
+             * The number of milliseconds the view must be still before this layer requests features for it.
+             * @type {Number}
+             * @default 500
+             */
+            this.refreshDelay = 500;
+
+            /**
+             * The maximum number of milliseconds this layer waits before requesting features again after a request
+             * fails. The wait starts at [refreshDelay]{@link WfsLayer#refreshDelay} and doubles after each
+             * consecutive failure, up to this maximum.
+             * @type {Number}
+             * @default 60000
+             */
+            this.maxRetryDelay = 60000;
+
+            /**
+             * Indicates whether the features displayed are a truncated subset of those in the requested area
+             * because the service has more than [maxFeatures]{@link WfsLayer#maxFeatures} features there.
+             * @type {Boolean}
+             * @readonly
+             */
+            this.featuresTruncated = false;
+
+            // Internal. Intentionally not documented.
+            this.requestedSector = null;
+
+            // Internal. Intentionally not documented.
+            this.pendingSector = null;
+
+            // Internal. Intentionally not documented.
+            this.refreshTimer = null;
+
+            // Internal. Intentionally not documented. The number of consecutive failed requests.
+            this.failureCount = 0;
+
+            // Internal. Intentionally not documented. Identifies the most recent request so that responses to
+            // earlier requests can be ignored.
+            this.requestId = 0;
+        };
+
+        WfsLayer.prototype = Object.create(RenderableLayer.prototype);
+
+        /**
+         * Forms a configuration object for a feature type of a WFS service. The configuration object created and
+         * returned is suitable for passing to the WfsLayer constructor.
+         * @param {WfsCapabilities} wfsCapabilities The capabilities of the WFS service.
+         * @param {String} featureTypeName The name of the feature type to create a configuration for.
+         * @returns {{}} A configuration object.
+         * @throws {ArgumentError} If the specified capabilities is null or undefined or the service does not offer
+         * the specified feature type.
+         */
+        WfsLayer.formLayerConfiguration = function (wfsCapabilities, featureTypeName) {
+            if (!wfsCapabilities) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "formLayerConfiguration",
+                        "The WFS capabilities is null or undefined."));
+            }
+
+            var featureType = wfsCapabilities.getFeatureType(featureTypeName);
+            if (!featureType) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "formLayerConfiguration",
+                        "The WFS service does not offer the feature type " + featureTypeName + "."));
+            }
+
+            var config = {
+                service: wfsCapabilities.getFeatureBaseUrl(),
+                typeNames: featureType.name,
+                title: featureType.title || featureType.name,
+                version: wfsCapabilities.version
+            };
+
+            if (!config.service) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "formLayerConfiguration",
+                        "The WFS capabilities do not specify a GetFeature URL."));
+            }
+
+            // Determine the layer's sector. WFS 1.0.0 specifies it as a LatLongBoundingBox, later versions as a
+            // WGS84BoundingBox.
+            var bbox = featureType.wgs84BoundingBox,
+                latLongBbox = featureType.latLongBoundingBox;
+            if (bbox && bbox.lowerCorner && bbox.upperCorner) {
+                config.sector = new Sector(bbox.lowerCorner[1], bbox.upperCorner[1],
+                    bbox.lowerCorner[0], bbox.upperCorner[0]);
+            } else if (latLongBbox && !isNaN(latLongBbox.minx + latLongBbox.miny + latLongBbox.maxx +
+                    latLongBbox.maxy)) {
+                config.sector = new Sector(latLongBbox.miny, latLongBbox.maxy, latLongBbox.minx, latLongBbox.maxx);
+            } else {
+                config.sector = Sector.FULL_SPHERE;
+            }
+
+            // Prefer GeoJSON when the feature type or, for WFS 1.0.0, the GetFeature operation lists it. Most
+            // services provide it even when they don't.
+            var request = wfsCapabilities.capability && wfsCapabilities.capability.request,
+                formats = featureType.outputFormats ||
+                    (request && request.getFeature && request.getFeature.formats) || [];
+            config.outputFormat = "application/json";
+            for (var i = 0; i < formats.length; i++) {
+                if (WfsLayer.isJsonFormat(formats[i])) {
+                    config.outputFormat = formats[i];
+                    break;
+                }
+            }
+
+            return config;
+        };
+
+        /**
+         * Causes this layer to request its features again the next time it is rendered.
+         */
+        WfsLayer.prototype.refresh = function () {
+            this.requestedSector = null;
+        };
+
+        // Documented in superclass.
+        WfsLayer.prototype.doRender = function (dc) {
+            this.updateFeatures(dc);
+
+            RenderableLayer.prototype.doRender.call(this, dc);
+        };
+
+        // Documented in superclass.
+        WfsLayer.prototype.isLayerInView = function (dc) {
+            return !dc.terrain || this.sector.overlaps(dc.terrain.sector);
+        };
+
+        // Internal. Intentionally not documented. Schedules a feature request when the view has moved outside the
+        // area last requested.
+        WfsLayer.prototype.updateFeatures = function (dc) {
+            if (!dc.terrain) {
+                return;
+            }
+
+            var viewSector = new Sector(0, 0, 0, 0);
+            viewSector.copy(dc.terrain.sector);
+            viewSector.intersection(this.sector);
+
+            if (this.requestedSector && (this.featuresTruncated ?
+                    WfsLayer.sectorsEqual(this.requestedSector, viewSector) :
+                    this.requestedSector.contains(viewSector))) {
+                this.pendingSector = null;
+                return;
+            }
+
+            if (this.pendingSector && WfsLayer.sectorsEqual(this.pendingSector, viewSector)) {
+                return; // the view hasn't moved since the request was scheduled
+            }
+
+            this.pendingSector = viewSector;
+
+            var layer = this,
+                canvas = dc.currentGlContext.canvas;
+
+            if (this.refreshTimer) {
+                clearTimeout(this.refreshTimer);
+            }
+
+            this.refreshTimer = setTimeout(function () {
+                layer.refreshTimer = null;
+                if (layer.pendingSector) {
+                    layer.requestedSector = layer.pendingSector;
+                    layer.pendingSector = null;
+                    layer.retrieveFeatures(layer.requestedSector, canvas);
+                }
+            }, this.requestDelay());
+        };
+
+        // Internal. Intentionally not documented. Returns the number of milliseconds to wait before the next
+        // request, backing off exponentially while requests fail.
+        WfsLayer.prototype.requestDelay = function () {
+            if (this.failureCount === 0) {
+                return this.refreshDelay;
+            }
+
+            return Math.min(this.refreshDelay * Math.pow(2, this.failureCount), this.maxRetryDelay);
+        };
+
+        // Internal. Intentionally not documented. Requests the features in a sector, page by page, and replaces
+        // this layer's shapes with them once all pages have been received.
+        WfsLayer.prototype.retrieveFeatures = function (sector, canvas) {
+            var layer = this,
+                requestId = ++this.requestId,
+                paged = this.version.indexOf("2.") === 0,
+                features = [],
+                crs = null;
+
+            // Each request asks for one feature more than it needs, which reveals whether the service has more
+            // features when its response doesn't say how many features match.
+            var requestPage = function (startIndex) {
+                var count = paged ? Math.min(layer.pageSize, layer.maxFeatures - startIndex) : layer.maxFeatures,
+                    url = layer.urlForFeatures(sector, paged ? startIndex : -1, count + 1);
+
+                layer.retrieveFeatureCollection(url, function (collection) {
+                    if (requestId !== layer.requestId) {
+                        return; // a newer request has replaced this one
+                    }
+
+                    if (!collection) {
+                        // Try again the next time the layer is rendered, after the retry delay.
+                        layer.failureCount++;
+                        layer.requestedSector = null;
+                        return;
+                    }
+
+                    layer.failureCount = 0;
+
+                    var responseFeatures = collection.features || [],
+                        pageFeatures = responseFeatures.slice(0, count),
+                        numberMatched = parseInt(collection.numberMatched, 10), // NaN when absent or "unknown"
+                        moreFeatures = isNaN(numberMatched) ? responseFeatures.length > count :
+                            numberMatched > startIndex + pageFeatures.length;
+                    features = features.concat(pageFeatures);
+                    crs = crs || collection.crs;
+
+                    if (paged && moreFeatures && pageFeatures.length > 0 && features.length < layer.maxFeatures) {
+                        requestPage(startIndex + pageFeatures.length);
+                    } else {
+                        layer.featuresTruncated = moreFeatures;
+                        layer.setFeatures(features, crs, canvas);
+                    }
+                });
+            };
+
+            requestPage(0);
+        };
+
+        // Internal. Intentionally not documented. Replaces this layer's shapes with those for the specified GeoJSON
+        // features.
+        WfsLayer.prototype.setFeatures = function (features, crs, canvas) {
+            var featureCollection = {
+                type: "FeatureCollection",
+                features: features.filter(function (feature) {
+                    return !!feature.geometry;
+                })
+            };
+
+            if (crs) {
+                featureCollection.crs = crs;
+            }
+
+            this.removeAllRenderables();
+
+            var parser = new GeoJSONParser(featureCollection);
+            parser.load(function () {
+                // Send an event to request a redraw.
+                var e = document.createEvent('Event');
+                e.initEvent(WorldWind.REDRAW_EVENT_TYPE, true, true);
+                canvas.dispatchEvent(e);
+            }, this.config.shapeConfigurationCallback, this);
+        };
+
+        /**
+         * Creates the GetFeature URL for the features in a specified sector.
+         * @param {Sector} sector The sector of interest.
+         * @param {Number} startIndex The index of the first feature to request, or -1 to omit the index.
+         * @param {Number} count The maximum number of features to request.
+         * @returns {String} The GetFeature URL.
+         * @throws {ArgumentError} If the specified sector is null or undefined.
+         */
+        WfsLayer.prototype.urlForFeatures = function (sector, startIndex, count) {
+            if (!sector) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsLayer", "urlForFeatures", "missingSector"));
+            }
+
+            var sb = this.config.service,
+                version2 = this.version.indexOf("2.") === 0;
+
+            if (sb.indexOf("?") < 0) {
+                sb = sb + "?";
+            } else if (sb.indexOf("?") !== sb.length - 1 && sb.lastIndexOf("&") !== sb.length - 1) {
+                sb = sb + "&";
+            }
+
+            sb = sb + "SERVICE=WFS&REQUEST=GetFeature&VERSION=" + this.version;
+            sb = sb + (version2 ? "&TYPENAMES=" : "&TYPENAME=") + this.config.typeNames;
+            sb = sb + (version2 ? "&COUNT=" : "&MAXFEATURES=") + count;
+
+            if (startIndex >= 0) {
+                sb = sb + "&STARTINDEX=" + startIndex;
+            }
+
+            sb = sb + "&OUTPUTFORMAT=" + encodeURIComponent(this.outputFormat);
+
+            // WFS 1.0.0 orders the bounding box longitude first. Later versions follow the axis order of EPSG:4326,
+            // which is latitude first.
+            if (this.version === "1.0.0") {
+                sb = sb + "&BBOX=" + sector.minLongitude + "," + sector.minLatitude + "," +
+                    sector.maxLongitude + "," + sector.maxLatitude;
+            } else {
+                sb = sb + "&BBOX=" + sector.minLatitude + "," + sector.minLongitude + "," +
+                    sector.maxLatitude + "," + sector.maxLongitude + ",urn:ogc:def:crs:EPSG::4326";
+            }
+
+            if (!WfsLayer.isJsonFormat(this.outputFormat)) {
+                sb = sb + "&SRSNAME=" + (this.version === "1.0.0" ? "EPSG:4326" : "urn:ogc:def:crs:EPSG::4326");
+            }
+
+            return sb;
+        };
+
+        // Internal. Intentionally not documented. Retrieves a GetFeature response and passes it to the callback as
+        // a GeoJSON feature collection, or passes null if the request fails.
+        WfsLayer.prototype.retrieveFeatureCollection = function (url, callback) {
+            var xhr = new XMLHttpRequest(),
+                json = WfsLayer.isJsonFormat(this.outputFormat);
+
+            xhr.open("GET", url, true);
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        var collection = null;
+                        try {
+                            collection = json ? JSON.parse(xhr.responseText) :
+                                WfsLayer.parseGmlResponse(xhr.responseXML ||
+                                    new DOMParser().parseFromString(xhr.responseText, "text/xml"));
+                        } catch (e) {
+                            Logger.log(Logger.LEVEL_WARNING,
+                                "WFS GetFeature response could not be parsed (" + e.message + "): " + url);
+                        }
+                        callback(collection);
+                    } else {
+                        Logger.log(Logger.LEVEL_WARNING,
+                            "WFS GetFeature retrieval failed (" + xhr.statusText + "): " + url);
+                        callback(null);
+                    }
+                }
+            };
+
+            xhr.onerror = function () {
+                Logger.log(Logger.LEVEL_WARNING, "WFS GetFeature retrieval failed: " + url);
+            };
+
+            xhr.ontimeout = function () {
+                Logger.log(Logger.LEVEL_WARNING, "WFS GetFeature retrieval timed out: " + url);
+            };
+
+            xhr.send(null);
+        };
+
+        // Internal. Intentionally not documented. Converts a GML GetFeature response to a GeoJSON feature
+        // collection. Throws an Error if the response is an exception report.
+        WfsLayer.parseGmlResponse = function (xmlDom) {
+            var root = xmlDom.documentElement;
+
+            if (root.localName === "ExceptionReport" || root.localName === "ServiceExceptionReport") {
+                throw new Error(root.textContent.trim());
+            }
+
+            var collection = new GmlFeatureCollection(root).toGeoJSON();
+
+            // WFS 2.0 responses state the number of features matching the request, or "unknown".
+            if (root.hasAttribute("numberMatched")) {
+                collection.numberMatched = root.getAttribute("numberMatched");
+            }
+
+            return collection;
+        };
+
+        // Internal. Intentionally not documented.
+        WfsLayer.isJsonFormat = function (outputFormat) {
+            return outputFormat.toLowerCase().indexOf("json") >= 0;
+        };
+
+        // Internal. Intentionally not documented.
+        WfsLayer.sectorsEqual = function (a, b) {
+            return a.minLatitude === b.minLatitude && a.maxLatitude === b.maxLatitude &&
+                a.minLongitude === b.minLongitude && a.maxLongitude === b.maxLongitude;
+        };
+
+        return WfsLayer;
+    });
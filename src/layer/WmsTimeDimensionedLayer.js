@@ -21,11 +21,13 @@ define([
         '../error/ArgumentError',
         '../layer/Layer',
         '../util/Logger',
+        '../util/PeriodicTimeSequence',
         '../layer/WmsLayer'
     ],
     function (ArgumentError,
               Layer,
               Logger,
+              PeriodicTimeSequence,
               WmsLayer) {
         "use strict";
 
@@ -37,6 +39,15 @@ define([
          * @classdesc Displays a time-series WMS image layer. This layer contains a collection of {@link WmsLayer}s,
          * each representing a different time in a time sequence. Only the layer indicated by this layer's
          * [time]{@link WmsTimeDimensionedLayer#time} property is displayed during any frame.
+         * <p>
+         * This layer can also animate the times of a {@link PeriodicTimeSequence} assigned to its
+         * [timeSequence]{@link WmsTimeDimensionedLayer#timeSequence} property. Use
+         * [play]{@link WmsTimeDimensionedLayer#play}, [pause]{@link WmsTimeDimensionedLayer#pause} and
+         * [stop]{@link WmsTimeDimensionedLayer#stop} to control the animation. While animating, the layer retrieves
+         * the imagery of the upcoming times in advance, moves to the next time only once its imagery for the current
+         * view has arrived, and cross-fades from one time to the next, so the animation plays without blank frames.
+         * Imagery that fails to arrive within the [readinessTimeout]{@link WmsTimeDimensionedLayer#readinessTimeout},
+         * or that the server doesn't provide, doesn't hold the animation back.
          * @param {{}} config Specifies configuration information for the layer.
          * See the constructor description for {@link WmsLayer} for a description of the required properties.
          * @throws {ArgumentError} If the specified configuration is null or undefined.
@@ -63,26 +74,302 @@ define([
 
             // Intentionally not documented. Contains the lazily loaded list of sub-layers.
             this.layers = {};
+
+            /**
+             * The time sequence animated by [play]{@link WmsTimeDimensionedLayer#play}. Its current time is kept
+             * equal to this layer's [time]{@link WmsTimeDimensionedLayer#time} while animating.
+             * @type {PeriodicTimeSequence}
+             * @default null
+             */
+            this.timeSequence = null;
+
+            /**
+             * The number of milliseconds each time of the [timeSequence]{@link WmsTimeDimensionedLayer#timeSequence}
+             * is displayed while animating at a [playbackRate]{@link WmsTimeDimensionedLayer#playbackRate} of 1,
+             * including the cross-fade from the previous time.
+             * @type {Number}
+             * @default 1000
+             */
+            this.stepDuration = 1000;
+
+            /**
+             * The animation speed relative to the [stepDuration]{@link WmsTimeDimensionedLayer#stepDuration}. A value
+             * of 2 displays each time for half the step duration, a value of 0.5 for twice the step duration.
+             * @type {Number}
+             * @default 1
+             */
+            this.playbackRate = 1;
+
+            /**
+             * The number of milliseconds over which the animation cross-fades from one time to the next, at a
+             * [playbackRate]{@link WmsTimeDimensionedLayer#playbackRate} of 1. Zero switches times without fading.
+             * @type {Number}
+             * @default 500
+             */
+            this.crossFadeDuration = 500;
+
+            /**
+             * Indicates whether the animation restarts from the start time of the
+             * [timeSequence]{@link WmsTimeDimensionedLayer#timeSequence} after its end time. When false, the animation
+             * pauses at the end time.
+             * @type {Boolean}
+             * @default true
+             */
+            this.loop = true;
+
+            /**
+             * The maximum number of milliseconds the animation waits, beyond the step duration, for the imagery of the
+             * next time to arrive. The animation moves to the next time once this time has elapsed, even if some of
+             * its imagery is still missing.
+             * @type {Number}
+             * @default 5000
+             */
+            this.readinessTimeout = 5000;
+
+            /**
+             * The number of upcoming times whose imagery is retrieved in advance while animating.
+             * @type {Number}
+             * @default 2
+             */
+            this.prefetchCount = 2;
+
+            /**
+             * A function called with the new time each time the animation moves to the next time. May be null.
+             * @type {Function}
+             * @default null
+             */
+            this.onTimeChange = null;
+
+            // Intentionally not documented. The time faded out of while cross-fading.
+            this.previousTime = null;
+
+            // Intentionally not documented.
+            this._playing = false;
+
+            // Intentionally not documented. The frame timestamp at which the current time was first displayed.
+            this.stepStartTimestamp = null;
         };
 
         WmsTimeDimensionedLayer.prototype = Object.create(Layer.prototype);
 
+        Object.defineProperties(WmsTimeDimensionedLayer.prototype, {
+            /**
+             * Indicates whether this layer is animating its [timeSequence]{@link WmsTimeDimensionedLayer#timeSequence}.
+             * @type {Boolean}
+             * @readonly
+             * @memberof WmsTimeDimensionedLayer.prototype
+             */
+            playing: {
+                get: function () {
+                    return this._playing;
+                }
+            },
+
+            /**
+             * The image paths of the tiles being retrieved for the times this layer displays.
+             * @type {String[]}
+             * @readonly
+             * @memberof WmsTimeDimensionedLayer.prototype
+             */
+            currentRetrievals: {
+                get: function () {
+                    var retrievals = this.time ? this.layerForTime(this.time).currentRetrievals : [];
+
+                    return this.previousTime ?
+                        retrievals.concat(this.layerForTime(this.previousTime).currentRetrievals) : retrievals;
+                }
+            }
+        });
+
+        /**
+         * Starts or resumes animating this layer's [timeSequence]{@link WmsTimeDimensionedLayer#timeSequence}. The
+         * animation starts at the sequence's current time, or at its start time if the sequence has no current time.
+         * The WorldWindow displaying this layer must be redrawn once for the animation to begin.
+         * @throws {ArgumentError} If this layer has no time sequence.
+         */
+        WmsTimeDimensionedLayer.prototype.play = function () {
+            if (!this.timeSequence) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WmsTimeDimensionedLayer", "play",
+                        "No time sequence specified."));
+            }
+
+            if (!this.timeSequence.currentTime) {
+                this.timeSequence.reset();
+                this.timeSequence.next();
+            }
+
+            this.time = this.timeSequence.currentTime;
+            this.stepStartTimestamp = null;
+            this._playing = true;
+        };
+
+        /**
+         * Pauses the animation at the current time.
+         */
+        WmsTimeDimensionedLayer.prototype.pause = function () {
+            this._playing = false;
+        };
+
+        /**
+         * Stops the animation and returns to the start time of this layer's
+         * [timeSequence]{@link WmsTimeDimensionedLayer#timeSequence}.
+         */
+        WmsTimeDimensionedLayer.prototype.stop = function () {
+            this._playing = false;
+            this.previousTime = null;
+
+            if (this.timeSequence) {
+                this.timeSequence.reset();
+                this.time = this.timeSequence.next();
+            }
+        };
+
         WmsTimeDimensionedLayer.prototype.doRender = function (dc) {
+            if (this._playing) {
+                this.prefetch(dc);
+                this.animate(dc);
+            }
+
             if (this.time) {
-                var currentTimeString = this.time.toISOString(),
-                    layer = this.layers[currentTimeString];
+                var layer = this.layerForTime(this.time),
+                    fade = this.crossFadeFraction(dc);
+
+                this.inCurrentFrame = false;
 
-                if (!layer) {
-                    layer = new WmsLayer(this.config, currentTimeString);
-                    this.layers[currentTimeString] = layer;
+                if (fade < 1) {
+                    var previousLayer = this.layerForTime(this.previousTime);
+                    previousLayer.opacity = this.opacity;
+                    previousLayer.doRender(dc);
+                    this.inCurrentFrame = previousLayer.inCurrentFrame;
+                    dc.redrawRequested = true;
+                } else {
+                    this.previousTime = null;
                 }
 
-                layer.opacity = this.opacity;
+                layer.opacity = this.opacity * fade;
                 layer.doRender(dc);
 
-                this.inCurrentFrame = layer.inCurrentFrame;
+                this.inCurrentFrame = this.inCurrentFrame || layer.inCurrentFrame;
             }
         };
 
+        // Intentionally not documented.
+        WmsTimeDimensionedLayer.prototype.layerForTime = function (time) {
+            var timeString = time.toISOString(),
+                layer = this.layers[timeString];
+
+            if (!layer) {
+                layer = new WmsLayer(this.config, timeString);
+                this.layers[timeString] = layer;
+            }
+
+            return layer;
+        };
+
+        // Intentionally not documented. Returns the opacity of the current time while cross-fading from the previous
+        // time, or 1 when not cross-fading.
+        WmsTimeDimensionedLayer.prototype.crossFadeFraction = function (dc) {
+            if (!this.previousTime || this.stepStartTimestamp === null || this.crossFadeDuration <= 0) {
+                return 1;
+            }
+
+            var elapsed = (dc.timestamp - this.stepStartTimestamp) * this.playbackRate;
+
+            return Math.min(1, Math.max(0, elapsed / this.crossFadeDuration));
+        };
+
+        // Intentionally not documented. Moves to the next time once the current time has been displayed for the step
+        // duration and the next time's imagery has arrived, or the readiness timeout has elapsed.
+        WmsTimeDimensionedLayer.prototype.animate = function (dc) {
+            dc.redrawRequested = true;
+
+            if (this.stepStartTimestamp === null) {
+                this.stepStartTimestamp = dc.timestamp;
+                return;
+            }
+
+            var stepDuration = this.stepDuration / this.playbackRate,
+                elapsed = dc.timestamp - this.stepStartTimestamp;
+
+            if (elapsed < stepDuration) {
+                return;
+            }
+
+            var nextTime = this.nextTime(this.time);
+            if (!nextTime) {
+                this._playing = false;
+                return;
+            }
+
+            if (!this.isLayerReady(this.layerForTime(nextTime)) && elapsed < stepDuration + this.readinessTimeout) {
+                return;
+            }
+
+            this.previousTime = this.time;
+            this.time = nextTime;
+            this.timeSequence.currentTime = nextTime;
+            this.stepStartTimestamp = dc.timestamp;
+
+            if (this.onTimeChange) {
+                this.onTimeChange(nextTime);
+            }
+        };
+
+        // Intentionally not documented. Returns the time following the specified time in the time sequence, or null
+        // at the end of a sequence that does not loop.
+        WmsTimeDimensionedLayer.prototype.nextTime = function (time) {
+            var sequence = this.timeSequence,
+                nextTime = PeriodicTimeSequence.incrementTime(time, sequence.period);
+
+            if (!sequence.infiniteInterval && nextTime.getTime() > sequence.endTime.getTime()) {
+                nextTime = this.loop ? sequence.startTime : null;
+            }
+
+            return nextTime;
+        };
+
+        // Intentionally not documented. Retrieves the imagery of the upcoming times for the current view, without
+        // drawing it.
+        WmsTimeDimensionedLayer.prototype.prefetch = function (dc) {
+            if (!dc.terrain || !this.time) {
+                return;
+            }
+
+            for (var i = 0, time = this.time; i < this.prefetchCount; i++) {
+                time = this.nextTime(time);
+                if (!time || time.getTime() === this.time.getTime()) {
+                    break;
+                }
+
+                var layer = this.layerForTime(time);
+                if (layer.currentTilesInvalid
+                    || !dc.modelviewProjection.equals(layer.lasTtMVP)
+                    || dc.globeStateKey !== layer.lastGlobeStateKey) {
+                    layer.currentTilesInvalid = false;
+                    layer.assembleTiles(dc);
+                    layer.lasTtMVP.copy(dc.modelviewProjection);
+                    layer.lastGlobeStateKey = dc.globeStateKey;
+                }
+            }
+        };
+
+        // Intentionally not documented. Indicates whether a sub-layer's imagery for the current view has arrived.
+        // Tiles whose image the server failed to provide keep displaying their fallback, and don't count as missing.
+        WmsTimeDimensionedLayer.prototype.isLayerReady = function (layer) {
+            if (layer.currentTilesInvalid || layer.currentRetrievals.length > 0) {
+                return false;
+            }
+
+            for (var i = 0; i < layer.currentTiles.length; i++) {
+                var tile = layer.currentTiles[i];
+                if (tile.fallbackTile && !layer.absentResourceList.isResourceAbsent(tile.imagePath)) {
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
         return WmsTimeDimensionedLayer;
     });
\ No newline at end of file
@@ -19,6 +19,7 @@
  */
 define([
         '../util/AbsentResourceList',
+        '../geom/Angle',
         '../error/ArgumentError',
         '../util/Logger',
         '../geom/Matrix',
@@ -32,6 +33,7 @@ define([
         '../util/WWUtil'
     ],
     function (AbsentResourceList,
+              Angle,
               ArgumentError,
               Logger,
               Matrix,
@@ -212,6 +214,18 @@ define([
              * @default WorldWind.configuration.layerRetrievalQueueSize;
              */
             this.retrievalQueueSize = WorldWind.configuration.layerRetrievalQueueSize;            
+
+            /**
+             * A store persisting this layer's tile images. When specified, this layer looks for tile images in the
+             * store before requesting them, and adds the images it retrieves to the store. See {@link TileStore}.
+             * <p>
+             * The store retrieves tile images with XMLHttpRequest rather than image elements, so a server in a
+             * different origin must allow cross-origin requests (CORS) for its tiles to display, even if they
+             * display without a store.
+             * @type {TileStore}
+             * @default null
+             */
+            this.tileStore = null;
         };
 
         /**
@@ -730,11 +744,71 @@ define([
                 };
 
                 this.currentRetrievals.push(imagePath);
-                image.crossOrigin = 'anonymous';
-                image.src = url;
+
+                if (this.tileStore) {
+                    this.tileStore.loadImage(imagePath, url, image, "anonymous");
+                } else {
+                    image.crossOrigin = 'anonymous';
+                    image.src = url;
+                }
             }
         };
 
+        /**
+         * Creates the tiles of a specified tile matrix that intersect a specified sector. Used by
+         * [TileStore.seed]{@link TileStore#seed} to determine the tiles to store.
+         * @param {Sector} sector The sector of interest.
+         * @param {Number} levelNumber The index of the tile matrix whose tiles to create.
+         * @returns {WmtsLayerTile[]} The tiles intersecting the sector, or an empty array if this layer's tile matrix
+         * set has no tile matrix with the specified index.
+         */
+        WmtsLayer.prototype.tilesInSector = function (sector, levelNumber) {
+            var tileMatrix = this.tileMatrixSet.tileMatrix[levelNumber],
+                crs = this.tileMatrixSet.supportedCRS,
+                tiles = [],
+                minX, maxX, minY, maxY, originX, originY, tileSpanX, tileSpanY;
+
+            if (!tileMatrix) {
+                return tiles;
+            }
+
+            if (WmtsLayer.isEpsg3857Crs(crs)) {
+                var pixelSpan = tileMatrix.scaleDenominator * 0.28e-3,
+                    r = 6.378137e6;
+                minX = r * sector.minLongitude * Angle.DEGREES_TO_RADIANS;
+                maxX = r * sector.maxLongitude * Angle.DEGREES_TO_RADIANS;
+                minY = r * Math.PI * WWMath.gudermannianInverse(Math.max(sector.minLatitude, -85.05));
+                maxY = r * Math.PI * WWMath.gudermannianInverse(Math.min(sector.maxLatitude, 85.05));
+                originX = tileMatrix.topLeftCorner[0];
+                originY = tileMatrix.topLeftCorner[1];
+                tileSpanX = tileMatrix.tileWidth * pixelSpan;
+                tileSpanY = tileMatrix.tileHeight * pixelSpan;
+            } else {
+                var latitudeFirst = WmtsLayer.isEpsg4326Crs(crs);
+                minX = sector.minLongitude;
+                maxX = sector.maxLongitude;
+                minY = sector.minLatitude;
+                maxY = sector.maxLatitude;
+                originX = tileMatrix.topLeftCorner[latitudeFirst ? 1 : 0];
+                originY = tileMatrix.topLeftCorner[latitudeFirst ? 0 : 1];
+                tileSpanX = this.sector.deltaLongitude() / tileMatrix.matrixWidth;
+                tileSpanY = this.sector.deltaLatitude() / tileMatrix.matrixHeight;
+            }
+
+            var firstRow = Math.max(0, Math.floor((originY - maxY) / tileSpanY)),
+                lastRow = Math.min(tileMatrix.matrixHeight - 1, Math.ceil((originY - minY) / tileSpanY) - 1),
+                firstCol = Math.max(0, Math.floor((minX - originX) / tileSpanX)),
+                lastCol = Math.min(tileMatrix.matrixWidth - 1, Math.ceil((maxX - originX) / tileSpanX) - 1);
+
+            for (var row = firstRow; row <= lastRow; row++) {
+                for (var col = firstCol; col <= lastCol; col++) {
+                    tiles.push(this.createTile(tileMatrix, row, col));
+                }
+            }
+
+            return tiles;
+        };
+
         WmtsLayer.prototype.resourceUrlForTile = function (tile, imageFormat) {
             var url;
 
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports CameraNavigator
+ */
+define([
+        '../geom/Matrix',
+        '../navigate/Navigator',
+        '../geom/Position',
+        '../geom/Vec3'
+    ],
+    function (Matrix,
+              Navigator,
+              Position,
+              Vec3) {
+        "use strict";
+
+        /**
+         * Constructs a camera navigator.
+         * @alias CameraNavigator
+         * @constructor
+         * @augments Navigator
+         * @classdesc Represents a navigator that positions the viewer's eye directly, rather than orbiting a look-at
+         * location. The view is defined by the eye position together with this navigator's heading, tilt and roll,
+         * which are interpreted relative to the local coordinate system at the eye position. A tilt of 0 looks straight
+         * down, 90 looks at the horizon and 180 looks straight up.
+         * <p>
+         * Use [WorldWindow.setNavigator]{@link WorldWindow#setNavigator} to switch between this navigator and a
+         * {@link LookAtNavigator} without changing the current view.
+         */
+        var CameraNavigator = function () {
+            Navigator.call(this);
+
+            /**
+             * The geographic position of this navigator's eye point.
+             * @type {Position}
+             */
+            this.eyePosition = new Position(30, -110, 10e6);
+        };
+
+        CameraNavigator.prototype = Object.create(Navigator.prototype);
+
+        // Documented in superclass.
+        CameraNavigator.prototype.applyViewingTransform = function (modelview, globe) {
+            return modelview.multiplyByFirstPersonModelview(this.eyePosition, this.heading, this.tilt, this.roll,
+                globe);
+        };
+
+        /**
+         * Sets this navigator's eye position, heading, tilt and roll so that it produces the viewing transform
+         * represented by a specified modelview matrix. This navigator's roll is retained when the modelview matrix looks
+         * straight down, where roll cannot be distinguished from heading.
+         * @param {Matrix} modelview The modelview matrix to match.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @returns {CameraNavigator} This navigator, set to match the specified modelview matrix.
+         */
+        CameraNavigator.prototype.setFromModelview = function (modelview, globe) {
+            var eyePoint = modelview.extractEyePoint(new Vec3(0, 0, 0)),
+                params = Navigator.extractViewingParameters(modelview, eyePoint, this.roll, globe);
+
+            this.eyePosition.copy(params.origin);
+            this.heading = params.heading;
+            this.tilt = params.tilt;
+            this.roll = params.roll;
+
+            return this;
+        };
+
+        /**
+         * Moves this navigator's eye position by a specified distance along its current direction of view, and to the
+         * side of that direction. The eye's altitude changes according to the current tilt when moving forward.
+         * @param {Number} forward The distance to move forward, in meters. Negative values move backward.
+         * @param {Number} side The distance to move to the right, in meters. Negative values move to the left.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @returns {CameraNavigator} This navigator, with its eye position moved.
+         */
+        CameraNavigator.prototype.move = function (forward, side, globe) {
+            var modelview = this.applyViewingTransform(Matrix.fromIdentity(), globe),
+                eyePoint = modelview.extractEyePoint(new Vec3(0, 0, 0)),
+                forwardVector = modelview.extractForwardVector(new Vec3(0, 0, 0)),
+                sideVector = new Vec3(modelview[0], modelview[1], modelview[2]);
+
+            eyePoint.add(forwardVector.multiply(forward));
+            eyePoint.add(sideVector.multiply(side));
+            globe.computePositionFromPoint(eyePoint[0], eyePoint[1], eyePoint[2], this.eyePosition);
+
+            return this;
+        };
+
+        return CameraNavigator;
+    });
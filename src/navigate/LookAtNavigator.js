@@ -18,11 +18,17 @@
  * @exports LookAtNavigator
  */
 define([
+        '../error/ArgumentError',
         '../geom/Location',
+        '../util/Logger',
         '../navigate/Navigator',
+        '../geom/Position'
     ],
-    function (Location,
-              Navigator) {
+    function (ArgumentError,
+              Location,
+              Logger,
+              Navigator,
+              Position) {
         "use strict";
 
         /**
@@ -55,5 +61,76 @@ define([
 
         LookAtNavigator.prototype = Object.create(Navigator.prototype);
 
+        // Documented in superclass.
+        LookAtNavigator.prototype.applyViewingTransform = function (modelview, globe) {
+            var lookAtPosition = new Position(this.lookAtLocation.latitude, this.lookAtLocation.longitude, 0);
+            return modelview.multiplyByLookAtModelview(lookAtPosition, this.range, this.heading, this.tilt, this.roll,
+                globe);
+        };
+
+        /**
+         * Sets this navigator's look-at location, range, heading, tilt and roll so that it produces the viewing
+         * transform represented by a specified modelview matrix. The look-at location is the point where the
+         * modelview's forward vector intersects the globe. When the forward vector does not intersect the globe, e.g.,
+         * when looking above the horizon, the look-at location is the point on the globe directly beneath the eye.
+         * @param {Matrix} modelview The modelview matrix to match.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @returns {LookAtNavigator} This navigator, set to match the specified modelview matrix.
+         */
+        LookAtNavigator.prototype.setFromModelview = function (modelview, globe) {
+            var params = Navigator.computeLookAtFromModelview(modelview, this.roll, globe, {});
+            this.lookAtLocation.copy(params.lookAtLocation);
+            this.range = params.range;
+            this.heading = params.heading;
+            this.tilt = params.tilt;
+            this.roll = params.roll;
+
+            return this;
+        };
+
+        // Documented in superclass.
+        LookAtNavigator.prototype.getAsLookAt = function (globe, result) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LookAtNavigator", "getAsLookAt", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LookAtNavigator", "getAsLookAt", "missingResult"));
+            }
+
+            result.lookAtLocation = result.lookAtLocation || new Location(0, 0);
+            result.lookAtLocation.copy(this.lookAtLocation);
+            result.range = this.range;
+            result.heading = this.heading;
+            result.tilt = this.tilt;
+            result.roll = this.roll;
+
+            return result;
+        };
+
+        // Documented in superclass.
+        LookAtNavigator.prototype.setAsLookAt = function (globe, lookAt) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LookAtNavigator", "setAsLookAt", "missingGlobe"));
+            }
+
+            if (!lookAt) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "LookAtNavigator", "setAsLookAt",
+                        "The specified look-at parameters are null or undefined."));
+            }
+
+            this.lookAtLocation.copy(lookAt.lookAtLocation);
+            this.range = lookAt.range;
+            this.heading = lookAt.heading;
+            this.tilt = lookAt.tilt;
+            this.roll = lookAt.roll;
+
+            return this;
+        };
+
         return LookAtNavigator;
     });
\ No newline at end of file
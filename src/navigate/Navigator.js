@@ -17,8 +17,26 @@
 /**
  * @exports Navigator
  */
-define([],
-    function () {
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../geom/Line',
+        '../geom/Location',
+        '../util/Logger',
+        '../geom/Matrix',
+        '../geom/Position',
+        '../error/UnsupportedOperationError',
+        '../geom/Vec3'
+    ],
+    function (Angle,
+              ArgumentError,
+              Line,
+              Location,
+              Logger,
+              Matrix,
+              Position,
+              UnsupportedOperationError,
+              Vec3) {
         "use strict";
 
         /**
@@ -26,7 +44,7 @@ define([],
          * @alias Navigator
          * @constructor
          * @classdesc Provides an abstract base class for navigators. This class is not meant to be instantiated
-         * directly. See {@Link LookAtNavigator} for a concrete navigator.
+         * directly. See {@Link LookAtNavigator} and {@link CameraNavigator} for concrete navigators.
          */
         var Navigator = function () {
             /**
@@ -51,5 +69,137 @@ define([],
             this.roll = 0;
         };
 
+        /**
+         * Applies this navigator's viewing transform to a specified modelview matrix. Subclasses must implement this
+         * method.
+         * @param {Matrix} modelview The matrix to multiply by this navigator's viewing transform.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @returns {Matrix} The specified modelview matrix.
+         */
+        Navigator.prototype.applyViewingTransform = function (modelview, globe) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "Navigator", "applyViewingTransform", "abstractInvocation"));
+        };
+
+        /**
+         * Sets this navigator's properties so that it produces the viewing transform represented by a specified
+         * modelview matrix. This is used to switch between navigator types without changing what the user sees.
+         * Subclasses must implement this method.
+         * @param {Matrix} modelview The modelview matrix to match.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @returns {Navigator} This navigator, set to match the specified modelview matrix.
+         */
+        Navigator.prototype.setFromModelview = function (modelview, globe) {
+            throw new UnsupportedOperationError(
+                Logger.logMessage(Logger.LEVEL_SEVERE, "Navigator", "setFromModelview", "abstractInvocation"));
+        };
+
+        /**
+         * Computes the look-at parameters that produce this navigator's current view: the location on the globe at the
+         * center of the view, the distance from the eye point to that location, and the heading, tilt and roll
+         * relative to that location. Applications use this and [setAsLookAt]{@link Navigator#setAsLookAt} to move
+         * the view in a way that works with any navigator, as {@link GoToAnimator} does.
+         * <p>
+         * When the view's center does not intersect the globe, e.g., when looking above the horizon, the look-at
+         * location is the location directly beneath the eye point.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @param {Object} result An object in which to return the look-at parameters. Its lookAtLocation property is
+         * set to a {@link Location}, and its range, heading, tilt and roll properties are set to numbers.
+         * @returns {Object} The result argument, set to this navigator's look-at parameters.
+         * @throws {ArgumentError} If the specified globe or result is null or undefined.
+         */
+        Navigator.prototype.getAsLookAt = function (globe, result) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Navigator", "getAsLookAt", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Navigator", "getAsLookAt", "missingResult"));
+            }
+
+            var modelview = this.applyViewingTransform(Matrix.fromIdentity(), globe);
+            return Navigator.computeLookAtFromModelview(modelview, this.roll, globe, result);
+        };
+
+        /**
+         * Sets this navigator's properties so that it produces the view defined by specified look-at parameters. The
+         * parameters have the same form as those computed by [getAsLookAt]{@link Navigator#getAsLookAt}.
+         * @param {Globe} globe The globe this navigator is viewing.
+         * @param {Object} lookAt The look-at parameters: an object with a lookAtLocation property holding a
+         * {@link Location}, and range, heading, tilt and roll properties holding numbers.
+         * @returns {Navigator} This navigator, set to produce the specified view.
+         * @throws {ArgumentError} If the specified globe or look-at parameters are null or undefined.
+         */
+        Navigator.prototype.setAsLookAt = function (globe, lookAt) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Navigator", "setAsLookAt", "missingGlobe"));
+            }
+
+            if (!lookAt) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "Navigator", "setAsLookAt",
+                        "The specified look-at parameters are null or undefined."));
+            }
+
+            var lookAtPosition = new Position(lookAt.lookAtLocation.latitude, lookAt.lookAtLocation.longitude, 0),
+                modelview = Matrix.fromIdentity();
+
+            modelview.multiplyByLookAtModelview(lookAtPosition, lookAt.range, lookAt.heading, lookAt.tilt, lookAt.roll,
+                globe);
+
+            this.roll = lookAt.roll;
+            return this.setFromModelview(modelview, globe);
+        };
+
+        // Internal. Intentionally not documented. Computes the look-at parameters of a modelview matrix.
+        Navigator.computeLookAtFromModelview = function (modelview, roll, globe, result) {
+            var ray = new Line(new Vec3(0, 0, 0), new Vec3(0, 0, 0)),
+                origin = new Vec3(0, 0, 0),
+                eyePos = new Position(0, 0, 0),
+                params;
+
+            modelview.extractEyePoint(ray.origin);
+            modelview.extractForwardVector(ray.direction);
+
+            if (!globe.intersectsLine(ray, origin)) {
+                globe.computePositionFromPoint(ray.origin[0], ray.origin[1], ray.origin[2], eyePos);
+                globe.computePointFromPosition(eyePos.latitude, eyePos.longitude, 0, origin);
+            }
+
+            params = Navigator.extractViewingParameters(modelview, origin, roll, globe);
+            result.lookAtLocation = result.lookAtLocation || new Location(0, 0);
+            result.lookAtLocation.latitude = params.origin.latitude;
+            result.lookAtLocation.longitude = params.origin.longitude;
+            result.range = params.range;
+            result.heading = params.heading;
+            result.tilt = params.tilt;
+            result.roll = params.roll;
+
+            return result;
+        };
+
+        // Internal. Intentionally not documented. Extracts the viewing parameters of a modelview matrix relative to an
+        // origin, as Matrix.extractViewingParameters does, but also extracts the roll. Roll relative to the origin
+        // generally differs between navigators, as the local vertical at a look-at location differs from that at the
+        // eye point. The specified roll is used when the view looks within a few hundredths of a degree of straight
+        // down at the origin, where roll cannot be reliably distinguished from heading.
+        Navigator.extractViewingParameters = function (modelview, origin, roll, globe) {
+            var modelviewLocal = Matrix.fromIdentity(),
+                sinTilt;
+
+            modelviewLocal.copy(modelview);
+            modelviewLocal.multiplyByLocalCoordinateTransform(origin, globe);
+
+            sinTilt = Math.sqrt(modelviewLocal[2] * modelviewLocal[2] + modelviewLocal[6] * modelviewLocal[6]);
+            if (sinTilt > 1e-3) {
+                roll = Math.atan2(modelviewLocal[2], modelviewLocal[6]) * Angle.RADIANS_TO_DEGREES;
+            }
+
+            return modelview.extractViewingParameters(origin, roll, globe, {});
+        };
+
         return Navigator;
     });
\ No newline at end of file
@@ -35,7 +35,7 @@ define([
 
         /**
          * Constructs an WFS Capabilities instance from an XML DOM.
-         * @alias WFSCapabilities
+         * @alias WfsCapabilities
          * @constructor
          * @classdesc Represents a WFS Capabilities document. This object holds as properties all the fields
          * specified in the given WFS Capabilities document. Most fields can be accessed as properties named
@@ -53,6 +53,51 @@ define([
             this.assembleDocument(xmlDom);
         };
 
+        /**
+         * Returns the URL of the service's GetFeature operation for HTTP GET requests. WFS 1.1.0 and 2.0 capabilities
+         * specify the URL in their operations metadata, WFS 1.0.0 capabilities in their Capability element.
+         * @returns {String} The GetFeature URL, or null if the capabilities do not specify one.
+         */
+        WfsCapabilities.prototype.getFeatureBaseUrl = function () {
+            if (this.operationsMetadata && this.operationsMetadata.operation) {
+                var getFeature = this.operationsMetadata.getOperationMetadataByName("GetFeature");
+                if (getFeature && getFeature.dcp && getFeature.dcp[0].getMethods) {
+                    return getFeature.dcp[0].getMethods[0].url;
+                }
+            }
+
+            var request = this.capability && this.capability.request;
+            if (request && request.getFeature && request.getFeature.getUrl) {
+                return request.getFeature.getUrl;
+            }
+
+            return null;
+        };
+
+        /**
+         * Returns the description of a feature type offered by the service.
+         * @param {String} name The name of the feature type.
+         * @returns {{}} The feature type description, or null if the service does not offer the feature type.
+         * @throws {ArgumentError} If the specified name is null or undefined.
+         */
+        WfsCapabilities.prototype.getFeatureType = function (name) {
+            if (!name) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "WfsCapabilities", "getFeatureType", "missingName"));
+            }
+
+            var featureTypes = this.featureTypeList && this.featureTypeList.featureType;
+            if (featureTypes) {
+                for (var i = 0; i < featureTypes.length; i++) {
+                    if (featureTypes[i].name === name) {
+                        return featureTypes[i];
+                    }
+                }
+            }
+
+            return null;
+        };
+
         WfsCapabilities.prototype.assembleDocument = function (dom) {
             var root = dom.documentElement;
 
@@ -69,6 +114,8 @@ define([
                     this.serviceProvider = new OwsServiceProvider(child);
                 } else if (child.localName === "OperationsMetadata") {
                     this.operationsMetadata = new OwsOperationsMetadata(child);
+                } else if (child.localName === "Capability") {
+                    this.capability = WfsCapabilities.assembleCapability(child);
                 } else if (child.localName === "FeatureTypeList") {
                     this.featureTypeList = this.assembleFeatureTypeList(child);
                 } else if (child.localName === "Filter_Capabilities") {
@@ -165,8 +212,12 @@ define([
                 } else if (child.localName == "OtherSRS") {
                     featureType.otherSRS = featureType.otherSRS || [];
                     featureType.otherSRS.push(child.textContent);
+                } else if (child.localName == "SRS") {
+                    featureType.srs = child.textContent;
                 } else if (child.localName == "WGS84BoundingBox") {
                     featureType.wgs84BoundingBox = WfsCapabilities.assembleBoundingBox(child);
+                } else if (child.localName == "LatLongBoundingBox") {
+                    featureType.latLongBoundingBox = WfsCapabilities.assembleLatLongBoundingBox(child);
                 } else if (child.localName == "DefaultCRS") {
                     featureType.defaultCRS = child.textContent;
                 } else if (child.localName == "OtherCRS") {
@@ -206,6 +257,91 @@ define([
             return result;
         };
 
+        // Assembles a WFS 1.0.0 LatLongBoundingBox, whose corners are specified as attributes.
+        WfsCapabilities.assembleLatLongBoundingBox = function (element) {
+            return {
+                minx: parseFloat(element.getAttribute("minx")),
+                miny: parseFloat(element.getAttribute("miny")),
+                maxx: parseFloat(element.getAttribute("maxx")),
+                maxy: parseFloat(element.getAttribute("maxy"))
+            };
+        };
+
+        // Assembles a WFS 1.0.0 Capability element, which describes the service's operations.
+        WfsCapabilities.assembleCapability = function (element) {
+            var capability = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "Request") {
+                    capability.request = WfsCapabilities.assembleRequests(child);
+                }
+            }
+
+            return capability;
+        };
+
+        WfsCapabilities.assembleRequests = function (element) {
+            var requests = {};
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "GetCapabilities") {
+                    requests.getCapabilities = WfsCapabilities.assembleRequest(child);
+                } else if (child.localName === "DescribeFeatureType") {
+                    requests.describeFeatureType = WfsCapabilities.assembleRequest(child);
+                } else if (child.localName === "GetFeature") {
+                    requests.getFeature = WfsCapabilities.assembleRequest(child);
+                }
+            }
+
+            return requests;
+        };
+
+        WfsCapabilities.assembleRequest = function (element) {
+            var request = {
+                name: element.localName
+            };
+
+            var children = element.children || element.childNodes;
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "ResultFormat" || child.localName === "SchemaDescriptionLanguage") {
+                    // The formats are specified as empty elements named for the format, e.g., <GML2/>.
+                    request.formats = request.formats || [];
+                    var formats = child.children || child.childNodes;
+                    for (var f = 0; f < formats.length; f++) {
+                        if (formats[f].localName) {
+                            request.formats.push(formats[f].localName);
+                        }
+                    }
+                } else if (child.localName === "DCPType") {
+                    var protocols = child.children || child.childNodes;
+                    for (var p = 0; p < protocols.length; p++) {
+                        if (protocols[p].localName !== "HTTP") {
+                            continue;
+                        }
+
+                        var methods = protocols[p].children || protocols[p].childNodes;
+                        for (var m = 0; m < methods.length; m++) {
+                            if (methods[m].localName === "Get") {
+                                request.getUrl = methods[m].getAttribute("onlineResource");
+                            } else if (methods[m].localName === "Post") {
+                                request.postUrl = methods[m].getAttribute("onlineResource");
+                            }
+                        }
+                    }
+                }
+            }
+
+            return request;
+        };
+
         WfsCapabilities.assembleOutputFormats = function (element) {
             var outputFormats = [];
 
@@ -224,21 +360,12 @@ define([
         WfsCapabilities.assembleMetadataUrl = function (element) {
             var metadataUrl = {};
 
-            var children = element.children || element.childNodes;
-            for (var c = 0; c < children.length; c++) {
-                var child = children[c];
-                // TODO: This code is currently non-functional and will need upgrades when WFS functionality is addressed.
-                // In IE 11, element.childNodes can contain more than just Element objects. When this code is upgraded, ensure
-                // that the element objects accessed here are actually instances of Element. This is done elsewhere
-                // by checking for an appropriate value in the localName attribute which has the side effect of ensuring
-                // the correct object type.
-                if (child.localName === "MetadataURL") {
-                    metadataUrl.format = child.getAttribute("format");
-                    metadataUrl.type = child.getAttribute("type");
-                }
-            }
+            metadataUrl.format = element.getAttribute("format");
+            metadataUrl.type = element.getAttribute("type");
+            // WFS 2.0 specifies the URL as a link, earlier versions as the element's content.
+            metadataUrl.url = element.getAttribute("xlink:href") || element.textContent.trim();
 
-            return outputFormats;
+            return metadataUrl;
         };
 
         WfsCapabilities.assembleKeywords = function (element) {
@@ -0,0 +1,299 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GmlFeatureCollection
+ */
+define([
+        '../../error/ArgumentError',
+        '../../util/Logger'
+    ],
+    function (ArgumentError,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a GML feature collection from an XML DOM element.
+         * @alias GmlFeatureCollection
+         * @constructor
+         * @classdesc Represents the features of a GML feature collection, such as the response to a WFS GetFeature
+         * request. The features are held in the form of GeoJSON Feature objects so they can be displayed with
+         * {@link GeoJSONParser}. Simple feature properties become GeoJSON properties and the first geometry property
+         * becomes the feature's geometry. GML 2 and GML 3 points, curves, surfaces and their aggregates are supported.
+         * Coordinates are assumed to be geographic, and are ordered latitude first when the geometry's srsName is
+         * an EPSG:4326 URN or URI.
+         * @param {Element} element An XML DOM element representing the feature collection.
+         * @throws {ArgumentError} If the specified XML DOM element is null or undefined.
+         */
+        var GmlFeatureCollection = function (element) {
+            if (!element) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GmlFeatureCollection", "constructor", "missingDomElement"));
+            }
+
+            /**
+             * The features of this collection, as GeoJSON Feature objects.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.features = [];
+
+            this.assembleElement(element);
+        };
+
+        /**
+         * Returns this collection as a GeoJSON FeatureCollection object.
+         * @returns {Object} A GeoJSON FeatureCollection object containing this collection's features.
+         */
+        GmlFeatureCollection.prototype.toGeoJSON = function () {
+            return {
+                type: "FeatureCollection",
+                features: this.features
+            };
+        };
+
+        // Internal. Intentionally not documented.
+        GmlFeatureCollection.prototype.assembleElement = function (element) {
+            var children = GmlFeatureCollection.childElements(element);
+
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "member" || child.localName === "featureMember" ||
+                    child.localName === "featureMembers") {
+                    var members = GmlFeatureCollection.childElements(child);
+                    for (var m = 0; m < members.length; m++) {
+                        if (members[m].localName === "FeatureCollection") {
+                            this.assembleElement(members[m]); // WFS 2.0 responses for multiple feature types
+                        } else {
+                            this.features.push(GmlFeatureCollection.assembleFeature(members[m]));
+                        }
+                    }
+                }
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GmlFeatureCollection.assembleFeature = function (element) {
+            var feature = {
+                type: "Feature",
+                geometry: null,
+                properties: {}
+            };
+
+            var id = element.getAttribute("gml:id") || element.getAttribute("fid");
+            if (id) {
+                feature.id = id;
+            }
+
+            var children = GmlFeatureCollection.childElements(element);
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "boundedBy") {
+                    continue;
+                }
+
+                var values = GmlFeatureCollection.childElements(child);
+                if (values.length > 0) {
+                    var geometry = GmlFeatureCollection.assembleGeometry(values[0], null);
+                    if (geometry && !feature.geometry) {
+                        feature.geometry = geometry;
+                    }
+                } else {
+                    feature.properties[child.localName] = child.textContent;
+                }
+            }
+
+            return feature;
+        };
+
+        // Internal. Intentionally not documented. Returns a GeoJSON geometry object for a GML geometry element, or
+        // null if the element is not a supported geometry.
+        GmlFeatureCollection.assembleGeometry = function (element, srsName) {
+            srsName = element.getAttribute("srsName") || srsName;
+
+            switch (element.localName) {
+                case "Point":
+                    return {type: "Point", coordinates: GmlFeatureCollection.assemblePositions(element, srsName)[0]};
+                case "LineString":
+                case "Curve":
+                    return {type: "LineString", coordinates: GmlFeatureCollection.assemblePositions(element, srsName)};
+                case "Polygon":
+                case "Surface":
+                    return {type: "Polygon", coordinates: GmlFeatureCollection.assembleRings(element, srsName)};
+                case "MultiPoint":
+                case "MultiLineString":
+                case "MultiCurve":
+                case "MultiPolygon":
+                case "MultiSurface":
+                    return GmlFeatureCollection.assembleMultiGeometry(element, srsName);
+                case "MultiGeometry":
+                    return {
+                        type: "GeometryCollection",
+                        geometries: GmlFeatureCollection.assembleMembers(element, srsName)
+                    };
+                default:
+                    return null;
+            }
+        };
+
+        // Internal. Intentionally not documented.
+        GmlFeatureCollection.assembleMultiGeometry = function (element, srsName) {
+            var members = GmlFeatureCollection.assembleMembers(element, srsName),
+                type = element.localName === "MultiPoint" ? "MultiPoint" :
+                    (element.localName === "MultiLineString" || element.localName === "MultiCurve") ?
+                        "MultiLineString" : "MultiPolygon",
+                coordinates = [];
+
+            for (var i = 0; i < members.length; i++) {
+                coordinates.push(members[i].coordinates);
+            }
+
+            return {type: type, coordinates: coordinates};
+        };
+
+        // Internal. Intentionally not documented. Assembles the geometries of an aggregate's member elements, e.g.,
+        // pointMember, curveMembers or surfaceMember.
+        GmlFeatureCollection.assembleMembers = function (element, srsName) {
+            var geometries = [],
+                children = GmlFeatureCollection.childElements(element);
+
+            for (var c = 0; c < children.length; c++) {
+                var members = GmlFeatureCollection.childElements(children[c]);
+                for (var m = 0; m < members.length; m++) {
+                    var geometry = GmlFeatureCollection.assembleGeometry(members[m], srsName);
+                    if (geometry) {
+                        geometries.push(geometry);
+                    }
+                }
+            }
+
+            return geometries;
+        };
+
+        // Internal. Intentionally not documented. Assembles the rings of a Polygon or Surface, exterior ring first.
+        GmlFeatureCollection.assembleRings = function (element, srsName) {
+            var rings = [],
+                children = GmlFeatureCollection.childElements(element);
+
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c];
+
+                if (child.localName === "exterior" || child.localName === "outerBoundaryIs") {
+                    rings.unshift(GmlFeatureCollection.assembleRing(child, srsName));
+                } else if (child.localName === "interior" || child.localName === "innerBoundaryIs") {
+                    rings.push(GmlFeatureCollection.assembleRing(child, srsName));
+                } else if (child.localName === "patches") {
+                    // A Surface's first PolygonPatch.
+                    var patches = GmlFeatureCollection.childElements(child);
+                    if (patches.length > 0) {
+                        return GmlFeatureCollection.assembleRings(patches[0], srsName);
+                    }
+                }
+            }
+
+            return rings;
+        };
+
+        // Internal. Intentionally not documented.
+        GmlFeatureCollection.assembleRing = function (element, srsName) {
+            var rings = GmlFeatureCollection.childElements(element);
+
+            return rings.length > 0 ? GmlFeatureCollection.assemblePositions(rings[0], srsName) : [];
+        };
+
+        // Internal. Intentionally not documented. Assembles the positions of a Point, LineString, LinearRing or
+        // Curve as [longitude, latitude] pairs.
+        GmlFeatureCollection.assemblePositions = function (element, srsName) {
+            var positions = [],
+                latitudeFirst = GmlFeatureCollection.isLatitudeFirst(srsName),
+                children = GmlFeatureCollection.childElements(element);
+
+            var addPositions = function (values, dimension, latitudeFirst) {
+                for (var i = 0; i + 1 < values.length; i += dimension) {
+                    positions.push(latitudeFirst ? [values[i + 1], values[i]] : [values[i], values[i + 1]]);
+                }
+            };
+
+            for (var c = 0; c < children.length; c++) {
+                var child = children[c],
+                    dimension = parseInt(child.getAttribute("srsDimension") || element.getAttribute("srsDimension"))
+                        || 2;
+
+                if (child.localName === "pos" || child.localName === "posList") {
+                    addPositions(GmlFeatureCollection.parseNumbers(child.textContent, /\s+/), dimension,
+                        latitudeFirst);
+                } else if (child.localName === "coordinates") {
+                    // GML 2 coordinates are tuples separated by spaces, with values separated by commas, and are
+                    // always ordered x, y.
+                    var tuples = child.textContent.trim().split(/\s+/);
+                    for (var t = 0; t < tuples.length; t++) {
+                        var tuple = GmlFeatureCollection.parseNumbers(tuples[t], /,/);
+                        addPositions(tuple, tuple.length, false);
+                    }
+                } else if (child.localName === "coord") {
+                    var x = GmlFeatureCollection.childElements(child)[0],
+                        y = GmlFeatureCollection.childElements(child)[1];
+                    addPositions([parseFloat(x.textContent), parseFloat(y.textContent)], 2, false);
+                } else if (child.localName === "segments") {
+                    // A Curve's LineStringSegments.
+                    var segments = GmlFeatureCollection.childElements(child);
+                    for (var s = 0; s < segments.length; s++) {
+                        positions = positions.concat(GmlFeatureCollection.assemblePositions(segments[s], srsName));
+                    }
+                }
+            }
+
+            return positions;
+        };
+
+        // Internal. Intentionally not documented. Indicates whether coordinates in the specified coordinate reference
+        // system are ordered latitude first. This is the case for EPSG:4326 when identified by URN or URI.
+        GmlFeatureCollection.isLatitudeFirst = function (srsName) {
+            return !!srsName &&
+                /(urn:ogc:def:crs:EPSG:[\d.]*:4326|opengis\.net\/def\/crs\/EPSG\/[\d.]+\/4326)$/i.test(srsName);
+        };
+
+        // Internal. Intentionally not documented.
+        GmlFeatureCollection.parseNumbers = function (text, separator) {
+            var values = text.trim().split(separator), numbers = [];
+
+            for (var i = 0; i < values.length; i++) {
+                if (values[i].length > 0) {
+                    numbers.push(parseFloat(values[i]));
+                }
+            }
+
+            return numbers;
+        };
+
+        // Internal. Intentionally not documented. Returns the element children of an element. In IE 11,
+        // element.childNodes can contain more than just Element objects.
+        GmlFeatureCollection.childElements = function (element) {
+            var children = element.children || element.childNodes, elements = [];
+
+            for (var c = 0; c < children.length; c++) {
+                if (children[c].nodeType === 1) {
+                    elements.push(children[c]);
+                }
+            }
+
+            return elements;
+        };
+
+        return GmlFeatureCollection;
+    });
@@ -41,6 +41,10 @@ define([
          *     <li>{@link ProjectionMercator}</li>
          *     <li>{@link ProjectionPolarEquidistant}</li>
          *     <li>{@link ProjectionUPS}</li>
+         *     <li>{@link ProjectionLambertConformalConic}</li>
+         *     <li>{@link ProjectionAlbersEqualArea}</li>
+         *     <li>{@link ProjectionTransverseMercator}</li>
+         *     <li>{@link ProjectionRobinson}</li>
          </ul>
          * @param {String} displayName The projection's display name.
          * @param {boolean} continuous Indicates whether this projection is continuous.
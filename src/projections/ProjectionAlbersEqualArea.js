@@ -0,0 +1,326 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProjectionAlbersEqualArea
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../projections/GeographicProjection',
+        '../util/Logger',
+        '../geom/Position',
+        '../geom/Vec3',
+        '../util/WWMath'
+    ],
+    function (Angle,
+              ArgumentError,
+              GeographicProjection,
+              Logger,
+              Position,
+              Vec3,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs an Albers Equal Area Conic geographic projection.
+         * @alias ProjectionAlbersEqualArea
+         * @constructor
+         * @augments GeographicProjection
+         * @classdesc Represents an Albers Equal Area Conic geographic projection, which preserves area and is
+         * typically used for thematic maps of mid-latitude regions of large east-west extent. The projected globe is
+         * spherical, not ellipsoidal.
+         * <p>
+         * The projection's cone is secant with the globe along the standard parallels. The default parameters are
+         * those commonly used for maps of the conterminous United States.
+         * @param {Number} standardParallel1 The first standard parallel, in degrees. Defaults to 29.5 if null or
+         * undefined.
+         * @param {Number} standardParallel2 The second standard parallel, in degrees. Defaults to 45.5 if null or
+         * undefined.
+         * @param {Number} centralMeridian The longitude at the center of the projection, in degrees. Defaults to -96
+         * if null or undefined.
+         * @param {Number} originLatitude The latitude of the projection's origin, in degrees. Defaults to 23 if null
+         * or undefined.
+         * @throws {ArgumentError} If the standard parallels are opposite each other about the equator.
+         */
+        var ProjectionAlbersEqualArea = function (standardParallel1, standardParallel2, centralMeridian,
+                                                  originLatitude) {
+            var phi1 = typeof standardParallel1 === "number" ? standardParallel1 : 29.5,
+                phi2 = typeof standardParallel2 === "number" ? standardParallel2 : 45.5;
+
+            if (phi1 === -phi2) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "constructor", "The specified standard parallels are invalid."));
+            }
+
+            GeographicProjection.call(this, "Albers Equal Area", false, null);
+
+            // Internal. Intentionally not documented. See property accessors below for the public interface.
+            this._standardParallel1 = phi1;
+            this._standardParallel2 = phi2;
+            this._centralMeridian = typeof centralMeridian === "number" ? centralMeridian : -96;
+            this._originLatitude = typeof originLatitude === "number" ? originLatitude : 23;
+
+            // Internal. Intentionally not documented. The cone constant n and the constant C, per "Map Projections --
+            // A Working Manual", Snyder, USGS paper 1395, pg. 100.
+            var sinPhi1 = Math.sin(phi1 * Angle.DEGREES_TO_RADIANS),
+                cosPhi1 = Math.cos(phi1 * Angle.DEGREES_TO_RADIANS);
+
+            this.n = (sinPhi1 + Math.sin(phi2 * Angle.DEGREES_TO_RADIANS)) / 2;
+            this.C = cosPhi1 * cosPhi1 + 2 * this.n * sinPhi1;
+
+            // Internal. Intentionally not documented. See "stateKey" property accessor below for public interface.
+            this._stateKey = "projection albers equal area " + phi1 + " " + phi2 + " " +
+                this._centralMeridian + " " + this._originLatitude + " ";
+        };
+
+        ProjectionAlbersEqualArea.prototype = Object.create(GeographicProjection.prototype);
+
+        Object.defineProperties(ProjectionAlbersEqualArea.prototype, {
+            /**
+             * The first standard parallel, in degrees.
+             * @memberof ProjectionAlbersEqualArea.prototype
+             * @readonly
+             * @type {Number}
+             */
+            standardParallel1: {
+                get: function () {
+                    return this._standardParallel1;
+                }
+            },
+
+            /**
+             * The second standard parallel, in degrees.
+             * @memberof ProjectionAlbersEqualArea.prototype
+             * @readonly
+             * @type {Number}
+             */
+            standardParallel2: {
+                get: function () {
+                    return this._standardParallel2;
+                }
+            },
+
+            /**
+             * The longitude at the center of the projection, in degrees.
+             * @memberof ProjectionAlbersEqualArea.prototype
+             * @readonly
+             * @type {Number}
+             */
+            centralMeridian: {
+                get: function () {
+                    return this._centralMeridian;
+                }
+            },
+
+            /**
+             * The latitude of the projection's origin, in degrees.
+             * @memberof ProjectionAlbersEqualArea.prototype
+             * @readonly
+             * @type {Number}
+             */
+            originLatitude: {
+                get: function () {
+                    return this._originLatitude;
+                }
+            },
+
+            /**
+             * A string identifying this projection's current state. Used to compare states during rendering to
+             * determine whether globe-state dependent cached values must be updated. Applications typically do not
+             * interact with this property.
+             * @memberof ProjectionAlbersEqualArea.prototype
+             * @readonly
+             * @type {String}
+             */
+            stateKey: {
+                get: function () {
+                    return this._stateKey;
+                }
+            }
+        });
+
+        // Internal. Intentionally not documented.
+        ProjectionAlbersEqualArea.scratchPosition = new Position(0, 0, 0);
+
+        // Internal. Intentionally not documented. Computes the distance from the cone's apex to a parallel.
+        ProjectionAlbersEqualArea.prototype.rho = function (globe, latitude) {
+            var s = this.C - 2 * this.n * Math.sin(latitude * Angle.DEGREES_TO_RADIANS);
+
+            return globe.equatorialRadius * Math.sqrt(Math.max(s, 0)) / this.n;
+        };
+
+        // Documented in base class.
+        ProjectionAlbersEqualArea.prototype.geographicToCartesian = function (globe, latitude, longitude, elevation,
+                                                                             offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "geographicToCartesian", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "geographicToCartesian", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 100. As in the
+            // Lambert Conformal Conic projection, the longitude difference is not normalized so that the map's seam
+            // falls on the anti-meridian.
+
+            var rho = this.rho(globe, latitude),
+                rho0 = this.rho(globe, this._originLatitude),
+                theta = this.n * (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+
+            result[0] = rho * Math.sin(theta);
+            result[1] = rho0 - rho * Math.cos(theta);
+            result[2] = elevation;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionAlbersEqualArea.prototype.geographicToCartesianGrid = function (globe, sector, numLat, numLon,
+                                                                                 elevations, referencePoint,
+                                                                                 offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "geographicToCartesianGrid", "missingGlobe"));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "geographicToCartesianGrid", "missingSector"));
+            }
+
+            if (!elevations || elevations.length < numLat * numLon) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "geographicToCartesianGrid",
+                    "The specified elevations array is null, undefined or insufficient length"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "geographicToCartesianGrid", "missingResult"));
+            }
+
+            var minLat = sector.minLatitude,
+                maxLat = sector.maxLatitude,
+                minLon = sector.minLongitude,
+                maxLon = sector.maxLongitude,
+                deltaLat = (maxLat - minLat) / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = (maxLon - minLon) / (numLon > 1 ? numLon - 1 : 1),
+                refPoint = referencePoint ? referencePoint : new Vec3(0, 0, 0),
+                rho0 = this.rho(globe, this._originLatitude),
+                sinTheta = new Float64Array(numLon), cosTheta = new Float64Array(numLon),
+                latIndex, lonIndex,
+                elevIndex = 0, resultIndex = 0,
+                lat, lon, theta, rho;
+
+            // Compute and save values that are a function of each unique longitude value in the specified sector. This
+            // eliminates the need to re-compute these values for each column of constant longitude.
+            for (lonIndex = 0, lon = minLon; lonIndex < numLon; lonIndex++, lon += deltaLon) {
+                if (lonIndex === numLon - 1) {
+                    lon = maxLon; // explicitly set the last lon to the max longitude to ensure alignment
+                }
+
+                theta = this.n * (lon - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+                sinTheta[lonIndex] = Math.sin(theta);
+                cosTheta[lonIndex] = Math.cos(theta);
+            }
+
+            // Iterate over the latitude and longitude coordinates in the specified sector, computing the Cartesian point
+            // corresponding to each latitude and longitude.
+            for (latIndex = 0, lat = minLat; latIndex < numLat; latIndex++, lat += deltaLat) {
+                if (latIndex === numLat - 1) {
+                    lat = maxLat; // explicitly set the last lat to the max latitude to ensure alignment
+                }
+
+                // Latitude is constant for each row. Values that are a function of latitude can be computed once per row.
+                rho = this.rho(globe, lat);
+
+                for (lonIndex = 0; lonIndex < numLon; lonIndex++) {
+                    result[resultIndex++] = rho * sinTheta[lonIndex] - refPoint[0];
+                    result[resultIndex++] = rho0 - rho * cosTheta[lonIndex] - refPoint[1];
+                    result[resultIndex++] = elevations[elevIndex++] - refPoint[2];
+                }
+            }
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionAlbersEqualArea.prototype.cartesianToGeographic = function (globe, x, y, z, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "cartesianToGeographic", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "cartesianToGeographic", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 101. Points
+            // beyond the projection's extent are mapped to its edge.
+
+            var sign = this.n > 0 ? 1 : -1,
+                dy = this.rho(globe, this._originLatitude) - y,
+                rhoN = Math.sqrt(x * x + dy * dy) * this.n / globe.equatorialRadius,
+                theta = Math.atan2(sign * x, sign * dy);
+
+            result.latitude = Math.asin(WWMath.clamp((this.C - rhoN * rhoN) / (2 * this.n), -1, 1)) *
+                Angle.RADIANS_TO_DEGREES;
+            result.longitude = WWMath.clamp(this._centralMeridian + theta / this.n * Angle.RADIANS_TO_DEGREES,
+                -180, 180);
+            result.altitude = z;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionAlbersEqualArea.prototype.northTangentAtLocation = function (globe, latitude, longitude, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "northTangentAtLocation", "missingResult"));
+            }
+
+            // Meridians are straight lines through the cone's apex, along which the distance to the apex decreases
+            // northward when n is positive and increases northward otherwise.
+
+            var theta = this.n * (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+
+            result[0] = -Math.sin(theta);
+            result[1] = Math.cos(theta);
+            result[2] = 0;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionAlbersEqualArea.prototype.northTangentAtPoint = function (globe, x, y, z, offset, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionAlbersEqualArea",
+                    "northTangentAtPoint", "missingResult"));
+            }
+
+            var position = this.cartesianToGeographic(globe, x, y, z, offset,
+                ProjectionAlbersEqualArea.scratchPosition);
+
+            return this.northTangentAtLocation(globe, position.latitude, position.longitude, result);
+        };
+
+        return ProjectionAlbersEqualArea;
+    });
@@ -0,0 +1,351 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProjectionLambertConformalConic
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../projections/GeographicProjection',
+        '../util/Logger',
+        '../geom/Position',
+        '../geom/Sector',
+        '../geom/Vec3',
+        '../util/WWMath'
+    ],
+    function (Angle,
+              ArgumentError,
+              GeographicProjection,
+              Logger,
+              Position,
+              Sector,
+              Vec3,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a Lambert Conformal Conic geographic projection.
+         * @alias ProjectionLambertConformalConic
+         * @constructor
+         * @augments GeographicProjection
+         * @classdesc Represents a Lambert Conformal Conic geographic projection, which preserves shapes locally and is
+         * typically used for maps of mid-latitude regions of large east-west extent. The projected globe is spherical,
+         * not ellipsoidal.
+         * <p>
+         * The projection's cone is tangent to or secant with the globe along the standard parallels. The default
+         * parameters are those commonly used for maps of the conterminous United States. The projection is limited
+         * to latitudes between the pole at the cone's apex and 30 degrees beyond the equator.
+         * @param {Number} standardParallel1 The first standard parallel, in degrees. Defaults to 33 if null or
+         * undefined.
+         * @param {Number} standardParallel2 The second standard parallel, in degrees. May be the same as the first
+         * standard parallel. Defaults to 45 if null or undefined.
+         * @param {Number} centralMeridian The longitude at the center of the projection, in degrees. Defaults to -96
+         * if null or undefined.
+         * @param {Number} originLatitude The latitude of the projection's origin, in degrees. Defaults to 39 if null
+         * or undefined.
+         * @throws {ArgumentError} If the standard parallels are opposite each other about the equator, or if either
+         * is a pole.
+         */
+        var ProjectionLambertConformalConic = function (standardParallel1, standardParallel2, centralMeridian,
+                                                        originLatitude) {
+            var phi1 = typeof standardParallel1 === "number" ? standardParallel1 : 33,
+                phi2 = typeof standardParallel2 === "number" ? standardParallel2 : 45;
+
+            if (phi1 === -phi2 || Math.abs(phi1) === 90 || Math.abs(phi2) === 90) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "constructor", "The specified standard parallels are invalid."));
+            }
+
+            // Internal. Intentionally not documented. See property accessors below for the public interface.
+            this._standardParallel1 = phi1;
+            this._standardParallel2 = phi2;
+            this._centralMeridian = typeof centralMeridian === "number" ? centralMeridian : -96;
+            this._originLatitude = typeof originLatitude === "number" ? originLatitude : 39;
+
+            // Internal. Intentionally not documented. The cone constant n and the constant F, per "Map Projections --
+            // A Working Manual", Snyder, USGS paper 1395, pg. 106.
+            var cosPhi1 = Math.cos(phi1 * Angle.DEGREES_TO_RADIANS),
+                tanPhi1 = ProjectionLambertConformalConic.tanHalfColatitude(phi1);
+
+            this.n = phi1 === phi2 ? Math.sin(phi1 * Angle.DEGREES_TO_RADIANS) :
+                Math.log(cosPhi1 / Math.cos(phi2 * Angle.DEGREES_TO_RADIANS)) /
+                Math.log(ProjectionLambertConformalConic.tanHalfColatitude(phi2) / tanPhi1);
+            this.F = cosPhi1 * Math.pow(tanPhi1, this.n) / this.n;
+
+            // The cone's apex is at the north pole when n is positive and at the south pole otherwise.
+            var limits = this.n > 0 ? new Sector(-30, 90, -180, 180) : new Sector(-90, 30, -180, 180);
+
+            GeographicProjection.call(this, "Lambert Conformal Conic", false, limits);
+
+            // Internal. Intentionally not documented. See "stateKey" property accessor below for public interface.
+            this._stateKey = "projection lambert conformal conic " + phi1 + " " + phi2 + " " +
+                this._centralMeridian + " " + this._originLatitude + " ";
+        };
+
+        ProjectionLambertConformalConic.prototype = Object.create(GeographicProjection.prototype);
+
+        Object.defineProperties(ProjectionLambertConformalConic.prototype, {
+            /**
+             * The first standard parallel, in degrees.
+             * @memberof ProjectionLambertConformalConic.prototype
+             * @readonly
+             * @type {Number}
+             */
+            standardParallel1: {
+                get: function () {
+                    return this._standardParallel1;
+                }
+            },
+
+            /**
+             * The second standard parallel, in degrees.
+             * @memberof ProjectionLambertConformalConic.prototype
+             * @readonly
+             * @type {Number}
+             */
+            standardParallel2: {
+                get: function () {
+                    return this._standardParallel2;
+                }
+            },
+
+            /**
+             * The longitude at the center of the projection, in degrees.
+             * @memberof ProjectionLambertConformalConic.prototype
+             * @readonly
+             * @type {Number}
+             */
+            centralMeridian: {
+                get: function () {
+                    return this._centralMeridian;
+                }
+            },
+
+            /**
+             * The latitude of the projection's origin, in degrees.
+             * @memberof ProjectionLambertConformalConic.prototype
+             * @readonly
+             * @type {Number}
+             */
+            originLatitude: {
+                get: function () {
+                    return this._originLatitude;
+                }
+            },
+
+            /**
+             * A string identifying this projection's current state. Used to compare states during rendering to
+             * determine whether globe-state dependent cached values must be updated. Applications typically do not
+             * interact with this property.
+             * @memberof ProjectionLambertConformalConic.prototype
+             * @readonly
+             * @type {String}
+             */
+            stateKey: {
+                get: function () {
+                    return this._stateKey;
+                }
+            }
+        });
+
+        // Internal. Intentionally not documented.
+        ProjectionLambertConformalConic.scratchPosition = new Position(0, 0, 0);
+
+        // Internal. Intentionally not documented. Computes tan(pi/4 + latitude/2) for a latitude in degrees.
+        ProjectionLambertConformalConic.tanHalfColatitude = function (latitude) {
+            return Math.tan(Math.PI / 4 + latitude * Angle.DEGREES_TO_RADIANS / 2);
+        };
+
+        // Internal. Intentionally not documented. Computes the distance from the cone's apex to a parallel.
+        ProjectionLambertConformalConic.prototype.rho = function (globe, latitude) {
+            if (latitude === (this.n > 0 ? 90 : -90)) {
+                return 0;
+            }
+
+            return globe.equatorialRadius * this.F /
+                Math.pow(ProjectionLambertConformalConic.tanHalfColatitude(latitude), this.n);
+        };
+
+        // Documented in base class.
+        ProjectionLambertConformalConic.prototype.geographicToCartesian = function (globe, latitude, longitude,
+                                                                                   elevation, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "geographicToCartesian", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "geographicToCartesian", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 106. The
+            // longitude difference is not normalized so that the map's seam falls on the anti-meridian, which is the
+            // boundary between tiles, rather than within a tile.
+
+            latitude = WWMath.clamp(latitude, this.projectionLimits.minLatitude, this.projectionLimits.maxLatitude);
+
+            var rho = this.rho(globe, latitude),
+                rho0 = this.rho(globe, this._originLatitude),
+                theta = this.n * (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+
+            result[0] = rho * Math.sin(theta);
+            result[1] = rho0 - rho * Math.cos(theta);
+            result[2] = elevation;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionLambertConformalConic.prototype.geographicToCartesianGrid = function (globe, sector, numLat, numLon,
+                                                                                       elevations, referencePoint,
+                                                                                       offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "geographicToCartesianGrid", "missingGlobe"));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "geographicToCartesianGrid", "missingSector"));
+            }
+
+            if (!elevations || elevations.length < numLat * numLon) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "geographicToCartesianGrid",
+                    "The specified elevations array is null, undefined or insufficient length"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "geographicToCartesianGrid", "missingResult"));
+            }
+
+            var minLat = sector.minLatitude,
+                maxLat = sector.maxLatitude,
+                minLon = sector.minLongitude,
+                maxLon = sector.maxLongitude,
+                deltaLat = (maxLat - minLat) / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = (maxLon - minLon) / (numLon > 1 ? numLon - 1 : 1),
+                refPoint = referencePoint ? referencePoint : new Vec3(0, 0, 0),
+                rho0 = this.rho(globe, this._originLatitude),
+                sinTheta = new Float64Array(numLon), cosTheta = new Float64Array(numLon),
+                latIndex, lonIndex,
+                elevIndex = 0, resultIndex = 0,
+                lat, lon, theta, rho;
+
+            // Compute and save values that are a function of each unique longitude value in the specified sector. This
+            // eliminates the need to re-compute these values for each column of constant longitude.
+            for (lonIndex = 0, lon = minLon; lonIndex < numLon; lonIndex++, lon += deltaLon) {
+                if (lonIndex === numLon - 1) {
+                    lon = maxLon; // explicitly set the last lon to the max longitude to ensure alignment
+                }
+
+                theta = this.n * (lon - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+                sinTheta[lonIndex] = Math.sin(theta);
+                cosTheta[lonIndex] = Math.cos(theta);
+            }
+
+            // Iterate over the latitude and longitude coordinates in the specified sector, computing the Cartesian point
+            // corresponding to each latitude and longitude.
+            for (latIndex = 0, lat = minLat; latIndex < numLat; latIndex++, lat += deltaLat) {
+                if (latIndex === numLat - 1) {
+                    lat = maxLat; // explicitly set the last lat to the max latitude to ensure alignment
+                }
+
+                // Latitude is constant for each row. Values that are a function of latitude can be computed once per row.
+                rho = this.rho(globe,
+                    WWMath.clamp(lat, this.projectionLimits.minLatitude, this.projectionLimits.maxLatitude));
+
+                for (lonIndex = 0; lonIndex < numLon; lonIndex++) {
+                    result[resultIndex++] = rho * sinTheta[lonIndex] - refPoint[0];
+                    result[resultIndex++] = rho0 - rho * cosTheta[lonIndex] - refPoint[1];
+                    result[resultIndex++] = elevations[elevIndex++] - refPoint[2];
+                }
+            }
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionLambertConformalConic.prototype.cartesianToGeographic = function (globe, x, y, z, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "cartesianToGeographic", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "cartesianToGeographic", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 107.
+
+            var sign = this.n > 0 ? 1 : -1,
+                dy = this.rho(globe, this._originLatitude) - y,
+                rho = sign * Math.sqrt(x * x + dy * dy),
+                theta = Math.atan2(sign * x, sign * dy);
+
+            if (rho === 0) {
+                result.latitude = sign * 90;
+            } else {
+                result.latitude = (2 * Math.atan(Math.pow(globe.equatorialRadius * this.F / rho, 1 / this.n)) -
+                    Math.PI / 2) * Angle.RADIANS_TO_DEGREES;
+            }
+
+            result.longitude = WWMath.clamp(this._centralMeridian + theta / this.n * Angle.RADIANS_TO_DEGREES,
+                -180, 180);
+            result.altitude = z;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionLambertConformalConic.prototype.northTangentAtLocation = function (globe, latitude, longitude,
+                                                                                    result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "northTangentAtLocation", "missingResult"));
+            }
+
+            // Meridians are straight lines through the cone's apex. The north pointing tangent points toward the apex
+            // when the apex is at the north pole and away from it otherwise, which is the same direction in both cases.
+
+            var theta = this.n * (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+
+            result[0] = -Math.sin(theta);
+            result[1] = Math.cos(theta);
+            result[2] = 0;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionLambertConformalConic.prototype.northTangentAtPoint = function (globe, x, y, z, offset, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionLambertConformalConic",
+                    "northTangentAtPoint", "missingResult"));
+            }
+
+            var position = this.cartesianToGeographic(globe, x, y, z, offset,
+                ProjectionLambertConformalConic.scratchPosition);
+
+            return this.northTangentAtLocation(globe, position.latitude, position.longitude, result);
+        };
+
+        return ProjectionLambertConformalConic;
+    });
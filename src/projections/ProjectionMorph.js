@@ -0,0 +1,347 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProjectionMorph
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../projections/GeographicProjection',
+        '../util/Logger',
+        '../geom/Position',
+        '../geom/Vec3',
+        '../util/WWMath'
+    ],
+    function (Angle,
+              ArgumentError,
+              GeographicProjection,
+              Logger,
+              Position,
+              Vec3,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a projection that morphs between two geographic projections.
+         * @alias ProjectionMorph
+         * @constructor
+         * @augments GeographicProjection
+         * @classdesc Represents an intermediate state of a transition between two geographic projections, such as
+         * between the 3D [WGS84 projection]{@link ProjectionWgs84} and a 2D projection. Cartesian points are linearly
+         * interpolated between the points of the two projections according to this projection's
+         * [factor]{@link ProjectionMorph#factor}. Applications typically do not use this class directly;
+         * {@link MorphAnimator} uses it to animate a change of globe.
+         * @param {GeographicProjection} startProjection The projection at the start of the transition.
+         * @param {GeographicProjection} endProjection The projection at the end of the transition.
+         * @throws {ArgumentError} If either projection is null or undefined.
+         */
+        var ProjectionMorph = function (startProjection, endProjection) {
+            if (!startProjection || !endProjection) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph", "constructor",
+                    "The specified projection is null or undefined."));
+            }
+
+            GeographicProjection.call(this, "Morph", false, startProjection.projectionLimits);
+
+            /**
+             * The projection at the start of the transition.
+             * @type {GeographicProjection}
+             * @readonly
+             */
+            this.startProjection = startProjection;
+
+            /**
+             * The projection at the end of the transition.
+             * @type {GeographicProjection}
+             * @readonly
+             */
+            this.endProjection = endProjection;
+
+            // Documented in superclass. The intermediate surface is 2D only when both projections are 2D.
+            this.is2D = startProjection.is2D && endProjection.is2D;
+
+            // Internal. Intentionally not documented. See "factor" property accessor below for public interface.
+            this._factor = 0;
+
+            // Internal. Intentionally not documented.
+            this.scratchPoint = new Vec3(0, 0, 0);
+            this.scratchVector = new Vec3(0, 0, 0);
+            this.scratchPosition = new Position(0, 0, 0);
+            this.scratchGrid = null;
+        };
+
+        ProjectionMorph.prototype = Object.create(GeographicProjection.prototype);
+
+        // Internal. Intentionally not documented. Parameters of the iterative inversion of the interpolated points.
+        ProjectionMorph.MAX_ITERATIONS = 6;
+        ProjectionMorph.TOLERANCE = 0.01; // meters
+        ProjectionMorph.ANGULAR_STEP = 1e-4; // degrees
+        ProjectionMorph.ALTITUDE_STEP = 1; // meters
+
+        Object.defineProperties(ProjectionMorph.prototype, {
+            /**
+             * The state of the transition, from 0 at the start projection to 1 at the end projection. Values outside
+             * that range are clamped. The projection limits are those of the start projection until the transition
+             * is half way, and those of the end projection thereafter.
+             * @memberof ProjectionMorph.prototype
+             * @type {Number}
+             * @default 0
+             */
+            factor: {
+                get: function () {
+                    return this._factor;
+                },
+                set: function (factor) {
+                    this._factor = WWMath.clamp(factor, 0, 1);
+                    this.projectionLimits = this._factor < 0.5 ? this.startProjection.projectionLimits :
+                        this.endProjection.projectionLimits;
+                }
+            },
+
+            /**
+             * A string identifying this projection's current state. Used to compare states during rendering to
+             * determine whether globe-state dependent cached values must be updated. Applications typically do not
+             * interact with this property.
+             * @memberof ProjectionMorph.prototype
+             * @readonly
+             * @type {String}
+             */
+            stateKey: {
+                get: function () {
+                    return "projection morph " + this._factor + " " + this.startProjection.stateKey +
+                        this.endProjection.stateKey;
+                }
+            }
+        });
+
+        // Internal. Intentionally not documented. Linearly interpolates two vectors and normalizes the result. When
+        // the vectors are opposite one another half way through the transition, the dominant vector is used.
+        ProjectionMorph.prototype.interpolateDirection = function (start, end, result) {
+            var t = this._factor;
+
+            result[0] = start[0] + t * (end[0] - start[0]);
+            result[1] = start[1] + t * (end[1] - start[1]);
+            result[2] = start[2] + t * (end[2] - start[2]);
+
+            if (result.magnitude() < 1e-6) {
+                result.copy(t < 0.5 ? start : end);
+            }
+
+            return result.normalize();
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.geographicToCartesian = function (globe, latitude, longitude, elevation, offset,
+                                                                   result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "geographicToCartesian", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "geographicToCartesian", "missingResult"));
+            }
+
+            var t = this._factor,
+                endPoint = this.scratchPoint;
+
+            this.startProjection.geographicToCartesian(globe, latitude, longitude, elevation, offset, result);
+            this.endProjection.geographicToCartesian(globe, latitude, longitude, elevation, offset, endPoint);
+
+            result[0] += t * (endPoint[0] - result[0]);
+            result[1] += t * (endPoint[1] - result[1]);
+            result[2] += t * (endPoint[2] - result[2]);
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.geographicToCartesianGrid = function (globe, sector, numLat, numLon, elevations,
+                                                                       referencePoint, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "geographicToCartesianGrid", "missingGlobe"));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "geographicToCartesianGrid", "missingSector"));
+            }
+
+            if (!elevations || elevations.length < numLat * numLon) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "geographicToCartesianGrid",
+                    "The specified elevations array is null, undefined or insufficient length"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "geographicToCartesianGrid", "missingResult"));
+            }
+
+            var t = this._factor,
+                count = 3 * numLat * numLon;
+
+            if (!this.scratchGrid || this.scratchGrid.length < count) {
+                this.scratchGrid = new Float64Array(count);
+            }
+
+            this.startProjection.geographicToCartesianGrid(globe, sector, numLat, numLon, elevations, referencePoint,
+                offset, result);
+            this.endProjection.geographicToCartesianGrid(globe, sector, numLat, numLon, elevations, referencePoint,
+                offset, this.scratchGrid);
+
+            for (var i = 0; i < count; i++) {
+                result[i] += t * (this.scratchGrid[i] - result[i]);
+            }
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.cartesianToGeographic = function (globe, x, y, z, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "cartesianToGeographic", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "cartesianToGeographic", "missingResult"));
+            }
+
+            var t = this._factor;
+
+            // Start with the position given by the dominant projection.
+            (t < 0.5 ? this.startProjection : this.endProjection).cartesianToGeographic(globe, x, y, z, offset,
+                result);
+
+            if (t === 0 || t === 1) {
+                return result;
+            }
+
+            // Refine the position with Newton's method, using finite differences to estimate the derivatives of the
+            // interpolated point with respect to latitude, longitude and altitude.
+            var point = new Vec3(0, 0, 0),
+                dLat = new Vec3(0, 0, 0),
+                dLon = new Vec3(0, 0, 0),
+                dAlt = new Vec3(0, 0, 0),
+                angularStep = ProjectionMorph.ANGULAR_STEP,
+                altitudeStep = ProjectionMorph.ALTITUDE_STEP;
+
+            for (var i = 0; i < ProjectionMorph.MAX_ITERATIONS; i++) {
+                var lat = result.latitude,
+                    lon = result.longitude,
+                    alt = result.altitude;
+
+                this.geographicToCartesian(globe, lat, lon, alt, offset, point);
+
+                var rx = x - point[0],
+                    ry = y - point[1],
+                    rz = z - point[2];
+
+                if (Math.sqrt(rx * rx + ry * ry + rz * rz) < ProjectionMorph.TOLERANCE) {
+                    break;
+                }
+
+                // Step away from the poles so that the latitude difference stays within the valid range.
+                var latStep = lat > 0 ? -angularStep : angularStep;
+                this.geographicToCartesian(globe, lat + latStep, lon, alt, offset, dLat).subtract(point)
+                    .divide(latStep);
+                this.geographicToCartesian(globe, lat, lon + angularStep, alt, offset, dLon).subtract(point)
+                    .divide(angularStep);
+                this.geographicToCartesian(globe, lat, lon, alt + altitudeStep, offset, dAlt).subtract(point)
+                    .divide(altitudeStep);
+
+                // Solve the 3 x 3 linear system by Cramer's rule.
+                var det = ProjectionMorph.determinant(dLat, dLon, dAlt);
+                if (Math.abs(det) < 1e-12) {
+                    break;
+                }
+
+                var residual = new Vec3(rx, ry, rz);
+                result.latitude = WWMath.clamp(lat + ProjectionMorph.determinant(residual, dLon, dAlt) / det, -90, 90);
+                result.longitude = Angle.normalizedDegreesLongitude(
+                    lon + ProjectionMorph.determinant(dLat, residual, dAlt) / det);
+                result.altitude = alt + ProjectionMorph.determinant(dLat, dLon, residual) / det;
+            }
+
+            return result;
+        };
+
+        // Internal. Intentionally not documented. Computes the determinant of the matrix with the specified columns.
+        ProjectionMorph.determinant = function (a, b, c) {
+            return a[0] * (b[1] * c[2] - b[2] * c[1]) -
+                b[0] * (a[1] * c[2] - a[2] * c[1]) +
+                c[0] * (a[1] * b[2] - a[2] * b[1]);
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.northTangentAtLocation = function (globe, latitude, longitude, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "northTangentAtLocation", "missingResult"));
+            }
+
+            var startTangent = this.startProjection.northTangentAtLocation(globe, latitude, longitude, result),
+                endTangent = this.endProjection.northTangentAtLocation(globe, latitude, longitude, this.scratchVector);
+
+            return this.interpolateDirection(new Vec3(startTangent[0], startTangent[1], startTangent[2]), endTangent,
+                result);
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.northTangentAtPoint = function (globe, x, y, z, offset, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "northTangentAtPoint", "missingResult"));
+            }
+
+            var position = this.cartesianToGeographic(globe, x, y, z, offset, this.scratchPosition);
+
+            return this.northTangentAtLocation(globe, position.latitude, position.longitude, result);
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.surfaceNormalAtLocation = function (globe, latitude, longitude, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "surfaceNormalAtLocation", "missingResult"));
+            }
+
+            var startNormal = this.startProjection.surfaceNormalAtLocation(globe, latitude, longitude, result),
+                endNormal = this.endProjection.surfaceNormalAtLocation(globe, latitude, longitude, this.scratchVector);
+
+            return this.interpolateDirection(new Vec3(startNormal[0], startNormal[1], startNormal[2]), endNormal,
+                result);
+        };
+
+        // Documented in base class.
+        ProjectionMorph.prototype.surfaceNormalAtPoint = function (globe, x, y, z, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionMorph",
+                    "surfaceNormalAtPoint", "missingResult"));
+            }
+
+            var position = this.cartesianToGeographic(globe, x, y, z, null, this.scratchPosition);
+
+            return this.surfaceNormalAtLocation(globe, position.latitude, position.longitude, result);
+        };
+
+        return ProjectionMorph;
+    });
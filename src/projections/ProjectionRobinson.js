@@ -0,0 +1,294 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProjectionRobinson
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../projections/GeographicProjection',
+        '../util/Logger',
+        '../geom/Position',
+        '../geom/Vec3',
+        '../util/WWMath'
+    ],
+    function (Angle,
+              ArgumentError,
+              GeographicProjection,
+              Logger,
+              Position,
+              Vec3,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a Robinson geographic projection.
+         * @alias ProjectionRobinson
+         * @constructor
+         * @augments GeographicProjection
+         * @classdesc Represents a Robinson geographic projection, a pseudocylindrical compromise projection commonly
+         * used for world maps. The projection is defined by a table of parallel lengths and distances from the equator
+         * at every 5 degrees of latitude, between which this projection interpolates linearly. The projected globe is
+         * spherical, not ellipsoidal.
+         * @param {Number} centralMeridian The longitude at the center of the projection, in degrees. Defaults to 0 if
+         * null or undefined.
+         */
+        var ProjectionRobinson = function (centralMeridian) {
+
+            GeographicProjection.call(this, "Robinson", false, null);
+
+            // Internal. Intentionally not documented. See "centralMeridian" property accessor below for public
+            // interface.
+            this._centralMeridian = typeof centralMeridian === "number" ? centralMeridian : 0;
+
+            // Internal. Intentionally not documented. See "stateKey" property accessor below for public interface.
+            this._stateKey = "projection robinson " + this._centralMeridian + " ";
+        };
+
+        ProjectionRobinson.prototype = Object.create(GeographicProjection.prototype);
+
+        // Internal. Intentionally not documented. The parallel lengths (X) and distances from the equator (Y) at every
+        // 5 degrees of latitude, from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 266.
+        ProjectionRobinson.X = [1.0000, 0.9986, 0.9954, 0.9900, 0.9822, 0.9730, 0.9600, 0.9427, 0.9216, 0.8962,
+            0.8679, 0.8350, 0.7986, 0.7597, 0.7186, 0.6732, 0.6213, 0.5722, 0.5322];
+        ProjectionRobinson.Y = [0.0000, 0.0620, 0.1240, 0.1860, 0.2480, 0.3100, 0.3720, 0.4340, 0.4958, 0.5571,
+            0.6176, 0.6769, 0.7346, 0.7903, 0.8435, 0.8936, 0.9394, 0.9761, 1.0000];
+
+        // Internal. Intentionally not documented.
+        ProjectionRobinson.X_SCALE = 0.8487;
+        ProjectionRobinson.Y_SCALE = 1.3523;
+
+        // Internal. Intentionally not documented.
+        ProjectionRobinson.scratchPosition = new Position(0, 0, 0);
+
+        Object.defineProperties(ProjectionRobinson.prototype, {
+            /**
+             * The longitude at the center of the projection, in degrees.
+             * @memberof ProjectionRobinson.prototype
+             * @readonly
+             * @type {Number}
+             */
+            centralMeridian: {
+                get: function () {
+                    return this._centralMeridian;
+                }
+            },
+
+            /**
+             * A string identifying this projection's current state. Used to compare states during rendering to
+             * determine whether globe-state dependent cached values must be updated. Applications typically do not
+             * interact with this property.
+             * @memberof ProjectionRobinson.prototype
+             * @readonly
+             * @type {String}
+             */
+            stateKey: {
+                get: function () {
+                    return this._stateKey;
+                }
+            }
+        });
+
+        // Internal. Intentionally not documented. Interpolates the table of parallel lengths and distances from the
+        // equator at a latitude in degrees, returning the result in an object with properties x and y. The returned
+        // distance has the sign of the latitude.
+        ProjectionRobinson.tableValues = function (latitude, result) {
+            var absLat = Math.min(Math.abs(latitude), 90),
+                i = Math.min(Math.floor(absLat / 5), 17),
+                f = (absLat - 5 * i) / 5;
+
+            result.x = ProjectionRobinson.X[i] + f * (ProjectionRobinson.X[i + 1] - ProjectionRobinson.X[i]);
+            result.y = ProjectionRobinson.Y[i] + f * (ProjectionRobinson.Y[i + 1] - ProjectionRobinson.Y[i]);
+            if (latitude < 0) {
+                result.y = -result.y;
+            }
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionRobinson.prototype.geographicToCartesian = function (globe, latitude, longitude, elevation,
+                                                                      offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "geographicToCartesian", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "geographicToCartesian", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 265. The
+            // longitude difference is not normalized so that the map's seam falls on the anti-meridian.
+
+            var values = ProjectionRobinson.tableValues(latitude, {}),
+                lon = (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+
+            result[0] = ProjectionRobinson.X_SCALE * globe.equatorialRadius * values.x * lon;
+            result[1] = ProjectionRobinson.Y_SCALE * globe.equatorialRadius * values.y;
+            result[2] = elevation;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionRobinson.prototype.geographicToCartesianGrid = function (globe, sector, numLat, numLon, elevations,
+                                                                          referencePoint, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "geographicToCartesianGrid", "missingGlobe"));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "geographicToCartesianGrid", "missingSector"));
+            }
+
+            if (!elevations || elevations.length < numLat * numLon) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "geographicToCartesianGrid",
+                    "The specified elevations array is null, undefined or insufficient length"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "geographicToCartesianGrid", "missingResult"));
+            }
+
+            var xScale = ProjectionRobinson.X_SCALE * globe.equatorialRadius,
+                yScale = ProjectionRobinson.Y_SCALE * globe.equatorialRadius,
+                minLat = sector.minLatitude,
+                maxLat = sector.maxLatitude,
+                minLon = sector.minLongitude,
+                maxLon = sector.maxLongitude,
+                deltaLat = (maxLat - minLat) / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = (maxLon - minLon) / (numLon > 1 ? numLon - 1 : 1),
+                refPoint = referencePoint ? referencePoint : new Vec3(0, 0, 0),
+                lonRadians = new Float64Array(numLon),
+                values = {},
+                latIndex, lonIndex,
+                elevIndex = 0, resultIndex = 0,
+                lat, lon, x, y;
+
+            // Compute and save values that are a function of each unique longitude value in the specified sector. This
+            // eliminates the need to re-compute these values for each column of constant longitude.
+            for (lonIndex = 0, lon = minLon; lonIndex < numLon; lonIndex++, lon += deltaLon) {
+                if (lonIndex === numLon - 1) {
+                    lon = maxLon; // explicitly set the last lon to the max longitude to ensure alignment
+                }
+
+                lonRadians[lonIndex] = (lon - this._centralMeridian) * Angle.DEGREES_TO_RADIANS;
+            }
+
+            // Iterate over the latitude and longitude coordinates in the specified sector, computing the Cartesian point
+            // corresponding to each latitude and longitude.
+            for (latIndex = 0, lat = minLat; latIndex < numLat; latIndex++, lat += deltaLat) {
+                if (latIndex === numLat - 1) {
+                    lat = maxLat; // explicitly set the last lat to the max latitude to ensure alignment
+                }
+
+                // Latitude is constant for each row. Values that are a function of latitude can be computed once per row.
+                ProjectionRobinson.tableValues(lat, values);
+                x = xScale * values.x;
+                y = yScale * values.y - refPoint[1];
+
+                for (lonIndex = 0; lonIndex < numLon; lonIndex++) {
+                    result[resultIndex++] = x * lonRadians[lonIndex] - refPoint[0];
+                    result[resultIndex++] = y;
+                    result[resultIndex++] = elevations[elevIndex++] - refPoint[2];
+                }
+            }
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionRobinson.prototype.cartesianToGeographic = function (globe, x, y, z, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "cartesianToGeographic", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "cartesianToGeographic", "missingResult"));
+            }
+
+            // Invert the linear interpolation of the table's distances from the equator to find the latitude, then
+            // the longitude from the length of that latitude's parallel. Points beyond the projection's extent are
+            // mapped to its edge.
+
+            var tableY = ProjectionRobinson.Y,
+                absY = Math.min(Math.abs(y) / (ProjectionRobinson.Y_SCALE * globe.equatorialRadius), 1),
+                i = 0;
+
+            while (i < 17 && tableY[i + 1] < absY) {
+                i++;
+            }
+
+            var latitude = 5 * (i + (absY - tableY[i]) / (tableY[i + 1] - tableY[i])),
+                values = ProjectionRobinson.tableValues(latitude, {}),
+                lon = x / (ProjectionRobinson.X_SCALE * globe.equatorialRadius * values.x);
+
+            result.latitude = y < 0 ? -latitude : latitude;
+            result.longitude = WWMath.clamp(this._centralMeridian + lon * Angle.RADIANS_TO_DEGREES, -180, 180);
+            result.altitude = z;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionRobinson.prototype.northTangentAtLocation = function (globe, latitude, longitude, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "northTangentAtLocation", "missingResult"));
+            }
+
+            // The derivative of the projected point with respect to latitude, using the slopes of the table's linear
+            // interpolation.
+
+            var absLat = Math.min(Math.abs(latitude), 90),
+                i = Math.min(Math.floor(absLat / 5), 17),
+                lon = (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS,
+                dX = (ProjectionRobinson.X[i + 1] - ProjectionRobinson.X[i]) * (latitude < 0 ? -1 : 1),
+                dY = ProjectionRobinson.Y[i + 1] - ProjectionRobinson.Y[i],
+                tx = ProjectionRobinson.X_SCALE * lon * dX,
+                ty = ProjectionRobinson.Y_SCALE * dY,
+                length = Math.sqrt(tx * tx + ty * ty);
+
+            result[0] = tx / length;
+            result[1] = ty / length;
+            result[2] = 0;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionRobinson.prototype.northTangentAtPoint = function (globe, x, y, z, offset, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionRobinson",
+                    "northTangentAtPoint", "missingResult"));
+            }
+
+            var position = this.cartesianToGeographic(globe, x, y, z, offset, ProjectionRobinson.scratchPosition);
+
+            return this.northTangentAtLocation(globe, position.latitude, position.longitude, result);
+        };
+
+        return ProjectionRobinson;
+    });
@@ -0,0 +1,306 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ProjectionTransverseMercator
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../projections/GeographicProjection',
+        '../util/Logger',
+        '../geom/Position',
+        '../geom/Sector',
+        '../geom/Vec3',
+        '../util/WWMath'
+    ],
+    function (Angle,
+              ArgumentError,
+              GeographicProjection,
+              Logger,
+              Position,
+              Sector,
+              Vec3,
+              WWMath) {
+        "use strict";
+
+        /**
+         * Constructs a Transverse Mercator geographic projection.
+         * @alias ProjectionTransverseMercator
+         * @constructor
+         * @augments GeographicProjection
+         * @classdesc Represents a Transverse Mercator geographic projection, a conformal projection of a cylinder
+         * tangent to the globe along a central meridian. It is typically used for large scale maps of regions of
+         * large north-south extent, and with a scale factor of 0.9996 for the zones of the Universal Transverse
+         * Mercator (UTM) system. Use [fromUtmZone]{@link ProjectionTransverseMercator.fromUtmZone} to create the
+         * projection of a UTM zone. The projected globe is spherical, not ellipsoidal.
+         * <p>
+         * The projection is limited to longitudes within 60 degrees of the central meridian.
+         * @param {Number} centralMeridian The longitude of the central meridian, in degrees. Defaults to 0 if null or
+         * undefined.
+         * @param {Number} scaleFactor The scale factor along the central meridian. Defaults to 1 if null or
+         * undefined.
+         */
+        var ProjectionTransverseMercator = function (centralMeridian, scaleFactor) {
+            var lon0 = typeof centralMeridian === "number" ? centralMeridian : 0,
+                limits = new Sector(-90, 90,
+                    Math.max(lon0 - ProjectionTransverseMercator.MAX_LONGITUDE_OFFSET, -180),
+                    Math.min(lon0 + ProjectionTransverseMercator.MAX_LONGITUDE_OFFSET, 180));
+
+            GeographicProjection.call(this, "Transverse Mercator", false, limits);
+
+            // Internal. Intentionally not documented. See property accessors below for the public interface.
+            this._centralMeridian = lon0;
+            this._scaleFactor = typeof scaleFactor === "number" ? scaleFactor : 1;
+
+            // Internal. Intentionally not documented. See "stateKey" property accessor below for public interface.
+            this._stateKey = "projection transverse mercator " + this._centralMeridian + " " + this._scaleFactor + " ";
+        };
+
+        ProjectionTransverseMercator.prototype = Object.create(GeographicProjection.prototype);
+
+        // Internal. Intentionally not documented.
+        ProjectionTransverseMercator.MAX_LONGITUDE_OFFSET = 60;
+
+        // Internal. Intentionally not documented.
+        ProjectionTransverseMercator.scratchPosition = new Position(0, 0, 0);
+
+        /**
+         * Creates the Transverse Mercator projection of a zone of the Universal Transverse Mercator (UTM) system.
+         * @param {Number} zone The UTM zone number, from 1 to 60.
+         * @returns {ProjectionTransverseMercator} A new projection with the zone's central meridian and a scale factor
+         * of 0.9996.
+         * @throws {ArgumentError} If the specified zone is not between 1 and 60.
+         */
+        ProjectionTransverseMercator.fromUtmZone = function (zone) {
+            if (!(zone >= 1 && zone <= 60)) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "fromUtmZone", "The specified UTM zone is not between 1 and 60."));
+            }
+
+            var projection = new ProjectionTransverseMercator(6 * Math.floor(zone) - 183, 0.9996);
+            projection.displayName = "UTM Zone " + Math.floor(zone);
+
+            return projection;
+        };
+
+        Object.defineProperties(ProjectionTransverseMercator.prototype, {
+            /**
+             * The longitude of the central meridian, in degrees.
+             * @memberof ProjectionTransverseMercator.prototype
+             * @readonly
+             * @type {Number}
+             */
+            centralMeridian: {
+                get: function () {
+                    return this._centralMeridian;
+                }
+            },
+
+            /**
+             * The scale factor along the central meridian.
+             * @memberof ProjectionTransverseMercator.prototype
+             * @readonly
+             * @type {Number}
+             */
+            scaleFactor: {
+                get: function () {
+                    return this._scaleFactor;
+                }
+            },
+
+            /**
+             * A string identifying this projection's current state. Used to compare states during rendering to
+             * determine whether globe-state dependent cached values must be updated. Applications typically do not
+             * interact with this property.
+             * @memberof ProjectionTransverseMercator.prototype
+             * @readonly
+             * @type {String}
+             */
+            stateKey: {
+                get: function () {
+                    return this._stateKey;
+                }
+            }
+        });
+
+        // Documented in base class.
+        ProjectionTransverseMercator.prototype.geographicToCartesian = function (globe, latitude, longitude, elevation,
+                                                                                offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "geographicToCartesian", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "geographicToCartesian", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 58.
+
+            var maxOffset = ProjectionTransverseMercator.MAX_LONGITUDE_OFFSET,
+                lat = latitude * Angle.DEGREES_TO_RADIANS,
+                lon = WWMath.clamp(longitude - this._centralMeridian, -maxOffset, maxOffset) * Angle.DEGREES_TO_RADIANS,
+                cosLat = Math.cos(lat),
+                b = cosLat * Math.sin(lon),
+                k0R = this._scaleFactor * globe.equatorialRadius;
+
+            result[0] = 0.5 * k0R * Math.log((1 + b) / (1 - b));
+            result[1] = k0R * Math.atan2(Math.sin(lat), cosLat * Math.cos(lon));
+            result[2] = elevation;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionTransverseMercator.prototype.geographicToCartesianGrid = function (globe, sector, numLat, numLon,
+                                                                                    elevations, referencePoint,
+                                                                                    offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "geographicToCartesianGrid", "missingGlobe"));
+            }
+
+            if (!sector) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "geographicToCartesianGrid", "missingSector"));
+            }
+
+            if (!elevations || elevations.length < numLat * numLon) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "geographicToCartesianGrid",
+                    "The specified elevations array is null, undefined or insufficient length"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "geographicToCartesianGrid", "missingResult"));
+            }
+
+            var k0R = this._scaleFactor * globe.equatorialRadius,
+                maxOffset = ProjectionTransverseMercator.MAX_LONGITUDE_OFFSET,
+                minLat = sector.minLatitude * Angle.DEGREES_TO_RADIANS,
+                maxLat = sector.maxLatitude * Angle.DEGREES_TO_RADIANS,
+                minLon = sector.minLongitude,
+                maxLon = sector.maxLongitude,
+                deltaLat = (maxLat - minLat) / (numLat > 1 ? numLat - 1 : 1),
+                deltaLon = (maxLon - minLon) / (numLon > 1 ? numLon - 1 : 1),
+                refPoint = referencePoint ? referencePoint : new Vec3(0, 0, 0),
+                sinLon = new Float64Array(numLon), cosLon = new Float64Array(numLon),
+                latIndex, lonIndex,
+                elevIndex = 0, resultIndex = 0,
+                lat, lon, lonOffset, sinLat, cosLat, b;
+
+            // Compute and save values that are a function of each unique longitude value in the specified sector. This
+            // eliminates the need to re-compute these values for each column of constant longitude.
+            for (lonIndex = 0, lon = minLon; lonIndex < numLon; lonIndex++, lon += deltaLon) {
+                if (lonIndex === numLon - 1) {
+                    lon = maxLon; // explicitly set the last lon to the max longitude to ensure alignment
+                }
+
+                lonOffset = WWMath.clamp(lon - this._centralMeridian, -maxOffset, maxOffset);
+                sinLon[lonIndex] = Math.sin(lonOffset * Angle.DEGREES_TO_RADIANS);
+                cosLon[lonIndex] = Math.cos(lonOffset * Angle.DEGREES_TO_RADIANS);
+            }
+
+            // Iterate over the latitude and longitude coordinates in the specified sector, computing the Cartesian point
+            // corresponding to each latitude and longitude.
+            for (latIndex = 0, lat = minLat; latIndex < numLat; latIndex++, lat += deltaLat) {
+                if (latIndex === numLat - 1) {
+                    lat = maxLat; // explicitly set the last lat to the max latitude to ensure alignment
+                }
+
+                // Latitude is constant for each row. Values that are a function of latitude can be computed once per row.
+                sinLat = Math.sin(lat);
+                cosLat = Math.cos(lat);
+
+                for (lonIndex = 0; lonIndex < numLon; lonIndex++) {
+                    b = cosLat * sinLon[lonIndex];
+                    result[resultIndex++] = 0.5 * k0R * Math.log((1 + b) / (1 - b)) - refPoint[0];
+                    result[resultIndex++] = k0R * Math.atan2(sinLat, cosLat * cosLon[lonIndex]) - refPoint[1];
+                    result[resultIndex++] = elevations[elevIndex++] - refPoint[2];
+                }
+            }
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionTransverseMercator.prototype.cartesianToGeographic = function (globe, x, y, z, offset, result) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "cartesianToGeographic", "missingGlobe"));
+            }
+
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "cartesianToGeographic", "missingResult"));
+            }
+
+            // Formulae taken from "Map Projections -- A Working Manual", Snyder, USGS paper 1395, pg. 60.
+
+            var k0R = this._scaleFactor * globe.equatorialRadius,
+                d = y / k0R,
+                ex = Math.exp(x / k0R),
+                sinhX = (ex - 1 / ex) / 2,
+                coshX = (ex + 1 / ex) / 2;
+
+            result.latitude = Math.asin(WWMath.clamp(Math.sin(d) / coshX, -1, 1)) * Angle.RADIANS_TO_DEGREES;
+            result.longitude = Angle.normalizedDegreesLongitude(this._centralMeridian +
+                Math.atan2(sinhX, Math.cos(d)) * Angle.RADIANS_TO_DEGREES);
+            result.altitude = z;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionTransverseMercator.prototype.northTangentAtLocation = function (globe, latitude, longitude, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "northTangentAtLocation", "missingResult"));
+            }
+
+            // The derivative of the projected point with respect to latitude, omitting a common positive factor.
+
+            var lat = latitude * Angle.DEGREES_TO_RADIANS,
+                lon = (longitude - this._centralMeridian) * Angle.DEGREES_TO_RADIANS,
+                tx = -Math.sin(lat) * Math.sin(lon),
+                ty = Math.cos(lon),
+                length = Math.sqrt(tx * tx + ty * ty);
+
+            result[0] = length > 0 ? tx / length : 0;
+            result[1] = length > 0 ? ty / length : 1;
+            result[2] = 0;
+
+            return result;
+        };
+
+        // Documented in base class.
+        ProjectionTransverseMercator.prototype.northTangentAtPoint = function (globe, x, y, z, offset, result) {
+            if (!result) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "ProjectionTransverseMercator",
+                    "northTangentAtPoint", "missingResult"));
+            }
+
+            var position = this.cartesianToGeographic(globe, x, y, z, offset,
+                ProjectionTransverseMercator.scratchPosition);
+
+            return this.northTangentAtLocation(globe, position.latitude, position.longitude, result);
+        };
+
+        return ProjectionTransverseMercator;
+    });
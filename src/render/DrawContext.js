@@ -266,6 +266,13 @@ define([
              */
             this.verticalExaggeration = 1;
 
+            /**
+             * The current scene time, or null if time is ignored. See [WorldWindow.currentTime]{@link
+             * WorldWindow#currentTime}.
+             * @type {Date}
+             */
+            this.currentTime = null;
+
             /**
              * The number of milliseconds over which to fade shapes that support fading. Fading is most typically
              * used during decluttering.
@@ -456,6 +463,7 @@ define([
             this.currentLayer = null;
             this.terrain = null;
             this.verticalExaggeration = 1;
+            this.currentTime = null;
             this.frameStatistics = null;
             this.accumulateOrderedRenderables = true;
 
@@ -1265,6 +1273,7 @@ define([
          * Computes a Cartesian point at a location on the surface of this terrain according to a specified
          * altitude mode. If there is no current terrain, this function approximates the returned point by assuming
          * the terrain is the globe's ellipsoid.
+         * Both the terrain elevation and the offset are multiplied by the vertical exaggeration.
          * @param {Number} latitude The location's latitude.
          * @param {Number} longitude The location's longitude.
          * @param {Number} offset Distance above the terrain, in meters relative to the specified altitude mode, at
@@ -1286,8 +1295,16 @@ define([
             if (this.terrain) {
                 this.terrain.surfacePointForMode(latitude, longitude, offset, altitudeMode, result);
             } else {
-                var h = offset + this.globe.elevationAtLocation(latitude, longitude) * this.verticalExaggeration;
-                this.globe.computePointFromPosition(latitude, longitude, h, result);
+                var h;
+                if (altitudeMode === WorldWind.CLAMP_TO_GROUND) {
+                    h = this.globe.elevationAtLocation(latitude, longitude);
+                } else if (altitudeMode === WorldWind.RELATIVE_TO_GROUND) {
+                    h = offset + this.globe.elevationAtLocation(latitude, longitude);
+                } else {
+                    h = offset;
+                }
+
+                this.globe.computePointFromPosition(latitude, longitude, h * this.verticalExaggeration, result);
             }
 
             return result;
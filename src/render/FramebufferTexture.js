@@ -148,5 +148,26 @@ define([
             return !!this.texture;
         };
 
+        /**
+         * Releases this framebuffer's WebGL framebuffer, texture and depth buffer.
+         * @param {WebGLRenderingContext} gl The current WebGL context.
+         */
+        FramebufferTexture.prototype.dispose = function (gl) {
+            if (this.framebufferId) {
+                gl.deleteFramebuffer(this.framebufferId);
+                this.framebufferId = null;
+            }
+
+            if (this.texture) {
+                gl.deleteTexture(this.texture);
+                this.texture = null;
+            }
+
+            if (this.depthBuffer) {
+                gl.deleteRenderbuffer(this.depthBuffer);
+                this.depthBuffer = null;
+            }
+        };
+
         return FramebufferTexture;
     });
\ No newline at end of file
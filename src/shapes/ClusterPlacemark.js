@@ -0,0 +1,139 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ClusterPlacemark
+ */
+define([
+        '../geom/Angle',
+        '../error/ArgumentError',
+        '../util/Logger',
+        '../shapes/Placemark',
+        '../geom/Position',
+        '../geom/Sector'
+    ],
+    function (Angle,
+              ArgumentError,
+              Logger,
+              Placemark,
+              Position,
+              Sector) {
+        "use strict";
+
+        /**
+         * Constructs a cluster placemark for a specified list of placemarks.
+         * @alias ClusterPlacemark
+         * @constructor
+         * @augments Placemark
+         * @classdesc Represents a group of placemarks that are displayed as one, typically with a badge indicating
+         * how many placemarks it stands for. Cluster placemarks are created by {@link ClusteringLayer}, and are
+         * returned by [WorldWindow.pick]{@link WorldWindow#pick} and highlighted by {@link HighlightController}
+         * like any other placemark. The cluster is positioned at the average location of its placemarks. Clusters
+         * spanning the anti-meridian are positioned next to it rather than on the opposite side of the globe.
+         * @param {Placemark[]} placemarks The placemarks this cluster represents.
+         * @param {PlacemarkAttributes} attributes The attributes to associate with this cluster placemark. May be
+         * null, in which case default attributes are associated.
+         * @throws {ArgumentError} If the specified placemarks array is null, undefined or empty.
+         */
+        var ClusterPlacemark = function (placemarks, attributes) {
+            if (!placemarks || placemarks.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ClusterPlacemark", "constructor", "missingArray"));
+            }
+
+            Placemark.call(this, ClusterPlacemark.averagePosition(placemarks), false, attributes);
+
+            /**
+             * The placemarks this cluster represents.
+             * @type {Placemark[]}
+             * @readonly
+             */
+            this.placemarks = placemarks;
+
+            /**
+             * The sector bounding the positions of this cluster's placemarks. When the placemarks span the
+             * anti-meridian, the sector's longitudes extend beyond 180 or -180 degrees so that the sector remains
+             * contiguous instead of spanning the globe.
+             * @type {Sector}
+             * @readonly
+             */
+            this.sector = ClusterPlacemark.boundingSector(placemarks);
+
+            this.altitudeMode = WorldWind.CLAMP_TO_GROUND;
+        };
+
+        ClusterPlacemark.prototype = Object.create(Placemark.prototype);
+
+        Object.defineProperties(ClusterPlacemark.prototype, {
+            /**
+             * The number of placemarks this cluster represents.
+             * @memberof ClusterPlacemark.prototype
+             * @type {Number}
+             * @readonly
+             */
+            count: {
+                get: function () {
+                    return this.placemarks.length;
+                }
+            }
+        });
+
+        // Internal. Intentionally not documented. Returns the longitudes of the placemarks unwrapped relative to
+        // the first one, so that longitudes on either side of the anti-meridian are less than 180 degrees apart.
+        ClusterPlacemark.unwrappedLongitudes = function (placemarks) {
+            var reference = placemarks[0].position.longitude;
+
+            return placemarks.map(function (placemark) {
+                return reference + Angle.normalizedDegreesLongitude(placemark.position.longitude - reference);
+            });
+        };
+
+        // Internal. Intentionally not documented.
+        ClusterPlacemark.averagePosition = function (placemarks) {
+            var longitudes = ClusterPlacemark.unwrappedLongitudes(placemarks),
+                latitude = 0,
+                longitude = 0;
+
+            for (var i = 0, len = placemarks.length; i < len; i++) {
+                latitude += placemarks[i].position.latitude;
+                longitude += longitudes[i];
+            }
+
+            return new Position(latitude / placemarks.length,
+                Angle.normalizedDegreesLongitude(longitude / placemarks.length), 0);
+        };
+
+        // Internal. Intentionally not documented. Bounds the unwrapped longitudes, then shifts the sector by a full
+        // turn if needed so that its center lies within the normal range of longitude.
+        ClusterPlacemark.boundingSector = function (placemarks) {
+            var longitudes = ClusterPlacemark.unwrappedLongitudes(placemarks),
+                sector = new Sector(90, -90, Math.min.apply(null, longitudes), Math.max.apply(null, longitudes)),
+                center = (sector.minLongitude + sector.maxLongitude) / 2,
+                shift = center > 180 ? -360 : center < -180 ? 360 : 0;
+
+            for (var i = 0, len = placemarks.length; i < len; i++) {
+                sector.minLatitude = Math.min(sector.minLatitude, placemarks[i].position.latitude);
+                sector.maxLatitude = Math.max(sector.maxLatitude, placemarks[i].position.latitude);
+            }
+
+            sector.minLongitude += shift;
+            sector.maxLongitude += shift;
+
+            return sector;
+        };
+
+        return ClusterPlacemark;
+    });
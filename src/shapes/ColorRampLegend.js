@@ -0,0 +1,231 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ColorRampLegend
+ */
+define([
+        '../error/ArgumentError',
+        '../util/Color',
+        '../util/ImageSource',
+        '../util/Logger',
+        '../util/Offset',
+        '../shapes/ScreenImage'
+    ],
+    function (ArgumentError,
+              Color,
+              ImageSource,
+              Logger,
+              Offset,
+              ScreenImage) {
+        "use strict";
+
+        /**
+         * Constructs a color ramp legend.
+         * @alias ColorRampLegend
+         * @constructor
+         * @augments ScreenImage
+         * @classdesc Displays a {@link ColorRamp} as a vertical color bar at a specified location in the WorldWindow.
+         * The bar spans the ramp's values from its first stop at the bottom to its last stop at the top, and is
+         * labeled with the stops' values.
+         * <p>
+         * The legend is redrawn when its [colorRamp]{@link ColorRampLegend#colorRamp} is assigned. Call
+         * [update]{@link ColorRampLegend#update} after changing the legend's title, size, colors or font.
+         * @param {Offset} screenOffset The offset indicating the legend's placement on the screen. If null or
+         * undefined the legend is placed at the lower-right corner of the WorldWindow.
+         * Use [the image offset property]{@link ScreenImage#imageOffset} to position the legend relative to the
+         * screen point.
+         * @param {ColorRamp} colorRamp The color ramp to display.
+         * @param {String} title The legend's title, displayed above the color bar. May be null.
+         * @throws {ArgumentError} If the specified color ramp is null or undefined.
+         */
+        var ColorRampLegend = function (screenOffset, colorRamp, title) {
+            if (!colorRamp) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRampLegend", "constructor",
+                        "The specified color ramp is null or undefined."));
+            }
+
+            var sOffset = screenOffset ? screenOffset
+                : new Offset(WorldWind.OFFSET_FRACTION, 1, WorldWind.OFFSET_FRACTION, 0); // lower-right placement
+
+            // Internal. Intentionally not documented.
+            this.canvas = document.createElement("canvas");
+
+            ScreenImage.call(this, sOffset, new ImageSource(this.canvas));
+
+            if (!screenOffset) {
+                // Align the lower right corner of the legend with the screen point, with some padding.
+                this.imageOffset = new Offset(WorldWind.OFFSET_INSET_PIXELS, -10, WorldWind.OFFSET_PIXELS, -10);
+            }
+
+            /**
+             * The legend's title, displayed above the color bar. May be null.
+             * @type {String}
+             */
+            this.title = title || null;
+
+            /**
+             * The units appended to the value labels.
+             * @type {String}
+             * @default " m"
+             */
+            this.units = " m";
+
+            /**
+             * The legend's width in pixels.
+             * @type {Number}
+             * @default 110
+             */
+            this.width = 110;
+
+            /**
+             * The legend's height in pixels.
+             * @type {Number}
+             * @default 220
+             */
+            this.height = 220;
+
+            /**
+             * The legend's background color.
+             * @type {Color}
+             * @default Translucent white (1, 1, 1, 0.8)
+             */
+            this.backgroundColor = new Color(1, 1, 1, 0.8);
+
+            /**
+             * The color of the legend's title, labels and color bar outline.
+             * @type {Color}
+             * @default Black
+             */
+            this.textColor = new Color(0, 0, 0, 1);
+
+            /**
+             * The CSS font of the legend's title and labels.
+             * @type {String}
+             * @default "11px sans-serif"
+             */
+            this.font = "11px sans-serif";
+
+            // Internal. Intentionally not documented.
+            this._colorRamp = colorRamp;
+
+            this.update();
+        };
+
+        ColorRampLegend.prototype = Object.create(ScreenImage.prototype);
+
+        Object.defineProperties(ColorRampLegend.prototype, {
+            /**
+             * The color ramp displayed by this legend.
+             * @type {ColorRamp}
+             * @memberof ColorRampLegend.prototype
+             */
+            colorRamp: {
+                get: function () {
+                    return this._colorRamp;
+                },
+                set: function (colorRamp) {
+                    this._colorRamp = colorRamp;
+                    this.update();
+                }
+            }
+        });
+
+        /**
+         * Redraws this legend. Call this function after changing the legend's title, size, colors or font.
+         */
+        ColorRampLegend.prototype.update = function () {
+            var canvas = this.canvas,
+                ctx2D;
+
+            canvas.width = this.width;
+            canvas.height = this.height;
+            ctx2D = canvas.getContext("2d");
+
+            ctx2D.fillStyle = this.backgroundColor.toCssColorString();
+            ctx2D.fillRect(0, 0, this.width, this.height);
+
+            this.drawLegend(ctx2D);
+
+            // Assign a new image source so the legend's texture is recreated.
+            this.imageSource = new ImageSource(canvas);
+        };
+
+        // Internal. Intentionally not documented.
+        ColorRampLegend.prototype.drawLegend = function (ctx2D) {
+            var stops = this._colorRamp.stops,
+                margin = {left: 10, top: this.title ? 24 : 10, bottom: 10},
+                barWidth = 20,
+                barHeight = this.height - margin.top - margin.bottom,
+                minValue = stops[0].value,
+                valueRange = stops[stops.length - 1].value - minValue,
+                textColor = this.textColor.toCssColorString(),
+                labelSpacing = 12,
+                lastLabelY = Number.MAX_VALUE;
+
+            if (barHeight <= 0) {
+                return;
+            }
+
+            ctx2D.font = this.font;
+            ctx2D.fillStyle = textColor;
+            ctx2D.strokeStyle = textColor;
+            ctx2D.lineWidth = 1;
+
+            if (this.title) {
+                ctx2D.textAlign = "left";
+                ctx2D.textBaseline = "top";
+                ctx2D.fillText(this.title, margin.left, 6);
+            }
+
+            // The color bar, from the ramp's first value at the bottom to its last at the top.
+            var imageData = ctx2D.createImageData(barWidth, barHeight),
+                pixels = imageData.data;
+
+            for (var y = 0; y < barHeight; y++) {
+                var value = minValue + valueRange * (1 - (y + 0.5) / barHeight);
+                this._colorRamp.colorBytes(value, pixels, 4 * y * barWidth);
+                for (var x = 1; x < barWidth; x++) {
+                    pixels.set(pixels.subarray(4 * y * barWidth, 4 * y * barWidth + 4), 4 * (y * barWidth + x));
+                }
+            }
+
+            ctx2D.putImageData(imageData, margin.left, margin.top);
+            ctx2D.strokeRect(margin.left + 0.5, margin.top + 0.5, barWidth - 1, barHeight - 1);
+
+            // Tick marks and labels at the stops, omitting labels that would overlap the one below.
+            ctx2D.textAlign = "left";
+            ctx2D.textBaseline = "middle";
+            for (var i = 0; i < stops.length; i++) {
+                var labelY = margin.top + barHeight -
+                    (valueRange > 0 ? (stops[i].value - minValue) / valueRange * barHeight : 0);
+
+                if (lastLabelY - labelY < labelSpacing) {
+                    continue;
+                }
+
+                ctx2D.beginPath();
+                ctx2D.moveTo(margin.left + barWidth, labelY);
+                ctx2D.lineTo(margin.left + barWidth + 4, labelY);
+                ctx2D.stroke();
+                ctx2D.fillText(Math.round(stops[i].value) + this.units, margin.left + barWidth + 7, labelY);
+                lastLabelY = labelY;
+            }
+        };
+
+        return ColorRampLegend;
+    });
@@ -0,0 +1,248 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ElevationProfileChart
+ */
+define([
+        '../util/Color',
+        '../util/ImageSource',
+        '../util/Offset',
+        '../shapes/ScreenImage'
+    ],
+    function (Color,
+              ImageSource,
+              Offset,
+              ScreenImage) {
+        "use strict";
+
+        /**
+         * Constructs an elevation profile chart.
+         * @alias ElevationProfileChart
+         * @constructor
+         * @augments ScreenImage
+         * @classdesc Displays a terrain elevation profile as a chart at a specified location in the WorldWindow. The
+         * chart plots elevation against distance along the path and is annotated with the path's length, its
+         * minimum and maximum elevations and its total ascent and descent. Profiles are computed by
+         * {@link ElevationProfileMeasurer}.
+         * <p>
+         * The chart is redrawn when its [profile]{@link ElevationProfileChart#profile} is assigned. Call
+         * [update]{@link ElevationProfileChart#update} after changing the chart's size or colors.
+         * @param {Offset} screenOffset The offset indicating the chart's placement on the screen. If null or
+         * undefined the chart is placed at the lower-left corner of the WorldWindow.
+         * Use [the image offset property]{@link ScreenImage#imageOffset} to position the chart relative to the
+         * screen point.
+         * @param {Object} profile The profile to display, as returned by
+         * [ElevationProfileMeasurer.getProfile]{@link ElevationProfileMeasurer#getProfile}. May be null, in which case
+         * an empty chart is displayed.
+         */
+        var ElevationProfileChart = function (screenOffset, profile) {
+            var sOffset = screenOffset ? screenOffset
+                : new Offset(WorldWind.OFFSET_FRACTION, 0, WorldWind.OFFSET_FRACTION, 0); // lower-left placement
+
+            // Internal. Intentionally not documented.
+            this.canvas = document.createElement("canvas");
+
+            ScreenImage.call(this, sOffset, new ImageSource(this.canvas));
+
+            if (!screenOffset) {
+                // Align the lower left corner of the chart with the screen point, with some padding.
+                this.imageOffset = new Offset(WorldWind.OFFSET_PIXELS, -10, WorldWind.OFFSET_PIXELS, -10);
+            }
+
+            /**
+             * The chart's width in pixels.
+             * @type {Number}
+             * @default 400
+             */
+            this.width = 400;
+
+            /**
+             * The chart's height in pixels.
+             * @type {Number}
+             * @default 160
+             */
+            this.height = 160;
+
+            /**
+             * The chart's background color.
+             * @type {Color}
+             * @default Translucent white (1, 1, 1, 0.8)
+             */
+            this.backgroundColor = new Color(1, 1, 1, 0.8);
+
+            /**
+             * The color of the profile line.
+             * @type {Color}
+             * @default Dark brown (0.4, 0.25, 0.1, 1)
+             */
+            this.lineColor = new Color(0.4, 0.25, 0.1, 1);
+
+            /**
+             * The color of the area beneath the profile line.
+             * @type {Color}
+             * @default Translucent tan (0.8, 0.65, 0.45, 0.6)
+             */
+            this.fillColor = new Color(0.8, 0.65, 0.45, 0.6);
+
+            /**
+             * The color of the chart's axes and annotations.
+             * @type {Color}
+             * @default Black
+             */
+            this.textColor = new Color(0, 0, 0, 1);
+
+            /**
+             * The CSS font of the chart's annotations.
+             * @type {String}
+             * @default "11px sans-serif"
+             */
+            this.font = "11px sans-serif";
+
+            // Internal. Intentionally not documented.
+            this._profile = profile || null;
+
+            this.update();
+        };
+
+        ElevationProfileChart.prototype = Object.create(ScreenImage.prototype);
+
+        Object.defineProperties(ElevationProfileChart.prototype, {
+            /**
+             * The profile displayed by this chart, as returned by
+             * [ElevationProfileMeasurer.getProfile]{@link ElevationProfileMeasurer#getProfile}. May be null, in
+             * which case an empty chart is displayed.
+             * @type {Object}
+             * @memberof ElevationProfileChart.prototype
+             */
+            profile: {
+                get: function () {
+                    return this._profile;
+                },
+                set: function (profile) {
+                    this._profile = profile;
+                    this.update();
+                }
+            }
+        });
+
+        /**
+         * Redraws this chart. Call this function after changing the chart's size, colors or font.
+         */
+        ElevationProfileChart.prototype.update = function () {
+            var canvas = this.canvas,
+                ctx2D;
+
+            canvas.width = this.width;
+            canvas.height = this.height;
+            ctx2D = canvas.getContext("2d");
+
+            ctx2D.fillStyle = this.backgroundColor.toCssColorString();
+            ctx2D.fillRect(0, 0, this.width, this.height);
+
+            this.drawProfile(ctx2D);
+
+            // Assign a new image source so the chart's texture is recreated.
+            this.imageSource = new ImageSource(canvas);
+        };
+
+        // Internal. Intentionally not documented.
+        ElevationProfileChart.prototype.drawProfile = function (ctx2D) {
+            var profile = this._profile,
+                margin = {left: 50, right: 10, top: 10, bottom: 36},
+                plotWidth = this.width - margin.left - margin.right,
+                plotHeight = this.height - margin.top - margin.bottom,
+                textColor = this.textColor.toCssColorString();
+
+            ctx2D.font = this.font;
+            ctx2D.fillStyle = textColor;
+            ctx2D.strokeStyle = textColor;
+            ctx2D.lineWidth = 1;
+
+            // Axes.
+            ctx2D.beginPath();
+            ctx2D.moveTo(margin.left, margin.top);
+            ctx2D.lineTo(margin.left, margin.top + plotHeight);
+            ctx2D.lineTo(margin.left + plotWidth, margin.top + plotHeight);
+            ctx2D.stroke();
+
+            if (!profile || profile.distances.length < 2 || plotWidth <= 0 || plotHeight <= 0) {
+                return;
+            }
+
+            var minElevation = profile.minElevation,
+                elevationRange = Math.max(profile.maxElevation - minElevation, 1),
+                length = Math.max(profile.length, 1),
+                x = function (distance) {
+                    return margin.left + distance / length * plotWidth;
+                },
+                y = function (elevation) {
+                    return margin.top + plotHeight - (elevation - minElevation) / elevationRange * plotHeight;
+                };
+
+            // The area beneath the profile line, then the line.
+            ctx2D.beginPath();
+            ctx2D.moveTo(x(0), margin.top + plotHeight);
+            for (var i = 0; i < profile.distances.length; i++) {
+                ctx2D.lineTo(x(profile.distances[i]), y(profile.elevations[i]));
+            }
+            ctx2D.lineTo(x(profile.length), margin.top + plotHeight);
+            ctx2D.closePath();
+            ctx2D.fillStyle = this.fillColor.toCssColorString();
+            ctx2D.fill();
+
+            ctx2D.beginPath();
+            for (var j = 0; j < profile.distances.length; j++) {
+                ctx2D.lineTo(x(profile.distances[j]), y(profile.elevations[j]));
+            }
+            ctx2D.strokeStyle = this.lineColor.toCssColorString();
+            ctx2D.lineWidth = 2;
+            ctx2D.stroke();
+
+            // Annotations.
+            ctx2D.fillStyle = textColor;
+            ctx2D.textAlign = "right";
+            ctx2D.textBaseline = "top";
+            ctx2D.fillText(ElevationProfileChart.formatElevation(profile.maxElevation), margin.left - 4, margin.top);
+            ctx2D.textBaseline = "bottom";
+            ctx2D.fillText(ElevationProfileChart.formatElevation(profile.minElevation), margin.left - 4,
+                margin.top + plotHeight);
+
+            ctx2D.textBaseline = "top";
+            ctx2D.textAlign = "left";
+            ctx2D.fillText("0", margin.left, margin.top + plotHeight + 3);
+            ctx2D.textAlign = "right";
+            ctx2D.fillText(ElevationProfileChart.formatDistance(profile.length), margin.left + plotWidth,
+                margin.top + plotHeight + 3);
+
+            ctx2D.textAlign = "center";
+            ctx2D.fillText("Ascent " + ElevationProfileChart.formatElevation(profile.ascent) + "   Descent " +
+                ElevationProfileChart.formatElevation(profile.descent), margin.left + plotWidth / 2,
+                margin.top + plotHeight + 18);
+        };
+
+        // Internal. Intentionally not documented.
+        ElevationProfileChart.formatElevation = function (meters) {
+            return Math.round(meters) + " m";
+        };
+
+        // Internal. Intentionally not documented.
+        ElevationProfileChart.formatDistance = function (meters) {
+            return meters < 10e3 ? Math.round(meters) + " m" : (meters / 1e3).toFixed(1) + " km";
+        };
+
+        return ElevationProfileChart;
+    });
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ColorRamp
+ */
+define([
+        '../error/ArgumentError',
+        './Color',
+        './Logger'
+    ],
+    function (ArgumentError,
+              Color,
+              Logger) {
+        "use strict";
+
+        /**
+         * Constructs a color ramp.
+         * @alias ColorRamp
+         * @constructor
+         * @classdesc Maps numeric values to colors by linear interpolation between color stops. Values below the
+         * first stop take the first stop's color and values above the last stop take the last stop's color. NaN
+         * values map to transparent black.
+         * @param {Object[]} stops The color stops, each an object with a value property indicating the stop's value
+         * and a color property indicating its {@link Color}. The stops need not be sorted.
+         * @throws {ArgumentError} If the specified stops array is null, undefined or empty.
+         */
+        var ColorRamp = function (stops) {
+            if (!stops || stops.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "constructor",
+                        "The specified color stops array is null, undefined or empty."));
+            }
+
+            /**
+             * This ramp's color stops, sorted by increasing value.
+             * @type {Object[]}
+             * @readonly
+             */
+            this.stops = stops.slice().sort(function (a, b) {
+                return a.value - b.value;
+            });
+        };
+
+        /**
+         * Computes the color of a specified value.
+         * @param {Number} value The value.
+         * @param {Color} result A color in which to return the computed color.
+         * @returns {Color} The result argument set to the value's color.
+         * @throws {ArgumentError} If the specified result is null or undefined.
+         */
+        ColorRamp.prototype.colorForValue = function (value, result) {
+            if (!result) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "colorForValue", "missingResult"));
+            }
+
+            var bytes = this.colorBytes(value, [], 0);
+
+            return result.set(bytes[0] / 255, bytes[1] / 255, bytes[2] / 255, bytes[3] / 255);
+        };
+
+        /**
+         * Computes the color of a specified value as RGBA bytes, in the form used by canvas image data.
+         * @param {Number} value The value.
+         * @param {Uint8ClampedArray|Number[]} result The array in which to store the color's red, green, blue and
+         * alpha bytes.
+         * @param {Number} offset The index in the result array at which to store the red byte.
+         * @returns {Uint8ClampedArray|Number[]} The result argument.
+         */
+        ColorRamp.prototype.colorBytes = function (value, result, offset) {
+            var stops = this.stops,
+                last = stops.length - 1,
+                lower, upper, t, i;
+
+            if (isNaN(value)) {
+                result[offset] = result[offset + 1] = result[offset + 2] = result[offset + 3] = 0;
+                return result;
+            }
+
+            if (value <= stops[0].value) {
+                lower = upper = stops[0];
+            } else if (value >= stops[last].value) {
+                lower = upper = stops[last];
+            } else {
+                for (i = 1; stops[i].value < value; i++) {
+                    // find the first stop above the value
+                }
+                lower = stops[i - 1];
+                upper = stops[i];
+            }
+
+            t = upper === lower ? 0 : (value - lower.value) / (upper.value - lower.value);
+
+            result[offset] = Math.round(255 * (lower.color.red + t * (upper.color.red - lower.color.red)));
+            result[offset + 1] = Math.round(255 * (lower.color.green + t * (upper.color.green - lower.color.green)));
+            result[offset + 2] = Math.round(255 * (lower.color.blue + t * (upper.color.blue - lower.color.blue)));
+            result[offset + 3] = Math.round(255 * (lower.color.alpha + t * (upper.color.alpha - lower.color.alpha)));
+
+            return result;
+        };
+
+        /**
+         * Returns a string identifying this ramp's stops. Ramps with equal stops have equal keys.
+         * @returns {String} The key.
+         */
+        ColorRamp.prototype.stateKey = function () {
+            var key = "";
+
+            for (var i = 0; i < this.stops.length; i++) {
+                var stop = this.stops[i];
+                key += stop.value + ":" + stop.color.toHexString(true) + ";";
+            }
+
+            return key;
+        };
+
+        /**
+         * Creates a color ramp from evenly spaced colors spanning a range of values.
+         * @param {Number} minValue The value of the first color.
+         * @param {Number} maxValue The value of the last color.
+         * @param {Color[]} colors The colors.
+         * @returns {ColorRamp} The new color ramp.
+         * @throws {ArgumentError} If the specified colors array is null, undefined or empty.
+         */
+        ColorRamp.fromColors = function (minValue, maxValue, colors) {
+            if (!colors || colors.length === 0) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ColorRamp", "fromColors",
+                        "The specified colors array is null, undefined or empty."));
+            }
+
+            var stops = [],
+                step = colors.length > 1 ? (maxValue - minValue) / (colors.length - 1) : 0;
+
+            for (var i = 0; i < colors.length; i++) {
+                stops.push({value: minValue + i * step, color: colors[i]});
+            }
+
+            return new ColorRamp(stops);
+        };
+
+        return ColorRamp;
+    });
@@ -0,0 +1,424 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports GeoreferencedSnapshot
+ */
+define([
+        '../error/ArgumentError',
+        '../formats/geotiff/GeoTiffConstants',
+        '../formats/geotiff/GeoTiffWriter',
+        '../util/Logger',
+        '../projections/ProjectionAlbersEqualArea',
+        '../projections/ProjectionEquirectangular',
+        '../projections/ProjectionGnomonic',
+        '../projections/ProjectionLambertConformalConic',
+        '../projections/ProjectionMercator',
+        '../projections/ProjectionPolarEquidistant',
+        '../projections/ProjectionRobinson',
+        '../projections/ProjectionTransverseMercator',
+        '../projections/ProjectionUPS',
+        '../geom/Vec2'
+    ],
+    function (ArgumentError,
+              GeoTiffConstants,
+              GeoTiffWriter,
+              Logger,
+              ProjectionAlbersEqualArea,
+              ProjectionEquirectangular,
+              ProjectionGnomonic,
+              ProjectionLambertConformalConic,
+              ProjectionMercator,
+              ProjectionPolarEquidistant,
+              ProjectionRobinson,
+              ProjectionTransverseMercator,
+              ProjectionUPS,
+              Vec2) {
+        "use strict";
+
+        /**
+         * Constructs a georeferenced snapshot. Applications typically do not call this constructor. Use
+         * [capture]{@link GeoreferencedSnapshot.capture} to create a georeferenced snapshot of a WorldWindow's view.
+         * @alias GeoreferencedSnapshot
+         * @constructor
+         * @classdesc Holds an image of a 2D view together with the coordinate reference system of the view's
+         * projection and the affine transform from the image's pixels to that system's coordinates. The image can be
+         * exported as a PNG with a world file, via [toPng]{@link GeoreferencedSnapshot#toPng} and
+         * [worldFile]{@link GeoreferencedSnapshot#worldFile}, or as a GeoTiff carrying the coordinate reference
+         * system's geokeys, via [toGeoTiff]{@link GeoreferencedSnapshot#toGeoTiff}. Both can be opened in desktop GIS
+         * applications, though a world file does not identify the coordinate reference system.
+         * <p>
+         * The view's projection determines the coordinate reference system:
+         * <ul>
+         *     <li>Equirectangular - WGS 84 geographic coordinates in degrees (EPSG:4326).</li>
+         *     <li>Mercator - WGS 84 / World Mercator (EPSG:3395).</li>
+         *     <li>UPS - WGS 84 / UPS North (EPSG:32661) or UPS South (EPSG:32761).</li>
+         *     <li>Polar equidistant, gnomonic, Lambert conformal conic, Albers equal area, transverse Mercator and
+         *     Robinson - a user-defined projected system on a sphere of the globe's equatorial radius, as these
+         *     projections are computed on a sphere.</li>
+         * </ul>
+         * @param {HTMLCanvasElement} canvas The image.
+         * @param {Number[]} transform The affine transform from the image's pixels to the coordinate reference
+         * system's coordinates, as the array [a, b, c, d, e, f] where x = a * column + b * row + c and
+         * y = d * column + e * row + f. Columns and rows are counted from the image's upper left corner.
+         * @param {Object} geoKeys The GeoTiff geokeys identifying the coordinate reference system, mapping the values
+         * of GeoTiffConstants.Key to their values.
+         * @throws {ArgumentError} If any argument is null or undefined, or the transform does not have six values.
+         */
+        var GeoreferencedSnapshot = function (canvas, transform, geoKeys) {
+            if (!canvas) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "constructor",
+                        "The specified canvas is null or undefined."));
+            }
+
+            if (!transform || transform.length !== 6) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "constructor",
+                        "The specified transform is null, undefined or does not have six values."));
+            }
+
+            if (!geoKeys) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "constructor",
+                        "The specified geokeys are null or undefined."));
+            }
+
+            /**
+             * The image.
+             * @type {HTMLCanvasElement}
+             * @readonly
+             */
+            this.canvas = canvas;
+
+            /**
+             * The affine transform from the image's pixels to the coordinate reference system's coordinates, as
+             * the array [a, b, c, d, e, f] where x = a * column + b * row + c and y = d * column + e * row + f.
+             * @type {Number[]}
+             * @readonly
+             */
+            this.transform = transform;
+
+            /**
+             * The GeoTiff geokeys identifying the coordinate reference system.
+             * @type {Object}
+             * @readonly
+             */
+            this.geoKeys = geoKeys;
+        };
+
+        /**
+         * Captures a georeferenced snapshot of a WorldWindow's view. The WorldWindow must display a 2D globe whose
+         * projection is one of those listed in the [class description]{@link GeoreferencedSnapshot}, and must look
+         * straight down at it. The view may be rotated by a heading, which the snapshot's transform then includes.
+         * @param {WorldWindow} worldWindow The WorldWindow whose view to capture.
+         * @param {Function} callback The function to call with the {@link GeoreferencedSnapshot} when the capture is
+         * complete. Its argument is null if the snapshot could not be rendered.
+         * @param {Object} options Optional. The options accepted by
+         * [WorldWindow.snapshotCanvas]{@link WorldWindow#snapshotCanvas}. The includeScreenLayers option defaults to
+         * false here, omitting screen renderables such as compasses and view controls from the image.
+         * @throws {ArgumentError} If the specified WorldWindow or callback is null or undefined, the WorldWindow's
+         * globe is not 2D or its projection is not supported, or the view is tilted.
+         */
+        GeoreferencedSnapshot.capture = function (worldWindow, callback, options) {
+            if (!worldWindow) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "capture", "missingWorldWindow"));
+            }
+
+            if (!callback) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "capture",
+                        "The specified callback is null or undefined."));
+            }
+
+            var crs = GeoreferencedSnapshot.coordinateSystem(worldWindow.globe),
+                viewTransform = GeoreferencedSnapshot.viewTransform(worldWindow),
+                viewportWidth = worldWindow.viewport.width,
+                viewportHeight = worldWindow.viewport.height,
+                snapshotOptions = {};
+
+            for (var name in options) {
+                if (options.hasOwnProperty(name)) {
+                    snapshotOptions[name] = options[name];
+                }
+            }
+
+            if (snapshotOptions.includeScreenLayers === undefined) {
+                snapshotOptions.includeScreenLayers = false;
+            }
+
+            worldWindow.snapshotCanvas(function (canvas) {
+                if (!canvas) {
+                    callback(null);
+                    return;
+                }
+
+                // Scale the transform from the viewport's pixels to the image's, then to the coordinate system.
+                var sx = crs.scale * viewportWidth / canvas.width,
+                    sy = crs.scale * viewportHeight / canvas.height,
+                    transform = [
+                        sx * viewTransform[0], sy * viewTransform[1], crs.scale * viewTransform[2] + crs.falseEasting,
+                        sx * viewTransform[3], sy * viewTransform[4], crs.scale * viewTransform[5] + crs.falseNorthing
+                    ];
+
+                callback(new GeoreferencedSnapshot(canvas, transform, crs.geoKeys));
+            }, snapshotOptions);
+        };
+
+        /**
+         * Determines the coordinate reference system of a 2D globe's projection.
+         * @param {Globe} globe The globe.
+         * @returns {Object} An object with the properties geoKeys, identifying the coordinate reference system, and
+         * scale, falseEasting and falseNorthing, which map the globe's Cartesian coordinates to that system's
+         * coordinates: x' = scale * x + falseEasting, y' = scale * y + falseNorthing.
+         * @throws {ArgumentError} If the specified globe is null, undefined or not 2D, or its projection is not
+         * supported.
+         */
+        GeoreferencedSnapshot.coordinateSystem = function (globe) {
+            if (!globe) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "coordinateSystem",
+                        "missingGlobe"));
+            }
+
+            var projection = globe.projection,
+                Key = GeoTiffConstants.Key,
+                Transformation = GeoTiffConstants.CoordinateTransformation,
+                crs = {geoKeys: null, scale: 1, falseEasting: 0, falseNorthing: 0},
+                parameters = {};
+
+            if (!globe.is2D()) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "coordinateSystem",
+                        "The specified globe is not 2D."));
+            }
+
+            if (projection instanceof ProjectionEquirectangular) {
+                // The projection's coordinates are the geographic coordinates in radians times the globe's radius.
+                crs.geoKeys = GeoreferencedSnapshot.epsgGeoKeys(GeoTiffConstants.ModelType.GEOGRAPHIC, 4326);
+                crs.scale = 180 / (Math.PI * globe.equatorialRadius);
+            } else if (projection instanceof ProjectionMercator) {
+                crs.geoKeys = GeoreferencedSnapshot.epsgGeoKeys(GeoTiffConstants.ModelType.PROJECTED, 3395);
+            } else if (projection instanceof ProjectionUPS) {
+                crs.geoKeys = GeoreferencedSnapshot.epsgGeoKeys(GeoTiffConstants.ModelType.PROJECTED,
+                    projection.north ? 32661 : 32761);
+                crs.falseEasting = crs.falseNorthing = 2000000;
+            } else if (projection instanceof ProjectionPolarEquidistant) {
+                parameters[Key.ProjCenterLatGeoKey] = projection.north ? 90 : -90;
+                parameters[Key.ProjCenterLongGeoKey] = 0;
+                crs.geoKeys = GeoreferencedSnapshot.sphericalGeoKeys(globe, projection,
+                    Transformation.AZIMUTHAL_EQUIDISTANT, parameters);
+            } else if (projection instanceof ProjectionGnomonic) {
+                parameters[Key.ProjCenterLatGeoKey] = projection.north ? 90 : -90;
+                parameters[Key.ProjCenterLongGeoKey] = 0;
+                crs.geoKeys = GeoreferencedSnapshot.sphericalGeoKeys(globe, projection, Transformation.GNOMONIC,
+                    parameters);
+            } else if (projection instanceof ProjectionLambertConformalConic) {
+                parameters[Key.ProjStdParallel1GeoKey] = projection.standardParallel1;
+                parameters[Key.ProjStdParallel2GeoKey] = projection.standardParallel2;
+                parameters[Key.ProjFalseOriginLatGeoKey] = projection.originLatitude;
+                parameters[Key.ProjFalseOriginLongGeoKey] = projection.centralMeridian;
+                parameters[Key.ProjFalseOriginEastingGeoKey] = 0;
+                parameters[Key.ProjFalseOriginNorthingGeoKey] = 0;
+                crs.geoKeys = GeoreferencedSnapshot.sphericalGeoKeys(globe, projection,
+                    Transformation.LAMBERT_CONF_CONIC_2SP, parameters);
+            } else if (projection instanceof ProjectionAlbersEqualArea) {
+                parameters[Key.ProjStdParallel1GeoKey] = projection.standardParallel1;
+                parameters[Key.ProjStdParallel2GeoKey] = projection.standardParallel2;
+                parameters[Key.ProjNatOriginLatGeoKey] = projection.originLatitude;
+                parameters[Key.ProjNatOriginLongGeoKey] = projection.centralMeridian;
+                crs.geoKeys = GeoreferencedSnapshot.sphericalGeoKeys(globe, projection,
+                    Transformation.ALBERS_EQUAL_AREA, parameters);
+            } else if (projection instanceof ProjectionTransverseMercator) {
+                parameters[Key.ProjNatOriginLatGeoKey] = 0;
+                parameters[Key.ProjNatOriginLongGeoKey] = projection.centralMeridian;
+                parameters[Key.ProjScaleAtNatOriginGeoKey] = projection.scaleFactor;
+                crs.geoKeys = GeoreferencedSnapshot.sphericalGeoKeys(globe, projection,
+                    Transformation.TRANSVERSE_MERCATOR, parameters);
+            } else if (projection instanceof ProjectionRobinson) {
+                parameters[Key.ProjCenterLongGeoKey] = projection.centralMeridian;
+                crs.geoKeys = GeoreferencedSnapshot.sphericalGeoKeys(globe, projection, Transformation.ROBINSON,
+                    parameters);
+            } else {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "coordinateSystem",
+                        "The globe's projection cannot be georeferenced."));
+            }
+
+            return crs;
+        };
+
+        /**
+         * Computes the affine transform from a WorldWindow's viewport pixels to the Cartesian coordinates of its 2D
+         * globe's surface.
+         * @param {WorldWindow} worldWindow The WorldWindow.
+         * @returns {Number[]} The transform, as the array [a, b, c, d, e, f] where x = a * column + b * row + c and
+         * y = d * column + e * row + f. Columns and rows are counted from the viewport's upper left corner.
+         * @throws {ArgumentError} If the WorldWindow's view does not look straight down at its globe.
+         */
+        GeoreferencedSnapshot.viewTransform = function (worldWindow) {
+            var width = worldWindow.viewport.width,
+                height = worldWindow.viewport.height,
+                upperLeft = GeoreferencedSnapshot.surfacePointAtScreenPoint(worldWindow, 0, 0),
+                upperRight = GeoreferencedSnapshot.surfacePointAtScreenPoint(worldWindow, width, 0),
+                lowerLeft = GeoreferencedSnapshot.surfacePointAtScreenPoint(worldWindow, 0, height),
+                lowerRight = GeoreferencedSnapshot.surfacePointAtScreenPoint(worldWindow, width, height);
+
+            // The view's corners form a parallelogram on the surface only when the view looks straight down.
+            if (!upperLeft || !upperRight || !lowerLeft || !lowerRight ||
+                Math.abs(upperLeft[0] + lowerRight[0] - upperRight[0] - lowerLeft[0]) +
+                Math.abs(upperLeft[1] + lowerRight[1] - upperRight[1] - lowerLeft[1]) >
+                1e-6 * (Math.abs(upperRight[0] - upperLeft[0]) + Math.abs(lowerLeft[1] - upperLeft[1]))) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "GeoreferencedSnapshot", "viewTransform",
+                        "The view must look straight down at the globe to be georeferenced."));
+            }
+
+            return [
+                (upperRight[0] - upperLeft[0]) / width, (lowerLeft[0] - upperLeft[0]) / height, upperLeft[0],
+                (upperRight[1] - upperLeft[1]) / width, (lowerLeft[1] - upperLeft[1]) / height, upperLeft[1]
+            ];
+        };
+
+        // Internal. Intentionally not documented. Intersects the ray through a screen point with the 2D globe's
+        // zero elevation plane.
+        GeoreferencedSnapshot.surfacePointAtScreenPoint = function (worldWindow, x, y) {
+            var ray = worldWindow.rayThroughScreenPoint(new Vec2(x, y));
+            if (!ray || ray.direction[2] >= 0) {
+                return null;
+            }
+
+            var t = -ray.origin[2] / ray.direction[2];
+
+            return [ray.origin[0] + t * ray.direction[0], ray.origin[1] + t * ray.direction[1]];
+        };
+
+        // Internal. Intentionally not documented.
+        GeoreferencedSnapshot.epsgGeoKeys = function (modelType, code) {
+            var Key = GeoTiffConstants.Key,
+                geoKeys = {};
+
+            geoKeys[Key.GTModelTypeGeoKey] = modelType;
+            geoKeys[Key.GTRasterTypeGeoKey] = GeoTiffConstants.RasterType.PIXEL_IS_AREA;
+
+            if (modelType === GeoTiffConstants.ModelType.GEOGRAPHIC) {
+                geoKeys[Key.GeographicTypeGeoKey] = code;
+                geoKeys[Key.GeogAngularUnitsGeoKey] = GeoTiffConstants.Units.DEGREE;
+            } else {
+                geoKeys[Key.ProjectedCSTypeGeoKey] = code;
+                geoKeys[Key.ProjLinearUnitsGeoKey] = GeoTiffConstants.Units.METER;
+            }
+
+            return geoKeys;
+        };
+
+        // Internal. Intentionally not documented.
+        GeoreferencedSnapshot.sphericalGeoKeys = function (globe, projection, coordinateTransformation, parameters) {
+            var Key = GeoTiffConstants.Key,
+                radius = globe.equatorialRadius,
+                geoKeys = {};
+
+            geoKeys[Key.GTModelTypeGeoKey] = GeoTiffConstants.ModelType.PROJECTED;
+            geoKeys[Key.GTRasterTypeGeoKey] = GeoTiffConstants.RasterType.PIXEL_IS_AREA;
+            geoKeys[Key.GTCitationGeoKey] = projection.displayName;
+            geoKeys[Key.GeographicTypeGeoKey] = GeoTiffConstants.USER_DEFINED;
+            geoKeys[Key.GeogCitationGeoKey] = "Sphere of radius " + radius + " m";
+            geoKeys[Key.GeogGeodeticDatumGeoKey] = GeoTiffConstants.USER_DEFINED;
+            geoKeys[Key.GeogEllipsoidGeoKey] = GeoTiffConstants.USER_DEFINED;
+            geoKeys[Key.GeogSemiMajorAxisGeoKey] = radius;
+            geoKeys[Key.GeogSemiMinorAxisGeoKey] = radius;
+            geoKeys[Key.GeogAngularUnitsGeoKey] = GeoTiffConstants.Units.DEGREE;
+            geoKeys[Key.ProjectedCSTypeGeoKey] = GeoTiffConstants.USER_DEFINED;
+            geoKeys[Key.ProjectionGeoKey] = GeoTiffConstants.USER_DEFINED;
+            geoKeys[Key.ProjCoordTransGeoKey] = coordinateTransformation;
+            geoKeys[Key.ProjLinearUnitsGeoKey] = GeoTiffConstants.Units.METER;
+
+            if (coordinateTransformation !== GeoTiffConstants.CoordinateTransformation.LAMBERT_CONF_CONIC_2SP) {
+                geoKeys[Key.ProjFalseEastingGeoKey] = 0;
+                geoKeys[Key.ProjFalseNorthingGeoKey] = 0;
+            }
+
+            for (var key in parameters) {
+                if (parameters.hasOwnProperty(key)) {
+                    geoKeys[key] = parameters[key];
+                }
+            }
+
+            return geoKeys;
+        };
+
+        /**
+         * Creates a PNG of this snapshot's image. Accompany it with the
+         * [world file]{@link GeoreferencedSnapshot#worldFile}, named like the image with the extension ".pgw".
+         * @param {Function} callback The function to call with the PNG's Blob.
+         */
+        GeoreferencedSnapshot.prototype.toPng = function (callback) {
+            this.canvas.toBlob(callback, "image/png");
+        };
+
+        /**
+         * Creates the world file locating this snapshot's image. A world file holds the affine transform to the
+         * coordinate reference system's coordinates, but does not identify that system.
+         * @returns {String} The contents of the world file.
+         */
+        GeoreferencedSnapshot.prototype.worldFile = function () {
+            var t = this.transform;
+
+            // World files locate the center of the upper left pixel.
+            return [
+                t[0], t[3], t[1], t[4],
+                t[2] + 0.5 * (t[0] + t[1]),
+                t[5] + 0.5 * (t[3] + t[4])
+            ].join("\n") + "\n";
+        };
+
+        /**
+         * Creates a GeoTiff holding this snapshot's image, its location and the geokeys of its coordinate reference
+         * system.
+         * @returns {ArrayBuffer} The GeoTiff's contents.
+         */
+        GeoreferencedSnapshot.prototype.toGeoTiff = function () {
+            var width = this.canvas.width,
+                height = this.canvas.height,
+                imageData = this.canvas.getContext("2d").getImageData(0, 0, width, height),
+                writer = new GeoTiffWriter(width, height, imageData.data),
+                t = this.transform;
+
+            // Write the simpler pixel scale and tiepoint unless the image is rotated.
+            if (Math.abs(t[1]) + Math.abs(t[3]) <= 1e-9 * (Math.abs(t[0]) + Math.abs(t[4]))) {
+                writer.modelPixelScale = [t[0], -t[4], 0];
+                writer.modelTiepoint = [0, 0, 0, t[2], t[5], 0];
+            } else {
+                writer.modelTransformation = [
+                    t[0], t[1], 0, t[2],
+                    t[3], t[4], 0, t[5],
+                    0, 0, 0, 0,
+                    0, 0, 0, 1
+                ];
+            }
+
+            for (var key in this.geoKeys) {
+                if (this.geoKeys.hasOwnProperty(key)) {
+                    writer.setGeoKey(Number(key), this.geoKeys[key]);
+                }
+            }
+
+            return writer.write();
+        };
+
+        return GeoreferencedSnapshot;
+    });
@@ -18,12 +18,14 @@
  * @exports GoToAnimator
  */
 define([
+        '../error/ArgumentError',
         '../geom/Location',
         '../util/Logger',
         '../geom/Position',
         '../geom/Vec3'
     ],
-    function (Location,
+    function (ArgumentError,
+              Location,
               Logger,
               Position,
               Vec3) {
@@ -32,7 +34,9 @@ define([
          * Constructs a GoTo animator.
          * @alias GoToAnimator
          * @constructor
-         * @classdesc Incrementally and smoothly moves a {@link Navigator} to a specified position.
+         * @classdesc Incrementally and smoothly moves a {@link Navigator} to a specified position. The animation moves
+         * the navigator's look-at location and range, as computed by [getAsLookAt]{@link Navigator#getAsLookAt}, so it
+         * works with any navigator.
          * @param {WorldWindow} worldWindow The WorldWindow in which to perform the animation.
          * @throws {ArgumentError} If the specified WorldWindow is null or undefined.
          */
@@ -73,6 +77,9 @@ define([
              * @readonly
              */
             this.cancelled = false;
+
+            // Internal. Intentionally not documented. The navigator's look-at parameters during the animation.
+            this.lookAt = {};
         };
 
         // Stop the current animation.
@@ -100,15 +107,16 @@ define([
             // Reset the cancellation flag.
             this.cancelled = false;
 
+            // Capture the navigator's look-at location and range, which the animation moves.
+            var lookAt = this.wwd.navigator.getAsLookAt(this.wwd.globe, this.lookAt);
+
             // Capture the target position and determine its altitude.
             this.targetPosition = new Position(position.latitude, position.longitude,
-                position.altitude || this.wwd.navigator.range);
+                position.altitude || lookAt.range);
 
             // Capture the start position and start time.
-            this.startPosition = new Position(
-                this.wwd.navigator.lookAtLocation.latitude,
-                this.wwd.navigator.lookAtLocation.longitude,
-                this.wwd.navigator.range);
+            this.startPosition = new Position(lookAt.lookAtLocation.latitude, lookAt.lookAtLocation.longitude,
+                lookAt.range);
             this.startTime = Date.now();
 
             // Determination of the pan and range velocities requires the distance to be travelled.
@@ -138,7 +146,7 @@ define([
             // We need to capture the time the max altitude is reached in order to begin decreasing the range
             // midway through the animation. If we're already above the max altitude, then that time is now since
             // we don't back out if the current altitude is above the computed max altitude.
-            this.maxAltitudeReachedTime = this.maxAltitude <= this.wwd.navigator.range ? Date.now() : null;
+            this.maxAltitudeReachedTime = this.maxAltitude <= lookAt.range ? Date.now() : null;
 
             // Compute the total range to travel since we need that to compute the range velocity.
             // Note that the range velocity and pan velocity are computed so that the respective animations, which
@@ -194,14 +202,14 @@ define([
         GoToAnimator.prototype.update = function () {
             // This is the timer callback function. It invokes the range animator and the pan animator.
 
-            var currentPosition = new Position(
-                this.wwd.navigator.lookAtLocation.latitude,
-                this.wwd.navigator.lookAtLocation.longitude,
-                this.wwd.navigator.range);
+            var lookAt = this.wwd.navigator.getAsLookAt(this.wwd.globe, this.lookAt),
+                currentPosition = new Position(lookAt.lookAtLocation.latitude, lookAt.lookAtLocation.longitude,
+                    lookAt.range);
 
             var continueAnimation = this.updateRange(currentPosition);
             continueAnimation = this.updateLocation(currentPosition) || continueAnimation;
 
+            this.wwd.navigator.setAsLookAt(this.wwd.globe, lookAt);
             this.wwd.redraw();
 
             return continueAnimation;
@@ -219,10 +227,10 @@ define([
                 elapsedTime = Date.now() - this.startTime;
                 nextRange = Math.min(this.startPosition.altitude + this.rangeVelocity * elapsedTime, this.maxAltitude);
                 // We're done if we get withing 1 meter of the desired range.
-                if (Math.abs(this.wwd.navigator.range - nextRange) < 1) {
+                if (Math.abs(this.lookAt.range - nextRange) < 1) {
                     this.maxAltitudeReachedTime = Date.now();
                 }
-                this.wwd.navigator.range = nextRange;
+                this.lookAt.range = nextRange;
                 continueAnimation = true;
             } else {
                 elapsedTime = Date.now() - this.maxAltitudeReachedTime;
@@ -233,9 +241,9 @@ define([
                     nextRange = this.maxAltitude + (this.rangeVelocity * elapsedTime);
                     nextRange = Math.min(nextRange, this.targetPosition.altitude);
                 }
-                this.wwd.navigator.range = nextRange;
+                this.lookAt.range = nextRange;
                 // We're done if we get withing 1 meter of the desired range.
-                continueAnimation = Math.abs(this.wwd.navigator.range - this.targetPosition.altitude) > 1;
+                continueAnimation = Math.abs(this.lookAt.range - this.targetPosition.altitude) > 1;
             }
 
             return continueAnimation;
@@ -254,8 +262,8 @@ define([
                     new Location(0, 0)),
                 locationReached = false;
 
-            this.wwd.navigator.lookAtLocation.latitude = nextLocation.latitude;
-            this.wwd.navigator.lookAtLocation.longitude = nextLocation.longitude;
+            this.lookAt.lookAtLocation.latitude = nextLocation.latitude;
+            this.lookAt.lookAtLocation.longitude = nextLocation.longitude;
 
             // We're done if we're within a meter of the desired location.
             if (nextDistance < 1 / this.wwd.globe.equatorialRadius) {
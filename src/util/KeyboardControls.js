@@ -14,8 +14,10 @@
  * @@author Bruce Schubert
  */
 define([
+    '../navigate/CameraNavigator',
     '../geom/Location'],
     function (
+        CameraNavigator,
         Location) {
         "use strict";
         /**
@@ -61,6 +63,13 @@ define([
              */
             this.panIncrement = 0.0000000005;
 
+            /**
+             * The fraction of a {@link CameraNavigator}'s height above the terrain to move each cycle when flying
+             * forward, backward or sideways.
+             * @type {Number}
+             */
+            this.flyIncrement = 0.01;
+
         };
 
         /**
@@ -155,7 +164,10 @@ define([
             var self = this, // capture 'this' for use in the function
                 setRange = function () {
                     if (self.activeOperation) {
-                        if (operation === "zoomIn") {
+                        if (self.wwd.navigator instanceof CameraNavigator) {
+                            // Fly forward or backward along the direction of view.
+                            self.flyCamera(operation === "zoomIn" ? 1 : -1, 0);
+                        } else if (operation === "zoomIn") {
                             self.wwd.navigator.range *= (1 - self.zoomIncrement);
                         } else if (operation === "zoomOut") {
                             self.wwd.navigator.range *= (1 + self.zoomIncrement);
@@ -177,7 +189,14 @@ define([
             // This function is called by the timer to perform the operation.
             var self = this, // capture 'this' for use in the function
                 setLookAtLocation = function () {
-                    if (self.activeOperation) {
+                    if (self.activeOperation && self.wwd.navigator instanceof CameraNavigator) {
+                        // Fly the camera forward, backward or sideways relative to its direction of view.
+                        self.flyCamera(
+                            operation === "panUp" ? 1 : operation === "panDown" ? -1 : 0,
+                            operation === "panRight" ? 1 : operation === "panLeft" ? -1 : 0);
+                        self.wwd.redraw();
+                        setTimeout(setLookAtLocation, 50);
+                    } else if (self.activeOperation) {
                         var heading = self.wwd.navigator.heading,
                             distance = self.panIncrement * self.wwd.navigator.range;
 
@@ -207,6 +226,20 @@ define([
             setTimeout(setLookAtLocation, 50);
         };
 
+        /**
+         * Moves a {@link CameraNavigator} by a multiple of the fly increment.
+         * @param {Number} forward The number of increments to move forward. Negative values move backward.
+         * @param {Number} side The number of increments to move right. Negative values move left.
+         */
+        KeyboardControls.prototype.flyCamera = function (forward, side) {
+            var wwd = this.wwd,
+                eyePosition = wwd.navigator.eyePosition,
+                elevation = wwd.globe.elevationAtLocation(eyePosition.latitude, eyePosition.longitude),
+                distance = this.flyIncrement * Math.max(1, eyePosition.altitude - elevation * wwd.verticalExaggeration);
+
+            wwd.navigator.move(forward * distance, side * distance, wwd.globe);
+        };
+
         return KeyboardControls;
     }
 );
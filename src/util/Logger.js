@@ -115,9 +115,11 @@ define(function () {
             missingDc: "The specified draw context is null or undefined.",
             missingDomElement: "The specified DOM element is null or undefined.",
             missingEntry: "The specified entry is null or undefined.",
+            missingFeature: "The specified feature is null or undefined.",
             missingFont: "The specified font is null or undefined.",
             missingFrustum: "The specified frustum is null or undefined.",
             missingFunction: "The specified function is null or undefined.",
+            missingGeometry: "The specified geometry is null or undefined.",
             missingGlContext: "The specified WebGL rendering context is null or undefined.",
             missingGlobe: "The specified globe is null or undefined.",
             missingId: "The specified id is null or undefined.",
@@ -125,12 +127,14 @@ define(function () {
             missingImageFormat: "The specified image format is null or undefined.",
             missingIndices: "The specified indices array is null or undefined.",
             missingKey: "The specified key is null or undefined.",
+            missingLayer: "The specified layer is null or undefined.",
             missingLevel: "The specified level is null or undefined.",
             missingLine: "The specified line is null or undefined.",
             missingList: "The specified list is null or undefined.",
             missingListener: "The specified listener is null or undefined",
             missingLocation: "The specified location is null or undefined.",
             missingMatrix: "The specified matrix is null or undefined.",
+            missingNavigator: "The specified navigator is null or undefined.",
             missingOffset: "The specified offset is null or undefined.",
             missingPath: "The specified path is null or undefined.",
             missingPlacename: "The specified place name is null or undefined.",
@@ -0,0 +1,220 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports MorphAnimator
+ */
+define([
+        '../error/ArgumentError',
+        '../globe/Globe',
+        '../util/Logger',
+        '../projections/ProjectionMorph'
+    ],
+    function (ArgumentError,
+              Globe,
+              Logger,
+              ProjectionMorph) {
+        "use strict";
+
+        /**
+         * Constructs a morph animator.
+         * @alias MorphAnimator
+         * @constructor
+         * @classdesc Smoothly changes a {@link WorldWindow}'s globe, such as from a 3D {@link Globe} to a
+         * {@link Globe2D} and back. Rather than swapping the globes abruptly, the terrain is morphed from the surface
+         * of the current globe to the surface of the new one, and the navigator's look-at location and range, as
+         * computed by [getAsLookAt]{@link Navigator#getAsLookAt}, are kept in place whatever the navigator. When
+         * morphing to a 2D globe the navigator's tilt is reduced to 0, as the 2D globe requires.
+         * @param {WorldWindow} worldWindow The WorldWindow in which to perform the animation.
+         * @throws {ArgumentError} If the specified WorldWindow is null or undefined.
+         */
+        var MorphAnimator = function (worldWindow) {
+            if (!worldWindow) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "MorphAnimator", "constructor",
+                    "missingWorldWindow"));
+            }
+
+            /**
+             * The WorldWindow associated with this animator.
+             * @type {WorldWindow}
+             * @readonly
+             */
+            this.wwd = worldWindow;
+
+            /**
+             * The frequency in milliseconds at which to update the morph.
+             * @type {Number}
+             * @default 20
+             */
+            this.animationFrequency = 20;
+
+            /**
+             * The morph's duration, in milliseconds.
+             * @type {Number}
+             * @default 2000
+             */
+            this.duration = 2000;
+
+            /**
+             * Indicates whether the current or most recent animation has been cancelled. Use the cancel() function
+             * to cancel an animation.
+             * @type {Boolean}
+             * @default false
+             * @readonly
+             */
+            this.cancelled = false;
+
+            // Internal. Intentionally not documented.
+            this.animationCount = 0;
+            this.startGlobe = null;
+            this.targetGlobe = null;
+            this.morphGlobe = null;
+            this.lookAt = null;
+            this.startTilt = 0;
+        };
+
+        /**
+         * Stops the current animation and restores the WorldWindow's original globe.
+         */
+        MorphAnimator.prototype.cancel = function () {
+            this.cancelled = true;
+        };
+
+        /**
+         * Indicates whether a morph is in progress.
+         * @returns {Boolean} true if a morph is in progress, otherwise false.
+         */
+        MorphAnimator.prototype.isAnimating = function () {
+            return !!this.morphGlobe;
+        };
+
+        /**
+         * Morphs this animator's WorldWindow from its current globe to a specified globe. A morph in progress is
+         * completed immediately before the new one starts.
+         * @param {Globe} globe The globe to display at the end of the morph.
+         * @param {Function} completionCallback If not null or undefined, specifies a function to call when the
+         * animation completes or is cancelled. The completion callback is called with a single argument, this
+         * animator.
+         * @throws {ArgumentError} If the specified globe is null or undefined.
+         */
+        MorphAnimator.prototype.morphTo = function (globe, completionCallback) {
+            if (!globe) {
+                throw new ArgumentError(Logger.logMessage(Logger.LEVEL_SEVERE, "MorphAnimator", "morphTo",
+                    "missingGlobe"));
+            }
+
+            if (this.morphGlobe) {
+                this.finish(this.targetGlobe);
+            }
+
+            this.completionCallback = completionCallback;
+
+            // Reset the cancellation flag.
+            this.cancelled = false;
+
+            var startGlobe = this.wwd.globe;
+            if (startGlobe === globe || this.duration <= 0) {
+                this.wwd.globe = globe;
+                this.wwd.redraw();
+                if (completionCallback) {
+                    completionCallback(this);
+                }
+                return;
+            }
+
+            // The intermediate globe uses the elevations of the 3D globe when there is one, since a 2D globe
+            // typically has none.
+            var elevationModel = !startGlobe.is2D() || globe.is2D() ? startGlobe.elevationModel : globe.elevationModel;
+
+            this.startGlobe = startGlobe;
+            this.targetGlobe = globe;
+            this.morphGlobe = new Globe(elevationModel, new ProjectionMorph(startGlobe.projection, globe.projection));
+            this.lookAt = this.wwd.navigator.getAsLookAt(startGlobe, {});
+            this.startTilt = this.lookAt.tilt;
+            this.startTime = Date.now();
+
+            this.wwd.globe = this.morphGlobe;
+
+            // Set up the animation timer. The timer stops when the morph is finished by a subsequent one.
+            var thisAnimator = this,
+                animationId = this.animationCount;
+            var timerCallback = function () {
+                if (animationId !== thisAnimator.animationCount) {
+                    return;
+                }
+
+                if (thisAnimator.cancelled) {
+                    thisAnimator.lookAt.tilt = thisAnimator.startTilt;
+                    thisAnimator.finish(thisAnimator.startGlobe);
+                } else if (thisAnimator.update()) {
+                    setTimeout(timerCallback, thisAnimator.animationFrequency);
+                } else {
+                    thisAnimator.finish(thisAnimator.targetGlobe);
+                }
+            };
+            setTimeout(timerCallback, this.animationFrequency); // invoke it the first time
+        };
+
+        // Intentionally not documented. Advances the morph, returning true if the animation should continue.
+        MorphAnimator.prototype.update = function () {
+            var elapsed = Math.min((Date.now() - this.startTime) / this.duration, 1),
+                factor = elapsed * elapsed * (3 - 2 * elapsed); // ease in and out
+
+            // Each state of the morph has its own state key and terrain. Release the terrain of the previous state,
+            // which is never displayed again, so that the morph's states don't accumulate.
+            var previousStateKey = this.morphGlobe.stateKey;
+            this.morphGlobe.projection.factor = factor;
+            this.morphGlobe.tessellator.discardGlobeState(previousStateKey, this.wwd.drawContext.gpuResourceCache);
+
+            if (this.targetGlobe.is2D()) {
+                this.lookAt.tilt = this.startTilt * (1 - factor);
+            }
+
+            this.wwd.navigator.setAsLookAt(this.morphGlobe, this.lookAt);
+
+            this.wwd.redraw();
+
+            return elapsed < 1;
+        };
+
+        // Intentionally not documented. Ends the morph by displaying the specified globe.
+        MorphAnimator.prototype.finish = function (globe) {
+            var completionCallback = this.completionCallback;
+
+            this.animationCount++;
+            if (globe === this.targetGlobe && globe.is2D()) {
+                this.lookAt.tilt = 0; // the morph may be completed before its tilt ramp
+            }
+
+            this.morphGlobe.tessellator.discardGlobeState(this.morphGlobe.stateKey,
+                this.wwd.drawContext.gpuResourceCache);
+            this.wwd.globe = globe;
+            this.wwd.navigator.setAsLookAt(globe, this.lookAt);
+            this.wwd.redraw();
+
+            this.startGlobe = null;
+            this.targetGlobe = null;
+            this.morphGlobe = null;
+            this.lookAt = null;
+            this.completionCallback = null;
+
+            if (completionCallback) {
+                completionCallback(this);
+            }
+        };
+
+        return MorphAnimator;
+    });
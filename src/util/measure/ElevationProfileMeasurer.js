@@ -0,0 +1,165 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * @exports ElevationProfileMeasurer
+ */
+define([
+        '../../error/ArgumentError',
+        '../../geom/Location',
+        '../Logger',
+        './MeasurerUtils'
+    ],
+    function (ArgumentError,
+              Location,
+              Logger,
+              MeasurerUtils) {
+        "use strict";
+
+        /**
+         * Utility class to compute the terrain elevation profile along a path on a globe. <p/> <p>The path is sampled
+         * at regular intervals along lines following its pathType - WorldWind.LINEAR, WorldWind.RHUMB_LINE or
+         * WorldWind.GREAT_CIRCLE - and the terrain elevation is determined at each sample. The resulting profile
+         * holds the distance along the path and the elevation of each sample, as well as the minimum and maximum
+         * elevations and the total ascent and descent along the path.</p>
+         * <p/>
+         * <p>The sampling interval may be specified for each profile. Otherwise the path is divided into
+         * profileSamplingSteps intervals, but no interval is shorter than 30 meters. Use an
+         * {@link ElevationProfileChart} to display a profile in the WorldWindow.</p>
+         * @alias ElevationProfileMeasurer
+         * @constructor
+         * @param {WorldWindow} wwd The WorldWindow associated with ElevationProfileMeasurer.
+         * @throws {ArgumentError} If the specified WorldWindow is null or undefined.
+         */
+        var ElevationProfileMeasurer = function (wwd) {
+
+            if (!wwd) {
+                throw new ArgumentError(
+                    Logger.logMessage(Logger.LEVEL_SEVERE, "ElevationProfileMeasurer", "constructor",
+                        "missingWorldWindow"));
+            }
+
+            this.wwd = wwd;
+
+            // Private. The minimum sampling interval when no interval is specified.
+            this.DEFAULT_MIN_SAMPLE_INTERVAL = 30;
+
+            /**
+             * The number of intervals into which a path is divided when no sampling interval is specified.
+             * @type {Number}
+             * @default 256
+             */
+            this.profileSamplingSteps = 256;
+        };
+
+        /**
+         * Computes the elevation profile along a list of positions.
+         *
+         * @param {Location[]} positions The positions defining the path. Their altitudes are ignored.
+         * @param {String} pathType One of WorldWind.LINEAR, WorldWind.RHUMB_LINE or WorldWind.GREAT_CIRCLE.
+         * Defaults to WorldWind.GREAT_CIRCLE.
+         * @param {Number} sampleInterval Optional maximum distance in meters between samples.
+         *
+         * @return {Object} The profile, or null if the position list is too short. The profile's properties are:
+         * <ul>
+         *     <li>positions: {Position[]} The samples, with altitudes at the terrain elevation.</li>
+         *     <li>distances: {Number[]} The distance in meters along the path of each sample.</li>
+         *     <li>elevations: {Number[]} The terrain elevation in meters of each sample.</li>
+         *     <li>length: {Number} The length of the path in meters, not following terrain.</li>
+         *     <li>minElevation: {Number} The lowest elevation along the path.</li>
+         *     <li>maxElevation: {Number} The highest elevation along the path.</li>
+         *     <li>ascent: {Number} The sum of the elevation gains along the path.</li>
+         *     <li>descent: {Number} The sum of the elevation losses along the path, as a positive number.</li>
+         * </ul>
+         */
+        ElevationProfileMeasurer.prototype.getProfile = function (positions, pathType, sampleInterval) {
+            if (!positions || positions.length < 2) {
+                return null;
+            }
+
+            pathType = pathType || WorldWind.GREAT_CIRCLE;
+
+            var globe = this.wwd.globe,
+                distanceFunction = ElevationProfileMeasurer.distanceFunction(pathType);
+
+            if (!sampleInterval) {
+                var pathLength = 0;
+                for (var i = 1; i < positions.length; i++) {
+                    pathLength += distanceFunction(positions[i - 1], positions[i]) * globe.equatorialRadius;
+                }
+
+                sampleInterval = Math.max(pathLength / this.profileSamplingSteps, this.DEFAULT_MIN_SAMPLE_INTERVAL);
+            }
+
+            var samples = MeasurerUtils.subdividePositions(globe, positions, true, pathType, sampleInterval),
+                profile = {
+                    positions: samples,
+                    distances: [0],
+                    elevations: [samples[0].altitude],
+                    length: 0,
+                    minElevation: samples[0].altitude,
+                    maxElevation: samples[0].altitude,
+                    ascent: 0,
+                    descent: 0
+                };
+
+            for (var j = 1; j < samples.length; j++) {
+                var elevation = samples[j].altitude,
+                    change = elevation - samples[j - 1].altitude;
+
+                profile.length += distanceFunction(samples[j - 1], samples[j]) * globe.equatorialRadius;
+                profile.distances.push(profile.length);
+                profile.elevations.push(elevation);
+                profile.minElevation = Math.min(profile.minElevation, elevation);
+                profile.maxElevation = Math.max(profile.maxElevation, elevation);
+
+                if (change > 0) {
+                    profile.ascent += change;
+                } else {
+                    profile.descent -= change;
+                }
+            }
+
+            return profile;
+        };
+
+        /**
+         * Computes the elevation profile along a Path, following the path's pathType.
+         *
+         * @param {Path} path The path.
+         * @param {Number} sampleInterval Optional maximum distance in meters between samples.
+         *
+         * @return {Object} The profile, or null if the path has fewer than two positions. See
+         * [getProfile]{@link ElevationProfileMeasurer#getProfile} for a description of the profile's properties.
+         */
+        ElevationProfileMeasurer.prototype.getPathProfile = function (path, sampleInterval) {
+            return this.getProfile(path.positions, path.pathType, sampleInterval);
+        };
+
+        // Internal. Intentionally not documented. Returns the function computing the angular distance in radians
+        // between two locations along the specified path type.
+        ElevationProfileMeasurer.distanceFunction = function (pathType) {
+            if (pathType === WorldWind.RHUMB_LINE) {
+                return Location.rhumbDistance;
+            } else if (pathType === WorldWind.LINEAR) {
+                return Location.linearDistance;
+            } else {
+                return Location.greatCircleDistance;
+            }
+        };
+
+        return ElevationProfileMeasurer;
+    });
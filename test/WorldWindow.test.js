@@ -88,6 +88,161 @@ define([
                 expect(pixelSize).toBeCloseTo(expectedSize, 3);
             });
         });
+
+        describe("Draws snapshots as tiles", function () {
+            it("Narrows the projection to the snapshot tile being drawn", function () {
+                wwd.computeDrawContext();
+                var pixelSizeFactor = dc.pixelSizeFactor;
+
+                // The lower left quarter of an image twice the viewport's size.
+                wwd.snapshotState = {tileTransform: new Matrix(2, 0, 0, 1, 0, 2, 0, 1, 0, 0, 1, 0, 0, 0, 0, 1)};
+                try {
+                    wwd.computeDrawContext();
+                } finally {
+                    wwd.snapshotState = null;
+                }
+
+                expect(dc.pixelSizeFactor).toBeCloseTo(pixelSizeFactor / 2, 10);
+                wwd.computeDrawContext();
+            });
+
+            it("Copies WebGL pixels upside down without premultiplied alpha", function () {
+                var pixels = new Uint8Array([
+                        10, 20, 30, 255, 0, 0, 0, 0, // bottom row
+                        64, 32, 0, 128, 255, 255, 255, 255 // top row
+                    ]),
+                    ctx2D = {
+                        createImageData: function (width, height) {
+                            return {data: new Uint8ClampedArray(4 * width * height)};
+                        },
+                        putImageData: function (imageData, x, y) {
+                            this.data = Array.prototype.slice.call(imageData.data);
+                            this.x = x;
+                            this.y = y;
+                        }
+                    };
+
+                wwd.copySnapshotPixels(pixels, 2, 2, ctx2D, 3, 4);
+
+                expect(ctx2D.data).toEqual([
+                    128, 64, 0, 128, 255, 255, 255, 255,
+                    10, 20, 30, 255, 0, 0, 0, 0
+                ]);
+                expect(ctx2D.x).toBe(3);
+                expect(ctx2D.y).toBe(4);
+            });
+
+            it("Waits for retrievals but not for redraw requests", function () {
+                var layer = {enabled: true, currentRetrievals: []};
+                dc.layers = [layer];
+                dc.redrawRequested = true;
+
+                try {
+                    expect(wwd.isRetrievingResources()).toBe(false);
+
+                    layer.currentRetrievals.push("tile");
+                    expect(wwd.isRetrievingResources()).toBe(true);
+
+                    layer.currentRetrievals.length = 0;
+                    dc.gpuResourceCache.currentRetrievals["image.png"] = "image.png";
+                    expect(wwd.isRetrievingResources()).toBe(true);
+                } finally {
+                    delete dc.gpuResourceCache.currentRetrievals["image.png"];
+                    wwd.resetDrawContext();
+                }
+            });
+
+            it("Releases the snapshot framebuffer when the drawing buffer's size changes", function () {
+                // Provides the WebGL functions used to create and release framebuffers.
+                var gl = {
+                        drawingBufferWidth: 100,
+                        drawingBufferHeight: 100,
+                        FRAMEBUFFER_COMPLETE: 1,
+                        isContextLost: function () {
+                            return false;
+                        },
+                        checkFramebufferStatus: function () {
+                            return 1;
+                        }
+                    },
+                    drawContext = wwd.drawContext;
+
+                ["createFramebuffer", "createTexture", "createRenderbuffer"].forEach(function (name) {
+                    gl[name] = function () {
+                        return {};
+                    };
+                });
+                ["bindFramebuffer", "bindTexture", "bindRenderbuffer", "texParameteri", "texImage2D",
+                    "framebufferTexture2D", "renderbufferStorage", "framebufferRenderbuffer", "deleteFramebuffer",
+                    "deleteTexture", "deleteRenderbuffer"].forEach(function (name) {
+                    gl[name] = jasmine.createSpy(name);
+                });
+
+                spyOn(wwd, "resize");
+                spyOn(wwd, "drawSnapshotTiles");
+                spyOn(Object.getPrototypeOf(document.createElement("canvas")), "getContext").and.returnValue({});
+
+                wwd.drawContext = {currentGlContext: gl};
+                try {
+                    wwd.snapshotCanvas(function () {
+                    });
+                    var framebuffer = wwd.snapshotFramebuffer,
+                        texture = framebuffer.texture;
+
+                    wwd.snapshotCanvas(function () {
+                    });
+                    expect(wwd.snapshotFramebuffer).toBe(framebuffer);
+                    expect(gl.deleteTexture).not.toHaveBeenCalled();
+
+                    gl.drawingBufferWidth = 200;
+                    wwd.snapshotCanvas(function () {
+                    });
+                    expect(wwd.snapshotFramebuffer).not.toBe(framebuffer);
+                    expect(wwd.snapshotFramebuffer.width).toBe(200);
+                    expect(gl.deleteTexture).toHaveBeenCalledWith(texture);
+                    expect(gl.deleteFramebuffer.calls.count()).toBe(1);
+                    expect(gl.deleteRenderbuffer.calls.count()).toBe(1);
+                } finally {
+                    wwd.drawContext = drawContext;
+                    wwd.snapshotFramebuffer = null;
+                }
+            });
+        });
+
+        describe("Vertical exaggeration", function () {
+            var exaggeratedWwd;
+
+            beforeEach(function () {
+                exaggeratedWwd = new MockWorldWindow();
+                exaggeratedWwd._verticalExaggeration = 1;
+                spyOn(exaggeratedWwd, "redraw");
+            });
+
+            it("Requests a redraw when changed", function () {
+                exaggeratedWwd.verticalExaggeration = 2.5;
+                expect(exaggeratedWwd.verticalExaggeration).toBe(2.5);
+                expect(exaggeratedWwd.redraw.calls.count()).toBe(1);
+
+                exaggeratedWwd.verticalExaggeration = 2.5;
+                expect(exaggeratedWwd.redraw.calls.count()).toBe(1);
+            });
+
+            it("Accepts zero to flatten the terrain", function () {
+                exaggeratedWwd.verticalExaggeration = 0;
+                expect(exaggeratedWwd.verticalExaggeration).toBe(0);
+            });
+
+            it("Rejects negative values and values that are not numbers", function () {
+                [-1, NaN, "2", null, undefined].forEach(function (value) {
+                    expect(function () {
+                        exaggeratedWwd.verticalExaggeration = value;
+                    }).toThrow();
+                });
+
+                expect(exaggeratedWwd.verticalExaggeration).toBe(1);
+                expect(exaggeratedWwd.redraw).not.toHaveBeenCalled();
+            });
+        });
     });
 });
 
@@ -0,0 +1,150 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/analysis/ContourGenerator',
+    'src/analysis/ElevationGrid',
+    'src/geom/Sector'
+], function (ContourGenerator,
+             ElevationGrid,
+             Sector) {
+    "use strict";
+
+    // A cone 1050 meters high centered on a 21 x 21 grid spanning one degree, falling 100 meters per grid spacing
+    // to a plain at sea level.
+    var createCone = function () {
+        var elevations = [];
+        for (var row = 0; row < 21; row++) {
+            for (var col = 0; col < 21; col++) {
+                var distance = Math.sqrt((row - 10) * (row - 10) + (col - 10) * (col - 10));
+                elevations.push(Math.max(1050 - 100 * distance, 0));
+            }
+        }
+
+        return elevations;
+    };
+
+    describe("ContourGenerator", function () {
+        var sector = new Sector(0, 1, 0, 1);
+
+        it("generates a closed ring for each contour of a cone", function () {
+            var contours = ContourGenerator.generateContours(createCone(), 21, 21, sector, 250);
+
+            expect(contours.length).toBe(4);
+            expect(contours[0].elevation).toBe(250);
+            expect(contours[3].elevation).toBe(1000);
+
+            for (var c = 0; c < contours.length; c++) {
+                var lines = contours[c].lines,
+                    first = lines[0][0],
+                    last = lines[0][lines[0].length - 1],
+                    radius = (1050 - contours[c].elevation) / 100 * 0.05;
+
+                expect(lines.length).toBe(1);
+                expect(first.latitude).toBeCloseTo(last.latitude, 10);
+                expect(first.longitude).toBeCloseTo(last.longitude, 10);
+
+                // The ring lies near the circle at the contour's elevation.
+                for (var i = 0; i < lines[0].length; i++) {
+                    var dLat = lines[0][i].latitude - 0.5,
+                        dLon = lines[0][i].longitude - 0.5;
+                    expect(Math.abs(Math.sqrt(dLat * dLat + dLon * dLon) - radius)).toBeLessThan(0.01);
+                }
+            }
+        });
+
+        it("generates open lines for contours crossing the grid boundary", function () {
+            // A plane rising 10 meters per column from west to east.
+            var elevations = [];
+            for (var row = 0; row < 3; row++) {
+                for (var col = 0; col < 5; col++) {
+                    elevations.push(col * 10);
+                }
+            }
+
+            var lines = ContourGenerator.generateContourLines(elevations, 5, 3, sector, 15);
+
+            expect(lines.length).toBe(1);
+            expect(lines[0].length).toBe(3);
+            for (var i = 0; i < 3; i++) {
+                expect(lines[0][i].longitude).toBeCloseTo(0.375, 10);
+            }
+        });
+
+        it("resolves saddle cells by the cell center elevation", function () {
+            // Diagonal corners high, the others low. The center is above 4 meters and below 6 meters.
+            var connected = ContourGenerator.generateContourLines([10, 0, 0, 10], 2, 2, sector, 4),
+                separated = ContourGenerator.generateContourLines([10, 0, 0, 10], 2, 2, sector, 6);
+
+            expect(connected.length).toBe(2);
+            expect(separated.length).toBe(2);
+
+            // When connected, each line cuts off a low corner, the southeast or northwest. When separated, each
+            // cuts off a high corner, the southwest or northeast.
+            for (var i = 0; i < 2; i++) {
+                expect(connected[i][0].latitude + connected[i][1].latitude +
+                    connected[i][0].longitude + connected[i][1].longitude).toBeCloseTo(2, 10);
+                expect(separated[i][0].latitude + separated[i][1].latitude).toBeCloseTo(
+                    separated[i][0].longitude + separated[i][1].longitude, 10);
+            }
+        });
+
+        it("skips cells with missing elevations", function () {
+            var lines = ContourGenerator.generateContourLines([0, 10, NaN, 0, 10, 10], 3, 2, sector, 5);
+
+            expect(lines.length).toBe(1);
+            expect(lines[0].length).toBe(2);
+        });
+
+        it("throws on a non-positive interval", function () {
+            expect(function () {
+                ContourGenerator.generateContours(createCone(), 21, 21, sector, 0);
+            }).toThrow();
+        });
+    });
+
+    describe("ElevationGrid", function () {
+        it("interpolates elevations and extracts subgrids", function () {
+            var grid = new ElevationGrid(new Sector(0, 2, 0, 2), 3, 3, [0, 10, 20, 0, 10, 20, 0, 10, 20]);
+
+            expect(grid.elevationAtLocation(1, 0.5)).toBeCloseTo(5, 10);
+            expect(grid.elevationAtLocation(1, 2)).toBeCloseTo(20, 10);
+            expect(grid.elevationAtLocation(3, 1)).toBeNaN();
+
+            var subgrid = grid.subgrid(new Sector(0.5, 2, 0.5, 2));
+            expect(subgrid.width).toBe(2);
+            expect(subgrid.height).toBe(2);
+            expect(subgrid.sector.minLatitude).toBe(1);
+            expect(subgrid.elevations[0]).toBe(10);
+        });
+
+        it("creates grids from north-first rasters at pixel centers", function () {
+            var reader = {
+                metadata: {ncols: 2, nrows: 2, xllcorner: 10, yllcorner: 20, cellsize: 1, NODATA_value: -9999},
+                getImageData: function () {
+                    return [1, 2, -9999, 4];
+                }
+            };
+
+            var grid = ElevationGrid.fromAAIGrid(reader);
+            expect(grid.sector.minLatitude).toBe(20.5);
+            expect(grid.sector.maxLongitude).toBe(11.5);
+            expect(grid.elevations[0]).toBeNaN();
+            expect(grid.elevations[1]).toBe(4);
+            expect(grid.elevations[2]).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/analysis/LineOfSight',
+    'src/geom/Location'
+], function (LineOfSight,
+             Location) {
+    "use strict";
+
+    // A globe whose terrain is flat except for a 500 meter ridge along longitude 0.1.
+    var ridgeElevation = function (latitude, longitude) {
+        return Math.abs(longitude - 0.1) < 0.005 ? 500 : 0;
+    };
+
+    var globe = {
+        equatorialRadius: 6378137,
+        elevationAtLocation: ridgeElevation,
+        elevationsForGrid: function (sector, numLat, numLon, targetResolution, result) {
+            for (var row = 0; row < numLat; row++) {
+                for (var col = 0; col < numLon; col++) {
+                    var latitude = sector.minLatitude + row * sector.deltaLatitude() / (numLat - 1),
+                        longitude = sector.minLongitude + col * sector.deltaLongitude() / (numLon - 1);
+                    result[row * numLon + col] = ridgeElevation(latitude, longitude);
+                }
+            }
+            return targetResolution;
+        }
+    };
+
+    describe("LineOfSight", function () {
+        it("sees nearby targets on flat terrain", function () {
+            var lineOfSight = new LineOfSight(new Location(0, 0), new Location(0, 0.02));
+
+            expect(lineOfSight.compute(globe)).toBe(true);
+            expect(lineOfSight.obstruction).toBeNull();
+            expect(lineOfSight.distance).toBeCloseTo(2226.4, 1);
+        });
+
+        it("is blocked by the curvature of the globe beyond the horizon", function () {
+            // The horizon of an observer 2 meters above the terrain is about 5 kilometers away.
+            var lineOfSight = new LineOfSight(new Location(0, -0.5), new Location(0, -0.4));
+
+            expect(lineOfSight.compute(globe)).toBe(false);
+
+            lineOfSight.targetHeight = 200;
+            expect(lineOfSight.compute(globe)).toBe(true);
+        });
+
+        it("is blocked by terrain and reports the obstruction", function () {
+            var lineOfSight = new LineOfSight(new Location(0, 0), new Location(0, 0.2));
+            lineOfSight.targetHeight = 100;
+
+            expect(lineOfSight.compute(globe)).toBe(false);
+            expect(lineOfSight.obstruction.longitude).toBeCloseTo(0.1, 2);
+            expect(lineOfSight.obstruction.altitude).toBe(500);
+        });
+
+        it("computes the curvature drop", function () {
+            expect(LineOfSight.curvatureDrop(10000, 6378137, 0)).toBeCloseTo(7.84, 2);
+            expect(LineOfSight.curvatureDrop(10000, 6378137, 0.13)).toBeCloseTo(6.82, 2);
+        });
+    });
+});
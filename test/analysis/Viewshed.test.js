@@ -0,0 +1,170 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/geom/Sector',
+    'src/analysis/Viewshed'
+], function (Location,
+             Sector,
+             Viewshed) {
+    "use strict";
+
+    // Creates a globe of Earth's radius whose terrain elevations are given by a function of latitude and longitude.
+    var createGlobe = function (elevation) {
+        return {
+            equatorialRadius: 6378137,
+            elevationAtLocation: elevation,
+            elevationsForGrid: function (sector, numLat, numLon, targetResolution, result) {
+                for (var row = 0; row < numLat; row++) {
+                    for (var col = 0; col < numLon; col++) {
+                        var latitude = sector.minLatitude + row * sector.deltaLatitude() / (numLat - 1),
+                            longitude = sector.minLongitude + col * sector.deltaLongitude() / (numLon - 1);
+                        result[row * numLon + col] = elevation(latitude, longitude);
+                    }
+                }
+                return targetResolution;
+            }
+        };
+    };
+
+    // Flat terrain except for a 500 meter ridge along longitude 0.1.
+    var ridgeGlobe = createGlobe(function (latitude, longitude) {
+        return Math.abs(longitude - 0.1) < 0.005 ? 500 : 0;
+    });
+
+    var flatGlobe = createGlobe(function (latitude, longitude) {
+        return 0;
+    });
+
+    describe("Viewshed", function () {
+        it("Rejects a missing observer or radius", function () {
+            expect(function () {
+                new Viewshed(null, 100);
+            }).toThrow();
+            expect(function () {
+                new Viewshed(new Location(0, 0), 0);
+            }).toThrow();
+        });
+
+        it("Requires a globe", function () {
+            expect(function () {
+                new Viewshed(new Location(0, 0), 100).compute(null);
+            }).toThrow();
+        });
+
+        it("Hides the terrain behind a ridge", function () {
+            var viewshed = new Viewshed(new Location(0, 0.08), 5000);
+            viewshed.gridSize = 65;
+            viewshed.compute(ridgeGlobe);
+
+            expect(viewshed.visibility.length).toBe(65 * 65);
+            expect(viewshed.visibilityAtLocation(0, 0.06)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(0, 0.11)).toBe(Viewshed.HIDDEN);
+            expect(viewshed.visibilityAtLocation(0, 0.12)).toBe(Viewshed.HIDDEN);
+        });
+
+        it("Sees the terrain behind a ridge from above it", function () {
+            var viewshed = new Viewshed(new Location(0, 0.08), 5000);
+            viewshed.gridSize = 65;
+            viewshed.observerHeight = 3000;
+            viewshed.compute(ridgeGlobe);
+
+            expect(viewshed.visibilityAtLocation(0, 0.12)).toBe(Viewshed.VISIBLE);
+        });
+
+        it("Marks the grid points beyond its radius as outside", function () {
+            var viewshed = new Viewshed(new Location(0, 0), 5000),
+                size = 65;
+            viewshed.gridSize = size;
+            viewshed.compute(flatGlobe);
+
+            // The grid spans the circle of the viewshed's radius, so its corners are outside the circle and the
+            // midpoints of its edges are on it.
+            expect(viewshed.visibility[0]).toBe(Viewshed.OUTSIDE);
+            expect(viewshed.visibility[size - 1]).toBe(Viewshed.OUTSIDE);
+            expect(viewshed.visibility[size * size - 1]).toBe(Viewshed.OUTSIDE);
+            expect(viewshed.visibility[(size - 1) / 2]).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibility[(size - 1) / 2 * size]).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(0.04, 0.04)).toBe(Viewshed.OUTSIDE);
+            expect(viewshed.visibilityAtLocation(0.03, 0.03)).toBe(Viewshed.VISIBLE);
+        });
+
+        it("Hides the terrain beyond the horizon", function () {
+            // The horizon of an observer 2 meters above the terrain is about 5 kilometers away.
+            var viewshed = new Viewshed(new Location(0, 0), 10000);
+            viewshed.gridSize = 65;
+            viewshed.compute(flatGlobe);
+
+            expect(viewshed.visibilityAtLocation(0, 0.03)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(0, -0.03)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(0, 0.07)).toBe(Viewshed.HIDDEN);
+            expect(viewshed.visibilityAtLocation(-0.07, 0)).toBe(Viewshed.HIDDEN);
+
+            // Targets 100 meters above the terrain are visible about 36 kilometers away.
+            viewshed.targetHeight = 100;
+            viewshed.compute(flatGlobe);
+
+            expect(viewshed.visibilityAtLocation(0, 0.07)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(-0.07, 0)).toBe(Viewshed.VISIBLE);
+        });
+
+        it("Maps rows to latitudes and columns to longitudes when computing visibility", function () {
+            // A 500 meter ridge along latitude 0.05.
+            var globe = createGlobe(function (latitude, longitude) {
+                    return Math.abs(latitude - 0.05) < 0.005 ? 500 : 0;
+                }),
+                viewshed = new Viewshed(new Location(0.03, 0), 5000);
+            viewshed.gridSize = 65;
+            viewshed.compute(globe);
+
+            expect(viewshed.sector.minLatitude).toBeLessThan(viewshed.sector.maxLatitude);
+            expect(viewshed.visibilityAtLocation(0.07, 0)).toBe(Viewshed.HIDDEN);
+            expect(viewshed.visibilityAtLocation(-0.01, 0)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(0.03, 0.04)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(0.03, -0.04)).toBe(Viewshed.VISIBLE);
+        });
+
+        it("Returns the visibility of the grid point nearest a location", function () {
+            var viewshed = new Viewshed(new Location(1, 12), 100);
+
+            // A 3 by 3 grid whose values are their indices, ordered from south to north and west to east.
+            viewshed.sector = new Sector(0, 2, 10, 14);
+            viewshed.visibility = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+            expect(viewshed.visibilityAtLocation(0, 10)).toBe(0);
+            expect(viewshed.visibilityAtLocation(0, 14)).toBe(2);
+            expect(viewshed.visibilityAtLocation(2, 10)).toBe(6);
+            expect(viewshed.visibilityAtLocation(2, 14)).toBe(8);
+            expect(viewshed.visibilityAtLocation(0.4, 12.9)).toBe(1);
+            expect(viewshed.visibilityAtLocation(1.4, 11.1)).toBe(4);
+            expect(viewshed.visibilityAtLocation(1.6, 13.1)).toBe(8);
+        });
+
+        it("Indicates locations outside its sector as outside", function () {
+            var viewshed = new Viewshed(new Location(1, 12), 100);
+
+            expect(viewshed.visibilityAtLocation(1, 12)).toBe(Viewshed.OUTSIDE);
+
+            viewshed.sector = new Sector(0, 2, 10, 14);
+            viewshed.visibility = new Uint8Array([1, 1, 1, 1, 1, 1, 1, 1, 1]);
+
+            expect(viewshed.visibilityAtLocation(1, 12)).toBe(Viewshed.VISIBLE);
+            expect(viewshed.visibilityAtLocation(3, 12)).toBe(Viewshed.OUTSIDE);
+            expect(viewshed.visibilityAtLocation(1, 15)).toBe(Viewshed.OUTSIDE);
+        });
+    });
+});
@@ -0,0 +1,428 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/cache/IndexedDbTileStore',
+    'src/util/Promise'
+], function (IndexedDbTileStore, Promise) {
+    "use strict";
+
+    // An in-memory implementation of the parts of IndexedDB used by the tile store. As in IndexedDB, requests
+    // complete asynchronously, records are copied when they're stored and retrieved, and a transaction completes once
+    // its requests, including those made by their success handlers, have completed.
+    var FakeIndexedDb = function () {
+        this.databases = {};
+    };
+
+    FakeIndexedDb.prototype.open = function (name, version) {
+        var fakeIndexedDb = this,
+            request = {result: null};
+
+        defer(function () {
+            var database = fakeIndexedDb.databases[name],
+                upgradeNeeded = !database;
+
+            if (upgradeNeeded) {
+                database = fakeIndexedDb.databases[name] = new FakeDatabase();
+            }
+
+            request.result = database;
+
+            if (upgradeNeeded && request.onupgradeneeded) {
+                request.onupgradeneeded();
+            }
+
+            request.onsuccess();
+        });
+
+        return request;
+    };
+
+    var defer = function (callback) {
+        Promise.resolve().then(callback);
+    };
+
+    var copy = function (record) {
+        if (!record) {
+            return undefined;
+        }
+
+        var result = {};
+        for (var key in record) {
+            if (record.hasOwnProperty(key)) {
+                result[key] = record[key];
+            }
+        }
+
+        return result;
+    };
+
+    var FakeDatabase = function () {
+        this.keyPath = null;
+        this.indexes = {};
+        this.records = {};
+        this.transactionCount = 0;
+    };
+
+    FakeDatabase.prototype.createObjectStore = function (name, options) {
+        var database = this;
+        this.keyPath = options.keyPath;
+
+        return {
+            createIndex: function (indexName, keyPath) {
+                database.indexes[indexName] = keyPath;
+            }
+        };
+    };
+
+    FakeDatabase.prototype.transaction = function (name, mode) {
+        this.transactionCount++;
+        return new FakeTransaction(this, mode);
+    };
+
+    // The records of the database ordered by a key path.
+    FakeDatabase.prototype.sortedRecords = function (keyPath) {
+        var records = this.records;
+
+        return Object.keys(records).map(function (key) {
+            return records[key];
+        }).sort(function (a, b) {
+            return a[keyPath] < b[keyPath] ? -1 : a[keyPath] > b[keyPath] ? 1 : 0;
+        });
+    };
+
+    var FakeTransaction = function (database, mode) {
+        var transaction = this;
+
+        this.database = database;
+        this.mode = mode;
+        this.pendingRequests = 1;
+
+        // Complete transactions that make no requests.
+        defer(function () {
+            transaction.requestCompleted();
+        });
+    };
+
+    FakeTransaction.prototype.objectStore = function (name) {
+        return new FakeObjectStore(this);
+    };
+
+    // Performs an operation asynchronously, resolving a request with its result.
+    FakeTransaction.prototype.request = function (operation, request) {
+        var transaction = this;
+
+        request = request || {result: null};
+        this.pendingRequests++;
+
+        defer(function () {
+            request.result = operation();
+            if (request.onsuccess) {
+                request.onsuccess();
+            }
+            transaction.requestCompleted();
+        });
+
+        return request;
+    };
+
+    FakeTransaction.prototype.requestCompleted = function () {
+        if (--this.pendingRequests === 0 && this.oncomplete) {
+            this.oncomplete();
+        }
+    };
+
+    FakeTransaction.prototype.write = function (operation) {
+        if (this.mode !== "readwrite") {
+            throw new Error("ReadOnlyError");
+        }
+
+        return this.request(operation);
+    };
+
+    var FakeObjectStore = function (transaction) {
+        this.transaction = transaction;
+        this.records = transaction.database.records;
+        this.keyPath = transaction.database.keyPath;
+    };
+
+    FakeObjectStore.prototype.get = function (key) {
+        var records = this.records;
+
+        return this.transaction.request(function () {
+            return copy(records[key]);
+        });
+    };
+
+    FakeObjectStore.prototype.put = function (record) {
+        var records = this.records,
+            key = record[this.keyPath];
+
+        return this.transaction.write(function () {
+            records[key] = copy(record);
+            return key;
+        });
+    };
+
+    FakeObjectStore.prototype.count = function (key) {
+        var records = this.records;
+
+        return this.transaction.request(function () {
+            return records.hasOwnProperty(key) ? 1 : 0;
+        });
+    };
+
+    FakeObjectStore.prototype.delete = function (key) {
+        var records = this.records;
+
+        return this.transaction.write(function () {
+            delete records[key];
+        });
+    };
+
+    FakeObjectStore.prototype.clear = function () {
+        var records = this.records;
+
+        return this.transaction.write(function () {
+            for (var key in records) {
+                delete records[key];
+            }
+        });
+    };
+
+    FakeObjectStore.prototype.openCursor = function () {
+        return this.openCursorOver(this.transaction.database.sortedRecords(this.keyPath));
+    };
+
+    FakeObjectStore.prototype.index = function (name) {
+        var objectStore = this,
+            keyPath = this.transaction.database.indexes[name];
+
+        return {
+            openCursor: function () {
+                return objectStore.openCursorOver(objectStore.transaction.database.sortedRecords(keyPath));
+            }
+        };
+    };
+
+    FakeObjectStore.prototype.openCursorOver = function (sortedRecords) {
+        var objectStore = this,
+            transaction = this.transaction,
+            request = {result: null},
+            position = 0;
+
+        var advance = function () {
+            return transaction.request(function () {
+                var record = sortedRecords[position];
+                if (!record) {
+                    return null;
+                }
+
+                return {
+                    value: copy(record),
+                    continue: function () {
+                        position++;
+                        advance();
+                    },
+                    delete: function () {
+                        return objectStore.delete(record[objectStore.keyPath]);
+                    }
+                };
+            }, request);
+        };
+
+        return advance();
+    };
+
+    describe("IndexedDbTileStore", function () {
+        var fakeIndexedDb, originalIndexedDb, now, store;
+
+        // Creates a tile image of the specified size.
+        var blob = function (size) {
+            return new Blob([new Uint8Array(size)], {type: "image/png"});
+        };
+
+        // Adds tiles one after the other, each used later than the previous one.
+        var putTiles = function (keys, size) {
+            return keys.reduce(function (promise, key) {
+                return promise.then(function () {
+                    now++;
+                    return store.putTile(key, blob(size));
+                });
+            }, Promise.resolve());
+        };
+
+        var storedKeys = function () {
+            return Object.keys(fakeIndexedDb.databases.tiles.records).sort();
+        };
+
+        beforeEach(function () {
+            fakeIndexedDb = new FakeIndexedDb();
+            originalIndexedDb = Object.getOwnPropertyDescriptor(window, "indexedDB");
+            Object.defineProperty(window, "indexedDB", {value: fakeIndexedDb, configurable: true, writable: true});
+
+            now = 1000;
+            spyOn(Date, "now").and.callFake(function () {
+                return now;
+            });
+
+            store = new IndexedDbTileStore("tiles", 0);
+        });
+
+        afterEach(function () {
+            if (originalIndexedDb) {
+                Object.defineProperty(window, "indexedDB", originalIndexedDb);
+            } else {
+                delete window.indexedDB;
+            }
+        });
+
+        it("Requires a database name", function () {
+            expect(function () {
+                new IndexedDbTileStore("");
+            }).toThrow();
+        });
+
+        it("Gets the tiles it has stored", function (done) {
+            var image = blob(4);
+
+            store.putTile("0/0/0", image).then(function () {
+                return Promise.all([store.getTile("0/0/0"), store.getTile("0/0/1")]);
+            }).then(function (tiles) {
+                expect(tiles[0]).toBe(image);
+                expect(tiles[1]).toBeNull();
+                return Promise.all([store.containsTile("0/0/0"), store.containsTile("0/0/1")]);
+            }).then(function (contained) {
+                expect(contained).toEqual([true, false]);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Records when each tile is used", function (done) {
+            store.putTile("0/0/0", blob(4)).then(function () {
+                expect(fakeIndexedDb.databases.tiles.records["0/0/0"].lastUsed).toBe(1000);
+
+                now = 2000;
+                return store.getTile("0/0/0");
+            }).then(function () {
+                expect(fakeIndexedDb.databases.tiles.records["0/0/0"].lastUsed).toBe(2000);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Replaces a stored tile", function (done) {
+            var image = blob(8);
+
+            putTiles(["0/0/0"], 4).then(function () {
+                return store.putTile("0/0/0", image);
+            }).then(function () {
+                return Promise.all([store.getTile("0/0/0"), store.usage()]);
+            }).then(function (results) {
+                expect(results[0]).toBe(image);
+                expect(results[1].tileCount).toBe(1);
+                expect(results[1].size).toBe(8);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Reports the number and size of its tiles", function (done) {
+            putTiles(["0/0/0", "0/0/1", "0/1/0"], 4).then(function () {
+                return store.usage();
+            }).then(function (usage) {
+                expect(usage.tileCount).toBe(3);
+                expect(usage.size).toBe(12);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Removes tiles", function (done) {
+            putTiles(["0/0/0", "0/0/1", "0/1/0"], 4).then(function () {
+                return store.removeTile("0/0/1");
+            }).then(function () {
+                expect(storedKeys()).toEqual(["0/0/0", "0/1/0"]);
+                return store.clear();
+            }).then(function () {
+                return store.usage();
+            }).then(function (usage) {
+                expect(usage.tileCount).toBe(0);
+                expect(usage.size).toBe(0);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Evicts the least recently used tiles", function (done) {
+            putTiles(["0/0/0", "0/0/1", "0/1/0", "0/1/1"], 4).then(function () {
+                // Use the first tile, leaving the second as the least recently used.
+                now++;
+                return store.getTile("0/0/0");
+            }).then(function () {
+                return store.evict(9);
+            }).then(function (removed) {
+                expect(removed).toBe(2);
+                expect(storedKeys()).toEqual(["0/0/0", "0/1/1"]);
+                return store.evict(100);
+            }).then(function (removed) {
+                expect(removed).toBe(0);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Evicts tiles to 80 percent of its maximum size when the maximum is exceeded", function (done) {
+            store.maxSize = 20;
+
+            putTiles(["0/0/0", "0/0/1", "0/1/0", "0/1/1", "1/0/0"], 4).then(function () {
+                // The tiles fit exactly.
+                expect(storedKeys().length).toBe(5);
+                return putTiles(["1/0/1"], 4);
+            }).then(function () {
+                // The two least recently used tiles are removed to reduce the store to 16 bytes.
+                expect(storedKeys()).toEqual(["0/1/0", "0/1/1", "1/0/0", "1/0/1"]);
+                return store.usage();
+            }).then(function (usage) {
+                expect(usage.size).toBe(16);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Keeps the total size current without rereading the tiles", function (done) {
+            var transactionCount;
+
+            store.maxSize = 100;
+
+            putTiles(["0/0/0", "0/0/1"], 4).then(function () {
+                expect(store.totalSize).toBe(8);
+
+                transactionCount = fakeIndexedDb.databases.tiles.transactionCount;
+                return putTiles(["0/1/0"], 4);
+            }).then(function () {
+                expect(store.totalSize).toBe(12);
+                expect(fakeIndexedDb.databases.tiles.transactionCount).toBe(transactionCount + 1);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Rejects its operations when IndexedDB is not supported", function (done) {
+            window.indexedDB = undefined;
+
+            store.getTile("0/0/0").then(function () {
+                done.fail("The tile was retrieved without IndexedDB.");
+            }, function (error) {
+                expect(error.message).toBe("IndexedDB is not supported.");
+                done();
+            });
+        });
+    });
+});
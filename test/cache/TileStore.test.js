@@ -0,0 +1,104 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/util/Promise',
+    'src/geom/Sector',
+    'src/layer/TiledImageLayer',
+    'src/cache/TileStore',
+    'src/WorldWind'
+], function (Location,
+             Promise,
+             Sector,
+             TiledImageLayer,
+             TileStore,
+             WorldWind) {
+    "use strict";
+
+    // A tile store holding tiles in memory.
+    var MemoryTileStore = function () {
+        TileStore.call(this);
+        this.tiles = {};
+    };
+
+    MemoryTileStore.prototype = Object.create(TileStore.prototype);
+
+    MemoryTileStore.prototype.containsTile = function (key) {
+        return Promise.resolve(this.tiles.hasOwnProperty(key));
+    };
+
+    MemoryTileStore.prototype.putTile = function (key, blob) {
+        this.tiles[key] = blob;
+        return Promise.resolve();
+    };
+
+    describe("TileStore", function () {
+        var layer = new TiledImageLayer(Sector.FULL_SPHERE, new Location(45, 45), 3, "image/png", "test", 256, 256);
+
+        it("determines the layer tiles within a sector", function () {
+            var tiles = layer.tilesInSector(new Sector(10, 50, -10, 10), 1);
+
+            expect(tiles.map(function (tile) {
+                return tile.level.levelNumber + "/" + tile.row + "/" + tile.column;
+            })).toEqual(["1/4/7", "1/4/8", "1/5/7", "1/5/8", "1/6/7", "1/6/8"]);
+            expect(layer.tilesInSector(new Sector(10, 50, -10, 10), 3)).toEqual([]);
+        });
+
+        it("skips tiles already in the store when seeding", function (done) {
+            var store = new MemoryTileStore(),
+                progress = [],
+                tiles = layer.tilesInSector(new Sector(0, 10, 0, 10), 0).concat(
+                    layer.tilesInSector(new Sector(0, 10, 0, 10), 1));
+
+            tiles.forEach(function (tile) {
+                store.tiles[tile.imagePath] = "image";
+            });
+
+            store.seed(layer, new Sector(0, 10, 0, 10), 0, 1, function (processed, total) {
+                progress.push(processed + "/" + total);
+            }).then(function (result) {
+                expect(result).toEqual({stored: 0, skipped: 2, failed: 0});
+                expect(progress).toEqual(["1/2", "2/2"]);
+                done();
+            });
+        });
+
+        it("counts tiles without URLs as failed when seeding", function (done) {
+            new MemoryTileStore().seed(layer, new Sector(0, 10, 0, 10), 0, 0).then(function (result) {
+                expect(result).toEqual({stored: 0, skipped: 0, failed: 1});
+                done();
+            });
+        });
+
+        it("loads images with the layer's cross-origin setting when the store is unavailable", function (done) {
+            var store = new MemoryTileStore(),
+                image = {};
+
+            store.getTile = function (key) {
+                return Promise.reject(new Error("IndexedDB is not supported."));
+            };
+
+            store.loadImage("0/0/0", "http://tiles.example.com/0/0/0.png", image, "use-credentials");
+
+            setTimeout(function () {
+                expect(image.crossOrigin).toBe("use-credentials");
+                expect(image.src).toBe("http://tiles.example.com/0/0/0.png");
+                done();
+            }, 0);
+        });
+    });
+});
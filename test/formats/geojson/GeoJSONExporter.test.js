@@ -0,0 +1,237 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Position',
+    'src/shapes/GeographicMesh',
+    'src/formats/geojson/GeoJSONExporter',
+    'src/formats/kml/features/KmlDocument',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/shapes/TriangleMesh',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (Position,
+             GeographicMesh,
+             GeoJSONExporter,
+             KmlDocument,
+             KmlPlacemark,
+             TriangleMesh,
+             XmlDocument,
+             WorldWind) {
+    "use strict";
+
+    // The exporter identifies the shapes through the WorldWind namespace, so they're created from it.
+    var Color = WorldWind.Color,
+        Location = WorldWind.Location,
+        Path = WorldWind.Path,
+        Placemark = WorldWind.Placemark,
+        PlacemarkAttributes = WorldWind.PlacemarkAttributes,
+        ShapeAttributes = WorldWind.ShapeAttributes,
+        SurfacePolygon = WorldWind.SurfacePolygon;
+
+    describe("GeoJSONExporter", function () {
+        var createPlacemark = function () {
+            var attributes = new PlacemarkAttributes(null);
+            attributes.imageColor = Color.RED;
+
+            var placemark = new Placemark(new Position(20, 10, 100), false, attributes);
+            placemark.label = "Station";
+            placemark.userProperties = {population: 1200, open: true};
+            return placemark;
+        };
+
+        var createPath = function () {
+            var attributes = new ShapeAttributes(null);
+            attributes.outlineColor = new Color(0, 0, 1, 0.5);
+            attributes.outlineWidth = 3;
+
+            return new Path([new Position(0, 0, 10), new Position(1, 1, 20)], attributes);
+        };
+
+        describe("Properties and simplestyle", function () {
+            it("Exports a placemark as a Feature with its user properties, label and marker color", function () {
+                var feature = JSON.parse(GeoJSONExporter.exportRenderable(createPlacemark()));
+
+                expect(feature.type).toBe("Feature");
+                expect(feature.geometry).toEqual({type: "Point", coordinates: [10, 20]});
+                expect(feature.properties).toEqual({
+                    population: 1200,
+                    open: true,
+                    name: "Station",
+                    "marker-color": "#ff0000"
+                });
+            });
+
+            it("Exports the outline of a path without fill properties", function () {
+                var feature = JSON.parse(GeoJSONExporter.exportRenderable(createPath()));
+
+                expect(feature.geometry).toEqual({type: "LineString", coordinates: [[0, 0, 10], [1, 1, 20]]});
+                expect(feature.properties).toEqual({
+                    "stroke": "#0000ff",
+                    "stroke-opacity": 0.5,
+                    "stroke-width": 3
+                });
+            });
+
+            it("Exports the fill of a surface polygon, with zero opacity when the interior isn't drawn", function () {
+                var attributes = new ShapeAttributes(null);
+                attributes.interiorColor = Color.GREEN;
+                attributes.drawInterior = false;
+                var polygon = new SurfacePolygon([new Location(0, 0), new Location(0, 1), new Location(1, 1)],
+                    attributes);
+
+                var properties = JSON.parse(GeoJSONExporter.exportRenderable(polygon)).properties;
+
+                expect(properties["fill"]).toBe("#00ff00");
+                expect(properties["fill-opacity"]).toBe(0);
+                expect(properties["stroke-opacity"]).toBe(1);
+            });
+
+            it("Exports several renderables as a FeatureCollection", function () {
+                var collection = JSON.parse(GeoJSONExporter.exportRenderables([createPlacemark(), createPath()]));
+
+                expect(collection.type).toBe("FeatureCollection");
+                expect(collection.features.length).toBe(2);
+                expect(collection.features[0].properties.name).toBe("Station");
+                expect(collection.features[1].geometry.type).toBe("LineString");
+            });
+
+            it("Exports the geometries alone as a GeometryCollection", function () {
+                var collection = JSON.parse(GeoJSONExporter.exportGeometries([createPlacemark(), createPath()]));
+
+                expect(collection).toEqual({
+                    type: "GeometryCollection",
+                    geometries: [
+                        {type: "Point", coordinates: [10, 20]},
+                        {type: "LineString", coordinates: [[0, 0, 10], [1, 1, 20]]}
+                    ]
+                });
+            });
+
+            it("Returns null for renderables it cannot export", function () {
+                expect(GeoJSONExporter.exportRenderable({})).toBeNull();
+            });
+        });
+
+        describe("Meshes", function () {
+            it("Exports a geographic mesh as the polygon of its outline", function () {
+                var positions = [
+                    [new Position(0, 0, 0), new Position(0, 1, 0), new Position(0, 2, 0)],
+                    [new Position(1, 0, 0), new Position(1, 1, 0), new Position(1, 2, 0)]
+                ];
+
+                var geometry = JSON.parse(GeoJSONExporter.exportRenderable(new GeographicMesh(positions, null)))
+                    .geometry;
+
+                expect(geometry).toEqual({
+                    type: "Polygon",
+                    coordinates: [[[0, 0, 0], [1, 0, 0], [2, 0, 0], [2, 1, 0], [1, 1, 0], [0, 1, 0], [0, 0, 0]]]
+                });
+            });
+
+            it("Exports a triangle mesh as a MultiPolygon of its triangles", function () {
+                var positions = [new Position(0, 0, 0), new Position(0, 1, 0), new Position(1, 1, 0),
+                    new Position(1, 0, 0)];
+
+                var geometry = JSON.parse(GeoJSONExporter.exportRenderable(
+                    new TriangleMesh(positions, [0, 1, 2, 0, 2, 3], null))).geometry;
+
+                expect(geometry).toEqual({
+                    type: "MultiPolygon",
+                    coordinates: [
+                        [[[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 0, 0]]],
+                        [[[0, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 0]]]
+                    ]
+                });
+            });
+        });
+
+        describe("KML", function () {
+            var kml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Document>" +
+                "   <Placemark>" +
+                "       <name>Field</name>" +
+                "       <description>Two ponds</description>" +
+                "       <ExtendedData><Data name=\"owner\"><value>County</value></Data></ExtendedData>" +
+                "       <Polygon>" +
+                "           <outerBoundaryIs><LinearRing>" +
+                "               <coordinates>0,0,0 10,0,0 10,10,0 0,10,0 0,0,0</coordinates>" +
+                "           </LinearRing></outerBoundaryIs>" +
+                "           <innerBoundaryIs><LinearRing>" +
+                "               <coordinates>1,1,0 2,1,0 2,2,0 1,1,0</coordinates>" +
+                "           </LinearRing></innerBoundaryIs>" +
+                "           <innerBoundaryIs><LinearRing>" +
+                "               <coordinates>5,5,0 6,5,0 6,6,0 5,5,0</coordinates>" +
+                "           </LinearRing></innerBoundaryIs>" +
+                "       </Polygon>" +
+                "   </Placemark>" +
+                "   <Placemark>" +
+                "       <name>Trail</name>" +
+                "       <MultiGeometry>" +
+                "           <Point><coordinates>1,2,3</coordinates></Point>" +
+                "           <LineString><coordinates>1,2,0 3,4,0</coordinates></LineString>" +
+                "       </MultiGeometry>" +
+                "   </Placemark>" +
+                "</Document>" +
+                "</kml>";
+
+            var dom;
+
+            beforeEach(function () {
+                dom = new XmlDocument(kml).dom();
+            });
+
+            it("Exports a polygon with all its inner boundaries and the placemark's properties", function () {
+                var placemark = new KmlPlacemark({objectNode: dom.getElementsByTagName("Placemark")[0]}),
+                    feature = JSON.parse(GeoJSONExporter.exportRenderable(placemark));
+
+                expect(feature.properties).toEqual({name: "Field", description: "Two ponds", owner: "County"});
+                expect(feature.geometry).toEqual({
+                    type: "Polygon",
+                    coordinates: [
+                        [[0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0], [0, 0, 0]],
+                        [[1, 1, 0], [2, 1, 0], [2, 2, 0], [1, 1, 0]],
+                        [[5, 5, 0], [6, 5, 0], [6, 6, 0], [5, 5, 0]]
+                    ]
+                });
+            });
+
+            it("Exports a MultiGeometry as a GeometryCollection", function () {
+                var placemark = new KmlPlacemark({objectNode: dom.getElementsByTagName("Placemark")[1]}),
+                    feature = JSON.parse(GeoJSONExporter.exportRenderable(placemark));
+
+                expect(feature.geometry).toEqual({
+                    type: "GeometryCollection",
+                    geometries: [
+                        {type: "Point", coordinates: [1, 2, 3]},
+                        {type: "LineString", coordinates: [[1, 2, 0], [3, 4, 0]]}
+                    ]
+                });
+            });
+
+            it("Exports each placemark of a KML container as a Feature", function () {
+                var document = new KmlDocument({objectNode: dom.getElementsByTagName("Document")[0]}),
+                    collection = JSON.parse(GeoJSONExporter.exportRenderable(document));
+
+                expect(collection.type).toBe("FeatureCollection");
+                expect(collection.features.map(function (feature) {
+                    return feature.properties.name;
+                })).toEqual(["Field", "Trail"]);
+            });
+        });
+    });
+});
@@ -116,4 +116,71 @@ define([
             expect(elevationArray[25 * 100 + 25]).toBe(2888);
         });
     });
+
+    describe("GeoTiffReader Cloud Optimized GeoTiff Parsing", function () {
+        var geoTiffData;
+
+        beforeEach(function (done) {
+
+            var xhr = new XMLHttpRequest();
+            xhr.open("GET", "../base/test/formats/geotiff/cog-test.tif", true);
+            xhr.responseType = 'arraybuffer';
+            xhr.addEventListener('load', function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        geoTiffData = xhr.response;
+                        done();
+                    } else {
+                        done("Test GeoTiff Retrieval Error: " + xhr.statusText);
+                    }
+                }
+            });
+            xhr.send(null);
+        });
+
+        it("Should read the image file directories of the image and its overviews", function () {
+
+            var geoTiff = new GeoTiffReader(geoTiffData);
+
+            expect(geoTiff.imageFileDirectories.length).toBe(3);
+            expect(geoTiff.getImageMetadata(0)).toBe(geoTiff.metadata);
+
+            var overview = geoTiff.getImageMetadata(1);
+            expect(overview.imageWidth).toBe(32);
+            expect(overview.imageLength).toBe(16);
+            expect(overview.tileWidth).toBe(16);
+            expect(overview.tileLength).toBe(16);
+            expect(overview.newSubfileType).toBe(1);
+            expect(overview.tileOffsets).toEqual([1464, 2232]);
+            expect(overview.tileByteCounts).toEqual([768, 768]);
+
+            expect(function () {
+                geoTiff.getImageMetadata(3);
+            }).toThrow();
+        });
+
+        it("Should read the image file directories from the GeoTiff's header alone", function () {
+
+            var geoTiff = new GeoTiffReader(geoTiffData.slice(0, 696));
+
+            expect(geoTiff.imageFileDirectories.length).toBe(3);
+            expect(geoTiff.getImageMetadata(2).tileOffsets.length).toBe(1);
+        });
+
+        it("Should create an image from the bytes of a single tile", function () {
+
+            var geoTiff = new GeoTiffReader(geoTiffData.slice(0, 696)),
+                overview = geoTiff.getImageMetadata(1),
+                canvas = geoTiff.getTileImage(overview, geoTiffData.slice(2232, 2232 + 768)),
+                imgData = canvas.getContext('2d').getImageData(8, 8, 1, 1);
+
+            expect(canvas.width).toBe(16);
+            expect(canvas.height).toBe(16);
+
+            // Each tile of the test GeoTiff is filled with a color identifying its image, row and column.
+            expect(imgData.data[0]).toBe(128);
+            expect(imgData.data[1]).toBe(0);
+            expect(imgData.data[2]).toBe(16);
+        });
+    });
 });
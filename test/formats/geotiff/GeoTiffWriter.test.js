@@ -0,0 +1,95 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/GeoTiffConstants',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/formats/geotiff/GeoTiffWriter',
+    'src/geom/Sector'
+], function (GeoTiffConstants, GeoTiffReader, GeoTiffWriter, Sector) {
+    "use strict";
+
+    describe("GeoTiffWriter", function () {
+        var pixels = new Uint8Array([
+            255, 0, 0, 255, 0, 255, 0, 255,
+            0, 0, 255, 255, 10, 20, 30, 0
+        ]);
+
+        var createWriter = function () {
+            var writer = new GeoTiffWriter(2, 2, pixels);
+            writer.modelPixelScale = [0.5, 0.5, 0];
+            writer.modelTiepoint = [0, 0, 0, -10, 50, 0];
+            writer.setGeoKey(GeoTiffConstants.Key.GTModelTypeGeoKey, GeoTiffConstants.ModelType.GEOGRAPHIC);
+            writer.setGeoKey(GeoTiffConstants.Key.GTCitationGeoKey, "WGS 84");
+            writer.setGeoKey(GeoTiffConstants.Key.GeographicTypeGeoKey, 4326);
+            writer.setGeoKey(GeoTiffConstants.Key.GeogSemiMajorAxisGeoKey, 6378137);
+
+            return writer;
+        };
+
+        it("writes a GeoTiff the GeoTiffReader reads", function () {
+            var buffer = createWriter().write(),
+                reader = new GeoTiffReader(buffer),
+                metadata = reader.metadata;
+
+            expect(reader.isLittleEndian).toBe(true);
+            expect(metadata.imageWidth).toBe(2);
+            expect(metadata.imageLength).toBe(2);
+            expect(metadata.samplesPerPixel).toBe(4);
+            expect(metadata.bitsPerSample).toEqual([8, 8, 8, 8]);
+            expect(metadata.modelPixelScale).toEqual([0.5, 0.5, 0]);
+            expect(metadata.modelTiepoint).toEqual([0, 0, 0, -10, 50, 0]);
+            expect(metadata.gtModelTypeGeoKey).toBe(GeoTiffConstants.ModelType.GEOGRAPHIC);
+            expect(metadata.geographicTypeGeoKey).toBe(4326);
+            expect(metadata.gtCitationGeoKey).toBe("WGS 84");
+            expect(metadata.bbox).toEqual(new Sector(49, 50, -10, -9));
+
+            var offset = metadata.stripOffsets[0];
+            expect(metadata.stripByteCounts).toEqual([16]);
+            expect(Array.prototype.slice.call(new Uint8Array(buffer, offset, 16)))
+                .toEqual(Array.prototype.slice.call(pixels));
+        });
+
+        it("stores double valued geokeys in the double parameters", function () {
+            var reader = new GeoTiffReader(createWriter().write()),
+                directory = reader.metadata.geoKeyDirectory,
+                doubleParams = reader.getIFDByTag(GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS).getIFDEntryValue();
+
+            expect(directory.slice(0, 4)).toEqual([1, 1, 0, 4]);
+            expect(directory.slice(16, 20)).toEqual([GeoTiffConstants.Key.GeogSemiMajorAxisGeoKey,
+                GeoTiffConstants.Tag.GEO_DOUBLE_PARAMS, 1, 0]);
+            expect(doubleParams).toEqual([6378137]);
+        });
+
+        it("writes a model transformation for rotated images", function () {
+            var writer = createWriter(),
+                transformation = [0, 0.5, 0, -10, 0.5, 0, 0, 50, 0, 0, 0, 0, 0, 0, 0, 1];
+
+            writer.modelTransformation = transformation;
+
+            var reader = new GeoTiffReader(writer.write());
+            expect(reader.getIFDByTag(GeoTiffConstants.Tag.MODEL_TRANSFORMATION).getIFDEntryValue())
+                .toEqual(transformation);
+            expect(reader.getIFDByTag(GeoTiffConstants.Tag.MODEL_TIEPOINT)).toBeFalsy();
+        });
+
+        it("rejects insufficient pixels", function () {
+            expect(function () {
+                new GeoTiffWriter(2, 3, pixels);
+            }).toThrow();
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/GeoTiffReader',
+    'src/formats/geotiff/TiffDecompressor'
+], function (GeoTiffReader,
+             TiffDecompressor) {
+    "use strict";
+
+    var toString = function (bytes) {
+        return String.fromCharCode.apply(null, bytes);
+    };
+
+    describe("TiffDecompressor", function () {
+
+        it("Decompresses LZW data", function () {
+            var compressed = new Uint8Array([128, 21, 9, 228, 34, 41, 60, 164, 78, 39, 149, 32, 80, 72, 52, 46, 11, 7,
+                132, 136, 224, 32]);
+
+            expect(toString(TiffDecompressor.lzw(compressed, 25))).toEqual("TOBEORNOTTOBEORTOBEORNOT#");
+        });
+
+        it("Decompresses Deflate data with stored blocks", function () {
+            var compressed = new Uint8Array([120, 1, 1, 3, 0, 252, 255, 97, 98, 99, 2, 77, 1, 39]);
+
+            expect(toString(TiffDecompressor.deflate(compressed, 3))).toEqual("abc");
+        });
+
+        it("Decompresses Deflate data with fixed Huffman codes", function () {
+            var compressed = new Uint8Array([120, 156, 11, 207, 47, 202, 73, 9, 207, 204, 75, 81, 8, 199, 194, 74,
+                205, 73, 45, 75, 44, 201, 204, 207, 67, 176, 0, 209, 242, 18, 221]);
+
+            expect(toString(TiffDecompressor.deflate(compressed, 16)))
+                .toEqual("WorldWind WorldWind WorldWind elevation elevation");
+        });
+
+        it("Decompresses Deflate data with dynamic Huffman codes", function () {
+            var compressed = new Uint8Array([120, 1, 5, 193, 69, 1, 0, 48, 16, 3, 48, 109, 133, 19, 50, 102, 255, 223,
+                37, 9, 147, 89, 203, 37, 54, 42, 143, 154, 111, 116, 60, 14, 37, 207, 200, 88, 44, 218, 174, 113, 208,
+                120, 213, 253, 98, 32, 113, 42, 123, 69, 193, 102, 213, 113, 139, 139, 206, 167, 225, 20, 19, 153, 75,
+                197, 59, 42, 14, 155, 174, 123, 60, 12, 38, 77, 231, 88, 40, 220, 170, 62, 209, 112, 217, 245, 252, 1,
+                182, 70, 42, 127]);
+
+            var expected = "";
+            for (var i = 0; i < 64; i++) {
+                expected += String.fromCharCode(97 + (i * 7) % 13) + String.fromCharCode(65 + i % 5);
+            }
+
+            expect(toString(TiffDecompressor.deflate(compressed, 128))).toEqual(expected);
+        });
+
+        it("Decompresses PackBits data", function () {
+            // The example from the TIFF 6.0 specification.
+            var compressed = new Uint8Array([0xFE, 0xAA, 0x02, 0x80, 0x00, 0x2A, 0xFD, 0xAA, 0x03, 0x80, 0x00, 0x2A,
+                0x22, 0xF7, 0xAA]);
+
+            expect(Array.prototype.slice.call(TiffDecompressor.packBits(compressed, 24))).toEqual([
+                0xAA, 0xAA, 0xAA, 0x80, 0x00, 0x2A, 0xAA, 0xAA, 0xAA, 0xAA, 0x80, 0x00, 0x2A, 0x22,
+                0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA, 0xAA]);
+        });
+    });
+
+    describe("GeoTiffReader compressed tiled image parsing", function () {
+
+        // Creates a little endian, 16 bit, single band geotiff of 3 x 3 pixels stored as 2 x 2 tiles that are
+        // PackBits compressed with horizontal differencing.
+        var createTiledGeoTiff = function (values) {
+            var tileWidth = 2, tileLength = 2, imageSize = 3, tiles = [], i, j, x, y;
+
+            for (var tileY = 0; tileY < imageSize; tileY += tileLength) {
+                for (var tileX = 0; tileX < imageSize; tileX += tileWidth) {
+                    var tile = [];
+                    for (y = tileY; y < tileY + tileLength; y++) {
+                        for (x = tileX, j = 0; x < tileX + tileWidth; x++, j++) {
+                            var inImage = x < imageSize && y < imageSize,
+                                value = inImage ? values[y * imageSize + x] : 0,
+                                previousInImage = j > 0 && x - 1 < imageSize && y < imageSize,
+                                previous = previousInImage ? values[y * imageSize + x - 1] : 0;
+                            var difference = (value - previous) & 0xFFFF;
+                            tile.push(difference & 0xFF, difference >> 8);
+                        }
+                    }
+                    // A single PackBits literal run.
+                    tiles.push([tile.length - 1].concat(tile));
+                }
+            }
+
+            var entries = [
+                [256, 3, [imageSize]], // image width
+                [257, 3, [imageSize]], // image length
+                [258, 3, [16]], // bits per sample
+                [259, 3, [32773]], // compression
+                [262, 3, [1]], // photometric interpretation
+                [277, 3, [1]], // samples per pixel
+                [317, 3, [2]], // predictor
+                [322, 3, [tileWidth]], // tile width
+                [323, 3, [tileLength]], // tile length
+                [324, 4, [0, 0, 0, 0]], // tile offsets, set below
+                [325, 4, tiles.map(function (tile) {
+                    return tile.length;
+                })], // tile byte counts
+                [33550, 12, [1, 1, 0]], // model pixel scale
+                [33922, 12, [0, 0, 0, -100, 40, 0]], // model tiepoint
+                [34735, 3, [1, 1, 0, 1, 1024, 0, 1, 2]] // geokey directory, geographic model
+            ];
+
+            var ifdLength = 2 + entries.length * 12 + 4,
+                dataOffset = 8 + ifdLength,
+                typeSizes = {3: 2, 4: 4, 12: 8};
+
+            // Place the tile data after the values that don't fit in their entries.
+            var valuesLength = 0;
+            entries.forEach(function (entry) {
+                var size = typeSizes[entry[1]] * entry[2].length;
+                valuesLength += size > 4 ? size : 0;
+            });
+            for (i = 0, x = dataOffset + valuesLength; i < tiles.length; i++) {
+                entries[9][2][i] = x;
+                x += tiles[i].length;
+            }
+
+            var buffer = new ArrayBuffer(x), view = new DataView(buffer), offset = 8 + 2;
+            view.setUint16(0, 0x4949, true);
+            view.setUint16(2, 42, true);
+            view.setUint32(4, 8, true);
+            view.setUint16(8, entries.length, true);
+
+            entries.forEach(function (entry) {
+                var size = typeSizes[entry[1]] * entry[2].length,
+                    valueOffset = size > 4 ? dataOffset : offset + 8;
+
+                view.setUint16(offset, entry[0], true);
+                view.setUint16(offset + 2, entry[1], true);
+                view.setUint32(offset + 4, entry[2].length, true);
+                if (size > 4) {
+                    view.setUint32(offset + 8, dataOffset, true);
+                    dataOffset += size;
+                }
+
+                entry[2].forEach(function (value, index) {
+                    if (entry[1] === 3) {
+                        view.setUint16(valueOffset + index * 2, value, true);
+                    }
+                    else if (entry[1] === 4) {
+                        view.setUint32(valueOffset + index * 4, value, true);
+                    }
+                    else {
+                        view.setFloat64(valueOffset + index * 8, value, true);
+                    }
+                });
+
+                offset += 12;
+            });
+
+            var bytes = new Uint8Array(buffer);
+            for (i = 0; i < tiles.length; i++) {
+                bytes.set(tiles[i], entries[9][2][i]);
+            }
+
+            return buffer;
+        };
+
+        it("Reads elevations from compressed tiles with a predictor", function () {
+            var values = [100, 200, 300, 400, 50, 600, 700, 800, 65535];
+            var geoTiff = new GeoTiffReader(createTiledGeoTiff(values));
+
+            expect(geoTiff.metadata.tileWidth).toBe(2);
+            expect(geoTiff.metadata.tileLength).toBe(2);
+            expect(geoTiff.metadata.predictor).toBe(2);
+            expect(Array.prototype.slice.call(geoTiff.getImageData())).toEqual(values);
+        });
+    });
+});
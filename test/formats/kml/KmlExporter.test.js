@@ -0,0 +1,184 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/KmlExporter',
+    'src/formats/kml/KmlFile',
+    'src/formats/kml/geom/KmlLineString',
+    'src/formats/kml/geom/KmlPoint',
+    'src/formats/kml/geom/KmlPolygon',
+    'src/formats/kml/util/KmlTreeKeyValueCache',
+    'src/util/Promise',
+    'src/WorldWind',
+    // The KML elements register themselves for parsing when they're loaded.
+    'src/formats/kml/features/KmlDocument',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/formats/kml/geom/KmlLinearRing',
+    'src/formats/kml/KmlIcon',
+    'src/formats/kml/styles/KmlIconStyle',
+    'src/formats/kml/styles/KmlLabelStyle',
+    'src/formats/kml/styles/KmlLineStyle',
+    'src/formats/kml/styles/KmlPolyStyle'
+], function (KmlExporter, KmlFile, KmlLineString, KmlPoint, KmlPolygon, KmlTreeKeyValueCache, Promise, WorldWind) {
+    "use strict";
+
+    // The exporter identifies the shapes through the WorldWind namespace, so they're created from it.
+    var Color = WorldWind.Color,
+        ImageSource = WorldWind.ImageSource,
+        Layer = WorldWind.RenderableLayer,
+        Path = WorldWind.Path,
+        Placemark = WorldWind.Placemark,
+        PlacemarkAttributes = WorldWind.PlacemarkAttributes,
+        Polygon = WorldWind.Polygon,
+        Position = WorldWind.Position,
+        ShapeAttributes = WorldWind.ShapeAttributes;
+
+    // A one pixel PNG.
+    var PNG = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==";
+
+    describe("KmlExporter", function () {
+        beforeEach(function () {
+            // Every exported document has the same style ids, and the values read from KML documents are cached by id
+            // for the application.
+            KmlTreeKeyValueCache.applicationLevelCache().map = {};
+        });
+
+        // Parses the exported content with KmlFile, as it would be once retrieved from the specified URL.
+        var parse = function (url, content) {
+            spyOn(KmlFile.prototype, "requestRemote").and.returnValue(Promise.resolve({text: content, headers: ""}));
+            return new KmlFile(url);
+        };
+
+        var createLayer = function () {
+            var placemarkAttributes = new PlacemarkAttributes(null);
+            placemarkAttributes.imageColor = Color.RED;
+            placemarkAttributes.imageScale = 2;
+            placemarkAttributes.imageSource = new ImageSource({
+                width: 1,
+                height: 1,
+                toDataURL: function () {
+                    return "data:image/png;base64," + PNG;
+                }
+            });
+
+            var placemark = new Placemark(new Position(20, 10, 100), false, placemarkAttributes);
+            placemark.label = "Station <1>";
+            placemark.altitudeMode = WorldWind.ABSOLUTE;
+            placemark.userProperties = {owner: "County", capacity: 12};
+
+            var pathAttributes = new ShapeAttributes(null);
+            pathAttributes.outlineColor = new Color(0, 0, 1, 0.5);
+            pathAttributes.outlineWidth = 3;
+
+            var path = new Path([new Position(0, 0, 10), new Position(1, 1, 20)], pathAttributes);
+            path.altitudeMode = WorldWind.ABSOLUTE;
+
+            var polygon = new Polygon([
+                [new Position(0, 0, 5), new Position(0, 10, 5), new Position(10, 10, 5), new Position(10, 0, 5)],
+                [new Position(2, 2, 5), new Position(2, 3, 5), new Position(3, 3, 5)]
+            ], pathAttributes);
+            polygon.altitudeMode = WorldWind.ABSOLUTE;
+            polygon.enabled = false;
+
+            var layer = new Layer("Exported <layer>");
+            layer.addRenderables([placemark, path, polygon]);
+            return layer;
+        };
+
+        var expectRoundTrip = function (kmlFile) {
+            var document = kmlFile.shapes[0],
+                placemarks = document.kmlShapes;
+
+            expect(document.kmlName).toBe("Exported <layer>");
+            expect(placemarks.length).toBe(3);
+
+            var point = placemarks[0].kmlGeometry;
+            expect(placemarks[0].kmlName).toBe("Station <1>");
+            expect(placemarks[0].kmlExtendedData).toEqual({owner: "County", capacity: "12"});
+            expect(point instanceof KmlPoint).toBe(true);
+            expect(Number(point.kmlPosition.latitude)).toBe(20);
+            expect(Number(point.kmlPosition.longitude)).toBe(10);
+            expect(Number(point.kmlPosition.altitude)).toBe(100);
+            expect(point.kmlAltitudeMode).toBe(WorldWind.ABSOLUTE);
+
+            var lineString = placemarks[1].kmlGeometry;
+            expect(lineString instanceof KmlLineString).toBe(true);
+            expect(lineString.kmlPositions.map(function (position) {
+                return [position.latitude, position.longitude, position.altitude];
+            })).toEqual([[0, 0, 10], [1, 1, 20]]);
+
+            var polygon = placemarks[2].kmlGeometry;
+            expect(placemarks[2].kmlVisibility).toBe(false);
+            expect(polygon instanceof KmlPolygon).toBe(true);
+            expect(polygon.kmlOuterBoundary.kmlPositions.length).toBe(5);
+            expect(polygon.kmlInnerBoundaries.length).toBe(1);
+            expect(polygon.kmlInnerBoundaries[0].kmlPositions[1].longitude).toBe(3);
+
+            // The path and the polygon have equal attributes, so they share their style.
+            expect(placemarks[1].kmlStyleUrl).toBe(placemarks[2].kmlStyleUrl);
+            expect(placemarks[0].kmlStyleUrl).not.toBe(placemarks[1].kmlStyleUrl);
+
+            return Promise.all([
+                kmlFile.resolveStyle(placemarks[0].kmlStyleUrl),
+                kmlFile.resolveStyle(placemarks[1].kmlStyleUrl)
+            ]);
+        };
+
+        it("Exports placemarks, paths and polygons that KmlFile reads back", function (done) {
+            parse("exported.kml", KmlExporter.exportLayer(createLayer())).then(function (kmlFile) {
+                return expectRoundTrip(kmlFile);
+            }).then(function (styles) {
+                expect(styles[0].kmlIconStyle.kmlColor).toBe("ff0000ff");
+                expect(styles[0].kmlIconStyle.kmlScale).toBe(2);
+                // Icons given as an ImageSource have no URL outside a KMZ.
+                expect(styles[0].kmlIconStyle.kmlIcon).toBeNull();
+                expect(styles[1].kmlLineStyle.kmlColor).toBe("80ff0000");
+                expect(styles[1].kmlLineStyle.kmlWidth).toBe(3);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Exports a KMZ archive holding the icon images", function (done) {
+            var kmlFile;
+
+            KmlExporter.exportLayerKmz(createLayer()).then(function (kmz) {
+                return parse("exported.kmz", kmz);
+            }).then(function (file) {
+                kmlFile = file;
+                return expectRoundTrip(kmlFile);
+            }).then(function (styles) {
+                expect(styles[0].kmlIconStyle.kmlIcon.kmlHref(kmlFile._fileCache)).toContain(PNG);
+                done();
+            }).catch(done.fail);
+        });
+
+        it("Escapes markup in names and ExtendedData", function () {
+            var placemark = new Placemark(new Position(0, 0, 0), false, null);
+            placemark.label = "A & B";
+            placemark.userProperties = {note: "<b>\"bold\"</b>"};
+
+            var kml = KmlExporter.exportRenderable(placemark);
+
+            expect(kml).toContain("<name>A &amp; B</name>");
+            expect(kml).toContain("<value>&lt;b&gt;&quot;bold&quot;&lt;/b&gt;</value>");
+        });
+
+        it("Returns null for renderables it cannot export", function () {
+            expect(KmlExporter.exportRenderable(new WorldWind.ScreenText(new WorldWind.Offset(
+                WorldWind.OFFSET_FRACTION, 0.5, WorldWind.OFFSET_FRACTION, 0.5), "Text"))).toBeNull();
+        });
+    });
+});
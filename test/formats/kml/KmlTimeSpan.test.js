@@ -37,6 +37,12 @@ define([
             expect(timeSpan.kmlEnd.toUTCString()).toEqual("Wed, 16 Jul 1997 08:30:15 GMT");
         });
 
+        it('should include the times from its begin through its end', function(){
+            expect(timeSpan.includesTime(new Date(Date.UTC(1997, 6, 16, 7, 30, 14)))).toBe(false);
+            expect(timeSpan.includesTime(new Date(Date.UTC(1997, 6, 16, 8, 0, 0)))).toBe(true);
+            expect(timeSpan.includesTime(new Date(Date.UTC(1997, 6, 16, 8, 30, 16)))).toBe(false);
+        });
+
 
         });
     });
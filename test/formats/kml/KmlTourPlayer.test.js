@@ -0,0 +1,288 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/navigate/CameraNavigator',
+    'src/globe/ElevationModel',
+    'src/globe/Globe',
+    'src/formats/kml/features/KmlTour',
+    'src/formats/kml/KmlTourPlayer',
+    'src/formats/kml/util/KmlFlyTo',
+    'src/formats/kml/util/KmlWait',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (CameraNavigator,
+             ElevationModel,
+             Globe,
+             KmlTour,
+             KmlTourPlayer,
+             KmlFlyTo,
+             KmlWait,
+             XmlDocument,
+             WorldWind) {
+    "use strict";
+
+    describe("KmlTourPlayer", function () {
+        var kml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<Document>" +
+            "   <Placemark><Point id=\"tourPoint\"><coordinates>0,0,0</coordinates></Point></Placemark>" +
+            "   <gx:Tour>" +
+            "       <gx:Playlist>" +
+            "           <gx:FlyTo>" +
+            "               <gx:duration>2</gx:duration>" +
+            "               <gx:flyToMode>smooth</gx:flyToMode>" +
+            "               <Camera>" +
+            "                   <longitude>20</longitude><latitude>10</latitude><altitude>1000</altitude>" +
+            "                   <heading>30</heading><tilt>45</tilt><altitudeMode>absolute</altitudeMode>" +
+            "               </Camera>" +
+            "           </gx:FlyTo>" +
+            "           <gx:TourControl><gx:playMode>pause</gx:playMode></gx:TourControl>" +
+            "           <gx:AnimatedUpdate>" +
+            "               <gx:duration>2</gx:duration>" +
+            "               <Update><Change>" +
+            "                   <Point targetId=\"tourPoint\"><coordinates>30,40,0</coordinates></Point>" +
+            "               </Change></Update>" +
+            "           </gx:AnimatedUpdate>" +
+            "           <gx:Wait><gx:duration>1</gx:duration></gx:Wait>" +
+            "           <gx:FlyTo>" +
+            "               <gx:duration>1</gx:duration>" +
+            "               <LookAt>" +
+            "                   <longitude>21</longitude><latitude>11</latitude><range>5000</range>" +
+            "                   <altitudeMode>absolute</altitudeMode>" +
+            "               </LookAt>" +
+            "           </gx:FlyTo>" +
+            "       </gx:Playlist>" +
+            "   </gx:Tour>" +
+            "</Document>" +
+            "</kml>";
+
+        var dom = new XmlDocument(kml).dom(),
+            tour = new KmlTour({objectNode: dom.getElementsByTagName("gx:Tour")[0]}),
+            globe = new Globe(new ElevationModel()),
+            navigator = new CameraNavigator();
+
+        var wwd = {
+            globe: globe,
+            navigator: navigator,
+            goToAnimator: {
+                cancel: function () {
+                }
+            },
+            redraw: function () {
+            },
+            computeViewingTransform: function (projection, modelview) {
+                navigator.applyViewingTransform(modelview, globe);
+            }
+        };
+
+        var coordinates = function () {
+            return dom.getElementsByTagName("coordinates")[0].textContent;
+        };
+
+        beforeEach(function () {
+            navigator.eyePosition.latitude = 0;
+            navigator.eyePosition.longitude = 0;
+            navigator.eyePosition.altitude = 1e6;
+            navigator.heading = 0;
+            navigator.tilt = 0;
+        });
+
+        it("parses the playlist of the tour", function () {
+            var primitives = tour.kmlPlaylist.kmlTourPrimitives;
+
+            expect(primitives.length).toBe(5);
+            expect(primitives[0] instanceof KmlFlyTo).toBeTruthy();
+            expect(primitives[0].kmlDuration).toBe(2);
+            expect(primitives[0].kmlFlyToMode).toBe("smooth");
+            expect(primitives[1].kmlPlayMode).toBe("pause");
+            expect(primitives[2].kmlUpdate).toBeTruthy();
+            expect(primitives[3] instanceof KmlWait).toBeTruthy();
+        });
+
+        it("lays the tour out on a timeline", function () {
+            var player = new KmlTourPlayer(wwd, tour);
+
+            expect(player.duration).toBe(4000);
+            expect(player.pauses).toEqual([2000]);
+            expect(player.flights.length).toBe(2);
+            expect(player.updates[0].start).toBe(2000);
+        });
+
+        it("moves the view to the flights' views", function () {
+            var player = new KmlTourPlayer(wwd, tour);
+
+            player.seek(2000);
+            expect(navigator.eyePosition.latitude).toBeCloseTo(10, 6);
+            expect(navigator.eyePosition.longitude).toBeCloseTo(20, 6);
+            expect(navigator.eyePosition.altitude).toBeCloseTo(1000, 3);
+            expect(navigator.heading).toBeCloseTo(30, 6);
+            expect(navigator.tilt).toBeCloseTo(45, 6);
+
+            player.seek(1000);
+            expect(navigator.eyePosition.altitude).toBeCloseTo((1e6 + 1000) / 2, 0);
+            expect(navigator.heading).toBeCloseTo(15, 6);
+
+            player.seek(4000);
+            expect(navigator.eyePosition.latitude).toBeCloseTo(11, 6);
+            expect(navigator.eyePosition.longitude).toBeCloseTo(21, 6);
+            expect(navigator.eyePosition.altitude).toBeCloseTo(5000, 3);
+
+            player.stop();
+        });
+
+        it("applies and reverts the updates", function () {
+            var player = new KmlTourPlayer(wwd, tour);
+
+            player.seek(3000);
+            expect(coordinates()).toBe("15,20,0");
+
+            player.seek(4000);
+            expect(coordinates()).toBe("30,40,0");
+
+            player.seek(1000);
+            expect(coordinates()).toBe("0,0,0");
+
+            player.seek(4000);
+            player.stop();
+            expect(coordinates()).toBe("0,0,0");
+        });
+
+        describe("Pauses and sounds", function () {
+            // A tour that pauses at its start and plays a sound at its start and another after two seconds.
+            var soundKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+                "<gx:Tour>" +
+                "   <gx:Playlist>" +
+                "       <gx:TourControl><gx:playMode>pause</gx:playMode></gx:TourControl>" +
+                "       <gx:SoundCue><href>intro.mp3</href></gx:SoundCue>" +
+                "       <gx:Wait><gx:duration>2</gx:duration></gx:Wait>" +
+                "       <gx:SoundCue><href>narration.mp3</href></gx:SoundCue>" +
+                "       <gx:Wait><gx:duration>3</gx:duration></gx:Wait>" +
+                "   </gx:Playlist>" +
+                "</gx:Tour>" +
+                "</kml>";
+
+            var soundTour = new KmlTour({
+                objectNode: new XmlDocument(soundKml).dom().getElementsByTagName("gx:Tour")[0]
+            });
+
+            var MockAudio = function (src) {
+                this.src = src;
+                this.currentTime = 0;
+                this.paused = true;
+                this.ended = false;
+                this.playCount = 0;
+            };
+
+            MockAudio.prototype.play = function () {
+                this.paused = false;
+                this.playCount++;
+            };
+
+            MockAudio.prototype.pause = function () {
+                this.paused = true;
+            };
+
+            var player, audios;
+
+            beforeEach(function () {
+                jasmine.clock().install();
+                jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+                audios = {};
+                spyOn(window, "Audio").and.callFake(function (src) {
+                    audios[src] = new MockAudio(src);
+                    return audios[src];
+                });
+
+                player = new KmlTourPlayer(wwd, soundTour);
+            });
+
+            afterEach(function () {
+                player.stop();
+                jasmine.clock().uninstall();
+            });
+
+            it("pauses at a tour control at the start of the tour", function () {
+                expect(player.pauses).toEqual([0]);
+
+                player.play();
+                jasmine.clock().tick(player.animationFrequency);
+                expect(player.isPlaying).toBe(false);
+                expect(player.currentTime).toBe(0);
+                expect(audios["intro.mp3"]).toBeUndefined();
+
+                // Playing again continues past the pause.
+                player.play();
+                jasmine.clock().tick(100);
+                expect(player.isPlaying).toBe(true);
+                expect(player.currentTime).toBeGreaterThan(0);
+                expect(audios["intro.mp3"].playCount).toBe(1);
+            });
+
+            it("pauses at the start of the tour again after seeking to it", function () {
+                player.play();
+                jasmine.clock().tick(player.animationFrequency);
+                player.play();
+                jasmine.clock().tick(100);
+
+                player.seek(0);
+                jasmine.clock().tick(player.animationFrequency);
+                expect(player.isPlaying).toBe(false);
+                expect(player.currentTime).toBe(0);
+            });
+
+            it("resumes only the sounds that have not finished", function () {
+                player.seek(1);
+                player.play();
+                jasmine.clock().tick(2500);
+                expect(audios["intro.mp3"].playCount).toBe(1);
+                expect(audios["narration.mp3"].playCount).toBe(1);
+
+                // The intro finishes before the tour is paused.
+                audios["intro.mp3"].ended = true;
+                player.pause();
+                expect(audios["narration.mp3"].paused).toBe(true);
+
+                player.play();
+                expect(audios["intro.mp3"].playCount).toBe(1);
+                expect(audios["narration.mp3"].playCount).toBe(2);
+                expect(audios["narration.mp3"].paused).toBe(false);
+            });
+
+            it("starts the sounds at the time sought to", function () {
+                player.seek(3500);
+
+                // The sounds are ready but don't play until the tour does.
+                expect(audios["narration.mp3"].currentTime).toBeCloseTo(1.5, 9);
+                expect(audios["intro.mp3"].currentTime).toBeCloseTo(3.5, 9);
+                expect(audios["narration.mp3"].playCount).toBe(0);
+
+                player.play();
+                expect(audios["narration.mp3"].playCount).toBe(1);
+
+                // Seeking while playing plays the sound from the new time.
+                var narration = audios["narration.mp3"];
+                player.seek(2250);
+                expect(narration.paused).toBe(true);
+                expect(audios["narration.mp3"]).not.toBe(narration);
+                expect(audios["narration.mp3"].currentTime).toBeCloseTo(0.25, 9);
+                expect(audios["narration.mp3"].playCount).toBe(1);
+            });
+        });
+    });
+});
@@ -70,5 +70,24 @@ define([
 
             });
 
+            it ("should read the Data and SimpleData values of its ExtendedData", function () {
+                var extendedKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                    "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                    "<Feature>" +
+                    "<ExtendedData>" +
+                    "<Data name=\"holeNumber\"><displayName>Hole</displayName><value>1</value></Data>" +
+                    "<SchemaData schemaUrl=\"#TrailHeadTypeId\">" +
+                    "<SimpleData name=\"TrailHeadName\">Pi in the sky</SimpleData>" +
+                    "</SchemaData>" +
+                    "</ExtendedData>" +
+                    "</Feature>" +
+                    "</kml>";
+                var extendedFeature = new KmlFeature({objectNode:
+                    new XmlDocument(extendedKml).dom().getElementsByTagName("Feature")[0]});
+
+                expect(extendedFeature.kmlExtendedData).toEqual({holeNumber: "1", TrailHeadName: "Pi in the sky"});
+                expect(feature.kmlExtendedData).toBeNull();
+            });
+
         });
     });
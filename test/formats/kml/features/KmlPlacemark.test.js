@@ -16,12 +16,16 @@
  */
 define([
     'src/util/XmlDocument',
+    'src/formats/kml/features/KmlFeature',
     'src/formats/kml/features/KmlPlacemark',
-    'src/formats/kml/geom/KmlPoint'
+    'src/formats/kml/geom/KmlPoint',
+    'src/shapes/Placemark'
 ], function (
     XmlDocument,
+    KmlFeature,
     KmlPlacemark,
-    KmlPoint
+    KmlPoint,
+    Placemark
 ) {
     "use strict";
     describe("KmlPlacemark", function(){
@@ -41,5 +45,60 @@ define([
             expect(placemark.kmlGeometry instanceof KmlPoint).toBeTruthy();
         });
 
+        describe("with a track", function () {
+            var trackKml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+                "<Placemark id=\"trackPlacemark\">" +
+                "   <gx:Track>" +
+                "       <when>2010-05-28T02:02:00Z</when>" +
+                "       <when>2010-05-28T02:02:10Z</when>" +
+                "       <gx:coord>10 20 100</gx:coord>" +
+                "       <gx:coord>12 20 200</gx:coord>" +
+                "   </gx:Track>" +
+                "</Placemark>" +
+                "</kml>";
+
+            var trackPlacemark, dc;
+
+            beforeEach(function () {
+                trackPlacemark = new KmlPlacemark({objectNode:
+                    new XmlDocument(trackKml).dom().getElementsByTagName("Placemark")[0]});
+                trackPlacemark.enabled = true;
+                trackPlacemark._renderable = new Placemark(trackPlacemark.kmlGeometry.kmlCenter, false, null);
+                dc = {};
+
+                spyOn(KmlFeature.prototype, "render");
+                spyOn(trackPlacemark.kmlGeometry, "render");
+                spyOn(trackPlacemark._renderable, "render");
+            });
+
+            it("moves along the track while the scene clock is set", function () {
+                dc.currentTime = new Date(Date.UTC(2010, 4, 28, 2, 2, 5));
+                trackPlacemark.render(dc, {});
+
+                expect(trackPlacemark._renderable.position.longitude).toBeCloseTo(11, 2);
+                expect(trackPlacemark._renderable.enabled).toBe(true);
+
+                dc.currentTime = new Date(Date.UTC(2010, 4, 28, 2, 3, 0));
+                trackPlacemark.render(dc, {});
+
+                expect(trackPlacemark._renderable.enabled).toBe(false);
+            });
+
+            it("returns to the default position when the scene clock is cleared", function () {
+                dc.currentTime = new Date(Date.UTC(2010, 4, 28, 2, 2, 5));
+                trackPlacemark.render(dc, {});
+                dc.currentTime = new Date(Date.UTC(2010, 4, 28, 2, 3, 0));
+                trackPlacemark.render(dc, {});
+
+                dc.currentTime = null;
+                trackPlacemark.render(dc, {});
+
+                expect(trackPlacemark._renderable.enabled).toBe(true);
+                expect(trackPlacemark._renderable.position.longitude).toEqual(10);
+                expect(trackPlacemark._renderable.position.altitude).toEqual(100);
+            });
+        });
+
         });
     });
@@ -0,0 +1,93 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/geom/KmlMultiTrack',
+    'src/formats/kml/geom/KmlTrack',
+    'src/util/XmlDocument',
+    'src/WorldWind'
+], function (
+    KmlMultiTrack,
+    KmlTrack,
+    XmlDocument,
+    WorldWind
+) {
+    "use strict";
+    describe("KmlTrack", function () {
+
+        var kmlContainingTracks = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+            "<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">" +
+            "<gx:MultiTrack id=\"multiTrack1\">" +
+            "   <gx:interpolate>1</gx:interpolate>" +
+            "   <gx:Track id=\"track1\">" +
+            "       <altitudeMode>absolute</altitudeMode>" +
+            "       <when>2010-05-28T02:02:00Z</when>" +
+            "       <when>2010-05-28T02:02:10Z</when>" +
+            "       <gx:coord>10 20 100</gx:coord>" +
+            "       <gx:coord>12 20 200</gx:coord>" +
+            "   </gx:Track>" +
+            "   <gx:Track id=\"track2\">" +
+            "       <when>2010-05-28T02:02:20Z</when>" +
+            "       <when>2010-05-28T02:02:30Z</when>" +
+            "       <gx:coord>14 20 0</gx:coord>" +
+            "       <gx:coord>16 20 0</gx:coord>" +
+            "   </gx:Track>" +
+            "</gx:MultiTrack>" +
+            "</kml>";
+
+        var kmlRepresentation = new XmlDocument(kmlContainingTracks).dom();
+        var track = new KmlTrack({
+            objectNode: kmlRepresentation.getElementsByTagName("gx:Track")[0]
+        });
+        var multiTrack = new KmlMultiTrack({
+            objectNode: kmlRepresentation.getElementsByTagName("gx:MultiTrack")[0]
+        });
+
+        it("should have the times, positions and altitude mode", function () {
+            expect(track.kmlWhens.length).toEqual(2);
+            expect(track.kmlWhens[1].toUTCString()).toEqual("Fri, 28 May 2010 02:02:10 GMT");
+            expect(track.kmlCoords.length).toEqual(2);
+            expect(track.kmlCoords[1].latitude).toEqual(20);
+            expect(track.kmlCoords[1].longitude).toEqual(12);
+            expect(track.kmlCoords[1].altitude).toEqual(200);
+            expect(track.kmlAltitudeMode).toEqual(WorldWind.ABSOLUTE);
+            expect(track.timeRange().from).toEqual(Date.UTC(2010, 4, 28, 2, 2, 0));
+            expect(track.timeRange().to).toEqual(Date.UTC(2010, 4, 28, 2, 2, 10));
+        });
+
+        it("should interpolate the position within its time range", function () {
+            var position = track.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 2, 5)));
+            expect(position.latitude).toBeCloseTo(20, 2);
+            expect(position.longitude).toBeCloseTo(11, 2);
+            expect(position.altitude).toEqual(150);
+
+            expect(track.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 2, 10))).longitude).toEqual(12);
+            expect(track.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 1, 59)))).toBeNull();
+            expect(track.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 2, 11)))).toBeNull();
+        });
+
+        it("should combine its tracks and interpolate between them", function () {
+            expect(multiTrack.kmlTracks.length).toEqual(2);
+            expect(multiTrack.kmlInterpolate).toBe(true);
+            expect(multiTrack.timeRange().from).toEqual(Date.UTC(2010, 4, 28, 2, 2, 0));
+            expect(multiTrack.timeRange().to).toEqual(Date.UTC(2010, 4, 28, 2, 2, 30));
+
+            expect(multiTrack.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 2, 15))).longitude).toBeCloseTo(13, 2);
+            expect(multiTrack.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 2, 25))).longitude).toBeCloseTo(15, 2);
+            expect(multiTrack.positionAt(new Date(Date.UTC(2010, 4, 28, 2, 2, 31)))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/kml/features/KmlDocument',
+    'src/formats/kml/features/KmlPlacemark',
+    'src/formats/kml/util/KmlUpdate',
+    'src/util/XmlDocument'
+], function (
+    KmlDocument,
+    KmlPlacemark,
+    KmlUpdate,
+    XmlDocument
+) {
+    "use strict";
+
+    describe("KmlUpdate", function () {
+        // The ids differ for each test, as the values read from the documents are cached by id for the application.
+        var testIndex = 0;
+        var createKml = function (suffix) {
+            return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" +
+                "<kml xmlns=\"http://www.opengis.net/kml/2.2\">" +
+                "<Document id=\"updateDocument" + suffix + "\">" +
+                "   <Placemark id=\"updatePlacemark" + suffix + "\">" +
+                "       <name>Original</name>" +
+                "       <Point id=\"updatePoint" + suffix + "\"><coordinates>0,0,0</coordinates></Point>" +
+                "   </Placemark>" +
+                "   <Placemark id=\"deletedPlacemark" + suffix + "\"><name>Deleted</name></Placemark>" +
+                "   <Update>" +
+                "       <Change>" +
+                "           <Placemark targetId=\"updatePlacemark" + suffix + "\"><name>Changed</name></Placemark>" +
+                "           <Point targetId=\"updatePoint" + suffix + "\">" +
+                "               <coordinates>10,20,100</coordinates>" +
+                "           </Point>" +
+                "       </Change>" +
+                "       <Create>" +
+                "           <Document targetId=\"updateDocument" + suffix + "\">" +
+                "               <Placemark id=\"createdPlacemark" + suffix + "\"><name>Created</name></Placemark>" +
+                "           </Document>" +
+                "       </Create>" +
+                "       <Delete>" +
+                "           <Placemark targetId=\"deletedPlacemark" + suffix + "\"/>" +
+                "       </Delete>" +
+                "   </Update>" +
+                "</Document>" +
+                "</kml>";
+        };
+
+        var dom, document, update;
+
+        var placemarkNames = function () {
+            return document.kmlShapes.filter(function (shape) {
+                return shape.kmlName;
+            }).map(function (shape) {
+                return shape.kmlName;
+            });
+        };
+
+        var coordinates = function () {
+            return dom.getElementsByTagName("coordinates")[0].textContent;
+        };
+
+        beforeEach(function () {
+            testIndex++;
+            dom = new XmlDocument(createKml(testIndex)).dom();
+            document = new KmlDocument({objectNode: dom.getElementsByTagName("Document")[0]});
+            update = new KmlUpdate({objectNode: dom.getElementsByTagName("Update")[0]});
+        });
+
+        it("applies changes, creations and deletions", function () {
+            expect(placemarkNames()).toEqual(["Original", "Deleted"]);
+
+            update.apply(1);
+
+            expect(placemarkNames()).toEqual(["Changed", "Created"]);
+            expect(coordinates()).toEqual("10,20,100");
+        });
+
+        it("interpolates numeric values", function () {
+            var state = update.apply(0.5);
+            expect(coordinates()).toEqual("5,10,50");
+
+            update.apply(0.25, state);
+            expect(coordinates()).toEqual("2.5,5,25");
+        });
+
+        it("reverts the document to its original state", function () {
+            var state = update.apply(1);
+            update.revert(state);
+
+            expect(placemarkNames()).toEqual(["Original", "Deleted"]);
+            expect(coordinates()).toEqual("0,0,0");
+        });
+
+        it("finds targets whose ids are not valid in a selector", function () {
+            dom = new XmlDocument(createKml("'quoted]" + testIndex)).dom();
+            document = new KmlDocument({objectNode: dom.getElementsByTagName("Document")[0]});
+            update = new KmlUpdate({objectNode: dom.getElementsByTagName("Update")[0]});
+
+            update.apply(1);
+
+            expect(placemarkNames()).toEqual(["Changed", "Created"]);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/mvt/VectorTile'
+], function (VectorTile) {
+    "use strict";
+
+    describe("VectorTile", function () {
+        // A tile with a "water" layer holding a polygon with a hole, two points and a line, and an empty layer.
+        var data = new Uint8Array([
+                26, 142, 1, 120, 2, 10, 5, 119, 97, 116, 101, 114, 18, 38, 8, 7,
+                18, 8, 0, 0, 1, 1, 2, 2, 3, 3, 24, 3, 34, 22, 9, 0,
+                0, 26, 20, 0, 0, 20, 19, 0, 15, 9, 4, 15, 26, 0, 12, 12,
+                0, 0, 11, 15, 18, 13, 24, 1, 34, 5, 17, 50, 34, 2, 2, 18,
+                2, 0, 0, 18, 12, 24, 2, 34, 8, 9, 4, 4, 18, 6, 0, 0,
+                8, 26, 4, 110, 97, 109, 101, 26, 5, 100, 101, 112, 116, 104, 26, 4,
+                97, 114, 101, 97, 26, 5, 102, 114, 101, 115, 104, 34, 14, 10, 12, 76,
+                97, 107, 101, 32, 197, 189, 108, 117, 116, 195, 169, 34, 2, 48, 9, 34,
+                9, 25, 0, 0, 0, 0, 0, 0, 4, 64, 34, 2, 56, 1, 40, 128,
+                32, 26, 12, 120, 2, 10, 5, 101, 109, 112, 116, 121, 40, 128, 4
+        ]).buffer;
+
+        it("should decode the layers", function () {
+            var tile = new VectorTile(data);
+
+            expect(Object.keys(tile.layers).sort()).toEqual(["empty", "water"]);
+            expect(tile.layers.water.version).toBe(2);
+            expect(tile.layers.water.extent).toBe(4096);
+            expect(tile.layers.water.features.length).toBe(3);
+            expect(tile.layers.empty.extent).toBe(512);
+            expect(tile.layers.empty.features.length).toBe(0);
+        });
+
+        it("should decode the feature properties", function () {
+            var feature = new VectorTile(data).layers.water.features[0];
+
+            expect(feature.id).toBe(7);
+            expect(feature.type).toBe(VectorTile.POLYGON);
+            expect(feature.properties).toEqual({name: "Lake \u017dlut\u00e9", depth: -5, area: 2.5, fresh: true});
+        });
+
+        it("should decode the feature geometries", function () {
+            var features = new VectorTile(data).layers.water.features;
+
+            expect(features[0].geometry).toEqual([
+                [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                [[2, 2], [2, 8], [8, 8], [8, 2], [2, 2]]
+            ]);
+            expect(features[1].type).toBe(VectorTile.POINT);
+            expect(features[1].geometry).toEqual([[[25, 17]], [[26, 18]]]);
+            expect(features[2].type).toBe(VectorTile.LINESTRING);
+            expect(features[2].geometry).toEqual([[[2, 2], [5, 2], [5, 6]]]);
+        });
+
+        it("should decode an empty tile", function () {
+            expect(new VectorTile(new ArrayBuffer(0)).layers).toEqual({});
+        });
+
+        it("should reject truncated data", function () {
+            expect(function () {
+                return new VectorTile(data.slice(0, 40));
+            }).toThrow();
+        });
+    });
+});
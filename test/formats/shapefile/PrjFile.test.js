@@ -0,0 +1,88 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ * 
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * 
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/shapefile/PrjFile'
+], function (PrjFile) {
+    "use strict";
+
+    var GEOGRAPHIC_WKT = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+        'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+    var UTM_WKT = 'PROJCS["WGS_1984_UTM_Zone_33N",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",' +
+        'SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],' +
+        'PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],' +
+        'PARAMETER["Central_Meridian",15.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],' +
+        'UNIT["Meter",1.0]]';
+
+    var STATE_PLANE_WKT = 'PROJCS["NAD_1983_StatePlane_Colorado_Central_FIPS_0502_Feet",' +
+        'GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983",SPHEROID["GRS_1980",6378137.0,298.257222101]],' +
+        'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Lambert_Conformal_Conic"],' +
+        'PARAMETER["False_Easting",3000000.000316083],PARAMETER["False_Northing",999999.999996],' +
+        'PARAMETER["Central_Meridian",-105.5],PARAMETER["Standard_Parallel_1",38.45],' +
+        'PARAMETER["Standard_Parallel_2",39.75],PARAMETER["Latitude_Of_Origin",37.83333333333334],' +
+        'UNIT["Foot_US",0.3048006096012192]]';
+
+    var createPrjFile = function (text) {
+        var prjFile = new PrjFile("test.prj");
+        prjFile._params = prjFile.decodeOGCCoordinateSystem(text);
+        prjFile._converter = prjFile.createConverter(prjFile.params);
+        return prjFile;
+    };
+
+    describe("PrjFile", function () {
+        it("recognizes a geographic coordinate system", function () {
+            var prjFile = createPrjFile(GEOGRAPHIC_WKT);
+
+            expect(prjFile.isGeographicCoordinateSystem()).toBe(true);
+            expect(prjFile.isProjectedCoordinateSystem()).toBe(false);
+            expect(prjFile.isKnownCoordinateSystem()).toBe(true);
+        });
+
+        it("recognizes an unknown coordinate system", function () {
+            var prjFile = createPrjFile('LOCAL_CS["Unknown"]');
+
+            expect(prjFile.isUnknownCoordinateSystem()).toBe(true);
+        });
+
+        it("decodes the zone and hemisphere of a UTM coordinate system", function () {
+            var prjFile = createPrjFile(UTM_WKT);
+
+            expect(prjFile.isProjectedCoordinateSystem()).toBe(true);
+            expect(prjFile.projectionName).toBe(PrjFile.PROJECTION_UTM);
+            expect(prjFile.params[PrjFile.PROJECTION_ZONE]).toBe(33);
+            expect(prjFile.params[PrjFile.PROJECTION_HEMISPHERE]).toBe(PrjFile.PROJECTION_HEMISPHERE_NORTH);
+        });
+
+        it("converts UTM coordinates to geographic coordinates", function () {
+            var points = createPrjFile(UTM_WKT).toGeographic([500000, 4649776.22, 500000, 0]);
+
+            expect(points[0]).toBeCloseTo(15, 6);
+            expect(points[1]).toBeCloseTo(42, 6);
+            expect(points[2]).toBeCloseTo(15, 6);
+            expect(points[3]).toBeCloseTo(0, 6);
+        });
+
+        it("converts state plane coordinates to geographic coordinates", function () {
+            var prjFile = createPrjFile(STATE_PLANE_WKT),
+                points = prjFile.toGeographic([3000000.000316083, 999999.999996]);
+
+            expect(prjFile.projectionName).toBe("LAMBERT_CONFORMAL_CONIC");
+            expect(points[0]).toBeCloseTo(-105.5, 6);
+            expect(points[1]).toBeCloseTo(37.8333333, 6);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/ByteBuffer',
+    'src/formats/shapefile/DBaseFile',
+    'src/formats/shapefile/ShapefileExporter',
+    'src/WorldWind'
+], function (ByteBuffer,
+             DBaseFile,
+             ShapefileExporter,
+             WorldWind) {
+    "use strict";
+
+    var readDbf = function (buffer) {
+        var dbf = new DBaseFile("test.dbf");
+        dbf._buffer = new ByteBuffer(buffer);
+        dbf.parse();
+        return dbf;
+    };
+
+    describe("ShapefileExporter", function () {
+        var placemark = new WorldWind.Placemark(new WorldWind.Position(10, 20, 0), false, null);
+        placemark.label = "Pin";
+        placemark.userProperties = {population: 1500.25, capital: true};
+
+        var polygon = new WorldWind.SurfacePolygon([
+            new WorldWind.Location(0, 0),
+            new WorldWind.Location(1, 0),
+            new WorldWind.Location(1, 1)
+        ], null);
+        polygon.userProperties = {NAME: "Triangle"};
+
+        it("writes a separate shapefile for each type of shape", function () {
+            var files = ShapefileExporter.exportFiles([placemark, polygon], "layer");
+
+            expect(Object.keys(files).sort()).toEqual([
+                "layer_points.cpg", "layer_points.dbf", "layer_points.prj", "layer_points.shp", "layer_points.shx",
+                "layer_polygons.cpg", "layer_polygons.dbf", "layer_polygons.prj", "layer_polygons.shp",
+                "layer_polygons.shx"
+            ]);
+        });
+
+        it("writes point records", function () {
+            var files = ShapefileExporter.exportFiles([placemark], "points"),
+                shp = new DataView(files["points.shp"]),
+                shx = new DataView(files["points.shx"]);
+
+            expect(shp.getInt32(0, false)).toBe(9994);
+            expect(shp.getInt32(24, false) * 2).toBe(files["points.shp"].byteLength);
+            expect(shp.getInt32(32, true)).toBe(ShapefileExporter.SHAPE_POINT);
+            expect(shp.getFloat64(112, true)).toBe(20);
+            expect(shp.getFloat64(120, true)).toBe(10);
+            expect(shx.getInt32(100, false)).toBe(50);
+            expect(shx.getInt32(104, false)).toBe(10);
+        });
+
+        it("writes closed, clockwise polygon rings", function () {
+            var shp = new DataView(ShapefileExporter.exportFiles([polygon], "polygons")["polygons.shp"]);
+
+            expect(shp.getInt32(32, true)).toBe(ShapefileExporter.SHAPE_POLYGON);
+            expect(shp.getInt32(144, true)).toBe(1); // parts
+            expect(shp.getInt32(148, true)).toBe(4); // points
+            // The ring's first point, longitude 0 and latitude 0, is followed by longitude 0 and latitude 1 when
+            // clockwise, and the ring ends with its first point.
+            expect(shp.getFloat64(156, true)).toBe(0);
+            expect(shp.getFloat64(172, true)).toBe(0);
+            expect(shp.getFloat64(180, true)).toBe(1);
+            expect(shp.getFloat64(204, true)).toBe(0);
+            expect(shp.getFloat64(212, true)).toBe(0);
+        });
+
+        it("writes userProperties and placemark labels to the attribute table", function () {
+            var dbf = readDbf(ShapefileExporter.exportFiles([placemark], "points")["points.dbf"]),
+                record = dbf.nextRecord();
+
+            expect(dbf.getNumberOfRecords()).toBe(1);
+            expect(dbf.getFields().map(function (field) {
+                return field.getName();
+            })).toEqual(["population", "capital", "name"]);
+            expect(record.values.population).toBe(1500.25);
+            expect(record.values.capital).toBe(true);
+            expect(record.values.name).toBe("Pin");
+        });
+
+        it("truncates and disambiguates attribute names", function () {
+            var path = new WorldWind.Path([new WorldWind.Position(0, 0, 0), new WorldWind.Position(1, 1, 0)], null);
+            path.userProperties = {description1: "a", description2: "b"};
+
+            var dbf = readDbf(ShapefileExporter.exportFiles([path], "lines")["lines.dbf"]);
+
+            expect(dbf.getFields().map(function (field) {
+                return field.getName();
+            })).toEqual(["descriptio", "descripti1"]);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/globe/ElevationCoverage',
+    'src/globe/ElevationModel',
+    'src/globe/LocalElevationCoverage',
+    'src/geom/Sector'
+], function (ElevationCoverage,
+             ElevationModel,
+             LocalElevationCoverage,
+             Sector) {
+    "use strict";
+
+    // Creates the contents of a 3 x 3 HGT tile: big endian 16-bit values ordered from north to south.
+    var createHgt = function (values) {
+        var dataView = new DataView(new ArrayBuffer(2 * values.length));
+        for (var i = 0; i < values.length; i++) {
+            dataView.setInt16(2 * i, values[i], false);
+        }
+
+        return dataView.buffer;
+    };
+
+    // A coverage of the whole globe at a constant elevation, filling only the grid points not yet filled.
+    var BaseCoverage = function () {
+        ElevationCoverage.call(this, 1);
+    };
+
+    BaseCoverage.prototype = Object.create(ElevationCoverage.prototype);
+
+    BaseCoverage.prototype.elevationsForGrid = function (sector, numLat, numLon, result) {
+        for (var i = 0; i < numLat * numLon; i++) {
+            if (isNaN(result[i])) {
+                result[i] = -1;
+            }
+        }
+
+        return true;
+    };
+
+    describe("LocalElevationCoverage", function () {
+        var hgt = createHgt([
+            300, 400, 500,
+            200, -32768, 400,
+            100, 200, 300
+        ]);
+
+        it("reads HGT tiles located by their file names", function () {
+            var coverage = LocalElevationCoverage.fromHgt(hgt, "S01E010.hgt");
+
+            expect(coverage.coverageSector).toEqual(new Sector(-1, 0, 10, 11));
+            expect(coverage.resolution).toBe(0.5);
+            expect(coverage.minElevation).toBe(100);
+            expect(coverage.maxElevation).toBe(500);
+            expect(coverage.elevationAtLocation(-1, 10)).toBe(100);
+            expect(coverage.elevationAtLocation(0, 10.25)).toBe(350);
+            expect(coverage.elevationAtLocation(-0.5, 10.5)).toBeNull(); // void
+            expect(coverage.elevationAtLocation(1, 10)).toBeNull(); // outside
+        });
+
+        it("rejects HGT tiles of the wrong size or without a location", function () {
+            expect(function () {
+                LocalElevationCoverage.fromHgt(new ArrayBuffer(10), "N00E000.hgt");
+            }).toThrow();
+
+            expect(function () {
+                LocalElevationCoverage.fromHgt(hgt, "tile.hgt");
+            }).toThrow();
+        });
+
+        it("reads little endian float BIL rasters", function () {
+            var values = new Float32Array([1.5, 2.5, 3.5, 4.5]),
+                coverage = LocalElevationCoverage.fromBil(values.buffer, new Sector(10, 11, 20, 21), 2, 2,
+                    {dataType: "float32"});
+
+            expect(coverage.elevationAtLocation(11, 20)).toBe(1.5);
+            expect(coverage.elevationAtLocation(10, 21)).toBe(4.5);
+        });
+
+        it("reads ASCII grids", function () {
+            var coverage = LocalElevationCoverage.fromAAIGrid(
+                "ncols 2\nnrows 2\nxllcorner 0\nyllcorner 0\ncellsize 1\nNODATA_value -9999\n10 20\n30 -9999\n");
+
+            expect(coverage.coverageSector).toEqual(new Sector(0.5, 1.5, 0.5, 1.5));
+            expect(coverage.elevationAtLocation(1.5, 1.5)).toBe(20);
+
+            var result = [Number.MAX_VALUE, -Number.MAX_VALUE];
+            expect(coverage.minAndMaxElevationsForSector(new Sector(0.5, 1.5, 0.5, 1.5), result)).toBe(false);
+            expect(result).toEqual([10, 30]);
+        });
+
+        it("provides elevations where it has data when its resolution is preferred", function () {
+            var model = new ElevationModel(),
+                coverage = LocalElevationCoverage.fromHgt(hgt, "N00E000.hgt"),
+                result = new Float64Array(3);
+
+            model.addCoverage(coverage);
+            model.addCoverage(new BaseCoverage());
+            expect(model.coverages[1]).toBe(coverage); // sorted from lowest to highest resolution
+
+            // A row of points along the coverage's southern edge, crossing its eastern edge.
+            var resolution = model.elevationsForGrid(new Sector(0, 0, 0.5, 1.5), 1, 3, 0.5, result);
+            expect(Array.prototype.slice.call(result)).toEqual([200, 300, -1]);
+            expect(resolution).toBe(1); // the base coverage completed the grid
+
+            model.elevationsForGrid(new Sector(0, 0, 0.5, 1.5), 1, 3, 1, result);
+            expect(Array.prototype.slice.call(result)).toEqual([-1, -1, -1]);
+        });
+    });
+});
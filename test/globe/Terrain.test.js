@@ -0,0 +1,121 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Sector',
+    'src/globe/Terrain',
+    'src/geom/Vec3',
+    'src/WorldWind'
+], function (Sector, Terrain, Vec3, WorldWind) {
+    "use strict";
+
+    // The mock globe is flat: a position's Cartesian point is (longitude, latitude, altitude) and the surface normal
+    // is the Z axis. Its terrain is 100 meters high everywhere.
+    var MockGlobe = function () {
+        this.stateKey = "mock globe";
+    };
+
+    MockGlobe.prototype.elevationAtLocation = function (latitude, longitude) {
+        return 100;
+    };
+
+    MockGlobe.prototype.computePointFromPosition = function (latitude, longitude, altitude, result) {
+        return result.set(longitude, latitude, altitude);
+    };
+
+    MockGlobe.prototype.surfaceNormalAtPoint = function (x, y, z, result) {
+        return result.set(0, 0, 1);
+    };
+
+    // A terrain tile computes points from its vertices, whose elevations the tessellator has already exaggerated.
+    var MockTerrainTile = function (sector, verticalExaggeration) {
+        this.sector = sector;
+        this.verticalExaggeration = verticalExaggeration;
+    };
+
+    MockTerrainTile.prototype.surfacePoint = function (latitude, longitude, result) {
+        return result.set(longitude, latitude, 100 * this.verticalExaggeration);
+    };
+
+    describe("Terrain", function () {
+        var createTerrain = function (verticalExaggeration) {
+            var sector = new Sector(0, 10, 0, 10);
+
+            return new Terrain(new MockGlobe(), null, {
+                sector: sector,
+                tileArray: [new MockTerrainTile(sector, verticalExaggeration)]
+            }, verticalExaggeration);
+        };
+
+        var altitudeForMode = function (terrain, latitude, longitude, offset, altitudeMode) {
+            return terrain.surfacePointForMode(latitude, longitude, offset, altitudeMode, new Vec3(0, 0, 0))[2];
+        };
+
+        it("Requires a result", function () {
+            expect(function () {
+                createTerrain(1).surfacePointForMode(5, 5, 0, WorldWind.ABSOLUTE, null);
+            }).toThrow();
+        });
+
+        it("Exaggerates absolute altitudes", function () {
+            var terrain = createTerrain(2.5);
+
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.ABSOLUTE)).toBe(1000);
+        });
+
+        it("Uses absolute altitudes when the altitude mode is not specified", function () {
+            var terrain = createTerrain(2.5);
+
+            expect(altitudeForMode(terrain, 5, 5, 400, null)).toBe(1000);
+        });
+
+        it("Places clamped points on the exaggerated terrain", function () {
+            var terrain = createTerrain(2.5);
+
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.CLAMP_TO_GROUND)).toBe(250);
+        });
+
+        it("Exaggerates offsets relative to the exaggerated terrain", function () {
+            var terrain = createTerrain(2.5);
+
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.RELATIVE_TO_GROUND)).toBe(1250);
+        });
+
+        it("Maps a position to the same point in the absolute and relative to ground modes", function () {
+            var terrain = createTerrain(2.5);
+
+            // A position 400 meters above the 100 meter terrain.
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.RELATIVE_TO_GROUND))
+                .toBe(altitudeForMode(terrain, 5, 5, 500, WorldWind.ABSOLUTE));
+        });
+
+        it("Approximates points outside the terrain with the globe's elevations", function () {
+            var terrain = createTerrain(2.5);
+
+            expect(altitudeForMode(terrain, 20, 20, 400, WorldWind.ABSOLUTE)).toBe(1000);
+            expect(altitudeForMode(terrain, 20, 20, 400, WorldWind.CLAMP_TO_GROUND)).toBe(250);
+            expect(altitudeForMode(terrain, 20, 20, 400, WorldWind.RELATIVE_TO_GROUND)).toBe(1250);
+        });
+
+        it("Places all points on the ellipsoid when the terrain is flattened", function () {
+            var terrain = createTerrain(0);
+
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.ABSOLUTE)).toBe(0);
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.CLAMP_TO_GROUND)).toBe(0);
+            expect(altitudeForMode(terrain, 5, 5, 400, WorldWind.RELATIVE_TO_GROUND)).toBe(0);
+        });
+    });
+});
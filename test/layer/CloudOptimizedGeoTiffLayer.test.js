@@ -0,0 +1,187 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/layer/CloudOptimizedGeoTiffLayer',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/geom/Sector'
+], function (CloudOptimizedGeoTiffLayer, GeoTiffReader, Sector) {
+    "use strict";
+
+    // Records a request and lets the test complete it as the browser would.
+    var MockXMLHttpRequest = function () {
+        this.readyState = 0;
+        this.status = 0;
+        this.statusText = "";
+        this.requestHeaders = {};
+    };
+
+    MockXMLHttpRequest.prototype.open = function (method, url) {
+        this.url = url;
+        this.readyState = 1;
+    };
+
+    MockXMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+        this.requestHeaders[name] = value;
+    };
+
+    MockXMLHttpRequest.prototype.send = function () {
+    };
+
+    MockXMLHttpRequest.prototype.dispatch = function (type) {
+        if (this["on" + type]) {
+            this["on" + type]();
+        }
+    };
+
+    // Fails the request at the network level, e.g., because of a CORS error. The request completes with a status of 0
+    // and is then followed by an error event.
+    MockXMLHttpRequest.prototype.failNetwork = function () {
+        this.readyState = 4;
+        this.dispatch("readystatechange");
+        this.dispatch("error");
+        this.dispatch("loadend");
+    };
+
+    // The test GeoTiff spans latitudes 0 to 10 and longitudes 0 to 20. Its full resolution image is 64 x 32 pixels and
+    // its two overviews are 32 x 16 and 16 x 8 pixels, all with 16 x 16 pixel tiles. The tiles of each image are
+    // stored contiguously, 768 bytes per tile, starting with the lowest resolution overview at byte 696.
+    describe("CloudOptimizedGeoTiffLayer", function () {
+        var geoTiff;
+
+        beforeEach(function (done) {
+            var xhr = new XMLHttpRequest();
+            xhr.open("GET", "../base/test/formats/geotiff/cog-test.tif", true);
+            xhr.responseType = 'arraybuffer';
+            xhr.addEventListener('load', function () {
+                if (xhr.readyState === 4) {
+                    if (xhr.status === 200) {
+                        geoTiff = xhr.response;
+                        done();
+                    } else {
+                        done("Test GeoTiff Retrieval Error: " + xhr.statusText);
+                    }
+                }
+            });
+            xhr.send(null);
+        });
+
+        it("Maps the GeoTiff's overviews to levels from lowest to highest resolution", function () {
+            var layer = new CloudOptimizedGeoTiffLayer("cog-test.tif", new GeoTiffReader(geoTiff)),
+                levels = layer.levels;
+
+            expect(levels.numLevels).toBe(3);
+            expect(layer.images.map(function (image) {
+                return image.imageWidth;
+            })).toEqual([16, 32, 64]);
+
+            expect(levels.sector.minLatitude).toBeCloseTo(0, 9);
+            expect(levels.sector.maxLatitude).toBeCloseTo(10, 9);
+            expect(levels.sector.minLongitude).toBeCloseTo(0, 9);
+            expect(levels.sector.maxLongitude).toBeCloseTo(20, 9);
+
+            // A level zero tile spans one tile of the 16 x 8 pixel overview.
+            expect(levels.levelZeroDelta.latitude).toBeCloseTo(20, 9);
+            expect(levels.levelZeroDelta.longitude).toBeCloseTo(20, 9);
+            expect(levels.tileWidth).toBe(16);
+            expect(levels.tileHeight).toBe(16);
+
+            // Each level halves the tile size of the previous level, as each overview halves the image's resolution.
+            expect(levels.level(1).tileDelta.longitude).toBeCloseTo(10, 9);
+            expect(levels.level(2).tileDelta.longitude).toBeCloseTo(5, 9);
+        });
+
+        it("Reads the header from a partial GeoTiff", function () {
+            var layer = new CloudOptimizedGeoTiffLayer("cog-test.tif", new GeoTiffReader(geoTiff.slice(0, 696)));
+
+            expect(layer.levels.numLevels).toBe(3);
+        });
+
+        it("Selects the GeoTiff tiles overlapping a sector", function () {
+            var layer = new CloudOptimizedGeoTiffLayer("cog-test.tif", new GeoTiffReader(geoTiff));
+
+            // The north east quarter of the full resolution image.
+            var tiles = layer.geoTiffTilesForSector(new Sector(5, 10, 10, 20), 2);
+            expect(tiles.map(function (tile) {
+                return [tile.row, tile.column];
+            })).toEqual([[0, 2], [0, 3]]);
+
+            // A sector beyond the image.
+            expect(layer.geoTiffTilesForSector(new Sector(20, 30, 0, 10), 2).length).toBe(0);
+        });
+
+        it("Computes the byte range of each GeoTiff tile", function () {
+            var layer = new CloudOptimizedGeoTiffLayer("cog-test.tif", new GeoTiffReader(geoTiff));
+
+            expect(layer.geoTiffTileByteRange(0, 0, 0)).toEqual({offset: 696, byteCount: 768});
+            expect(layer.geoTiffTileByteRange(1, 0, 1)).toEqual({offset: 696 + 2 * 768, byteCount: 768});
+            expect(layer.geoTiffTileByteRange(2, 0, 0)).toEqual({offset: 696 + 3 * 768, byteCount: 768});
+            expect(layer.geoTiffTileByteRange(2, 1, 3)).toEqual({offset: 696 + 10 * 768, byteCount: 768});
+        });
+
+        describe("Retrieval failures", function () {
+            var requests;
+
+            beforeEach(function () {
+                requests = [];
+                spyOn(window, "XMLHttpRequest").and.callFake(function () {
+                    var xhr = new MockXMLHttpRequest();
+                    requests.push(xhr);
+                    return xhr;
+                });
+            });
+
+            it("Reports a header retrieval failing at the network level once", function () {
+                var callback = jasmine.createSpy("callback");
+
+                CloudOptimizedGeoTiffLayer.retrieveFromUrl("cog-test.tif", callback);
+                expect(requests[0].requestHeaders.Range)
+                    .toBe("bytes=0-" + (CloudOptimizedGeoTiffLayer.HEADER_LENGTH - 1));
+
+                requests[0].failNetwork();
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback).toHaveBeenCalledWith(null, requests[0]);
+            });
+
+            it("Reports a GeoTiff tile retrieval failing at the network level once to each caller", function () {
+                var layer = new CloudOptimizedGeoTiffLayer("cog-test.tif", new GeoTiffReader(geoTiff)),
+                    firstCallback = jasmine.createSpy("firstCallback"),
+                    secondCallback = jasmine.createSpy("secondCallback");
+
+                // Concurrent retrievals of the same GeoTiff tile share one request.
+                layer.retrieveGeoTiffTile(2, 1, 3, firstCallback);
+                layer.retrieveGeoTiffTile(2, 1, 3, secondCallback);
+                expect(requests.length).toBe(1);
+                expect(requests[0].requestHeaders.Range).toBe("bytes=" + (696 + 10 * 768) + "-" + (696 + 11 * 768 - 1));
+
+                expect(function () {
+                    requests[0].failNetwork();
+                }).not.toThrow();
+
+                expect(firstCallback.calls.count()).toBe(1);
+                expect(firstCallback).toHaveBeenCalledWith(null, false);
+                expect(secondCallback.calls.count()).toBe(1);
+                expect(secondCallback).toHaveBeenCalledWith(null, false);
+                expect(layer.geoTiffTileRetrievals).toEqual({});
+
+                // A later retrieval of the tile makes a new request.
+                layer.retrieveGeoTiffTile(2, 1, 3, firstCallback);
+                expect(requests.length).toBe(2);
+            });
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/shapes/ClusterPlacemark',
+    'src/layer/ClusteringLayer',
+    'src/geom/Matrix',
+    'src/shapes/Placemark',
+    'src/geom/Position',
+    'src/geom/Rectangle',
+    'src/geom/Vec3',
+    'src/WorldWind'
+], function (ClusterPlacemark, ClusteringLayer, Matrix, Placemark, Position, Rectangle, Vec3, WorldWind) {
+    "use strict";
+
+    // The mock draw context projects a position onto the screen at a specified number of pixels per degree, with
+    // longitude along the x axis and latitude along the y axis.
+    var MockDrawContext = function (pixelsPerDegree) {
+        this.globe = {
+            computePointFromPosition: function (latitude, longitude, altitude, result) {
+                return result.set(longitude, latitude, altitude);
+            },
+            is2D: function () {
+                return true;
+            }
+        };
+        this.eyePoint = new Vec3(0, 0, 0);
+        this.verticalExaggeration = 1;
+        this.viewport = new Rectangle(0, 0, 10000, 10000);
+        this.orderedRenderables = [];
+        this.pickingMode = false;
+        this.setPixelsPerDegree(pixelsPerDegree);
+    };
+
+    MockDrawContext.prototype.setPixelsPerDegree = function (pixelsPerDegree) {
+        this.pixelsPerDegree = pixelsPerDegree;
+        // The layer recomputes its clusters when the modelview-projection matrix changes.
+        this.modelviewProjection = Matrix.fromIdentity();
+        this.modelviewProjection[0] = pixelsPerDegree;
+    };
+
+    MockDrawContext.prototype.project = function (modelPoint, result) {
+        result.set(modelPoint[0] * this.pixelsPerDegree, modelPoint[1] * this.pixelsPerDegree, 0);
+        return true;
+    };
+
+    describe("ClusteringLayer", function () {
+        var layer, dc, near, far, rendered;
+
+        beforeEach(function () {
+            spyOn(ClusteringLayer.prototype, "createBadge").and.returnValue(null);
+            spyOn(Placemark.prototype, "render").and.callFake(function () {
+                rendered.push(this);
+            });
+
+            near = [new Placemark(new Position(10, 10, 0)), new Placemark(new Position(10, 11, 0)),
+                new Placemark(new Position(10, 12, 0))];
+            far = new Placemark(new Position(50, 50, 0));
+
+            layer = new ClusteringLayer("Clusters");
+            layer.addRenderables(near);
+            layer.addRenderable(far);
+
+            dc = new MockDrawContext(10);
+            rendered = [];
+        });
+
+        it("Groups placemarks within the cluster radius", function () {
+            layer.doRender(dc);
+
+            expect(layer.clusters.length).toBe(1);
+            expect(layer.clusters[0].placemarks).toEqual(near);
+            expect(layer.clusters[0].count).toBe(3);
+            expect(layer.clusters[0].position.latitude).toBeCloseTo(10, 9);
+            expect(layer.clusters[0].position.longitude).toBeCloseTo(11, 9);
+            expect(rendered).toEqual([layer.clusters[0], far]);
+        });
+
+        it("Splits clusters when the view changes", function () {
+            layer.doRender(dc);
+            dc.setPixelsPerDegree(100);
+            rendered = [];
+            layer.doRender(dc);
+
+            expect(layer.clusters.length).toBe(0);
+            expect(rendered).toEqual(near.concat(far));
+        });
+
+        it("Leaves placemarks unclustered when clustering is disabled", function () {
+            layer.clusteringEnabled = false;
+            layer.doRender(dc);
+
+            expect(layer.clusters.length).toBe(0);
+            expect(rendered).toEqual(near.concat(far));
+        });
+
+        it("Displays the placemarks of expanded clusters individually until they are collapsed", function () {
+            layer.doRender(dc);
+            layer.expandCluster(layer.clusters[0]);
+            rendered = [];
+            layer.doRender(dc);
+
+            expect(layer.clusters.length).toBe(0);
+            expect(rendered).toEqual(near.concat(far));
+
+            layer.collapseClusters();
+            rendered = [];
+            layer.doRender(dc);
+
+            expect(layer.clusters.length).toBe(1);
+            expect(rendered).toEqual([layer.clusters[0], far]);
+        });
+
+        it("Picks the clusters displayed in the frame", function () {
+            layer.doRender(dc);
+            var cluster = layer.clusters[0];
+
+            dc.pickingMode = true;
+            rendered = [];
+            layer.doRender(dc);
+
+            expect(layer.clusters).toEqual([cluster]);
+            expect(layer.clusters[0]).toBe(cluster);
+            expect(rendered).toEqual([cluster, far]);
+            expect(rendered).not.toContain(near[0]);
+        });
+
+        it("Keeps a cluster and its highlight state while its placemarks don't change", function () {
+            layer.doRender(dc);
+            var cluster = layer.clusters[0];
+            cluster.highlighted = true;
+
+            dc.setPixelsPerDegree(11);
+            layer.doRender(dc);
+
+            expect(layer.clusters[0]).toBe(cluster);
+            expect(layer.clusters[0].highlighted).toBe(true);
+
+            layer.removeRenderable(near[2]);
+            layer.doRender(dc);
+
+            expect(layer.clusters[0]).not.toBe(cluster);
+            expect(layer.clusters[0].highlighted).toBe(false);
+        });
+
+        it("Positions clusters spanning the anti-meridian next to it", function () {
+            var cluster = new ClusterPlacemark([new Placemark(new Position(10, 179, 0)),
+                new Placemark(new Position(12, -179, 0)), new Placemark(new Position(14, -178, 0))], null);
+
+            expect(cluster.position.latitude).toBeCloseTo(12, 9);
+            expect(cluster.position.longitude).toBeCloseTo(-179.333333, 5);
+            expect(cluster.sector.minLatitude).toBe(10);
+            expect(cluster.sector.maxLatitude).toBe(14);
+            expect(cluster.sector.minLongitude).toBeCloseTo(-181, 9);
+            expect(cluster.sector.maxLongitude).toBeCloseTo(-178, 9);
+        });
+
+        it("Zooms to clusters spanning the anti-meridian without spanning the globe", function () {
+            var cluster = new ClusterPlacemark([new Placemark(new Position(0, 179.5, 0)),
+                    new Placemark(new Position(0, -179.5, 0))], null),
+                worldWindow = {
+                    globe: {equatorialRadius: 6378137},
+                    goTo: jasmine.createSpy("goTo")
+                };
+
+            layer.zoomToCluster(worldWindow, cluster);
+
+            var position = worldWindow.goTo.calls.argsFor(0)[0];
+            expect(Math.abs(position.longitude)).toBeCloseTo(180, 9);
+            expect(position.altitude).toBeLessThan(300000);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/layer/ContourLayer',
+    'src/globe/ElevationModel',
+    'src/layer/RenderableLayer',
+    'src/geom/Sector',
+    'src/WorldWind'
+], function (ContourLayer, ElevationModel, RenderableLayer, Sector) {
+    "use strict";
+
+    // The mock coverage reports a fine nominal resolution whatever data it has loaded, as tiled coverages do. Its
+    // elevations rise from west to east at a slope that increases as finer data arrives.
+    var MockCoverage = function (slope) {
+        this.enabled = true;
+        this.coverageSector = Sector.FULL_SPHERE;
+        this.resolution = 0.0001;
+        this.timestamp = 1;
+        this.slope = slope;
+    };
+
+    MockCoverage.prototype.elevationsForGrid = function (sector, numLat, numLon, result) {
+        for (var i = 0; i < numLat * numLon; i++) {
+            result[i] = this.slope * (i % numLon);
+        }
+        return true;
+    };
+
+    describe("ContourLayer", function () {
+        var coverage, layer, dc;
+
+        beforeEach(function () {
+            spyOn(RenderableLayer.prototype, "doRender");
+
+            coverage = new MockCoverage(10);
+
+            var elevationModel = new ElevationModel();
+            elevationModel.coverages.push(coverage);
+
+            layer = new ContourLayer(new Sector(0, 1, 0, 1), 100, elevationModel);
+            layer.gridSize = 11;
+
+            dc = {timestamp: 0, redrawRequested: false};
+        });
+
+        var highestContour = function () {
+            return layer.contours[layer.contours.length - 1].elevation;
+        };
+
+        it("Generates contours from an elevation model", function () {
+            layer.doRender(dc);
+
+            expect(layer.contours.length).toBe(1);
+            expect(highestContour()).toBe(100);
+        });
+
+        it("Regenerates the contours as elevations arrive after the first generation", function () {
+            layer.doRender(dc);
+
+            coverage.slope = 95;
+            coverage.timestamp = 2;
+
+            dc.timestamp = ContourLayer.REGENERATION_DELAY / 2;
+            layer.doRender(dc);
+            expect(highestContour()).toBe(100);
+            expect(dc.redrawRequested).toBe(true);
+
+            dc.timestamp = ContourLayer.REGENERATION_DELAY;
+            layer.doRender(dc);
+            expect(highestContour()).toBe(900);
+        });
+
+        it("Keeps the contours while the elevation model is unchanged", function () {
+            layer.doRender(dc);
+            var contours = layer.contours;
+
+            dc.timestamp = 10 * ContourLayer.REGENERATION_DELAY;
+            layer.doRender(dc);
+            expect(layer.contours).toBe(contours);
+
+            // Data arriving outside the sector changes the model but not the contours.
+            coverage.timestamp = 2;
+            layer.doRender(dc);
+            expect(layer.contours).toBe(contours);
+        });
+
+        it("Regenerates the contours when refreshed", function () {
+            layer.doRender(dc);
+            var contours = layer.contours;
+
+            layer.interval = 50;
+            layer.refresh();
+            layer.doRender(dc);
+
+            expect(layer.contours).not.toBe(contours);
+            expect(layer.contours.length).toBe(2);
+        });
+    });
+});
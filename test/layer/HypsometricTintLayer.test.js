@@ -0,0 +1,160 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/shapes/ColorRampLegend',
+    'src/layer/HypsometricTintLayer',
+    'src/geom/Sector',
+    'src/layer/TerrainShadingLayer',
+    'src/layer/TiledImageLayer',
+    'src/WorldWind'
+], function (ColorRampLegend, HypsometricTintLayer, Sector, TerrainShadingLayer, TiledImageLayer) {
+    "use strict";
+
+    // An elevation model whose elevations are all equal and whose timestamp changes as elevations arrive.
+    var MockElevationModel = function (elevation) {
+        this.elevation = elevation;
+        this.timestamp = 1;
+    };
+
+    MockElevationModel.prototype.elevationsForGrid = function (sector, numLat, numLon, targetResolution, result) {
+        result.fill(this.elevation);
+        return 0.0001;
+    };
+
+    describe("HypsometricTintLayer", function () {
+        var dc, tile, pixels;
+
+        beforeEach(function () {
+            spyOn(TiledImageLayer.prototype, "doRender");
+            spyOn(TiledImageLayer.prototype, "addTile");
+            spyOn(TiledImageLayer.prototype, "createTexture").and.callFake(function () {
+                return {size: 1};
+            });
+
+            // Capture the computed pixels, as the canvas is not available in every test environment.
+            pixels = null;
+            spyOn(Object.getPrototypeOf(document.createElement("canvas")), "getContext").and.returnValue({
+                createImageData: function (width, height) {
+                    pixels = new Uint8ClampedArray(4 * width * height);
+                    return {data: pixels};
+                },
+                putImageData: function () {
+                }
+            });
+
+            var resources = {};
+            dc = {
+                terrain: {},
+                verticalExaggeration: 1,
+                globe: {equatorialRadius: 6378137, elevationModel: new MockElevationModel(0)},
+                gpuResourceCache: {
+                    resourceForKey: function (key) {
+                        return resources[key] || null;
+                    },
+                    putResource: function (key, resource) {
+                        resources[key] = resource;
+                    }
+                }
+            };
+            dc.globe.elevationsForGrid = function () {
+                return dc.globe.elevationModel.elevationsForGrid.apply(dc.globe.elevationModel, arguments);
+            };
+
+            tile = {sector: new Sector(0, 1, 0, 1), level: {tileWidth: 2, tileHeight: 2}, imagePath: "tile"};
+        });
+
+        // Computes the tile's image and returns the color of its first pixel.
+        var tint = function (layer) {
+            layer.doRender(dc);
+            layer.tilesComputedThisFrame = 0;
+            layer.retrieveTileImage(dc, tile, false);
+            return Array.prototype.slice.call(pixels, 0, 4);
+        };
+
+        var rampColor = function (ramp, value) {
+            var bytes = new Uint8ClampedArray(4);
+            ramp.colorBytes(value, bytes, 0);
+            return Array.prototype.slice.call(bytes);
+        };
+
+        it("Colors the terrain by elevation with the terrain color ramp by default", function () {
+            var layer = new HypsometricTintLayer();
+
+            expect(layer.mode).toBe(TerrainShadingLayer.ELEVATION);
+            expect(layer.colorRamp).toBe(HypsometricTintLayer.TERRAIN_COLOR_RAMP);
+            expect(layer.elevationModel).toBeNull();
+
+            dc.globe.elevationModel.elevation = 1000;
+            expect(tint(layer)).toEqual(rampColor(HypsometricTintLayer.TERRAIN_COLOR_RAMP, 1000));
+        });
+
+        it("Leaves the ocean floor uncolored with the terrain color ramp", function () {
+            dc.globe.elevationModel.elevation = -3000;
+
+            expect(tint(new HypsometricTintLayer())[3]).toBe(0);
+        });
+
+        it("Colors the ocean floor with the bathymetry color ramp", function () {
+            dc.globe.elevationModel.elevation = -3000;
+
+            var color = tint(new HypsometricTintLayer(HypsometricTintLayer.BATHYMETRY_COLOR_RAMP));
+
+            expect(color).toEqual(rampColor(HypsometricTintLayer.BATHYMETRY_COLOR_RAMP, -3000));
+            expect(color[3]).toBe(255);
+        });
+
+        it("Colors land equally with the terrain and bathymetry color ramps", function () {
+            [0, 350, 2500, 8000].forEach(function (elevation) {
+                expect(rampColor(HypsometricTintLayer.BATHYMETRY_COLOR_RAMP, elevation))
+                    .toEqual(rampColor(HypsometricTintLayer.TERRAIN_COLOR_RAMP, elevation));
+            });
+        });
+
+        it("Takes the elevations from its elevation model when specified", function () {
+            var layer = new HypsometricTintLayer(null, new MockElevationModel(2000));
+            dc.globe.elevationModel.elevation = 100;
+
+            expect(tint(layer)).toEqual(rampColor(HypsometricTintLayer.TERRAIN_COLOR_RAMP, 2000));
+        });
+
+        it("Recolors tiles when their elevations change", function () {
+            var elevationModel = new MockElevationModel(100),
+                layer = new HypsometricTintLayer(null, elevationModel);
+
+            tint(layer);
+
+            elevationModel.elevation = 3000;
+            elevationModel.timestamp = 2;
+            layer.doRender(dc);
+            expect(layer.isTextureStale(dc.gpuResourceCache.resourceForKey("tile"))).toBe(true);
+
+            expect(tint(layer)).toEqual(rampColor(HypsometricTintLayer.TERRAIN_COLOR_RAMP, 3000));
+            expect(layer.isTextureStale(dc.gpuResourceCache.resourceForKey("tile"))).toBe(false);
+        });
+
+        it("Creates a legend of its color ramp", function () {
+            spyOn(ColorRampLegend.prototype, "update");
+
+            var layer = new HypsometricTintLayer(HypsometricTintLayer.BATHYMETRY_COLOR_RAMP),
+                legend = layer.createLegend(null);
+
+            expect(legend instanceof ColorRampLegend).toBe(true);
+            expect(legend.colorRamp).toBe(HypsometricTintLayer.BATHYMETRY_COLOR_RAMP);
+            expect(legend.title).toBe("Elevation");
+        });
+    });
+});
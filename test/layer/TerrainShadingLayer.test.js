@@ -0,0 +1,182 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/util/ColorRamp',
+    'src/geom/Sector',
+    'src/layer/TerrainShadingLayer',
+    'src/layer/TiledImageLayer'
+], function (Color, ColorRamp, Sector, TerrainShadingLayer, TiledImageLayer) {
+    "use strict";
+
+    // The mock draw context's globe provides the elevations computed by its elevation function, and its elevation
+    // model's timestamp changes as elevations arrive.
+    var MockDrawContext = function () {
+        var self = this;
+
+        this.terrain = {};
+        this.verticalExaggeration = 1;
+        this.redrawRequested = false;
+        this.elevationAt = function (row, column) {
+            return 0;
+        };
+        this.globe = {
+            equatorialRadius: 6378137,
+            elevationModel: {timestamp: 1},
+            elevationsForGrid: function (sector, numLat, numLon, targetResolution, result) {
+                for (var i = 0; i < numLat * numLon; i++) {
+                    result[i] = self.elevationAt(Math.floor(i / numLon), i % numLon);
+                }
+                return 0.0001;
+            }
+        };
+        this.resources = {};
+        this.gpuResourceCache = {
+            resourceForKey: function (key) {
+                return self.resources[key] || null;
+            },
+            putResource: function (key, resource) {
+                self.resources[key] = resource;
+            }
+        };
+    };
+
+    describe("TerrainShadingLayer", function () {
+        var layer, dc, tile, pixels;
+
+        beforeEach(function () {
+            spyOn(TiledImageLayer.prototype, "doRender");
+            // As the superclass does, retrieve the images of tiles that have none.
+            spyOn(TiledImageLayer.prototype, "addTile").and.callFake(function (dc, tile) {
+                if (!dc.gpuResourceCache.resourceForKey(tile.imagePath)) {
+                    this.retrieveTileImage(dc, tile, false);
+                }
+            });
+            spyOn(TiledImageLayer.prototype, "createTexture").and.callFake(function () {
+                return {size: 1};
+            });
+
+            // Capture the computed pixels, as the canvas is not available in every test environment.
+            pixels = null;
+            spyOn(Object.getPrototypeOf(document.createElement("canvas")), "getContext").and.returnValue({
+                createImageData: function (width, height) {
+                    pixels = new Uint8ClampedArray(4 * width * height);
+                    return {data: pixels};
+                },
+                putImageData: function () {
+                }
+            });
+
+            layer = new TerrainShadingLayer(TerrainShadingLayer.ASPECT);
+            layer.colorRamp = new ColorRamp([
+                {value: 0, color: new Color(0, 0, 0, 1)},
+                {value: 360, color: new Color(1, 1, 1, 1)}
+            ]);
+
+            dc = new MockDrawContext();
+            tile = {sector: new Sector(0, 1, 0, 1), level: {tileWidth: 4, tileHeight: 4}, imagePath: "tile"};
+        });
+
+        // Displays a frame, in which the tile is added to the layer's current tiles.
+        var renderFrame = function () {
+            layer.doRender(dc);
+            layer.tilesComputedThisFrame = 0;
+            layer.addTile(dc, tile);
+        };
+
+        it("Rejects unrecognized modes", function () {
+            expect(function () {
+                new TerrainShadingLayer("contrast");
+            }).toThrow();
+        });
+
+        it("Shades terrain by the direction it faces", function () {
+            // Terrain rising to the east faces west.
+            dc.elevationAt = function (row, column) {
+                return 100 * column;
+            };
+
+            layer.doRender(dc);
+            layer.retrieveTileImage(dc, tile, false);
+
+            expect(Array.prototype.slice.call(pixels, 0, 4)).toEqual([191, 191, 191, 255]);
+            expect(dc.resources.tile.shadingKey).toBe(layer.shadingKey);
+        });
+
+        it("Leaves flat terrain unshaded in aspect mode", function () {
+            layer.doRender(dc);
+            layer.retrieveTileImage(dc, tile, false);
+
+            expect(pixels[3]).toBe(0);
+        });
+
+        it("Limits the number of tiles computed per frame", function () {
+            layer.doRender(dc);
+
+            for (var i = 0; i <= TerrainShadingLayer.MAX_TILES_PER_FRAME; i++) {
+                layer.retrieveTileImage(dc, {sector: tile.sector, level: tile.level, imagePath: "tile" + i}, false);
+            }
+
+            expect(TiledImageLayer.prototype.createTexture.calls.count()).toBe(TerrainShadingLayer.MAX_TILES_PER_FRAME);
+            expect(dc.redrawRequested).toBe(true);
+
+            // The tiles awaiting computation are reported as retrievals until they're computed.
+            expect(layer.currentRetrievals).toEqual(["tile" + TerrainShadingLayer.MAX_TILES_PER_FRAME]);
+            layer.doRender(dc);
+            expect(layer.currentRetrievals).toEqual([]);
+        });
+
+        it("Recomputes tiles when its shading changes", function () {
+            renderFrame();
+            renderFrame();
+            expect(TiledImageLayer.prototype.createTexture.calls.count()).toBe(1);
+
+            layer.mode = TerrainShadingLayer.SLOPE;
+            renderFrame();
+            expect(TiledImageLayer.prototype.createTexture.calls.count()).toBe(2);
+        });
+
+        it("Recomputes tiles shaded from coarse elevations when finer elevations arrive", function () {
+            renderFrame();
+            var texture = dc.resources.tile;
+
+            // The elevation model reports the same resolution as before, but the tile's elevations have changed.
+            dc.elevationAt = function (row, column) {
+                return 100 * column;
+            };
+            dc.globe.elevationModel.timestamp = 2;
+            renderFrame();
+
+            expect(dc.resources.tile).not.toBe(texture);
+            expect(dc.resources.tile.elevationTimestamp).toBe(2);
+            expect(pixels[3]).toBe(255);
+        });
+
+        it("Keeps tiles whose elevations don't change when elevations arrive elsewhere", function () {
+            renderFrame();
+            var texture = dc.resources.tile;
+
+            dc.globe.elevationModel.timestamp = 2;
+            renderFrame();
+            renderFrame();
+
+            expect(dc.resources.tile).toBe(texture);
+            expect(texture.elevationTimestamp).toBe(2);
+            expect(TiledImageLayer.prototype.createTexture.calls.count()).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,352 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/layer/VectorTileLayer',
+    'src/formats/mvt/VectorTile'
+], function (Color, VectorTileLayer, VectorTile) {
+    "use strict";
+
+    // Records a request and lets the test complete it as the browser would.
+    var MockXMLHttpRequest = function () {
+        this.readyState = 0;
+        this.status = 0;
+        this.statusText = "";
+    };
+
+    MockXMLHttpRequest.prototype.open = function (method, url) {
+        this.url = url;
+        this.readyState = 1;
+    };
+
+    MockXMLHttpRequest.prototype.send = function () {
+    };
+
+    MockXMLHttpRequest.prototype.dispatch = function (type) {
+        if (this["on" + type]) {
+            this["on" + type]();
+        }
+    };
+
+    MockXMLHttpRequest.prototype.respond = function (status, response) {
+        this.readyState = 4;
+        this.status = status;
+        this.response = response;
+        this.dispatch("readystatechange");
+        this.dispatch("load");
+        this.dispatch("loadend");
+    };
+
+    // Fails the request at the network level, e.g., because of a CORS error. The request completes with a status of 0
+    // and is then followed by an error event.
+    MockXMLHttpRequest.prototype.failNetwork = function () {
+        this.readyState = 4;
+        this.dispatch("readystatechange");
+        this.dispatch("error");
+        this.dispatch("loadend");
+    };
+
+    // Creates a decoded vector tile layer holding the specified features.
+    var tileLayer = function (features) {
+        return {version: 2, extent: 4096, features: features};
+    };
+
+    var feature = function (id, type, properties) {
+        return {id: id, type: type, properties: properties || {}, geometry: [[[0, 0], [10, 10]]]};
+    };
+
+    describe("VectorTileLayer", function () {
+        var layer;
+
+        beforeEach(function () {
+            layer = new VectorTileLayer({url: "tiles/{z}/{x}/{y}.pbf", maxZoom: 2});
+        });
+
+        it("Requires a URL template", function () {
+            expect(function () {
+                new VectorTileLayer({});
+            }).toThrow();
+        });
+
+        describe("URLs", function () {
+            it("Fills in the URL template", function () {
+                expect(layer.urlForVectorTile(2, 3, 1)).toBe("tiles/2/3/1.pbf");
+            });
+
+            it("Counts rows from the south for TMS tile sources", function () {
+                layer = new VectorTileLayer({url: "tiles/{z}/{x}/{y}.pbf", tms: true});
+
+                expect(layer.urlForVectorTile(2, 3, 1)).toBe("tiles/2/3/2.pbf");
+                expect(layer.urlForVectorTile(0, 0, 0)).toBe("tiles/0/0/0.pbf");
+            });
+
+            describe("Tile images", function () {
+                var dc, ctx2D, vectorTile, requestedUrls, texture;
+
+                beforeEach(function () {
+                    // The canvas is not available in every test environment.
+                    ctx2D = {};
+                    spyOn(Object.getPrototypeOf(document.createElement("canvas")), "getContext")
+                        .and.returnValue(ctx2D);
+
+                    dc = {
+                        currentGlContext: {canvas: null},
+                        gpuResourceCache: {
+                            putResource: jasmine.createSpy("putResource")
+                        }
+                    };
+
+                    vectorTile = new VectorTile(new ArrayBuffer(0));
+                    requestedUrls = [];
+                    spyOn(layer, "retrieveVectorTile").and.callFake(function (url, callback) {
+                        requestedUrls.push(url);
+                        callback(vectorTile);
+                    });
+                    spyOn(layer, "drawVectorTile");
+                    texture = {size: 1};
+                    spyOn(layer, "createTexture").and.callFake(function () {
+                        return texture;
+                    });
+                });
+
+                var tile = function (levelNumber, row, column) {
+                    return {
+                        level: {levelNumber: levelNumber},
+                        row: row,
+                        column: column,
+                        imagePath: levelNumber + "/" + row + "/" + column
+                    };
+                };
+
+                it("Draws the whole vector tile at the tile source's zoom levels", function () {
+                    // Level 1 is zoom level 2.
+                    layer.retrieveTileImage(dc, tile(1, 1, 3), true);
+
+                    expect(requestedUrls).toEqual(["tiles/2/3/1.pbf"]);
+                    expect(layer.drawVectorTile).toHaveBeenCalledWith(ctx2D, vectorTile, 2, 1, 0, 0);
+                    expect(dc.gpuResourceCache.putResource).toHaveBeenCalledWith("1/1/3", texture, 1);
+                    expect(layer.currentRetrievals).toEqual([]);
+                });
+
+                it("Draws a magnified portion of the parent vector tile beyond the maximum zoom level", function () {
+                    // Level 3 is zoom level 4, two levels beyond the maximum zoom level.
+                    layer.retrieveTileImage(dc, tile(3, 6, 13), true);
+
+                    expect(requestedUrls).toEqual(["tiles/2/3/1.pbf"]);
+                    expect(layer.drawVectorTile).toHaveBeenCalledWith(ctx2D, vectorTile, 4, 4, 1, 2);
+                });
+
+                it("Requests the flipped parent vector tile for TMS tile sources", function () {
+                    layer.tms = true;
+
+                    layer.retrieveTileImage(dc, tile(3, 6, 13), true);
+
+                    expect(requestedUrls).toEqual(["tiles/2/3/2.pbf"]);
+                });
+
+                it("Marks the tile absent when its vector tile can't be retrieved", function () {
+                    vectorTile = null;
+
+                    layer.retrieveTileImage(dc, tile(1, 1, 3), true);
+
+                    expect(layer.absentResourceList.isResourceAbsent("1/1/3")).toBe(true);
+                    expect(layer.drawVectorTile).not.toHaveBeenCalled();
+                    expect(layer.currentRetrievals).toEqual([]);
+                });
+            });
+        });
+
+        describe("Retrieval", function () {
+            var requests;
+
+            beforeEach(function () {
+                requests = [];
+                spyOn(window, "XMLHttpRequest").and.callFake(function () {
+                    var xhr = new MockXMLHttpRequest();
+                    requests.push(xhr);
+                    return xhr;
+                });
+            });
+
+            it("Shares one request between concurrent retrievals of a vector tile and caches it", function () {
+                var firstCallback = jasmine.createSpy("firstCallback"),
+                    secondCallback = jasmine.createSpy("secondCallback"),
+                    laterCallback = jasmine.createSpy("laterCallback");
+
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", firstCallback);
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", secondCallback);
+                expect(requests.length).toBe(1);
+                expect(requests[0].url).toBe("tiles/2/3/1.pbf");
+
+                requests[0].respond(200, new ArrayBuffer(0));
+
+                var vectorTile = firstCallback.calls.argsFor(0)[0];
+                expect(vectorTile instanceof VectorTile).toBe(true);
+                expect(firstCallback.calls.count()).toBe(1);
+                expect(secondCallback.calls.count()).toBe(1);
+                expect(secondCallback).toHaveBeenCalledWith(vectorTile);
+
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", laterCallback);
+                expect(requests.length).toBe(1);
+                expect(laterCallback).toHaveBeenCalledWith(vectorTile);
+            });
+
+            it("Provides empty vector tiles for tiles the server omits", function () {
+                [204, 404].forEach(function (status) {
+                    var callback = jasmine.createSpy("callback"),
+                        url = "tiles/" + status + ".pbf";
+
+                    layer.retrieveVectorTile(url, callback);
+                    requests[requests.length - 1].respond(status, null);
+
+                    expect(callback.calls.count()).toBe(1);
+                    expect(callback.calls.argsFor(0)[0].layers).toEqual({});
+                });
+            });
+
+            it("Provides null for vector tiles that fail to retrieve", function () {
+                var callback = jasmine.createSpy("callback");
+
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", callback);
+                requests[0].respond(500, null);
+
+                expect(callback.calls.count()).toBe(1);
+                expect(callback).toHaveBeenCalledWith(null);
+
+                // Failures aren't cached.
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", callback);
+                expect(requests.length).toBe(2);
+            });
+
+            it("Reports a retrieval failing at the network level once to each caller", function () {
+                var firstCallback = jasmine.createSpy("firstCallback"),
+                    secondCallback = jasmine.createSpy("secondCallback");
+
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", firstCallback);
+                layer.retrieveVectorTile("tiles/2/3/1.pbf", secondCallback);
+
+                expect(function () {
+                    requests[0].failNetwork();
+                }).not.toThrow();
+
+                expect(firstCallback.calls.count()).toBe(1);
+                expect(firstCallback).toHaveBeenCalledWith(null);
+                expect(secondCallback.calls.count()).toBe(1);
+                expect(secondCallback).toHaveBeenCalledWith(null);
+                expect(layer.vectorTileRetrievals).toEqual({});
+            });
+        });
+
+        describe("Styles", function () {
+            var ctx2D, vectorTile, drawnFeatures;
+
+            beforeEach(function () {
+                ctx2D = {
+                    canvas: {width: 256, height: 256},
+                    fillRect: jasmine.createSpy("fillRect")
+                };
+
+                vectorTile = {
+                    layers: {
+                        water: tileLayer([
+                            feature(1, VectorTile.POLYGON, {kind: "lake"}),
+                            feature(2, VectorTile.POLYGON, {kind: "ocean"}),
+                            feature(3, VectorTile.LINESTRING, {kind: "river"})
+                        ]),
+                        roads: tileLayer([
+                            feature(4, VectorTile.LINESTRING, {kind: "highway", name: "A1"}),
+                            feature(5, VectorTile.LINESTRING, {kind: "path"})
+                        ])
+                    }
+                };
+
+                drawnFeatures = [];
+                spyOn(layer, "drawFeature").and.callFake(function (ctx2D, feature, rule) {
+                    drawnFeatures.push(feature.id);
+                });
+                spyOn(layer, "drawLabel").and.callFake(function (ctx2D, feature, rule) {
+                    drawnFeatures.push("label " + feature.id);
+                });
+            });
+
+            var draw = function (style, zoom) {
+                drawnFeatures = [];
+                layer.style = style;
+                layer.drawVectorTile(ctx2D, vectorTile, zoom || 2, 1, 0, 0);
+                return drawnFeatures;
+            };
+
+            it("Draws each rule's features in the order of the rules", function () {
+                expect(draw({
+                    rules: [
+                        {sourceLayer: "roads"},
+                        {sourceLayer: "water"}
+                    ]
+                })).toEqual([4, 5, 1, 2, 3]);
+            });
+
+            it("Draws the features matching a rule's property filter", function () {
+                expect(draw({rules: [{filter: {kind: "lake"}}]})).toEqual([1]);
+                expect(draw({rules: [{filter: {kind: ["lake", "highway"]}}]})).toEqual([1, 4]);
+                expect(draw({rules: [{filter: {kind: "highway", name: "A1"}}]})).toEqual([4]);
+                expect(draw({rules: [{filter: {kind: "highway", name: "A2"}}]})).toEqual([]);
+            });
+
+            it("Draws the features for which a rule's filter function returns true", function () {
+                expect(draw({
+                    rules: [{
+                        filter: function (feature) {
+                            return feature.id % 2 === 0;
+                        }
+                    }]
+                })).toEqual([2, 4]);
+            });
+
+            it("Draws the features of a rule's geometry type", function () {
+                expect(draw({rules: [{sourceLayer: "water", geometryType: VectorTile.LINESTRING}]})).toEqual([3]);
+            });
+
+            it("Applies rules within their zoom levels", function () {
+                var style = {
+                    rules: [
+                        {sourceLayer: "water", maxZoom: 3},
+                        {sourceLayer: "roads", minZoom: 4}
+                    ]
+                };
+
+                expect(draw(style, 3)).toEqual([1, 2, 3]);
+                expect(draw(style, 4)).toEqual([4, 5]);
+            });
+
+            it("Draws labels above all features", function () {
+                expect(draw({
+                    rules: [
+                        {sourceLayer: "roads", filter: {kind: "highway"}, label: "name"},
+                        {sourceLayer: "water"}
+                    ]
+                })).toEqual([4, 1, 2, 3, "label 4"]);
+            });
+
+            it("Fills the background color", function () {
+                draw({background: Color.BLUE, rules: []});
+
+                expect(ctx2D.fillStyle).toBe(Color.BLUE.toCssColorString());
+                expect(ctx2D.fillRect).toHaveBeenCalledWith(0, 0, 256, 256);
+            });
+        });
+    });
+});
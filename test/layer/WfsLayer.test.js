@@ -0,0 +1,354 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Sector',
+    'src/shapes/SurfacePolygon',
+    'src/shapes/SurfacePolyline',
+    'src/ogc/WfsCapabilities',
+    'src/layer/WfsLayer'
+], function (Sector, SurfacePolygon, SurfacePolyline, WfsCapabilities, WfsLayer) {
+    "use strict";
+
+    var retrieveXml = function (url, callback) {
+        var xhr = new XMLHttpRequest();
+        xhr.open("GET", url, true);
+        xhr.addEventListener('load', function () {
+            if (xhr.readyState === 4) {
+                if (xhr.status === 200) {
+                    callback(xhr.responseXML);
+                } else {
+                    callback(null, "Test WFS Retrieval Error: " + xhr.statusText);
+                }
+            }
+        });
+        xhr.send(null);
+    };
+
+    // Creates count GeoJSON point features numbered from a specified index.
+    var createFeatures = function (startIndex, count) {
+        var features = [];
+        for (var i = startIndex; i < startIndex + count; i++) {
+            features.push({
+                type: "Feature",
+                id: "cities." + i,
+                geometry: {type: "Point", coordinates: [i, i / 2]},
+                properties: {name: "City " + i}
+            });
+        }
+
+        return features;
+    };
+
+    // Replaces a layer's retrieval of GetFeature responses with a function returning the specified responses,
+    // and records the URLs requested.
+    var stubRetrieval = function (layer, responseForUrl) {
+        layer.requestedUrls = [];
+        layer.retrieveFeatureCollection = function (url, callback) {
+            layer.requestedUrls.push(url);
+            callback(responseForUrl(url));
+        };
+    };
+
+    // Returns a function serving the pages of WFS 2.0 responses for a service having a specified number of features.
+    var servePages = function (numFeatures) {
+        return function (url) {
+            var startIndex = parseInt(urlParameter(url, "STARTINDEX")),
+                count = parseInt(urlParameter(url, "COUNT"));
+            return {
+                type: "FeatureCollection",
+                features: createFeatures(startIndex, Math.min(count, numFeatures - startIndex))
+            };
+        };
+    };
+
+    var urlParameter = function (url, name) {
+        var match = new RegExp("[?&]" + name + "=([^&]*)").exec(url);
+        return match ? decodeURIComponent(match[1]) : null;
+    };
+
+    var sector = new Sector(-10, 10, -20, 20);
+
+    describe("WfsLayer configuration", function () {
+        var wfs100Capabilities, wfs200Capabilities;
+
+        beforeAll(function (done) {
+            retrieveXml("../base/test/ogc/wfs/wfs100GetCapabilities.xml", function (xmlDom, error) {
+                if (!xmlDom) {
+                    done(error);
+                    return;
+                }
+
+                wfs100Capabilities = new WfsCapabilities(xmlDom);
+                retrieveXml("../base/test/ogc/wfs/wfs200GetCapabilities.xml", function (xmlDom, error) {
+                    if (xmlDom) {
+                        wfs200Capabilities = new WfsCapabilities(xmlDom);
+                    }
+                    done(error);
+                });
+            });
+        });
+
+        it("Forms a configuration from WFS 1.0.0 capabilities", function () {
+            var config = WfsLayer.formLayerConfiguration(wfs100Capabilities, "topp:tasmania_roads");
+
+            expect(config.service).toBe("http://localhost:8080/geoserver/wfs?request=GetFeature");
+            expect(config.version).toBe("1.0.0");
+            expect(config.outputFormat).toBe("JSON");
+            expect(config.sector.minLatitude).toBe(-43.42);
+            expect(config.sector.maxLatitude).toBe(-40.88);
+            expect(config.sector.minLongitude).toBe(145.19);
+            expect(config.sector.maxLongitude).toBe(148.27);
+
+            expect(new WfsLayer(config).displayName).toBe("Tasmania roads");
+        });
+
+        it("Forms a configuration from WFS 2.0.0 capabilities", function () {
+            var config = WfsLayer.formLayerConfiguration(wfs200Capabilities, "topp:states");
+
+            expect(config.service).toContain("http://localhost:8080/geoserver/wfs");
+            expect(config.version).toBe("2.0.0");
+            expect(config.outputFormat).toBe("application/json");
+            expect(config.sector.minLatitude).toBe(24.96);
+            expect(config.sector.maxLongitude).toBe(-66.97);
+        });
+
+        it("Orders the bounding box of WFS 1.0.0 requests longitude first", function () {
+            var layer = new WfsLayer({service: "http://localhost/wfs", typeNames: "topp:roads", version: "1.0.0"}),
+                url = layer.urlForFeatures(sector, -1, 100);
+
+            expect(urlParameter(url, "TYPENAME")).toBe("topp:roads");
+            expect(urlParameter(url, "MAXFEATURES")).toBe("100");
+            expect(urlParameter(url, "BBOX")).toBe("-20,-10,20,10");
+            expect(urlParameter(url, "STARTINDEX")).toBeNull();
+        });
+
+        it("Orders the bounding box of WFS 2.0.0 requests latitude first", function () {
+            var layer = new WfsLayer({service: "http://localhost/wfs?map=test", typeNames: "topp:roads"}),
+                url = layer.urlForFeatures(sector, 20, 10);
+
+            expect(url.indexOf("http://localhost/wfs?map=test&SERVICE=WFS")).toBe(0);
+            expect(urlParameter(url, "TYPENAMES")).toBe("topp:roads");
+            expect(urlParameter(url, "COUNT")).toBe("10");
+            expect(urlParameter(url, "STARTINDEX")).toBe("20");
+            expect(urlParameter(url, "BBOX")).toBe("-10,-20,10,20,urn:ogc:def:crs:EPSG::4326");
+        });
+    });
+
+    describe("WfsLayer feature retrieval", function () {
+        var canvas;
+
+        beforeEach(function () {
+            canvas = document.createElement("canvas");
+        });
+
+        it("Displays GeoJSON features", function () {
+            var layer = new WfsLayer({service: "http://localhost/wfs", typeNames: "topp:cities"});
+            stubRetrieval(layer, function () {
+                return {type: "FeatureCollection", features: createFeatures(0, 3)};
+            });
+
+            layer.retrieveFeatures(sector, canvas);
+
+            expect(layer.requestedUrls.length).toBe(1);
+            expect(layer.renderables.length).toBe(3);
+            expect(layer.renderables[1].label).toBe("City 1");
+            expect(layer.featuresTruncated).toBe(false);
+        });
+
+        it("Displays GML features", function (done) {
+            retrieveXml("../base/test/ogc/wfs/wfs100GetFeature.xml", function (xmlDom, error) {
+                if (!xmlDom) {
+                    done(error);
+                    return;
+                }
+
+                var layer = new WfsLayer({
+                    service: "http://localhost/wfs",
+                    typeNames: "topp:tasmania_roads,topp:tasmania_water_bodies",
+                    version: "1.0.0",
+                    outputFormat: "GML2"
+                });
+                stubRetrieval(layer, function () {
+                    return WfsLayer.parseGmlResponse(xmlDom);
+                });
+
+                layer.retrieveFeatures(sector, canvas);
+
+                expect(urlParameter(layer.requestedUrls[0], "SRSNAME")).toBe("EPSG:4326");
+                expect(layer.renderables.length).toBe(2);
+                expect(layer.renderables[0] instanceof SurfacePolyline).toBe(true);
+                expect(layer.renderables[1] instanceof SurfacePolygon).toBe(true);
+                done();
+            });
+        });
+
+        it("Reports the number of GML features matched", function () {
+            var parser = new DOMParser(),
+                wfsNamespace = "http://www.opengis.net/wfs/2.0",
+                matched = parser.parseFromString('<wfs:FeatureCollection xmlns:wfs="' + wfsNamespace +
+                    '" numberMatched="12" numberReturned="0"/>', "text/xml"),
+                unknown = parser.parseFromString('<wfs:FeatureCollection xmlns:wfs="' + wfsNamespace +
+                    '" numberMatched="unknown" numberReturned="0"/>', "text/xml");
+
+            expect(WfsLayer.parseGmlResponse(matched).numberMatched).toBe("12");
+            expect(WfsLayer.parseGmlResponse(unknown).numberMatched).toBe("unknown");
+        });
+
+        it("Requests the features of WFS 2.0 services a page at a time", function () {
+            var layer = new WfsLayer({
+                service: "http://localhost/wfs",
+                typeNames: "topp:cities",
+                maxFeatures: 100,
+                pageSize: 4
+            });
+            stubRetrieval(layer, servePages(10));
+
+            layer.retrieveFeatures(sector, canvas);
+
+            expect(layer.requestedUrls.map(function (url) {
+                return urlParameter(url, "STARTINDEX");
+            })).toEqual(["0", "4", "8"]);
+            expect(layer.renderables.length).toBe(10);
+            expect(layer.featuresTruncated).toBe(false);
+        });
+
+        it("Limits the features of WFS 2.0 services to the maximum feature count", function () {
+            var layer = new WfsLayer({
+                service: "http://localhost/wfs",
+                typeNames: "topp:cities",
+                maxFeatures: 6,
+                pageSize: 4
+            });
+            stubRetrieval(layer, servePages(10));
+
+            layer.retrieveFeatures(sector, canvas);
+
+            // Each request asks for one feature more than it displays to learn whether more features remain.
+            expect(layer.requestedUrls.map(function (url) {
+                return urlParameter(url, "COUNT");
+            })).toEqual(["5", "3"]);
+            expect(layer.renderables.length).toBe(6);
+            expect(layer.featuresTruncated).toBe(true);
+        });
+
+        it("Limits the features of WFS 1.x services to the maximum feature count", function () {
+            var layer = new WfsLayer({
+                service: "http://localhost/wfs",
+                typeNames: "topp:cities",
+                version: "1.1.0",
+                maxFeatures: 5
+            });
+            stubRetrieval(layer, function (url) {
+                var maxFeatures = parseInt(urlParameter(url, "MAXFEATURES"));
+                return {type: "FeatureCollection", features: createFeatures(0, Math.min(maxFeatures, 10))};
+            });
+
+            layer.retrieveFeatures(sector, canvas);
+
+            expect(layer.requestedUrls.length).toBe(1);
+            expect(urlParameter(layer.requestedUrls[0], "MAXFEATURES")).toBe("6");
+            expect(layer.renderables.length).toBe(5);
+            expect(layer.featuresTruncated).toBe(true);
+        });
+
+        it("Doesn't truncate the features of services having exactly the maximum feature count", function () {
+            var layer = new WfsLayer({
+                    service: "http://localhost/wfs",
+                    typeNames: "topp:cities",
+                    maxFeatures: 8,
+                    pageSize: 4
+                }),
+                layer1x = new WfsLayer({
+                    service: "http://localhost/wfs",
+                    typeNames: "topp:cities",
+                    version: "1.1.0",
+                    maxFeatures: 5
+                });
+            stubRetrieval(layer, servePages(8));
+            stubRetrieval(layer1x, function (url) {
+                var maxFeatures = parseInt(urlParameter(url, "MAXFEATURES"));
+                return {type: "FeatureCollection", features: createFeatures(0, Math.min(maxFeatures, 5))};
+            });
+
+            layer.retrieveFeatures(sector, canvas);
+            layer1x.retrieveFeatures(sector, canvas);
+
+            expect(layer.requestedUrls.length).toBe(2);
+            expect(layer.renderables.length).toBe(8);
+            expect(layer.featuresTruncated).toBe(false);
+            expect(layer1x.renderables.length).toBe(5);
+            expect(layer1x.featuresTruncated).toBe(false);
+        });
+
+        it("Determines whether features remain from the number of features matched", function () {
+            var layer = new WfsLayer({
+                service: "http://localhost/wfs",
+                typeNames: "topp:cities",
+                maxFeatures: 100,
+                pageSize: 4
+            });
+
+            // The service returns at most 3 features at a time.
+            stubRetrieval(layer, function (url) {
+                var startIndex = parseInt(urlParameter(url, "STARTINDEX"));
+                return {
+                    type: "FeatureCollection",
+                    numberMatched: 7,
+                    features: createFeatures(startIndex, Math.min(3, 7 - startIndex))
+                };
+            });
+
+            layer.retrieveFeatures(sector, canvas);
+
+            expect(layer.requestedUrls.map(function (url) {
+                return urlParameter(url, "STARTINDEX");
+            })).toEqual(["0", "3", "6"]);
+            expect(layer.renderables.length).toBe(7);
+            expect(layer.featuresTruncated).toBe(false);
+
+            layer.maxFeatures = 5;
+            layer.retrieveFeatures(sector, canvas);
+
+            expect(layer.renderables.length).toBe(5);
+            expect(layer.featuresTruncated).toBe(true);
+        });
+
+        it("Backs off after failed requests", function () {
+            var layer = new WfsLayer({service: "http://localhost/wfs", typeNames: "topp:cities"}),
+                response = null;
+            layer.refreshDelay = 500;
+            layer.maxRetryDelay = 3000;
+            stubRetrieval(layer, function () {
+                return response;
+            });
+
+            layer.retrieveFeatures(sector, canvas);
+            expect(layer.requestDelay()).toBe(1000);
+
+            layer.retrieveFeatures(sector, canvas);
+            expect(layer.requestDelay()).toBe(2000);
+
+            layer.retrieveFeatures(sector, canvas);
+            expect(layer.requestDelay()).toBe(3000);
+            expect(layer.requestedSector).toBeNull();
+
+            response = {type: "FeatureCollection", features: createFeatures(0, 1)};
+            layer.retrieveFeatures(sector, canvas);
+            expect(layer.requestDelay()).toBe(500);
+        });
+    });
+});
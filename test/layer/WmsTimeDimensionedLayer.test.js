@@ -0,0 +1,264 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/geom/Location',
+    'src/geom/Matrix',
+    'src/util/PeriodicTimeSequence',
+    'src/geom/Sector',
+    'src/layer/WmsLayer',
+    'src/layer/WmsTimeDimensionedLayer'
+], function (Location, Matrix, PeriodicTimeSequence, Sector, WmsLayer, WmsTimeDimensionedLayer) {
+    "use strict";
+
+    describe("WmsTimeDimensionedLayer", function () {
+        var config = {
+            service: "https://example.com/wms",
+            layerNames: "temperature",
+            styleNames: "",
+            title: "Temperature",
+            sector: new Sector(-90, 90, -180, 180),
+            levelZeroDelta: new Location(36, 36),
+            numLevels: 5,
+            format: "image/png",
+            size: 256,
+            version: "1.3.0"
+        };
+
+        var layer, dc;
+
+        var iso = function (time) {
+            return time.toISOString().substring(0, 10);
+        };
+
+        // Displays a frame at the specified time, in milliseconds since playback started.
+        var renderFrame = function (timestamp) {
+            dc.timestamp = timestamp;
+            layer.doRender(dc);
+        };
+
+        // Makes the imagery of a time appear to have arrived.
+        var makeReady = function (date) {
+            var subLayer = layer.layerForTime(new Date(date));
+            subLayer.currentTilesInvalid = false;
+            subLayer.currentTiles = [];
+            return subLayer;
+        };
+
+        beforeEach(function () {
+            spyOn(WmsLayer.prototype, "doRender");
+
+            layer = new WmsTimeDimensionedLayer(config);
+            layer.timeSequence = new PeriodicTimeSequence("2020-01-01/2020-01-03/P1D");
+            layer.crossFadeDuration = 0;
+            layer.prefetchCount = 0;
+
+            dc = {timestamp: 0, redrawRequested: false, terrain: null};
+        });
+
+        describe("Playback", function () {
+            it("Requires a time sequence to play", function () {
+                layer.timeSequence = null;
+                expect(function () {
+                    layer.play();
+                }).toThrow();
+            });
+
+            it("Starts at the start time and requests redraws while playing", function () {
+                layer.play();
+                renderFrame(0);
+
+                expect(layer.playing).toBe(true);
+                expect(iso(layer.time)).toBe("2020-01-01");
+                expect(dc.redrawRequested).toBe(true);
+            });
+
+            it("Pauses at the current time and resumes from it", function () {
+                makeReady("2020-01-02");
+                layer.play();
+                renderFrame(0);
+                renderFrame(1000);
+                layer.pause();
+                renderFrame(5000);
+
+                expect(layer.playing).toBe(false);
+                expect(iso(layer.time)).toBe("2020-01-02");
+
+                layer.play();
+                expect(iso(layer.time)).toBe("2020-01-02");
+            });
+
+            it("Stops and returns to the start time", function () {
+                makeReady("2020-01-02");
+                layer.play();
+                renderFrame(0);
+                renderFrame(1000);
+                layer.stop();
+
+                expect(layer.playing).toBe(false);
+                expect(iso(layer.time)).toBe("2020-01-01");
+                expect(iso(layer.timeSequence.currentTime)).toBe("2020-01-01");
+            });
+        });
+
+        describe("Step advancement", function () {
+            it("Moves to the next time after the step duration, scaled by the playback rate", function () {
+                var changes = [];
+                layer.onTimeChange = function (time) {
+                    changes.push(iso(time));
+                };
+                layer.playbackRate = 2;
+                makeReady("2020-01-02");
+                makeReady("2020-01-03");
+                makeReady("2020-01-01");
+
+                layer.play();
+                renderFrame(0);
+                renderFrame(499);
+                expect(iso(layer.time)).toBe("2020-01-01");
+
+                renderFrame(500);
+                expect(iso(layer.time)).toBe("2020-01-02");
+                expect(iso(layer.timeSequence.currentTime)).toBe("2020-01-02");
+
+                renderFrame(1000);
+                renderFrame(1500);
+                expect(iso(layer.time)).toBe("2020-01-01");
+                expect(changes).toEqual(["2020-01-02", "2020-01-03", "2020-01-01"]);
+            });
+
+            it("Pauses at the end time when not looping", function () {
+                layer.loop = false;
+                makeReady("2020-01-02");
+                makeReady("2020-01-03");
+
+                layer.play();
+                renderFrame(0);
+                renderFrame(1000);
+                renderFrame(2000);
+                renderFrame(3000);
+
+                expect(iso(layer.time)).toBe("2020-01-03");
+                expect(layer.playing).toBe(false);
+            });
+
+            it("Waits for the next time's imagery", function () {
+                var next = makeReady("2020-01-02");
+                next.currentRetrievals = ["tile"];
+
+                layer.play();
+                renderFrame(0);
+                renderFrame(1000);
+                renderFrame(2000);
+                expect(iso(layer.time)).toBe("2020-01-01");
+
+                next.currentRetrievals = [];
+                renderFrame(2100);
+                expect(iso(layer.time)).toBe("2020-01-02");
+            });
+
+            it("Moves on once the readiness timeout elapses", function () {
+                makeReady("2020-01-02").currentRetrievals = ["tile"];
+                layer.readinessTimeout = 3000;
+
+                layer.play();
+                renderFrame(0);
+                renderFrame(3999);
+                expect(iso(layer.time)).toBe("2020-01-01");
+
+                renderFrame(4000);
+                expect(iso(layer.time)).toBe("2020-01-02");
+            });
+
+            it("Doesn't wait for tiles whose image the server failed to provide", function () {
+                var next = makeReady("2020-01-02");
+                next.currentTiles = [{imagePath: "missing", fallbackTile: {}}];
+
+                layer.play();
+                renderFrame(0);
+                renderFrame(1000);
+                expect(iso(layer.time)).toBe("2020-01-01");
+
+                next.absentResourceList.markResourceAbsent("missing");
+                renderFrame(1100);
+                expect(iso(layer.time)).toBe("2020-01-02");
+            });
+        });
+
+        it("Reports the retrievals of the times it displays", function () {
+            var next = makeReady("2020-01-02");
+            layer.crossFadeDuration = 1000;
+            layer.play();
+            renderFrame(0);
+
+            layer.layerForTime(new Date("2020-01-01")).currentRetrievals = ["a"];
+            expect(layer.currentRetrievals).toEqual(["a"]);
+
+            // Both times are displayed while cross-fading.
+            renderFrame(1000);
+            next.currentRetrievals = ["b"];
+            expect(layer.currentRetrievals).toEqual(["b", "a"]);
+        });
+
+        describe("Prefetch", function () {
+            it("Assembles the tiles of the upcoming times for the current view", function () {
+                var assembled = [];
+                spyOn(WmsLayer.prototype, "assembleTiles").and.callFake(function () {
+                    assembled.push(this);
+                });
+
+                layer.prefetchCount = 2;
+                dc.terrain = {};
+                dc.modelviewProjection = Matrix.fromIdentity();
+                dc.globeStateKey = "globe";
+
+                layer.play();
+                renderFrame(0);
+
+                expect(assembled).toEqual([
+                    layer.layerForTime(new Date("2020-01-02")),
+                    layer.layerForTime(new Date("2020-01-03"))
+                ]);
+
+                // The upcoming tiles are assembled again only when the view changes.
+                renderFrame(10);
+                expect(assembled.length).toBe(2);
+
+                dc.modelviewProjection = Matrix.fromIdentity();
+                dc.modelviewProjection[3] = 1;
+                renderFrame(20);
+                expect(assembled.length).toBe(4);
+            });
+
+            it("Doesn't prefetch the current time when the sequence wraps around", function () {
+                var assembled = [];
+                spyOn(WmsLayer.prototype, "assembleTiles").and.callFake(function () {
+                    assembled.push(this);
+                });
+
+                layer.prefetchCount = 5;
+                dc.terrain = {};
+                dc.modelviewProjection = Matrix.fromIdentity();
+
+                layer.play();
+                renderFrame(0);
+
+                expect(assembled.length).toBe(2);
+                expect(assembled).not.toContain(layer.layerForTime(new Date("2020-01-01")));
+            });
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/navigate/CameraNavigator',
+    'src/globe/ElevationModel',
+    'src/globe/Globe',
+    'src/navigate/LookAtNavigator',
+    'src/geom/Matrix',
+    'src/geom/Vec3',
+    'src/WorldWind'
+], function (CameraNavigator, ElevationModel, Globe, LookAtNavigator, Matrix, Vec3, WorldWind) {
+    "use strict";
+
+    var globe = new Globe(new ElevationModel());
+
+    // Compares the viewing matrices' rotation and eye point, to within a meter, rather than their translation components,
+    // which magnify insignificant rotation differences by the globe's radius.
+    var expectSameView = function (actual, expected) {
+        var actualEye = actual.extractEyePoint(new Vec3(0, 0, 0)),
+            expectedEye = expected.extractEyePoint(new Vec3(0, 0, 0));
+
+        for (var i = 0; i < 3; i++) {
+            expect(actualEye[i]).toBeCloseTo(expectedEye[i], 0);
+            for (var j = 0; j < 3; j++) {
+                expect(actual[i * 4 + j]).toBeCloseTo(expected[i * 4 + j], 4);
+            }
+        }
+    };
+
+    describe("CameraNavigator tests", function () {
+
+        it("Computes a first-person viewing transform from its eye position", function () {
+            var navigator = new CameraNavigator();
+            navigator.eyePosition.latitude = 40;
+            navigator.eyePosition.longitude = -105;
+            navigator.eyePosition.altitude = 5000;
+            navigator.heading = 30;
+            navigator.tilt = 60;
+
+            var modelview = navigator.applyViewingTransform(Matrix.fromIdentity(), globe),
+                eyePoint = modelview.extractEyePoint(new Vec3(0, 0, 0)),
+                expectedEyePoint = globe.computePointFromPosition(40, -105, 5000, new Vec3(0, 0, 0));
+
+            expect(eyePoint[0]).toBeCloseTo(expectedEyePoint[0], 3);
+            expect(eyePoint[1]).toBeCloseTo(expectedEyePoint[1], 3);
+            expect(eyePoint[2]).toBeCloseTo(expectedEyePoint[2], 3);
+        });
+
+        it("Matches the view of a look-at navigator", function () {
+            var lookAt = new LookAtNavigator();
+            lookAt.lookAtLocation.latitude = 45;
+            lookAt.lookAtLocation.longitude = 10;
+            lookAt.range = 20000;
+            lookAt.heading = 45;
+            lookAt.tilt = 70;
+
+            var expected = lookAt.applyViewingTransform(Matrix.fromIdentity(), globe),
+                camera = new CameraNavigator().setFromModelview(expected, globe);
+
+            expectSameView(camera.applyViewingTransform(Matrix.fromIdentity(), globe), expected);
+        });
+
+        it("Is matched by a look-at navigator", function () {
+            var camera = new CameraNavigator();
+            camera.eyePosition.latitude = -20;
+            camera.eyePosition.longitude = 130;
+            camera.eyePosition.altitude = 15000;
+            camera.heading = -60;
+            camera.tilt = 40;
+
+            var expected = camera.applyViewingTransform(Matrix.fromIdentity(), globe),
+                lookAt = new LookAtNavigator().setFromModelview(expected, globe);
+
+            expectSameView(lookAt.applyViewingTransform(Matrix.fromIdentity(), globe), expected);
+        });
+
+        it("Computes the look-at parameters of its view", function () {
+            var camera = new CameraNavigator();
+            camera.eyePosition.latitude = 10;
+            camera.eyePosition.longitude = 20;
+            camera.eyePosition.altitude = 8000;
+            camera.heading = 90;
+            camera.tilt = 0; // looking straight down
+
+            var lookAt = camera.getAsLookAt(globe, {});
+
+            expect(lookAt.lookAtLocation.latitude).toBeCloseTo(10, 6);
+            expect(lookAt.lookAtLocation.longitude).toBeCloseTo(20, 6);
+            expect(lookAt.range).toBeCloseTo(8000, 3);
+            expect(lookAt.heading).toBeCloseTo(90, 6);
+            expect(lookAt.tilt).toBeCloseTo(0, 3);
+        });
+
+        it("Produces the view of specified look-at parameters", function () {
+            var lookAtNavigator = new LookAtNavigator();
+            lookAtNavigator.lookAtLocation.latitude = 35;
+            lookAtNavigator.lookAtLocation.longitude = -80;
+            lookAtNavigator.range = 50000;
+            lookAtNavigator.heading = 20;
+            lookAtNavigator.tilt = 45;
+
+            var lookAt = lookAtNavigator.getAsLookAt(globe, {}),
+                camera = new CameraNavigator().setAsLookAt(globe, lookAt),
+                result = camera.getAsLookAt(globe, {});
+
+            expectSameView(camera.applyViewingTransform(Matrix.fromIdentity(), globe),
+                lookAtNavigator.applyViewingTransform(Matrix.fromIdentity(), globe));
+            expect(result.lookAtLocation.latitude).toBeCloseTo(35, 4);
+            expect(result.lookAtLocation.longitude).toBeCloseTo(-80, 4);
+            expect(result.range).toBeCloseTo(50000, 2);
+            expect(result.heading).toBeCloseTo(20, 4);
+            expect(result.tilt).toBeCloseTo(45, 4);
+        });
+
+        it("Moves forward along its direction of view", function () {
+            var navigator = new CameraNavigator();
+            navigator.eyePosition.latitude = 0;
+            navigator.eyePosition.longitude = 0;
+            navigator.eyePosition.altitude = 10000;
+            navigator.tilt = 0; // looking straight down
+
+            navigator.move(4000, 0, globe);
+
+            expect(navigator.eyePosition.latitude).toBeCloseTo(0, 6);
+            expect(navigator.eyePosition.longitude).toBeCloseTo(0, 6);
+            expect(navigator.eyePosition.altitude).toBeCloseTo(6000, 3);
+        });
+    });
+});
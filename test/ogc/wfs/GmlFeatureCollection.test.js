@@ -0,0 +1,128 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/ogc/gml/GmlFeatureCollection'
+], function (GmlFeatureCollection) {
+    "use strict";
+
+    var retrieveXml = function (url, callback) {
+        var xhr = new XMLHttpRequest();
+        xhr.open("GET", url, true);
+        xhr.addEventListener('load', function () {
+            if (xhr.readyState === 4) {
+                if (xhr.status === 200) {
+                    callback(xhr.responseXML);
+                } else {
+                    callback(null, "Test WFS GetFeature Retrieval Error: " + xhr.statusText);
+                }
+            }
+        });
+        xhr.send(null);
+    };
+
+    describe("Constructor testing", function () {
+
+        it("should throw an exception when nothing is provided as an argument", function () {
+            expect((function () {new GmlFeatureCollection(null)})).toThrow();
+        });
+    });
+
+    describe("WFS 2.0.0 GML 3.2 Feature Collection", function () {
+        var features;
+
+        beforeAll(function (done) {
+            retrieveXml("../base/test/ogc/wfs/wfs200GetFeature.xml", function (xmlDom, error) {
+                if (xmlDom) {
+                    features = new GmlFeatureCollection(xmlDom.documentElement).features;
+                }
+                done(error);
+            });
+        });
+
+        it("should contain each member", function () {
+            expect(features.length).toBe(4);
+            expect(features[0].id).toBe("cities.1");
+            expect(features[3].id).toBe("states.1");
+        });
+
+        it("should read simple properties", function () {
+            expect(features[0].properties).toEqual({name: "New York", population: "8336817"});
+        });
+
+        it("should read points in latitude, longitude order for EPSG:4326 URNs", function () {
+            expect(features[0].geometry).toEqual({type: "Point", coordinates: [-74.0, 40.7]});
+        });
+
+        it("should read three dimensional line strings in latitude, longitude order for EPSG:4326 URIs", function () {
+            expect(features[1].geometry).toEqual({type: "LineString", coordinates: [[20, 10], [21, 11], [22, 12]]});
+        });
+
+        it("should read polygons with holes in longitude, latitude order for EPSG codes", function () {
+            expect(features[2].geometry).toEqual({
+                type: "Polygon",
+                coordinates: [
+                    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                    [[2, 2], [4, 2], [4, 4], [2, 2]]
+                ]
+            });
+        });
+
+        it("should read multi surfaces using the srsName of the aggregate", function () {
+            expect(features[3].geometry).toEqual({
+                type: "MultiPolygon",
+                coordinates: [
+                    [[[-100, 30], [-90, 30], [-90, 40], [-100, 30]]],
+                    [[[-80, 45], [-70, 45], [-70, 50], [-80, 45]]]
+                ]
+            });
+        });
+    });
+
+    describe("WFS 1.0.0 GML 2 Feature Collection", function () {
+        var collection;
+
+        beforeAll(function (done) {
+            retrieveXml("../base/test/ogc/wfs/wfs100GetFeature.xml", function (xmlDom, error) {
+                if (xmlDom) {
+                    collection = new GmlFeatureCollection(xmlDom.documentElement).toGeoJSON();
+                }
+                done(error);
+            });
+        });
+
+        it("should form a GeoJSON feature collection", function () {
+            expect(collection.type).toBe("FeatureCollection");
+            expect(collection.features.length).toBe(2);
+            expect(collection.features[0].id).toBe("tasmania_roads.1");
+            expect(collection.features[1].properties).toEqual({CNTRY_NAME: "Australia"});
+        });
+
+        it("should read multi line strings from coordinates", function () {
+            expect(collection.features[0].geometry).toEqual({
+                type: "MultiLineString",
+                coordinates: [[[146.46, -41.24], [146.57, -41.25], [146.64, -41.26]]]
+            });
+        });
+
+        it("should read polygons from outer boundaries", function () {
+            expect(collection.features[1].geometry).toEqual({
+                type: "Polygon",
+                coordinates: [[[146, -42], [147, -42], [147, -41], [146, -42]]]
+            });
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/ogc/WfsCapabilities'
+], function (WfsCapabilities) {
+    "use strict";
+
+    var retrieveXml = function (url, callback) {
+        var xhr = new XMLHttpRequest();
+        xhr.open("GET", url, true);
+        xhr.addEventListener('load', function () {
+            if (xhr.readyState === 4) {
+                if (xhr.status === 200) {
+                    callback(xhr.responseXML);
+                } else {
+                    callback(null, "Test WFS Capabilities Retrieval Error: " + xhr.statusText);
+                }
+            }
+        });
+        xhr.send(null);
+    };
+
+    describe("WFS 1.0.0 Capabilities Parsing", function () {
+        var capabilities;
+
+        beforeAll(function (done) {
+            retrieveXml("../base/test/ogc/wfs/wfs100GetCapabilities.xml", function (xmlDom, error) {
+                if (xmlDom) {
+                    capabilities = new WfsCapabilities(xmlDom);
+                }
+                done(error);
+            });
+        });
+
+        it("should have version 1.0.0", function () {
+            expect(capabilities.version).toBe("1.0.0");
+        });
+
+        it("should read the GetFeature URL from the Capability element", function () {
+            expect(capabilities.getFeatureBaseUrl()).toBe("http://localhost:8080/geoserver/wfs?request=GetFeature");
+            expect(capabilities.capability.request.getFeature.postUrl).toBe("http://localhost:8080/geoserver/wfs");
+        });
+
+        it("should read the GetFeature result formats", function () {
+            expect(capabilities.capability.request.getFeature.formats).toEqual(["GML2", "GML3", "JSON"]);
+        });
+
+        it("should read the feature type's SRS and lat-long bounding box", function () {
+            var featureType = capabilities.getFeatureType("topp:tasmania_roads");
+
+            expect(featureType.title).toBe("Tasmania roads");
+            expect(featureType.srs).toBe("EPSG:4326");
+            expect(featureType.latLongBoundingBox).toEqual({minx: 145.19, miny: -43.42, maxx: 148.27, maxy: -40.88});
+        });
+    });
+
+    describe("WFS 2.0.0 Capabilities Parsing", function () {
+        var capabilities;
+
+        beforeAll(function (done) {
+            retrieveXml("../base/test/ogc/wfs/wfs200GetCapabilities.xml", function (xmlDom, error) {
+                if (xmlDom) {
+                    capabilities = new WfsCapabilities(xmlDom);
+                }
+                done(error);
+            });
+        });
+
+        it("should read the GetFeature URL from the operations metadata", function () {
+            expect(capabilities.getFeatureBaseUrl()).toContain("http://localhost:8080/geoserver/wfs");
+        });
+
+        it("should read the feature type's output formats and WGS84 bounding box", function () {
+            var featureType = capabilities.getFeatureType("topp:states");
+
+            expect(featureType.outputFormats).toEqual(["application/gml+xml; version=3.2", "application/json"]);
+            expect(featureType.wgs84BoundingBox.lowerCorner).toEqual([-124.73, 24.96]);
+            expect(featureType.wgs84BoundingBox.upperCorner).toEqual([-66.97, 49.37]);
+        });
+
+        it("should return null for feature types the service does not offer", function () {
+            expect(capabilities.getFeatureType("topp:cities")).toBeNull();
+        });
+    });
+});
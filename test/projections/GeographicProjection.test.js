@@ -0,0 +1,125 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/projections/ProjectionAlbersEqualArea',
+    'src/projections/ProjectionLambertConformalConic',
+    'src/projections/ProjectionRobinson',
+    'src/projections/ProjectionTransverseMercator',
+    'src/geom/Position',
+    'src/geom/Vec3'
+], function (ProjectionAlbersEqualArea,
+             ProjectionLambertConformalConic,
+             ProjectionRobinson,
+             ProjectionTransverseMercator,
+             Position,
+             Vec3) {
+    "use strict";
+
+    // The projections use only the globe's equatorial radius. A unit radius matches the numerical examples in
+    // "Map Projections -- A Working Manual", Snyder, USGS paper 1395.
+    var unitGlobe = {equatorialRadius: 1};
+
+    var locations = [
+        [35, -75], [23, -96], [60, -130], [-10, 20], [45, 150], [0, -96]
+    ];
+
+    // Verifies that each location projects to a point that inverts to the same location, and that the north tangent
+    // at each location points in the direction of increasing latitude.
+    var expectConsistent = function (projection, locations) {
+        var point = new Vec3(0, 0, 0),
+            north = new Vec3(0, 0, 0),
+            tangent = new Vec3(0, 0, 0),
+            position = new Position(0, 0, 0);
+
+        for (var i = 0; i < locations.length; i++) {
+            var lat = locations[i][0],
+                lon = locations[i][1];
+
+            projection.geographicToCartesian(unitGlobe, lat, lon, 10, null, point);
+            projection.cartesianToGeographic(unitGlobe, point[0], point[1], point[2], null, position);
+            expect(position.latitude).toBeCloseTo(lat, 6);
+            expect(position.longitude).toBeCloseTo(lon, 6);
+            expect(position.altitude).toBe(10);
+
+            projection.geographicToCartesian(unitGlobe, lat + 0.001, lon, 10, null, north);
+            north.subtract(point).normalize();
+            projection.northTangentAtLocation(unitGlobe, lat, lon, tangent);
+            expect(tangent.dot(north)).toBeCloseTo(1, 3);
+        }
+    };
+
+    describe("GeographicProjection subclasses", function () {
+        it("projects Lambert Conformal Conic coordinates", function () {
+            var projection = new ProjectionLambertConformalConic(33, 45, -96, 23),
+                point = projection.geographicToCartesian(unitGlobe, 35, -75, 0, null, new Vec3(0, 0, 0));
+
+            // Snyder, pg. 295.
+            expect(point[0]).toBeCloseTo(0.2966785, 6);
+            expect(point[1]).toBeCloseTo(0.2462112, 6);
+            expectConsistent(projection, locations);
+            expectConsistent(new ProjectionLambertConformalConic(-20, -40, 130, -30), [[-25, 140], [10, 100]]);
+        });
+
+        it("projects Albers Equal Area coordinates", function () {
+            var projection = new ProjectionAlbersEqualArea(29.5, 45.5, -96, 23),
+                point = projection.geographicToCartesian(unitGlobe, 35, -75, 0, null, new Vec3(0, 0, 0));
+
+            // Snyder, pg. 292.
+            expect(point[0]).toBeCloseTo(0.2952720, 6);
+            expect(point[1]).toBeCloseTo(0.2416774, 6);
+            expectConsistent(projection, locations.concat([[-80, 0]]));
+            expectConsistent(new ProjectionAlbersEqualArea(-20, -40, 130, -30), [[-25, 140], [10, 100]]);
+
+            expect(function () {
+                new ProjectionAlbersEqualArea(30, -30);
+            }).toThrow();
+        });
+
+        it("projects Transverse Mercator coordinates", function () {
+            var projection = new ProjectionTransverseMercator(-75),
+                point = projection.geographicToCartesian(unitGlobe, 40.5, -73.5, 0, null, new Vec3(0, 0, 0));
+
+            // Snyder, pg. 290.
+            expect(point[0]).toBeCloseTo(0.0199077, 6);
+            expect(point[1]).toBeCloseTo(0.7070276, 6);
+            expectConsistent(projection, [[40.5, -73.5], [-60, -100], [0, -50], [85, -75]]);
+        });
+
+        it("creates Transverse Mercator projections of UTM zones", function () {
+            var projection = ProjectionTransverseMercator.fromUtmZone(18);
+
+            expect(projection.centralMeridian).toBe(-75);
+            expect(projection.scaleFactor).toBe(0.9996);
+            expect(projection.projectionLimits.minLongitude).toBe(-135);
+            expect(projection.projectionLimits.maxLongitude).toBe(-15);
+            expect(ProjectionTransverseMercator.fromUtmZone(1).projectionLimits.minLongitude).toBe(-180);
+
+            expect(function () {
+                ProjectionTransverseMercator.fromUtmZone(61);
+            }).toThrow();
+        });
+
+        it("projects Robinson coordinates", function () {
+            var projection = new ProjectionRobinson(),
+                point = projection.geographicToCartesian(unitGlobe, -45, 90, 0, null, new Vec3(0, 0, 0));
+
+            expect(point[0]).toBeCloseTo(0.8487 * 0.8962 * Math.PI / 2, 9);
+            expect(point[1]).toBeCloseTo(-1.3523 * 0.5571, 9);
+            expectConsistent(projection, locations.concat([[-87.5, 170], [89, -179]]));
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/projections/ProjectionEquirectangular',
+    'src/projections/ProjectionMorph',
+    'src/projections/ProjectionWgs84',
+    'src/geom/Position',
+    'src/geom/Vec3'
+], function (ProjectionEquirectangular,
+             ProjectionMorph,
+             ProjectionWgs84,
+             Position,
+             Vec3) {
+    "use strict";
+
+    var globe = {
+        equatorialRadius: 6378137,
+        polarRadius: 6356752.3142,
+        eccentricitySquared: 0.00669437999014
+    };
+
+    describe("ProjectionMorph", function () {
+        var wgs84 = new ProjectionWgs84(),
+            equirectangular = new ProjectionEquirectangular();
+
+        it("interpolates between the points of its projections", function () {
+            var morph = new ProjectionMorph(wgs84, equirectangular),
+                start = wgs84.geographicToCartesian(globe, 30, 40, 1000, null, new Vec3(0, 0, 0)),
+                end = equirectangular.geographicToCartesian(globe, 30, 40, 1000, null, new Vec3(0, 0, 0)),
+                point = new Vec3(0, 0, 0);
+
+            expect(morph.is2D).toBe(false);
+
+            morph.factor = 0.25;
+            morph.geographicToCartesian(globe, 30, 40, 1000, null, point);
+            expect(point[0]).toBeCloseTo(0.75 * start[0] + 0.25 * end[0], 3);
+            expect(point[1]).toBeCloseTo(0.75 * start[1] + 0.25 * end[1], 3);
+            expect(point[2]).toBeCloseTo(0.75 * start[2] + 0.25 * end[2], 3);
+
+            morph.factor = 2;
+            expect(morph.factor).toBe(1);
+            expect(morph.stateKey).not.toEqual(new ProjectionMorph(wgs84, equirectangular).stateKey);
+        });
+
+        it("interpolates grids as it does individual points", function () {
+            var morph = new ProjectionMorph(wgs84, equirectangular),
+                elevations = [0, 100, 200, 300],
+                grid = new Float64Array(12),
+                point = new Vec3(0, 0, 0);
+
+            morph.factor = 0.6;
+            morph.geographicToCartesianGrid(globe, {minLatitude: 10, maxLatitude: 20, minLongitude: -30,
+                maxLongitude: -20}, 2, 2, elevations, null, null, grid);
+            morph.geographicToCartesian(globe, 20, -20, 300, null, point);
+            expect(grid[9]).toBeCloseTo(point[0], 3);
+            expect(grid[10]).toBeCloseTo(point[1], 3);
+            expect(grid[11]).toBeCloseTo(point[2], 3);
+        });
+
+        it("inverts interpolated points", function () {
+            var morph = new ProjectionMorph(wgs84, equirectangular),
+                point = new Vec3(0, 0, 0),
+                position = new Position(0, 0, 0),
+                factors = [0, 0.3, 0.5, 0.8, 1];
+
+            for (var i = 0; i < factors.length; i++) {
+                morph.factor = factors[i];
+                morph.geographicToCartesian(globe, -35, 120, 5000, null, point);
+                morph.cartesianToGeographic(globe, point[0], point[1], point[2], null, position);
+                expect(position.latitude).toBeCloseTo(-35, 6);
+                expect(position.longitude).toBeCloseTo(120, 6);
+                expect(position.altitude).toBeCloseTo(5000, 2);
+            }
+        });
+
+        it("interpolates surface normals between the globe's and the map's", function () {
+            var morph = new ProjectionMorph(wgs84, equirectangular),
+                normal = new Vec3(0, 0, 0);
+
+            morph.factor = 0.5;
+            morph.surfaceNormalAtLocation(globe, 0, 90, normal);
+            expect(normal[0]).toBeCloseTo(Math.SQRT1_2, 6);
+            expect(normal[1]).toBeCloseTo(0, 6);
+            expect(normal[2]).toBeCloseTo(Math.SQRT1_2, 6);
+        });
+    });
+});
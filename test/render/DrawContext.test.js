@@ -199,5 +199,32 @@ define([
                 expect(pixelSize).toBeCloseTo(expectedSize, 3);
             });
         });
+
+        describe("Applies vertical exaggeration to surface points when there is no terrain", function () {
+            // A globe at a constant elevation of 100 meters that stores the computed height in the point's X coordinate.
+            var mockContext = new DrawContext(new MockGlContext());
+            mockContext.globe = {
+                elevationAtLocation: function (latitude, longitude) {
+                    return 100;
+                },
+                computePointFromPosition: function (latitude, longitude, altitude, result) {
+                    return result.set(altitude, 0, 0);
+                }
+            };
+            mockContext.verticalExaggeration = 2;
+
+            it("Exaggerates the altitude in each altitude mode", function () {
+                var result = new Vec3(0, 0, 0);
+
+                mockContext.surfacePointForMode(0, 0, 50, WorldWind.ABSOLUTE, result);
+                expect(result[0]).toBe(100);
+
+                mockContext.surfacePointForMode(0, 0, 50, WorldWind.RELATIVE_TO_GROUND, result);
+                expect(result[0]).toBe(300);
+
+                mockContext.surfacePointForMode(0, 0, 50, WorldWind.CLAMP_TO_GROUND, result);
+                expect(result[0]).toBe(200);
+            });
+        });
     });
 });
\ No newline at end of file
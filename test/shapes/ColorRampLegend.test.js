@@ -0,0 +1,147 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/util/ColorRamp',
+    'src/shapes/ColorRampLegend',
+    'src/WorldWind'
+], function (Color, ColorRamp, ColorRampLegend, WorldWind) {
+    "use strict";
+
+    // Records the drawing of the legend, as the canvas is not available in every test environment.
+    var MockContext2D = function () {
+        this.labels = [];
+        this.images = [];
+    };
+
+    MockContext2D.prototype.fillText = function (text, x, y) {
+        this.labels.push({text: text, x: x, y: y});
+    };
+
+    MockContext2D.prototype.createImageData = function (width, height) {
+        return {width: width, height: height, data: new Uint8ClampedArray(4 * width * height)};
+    };
+
+    MockContext2D.prototype.putImageData = function (imageData, x, y) {
+        this.images.push({imageData: imageData, x: x, y: y});
+    };
+
+    MockContext2D.prototype.pixel = function (x, y) {
+        var imageData = this.images[0].imageData,
+            index = 4 * (y * imageData.width + x);
+
+        return Array.prototype.slice.call(imageData.data, index, index + 4);
+    };
+
+    ["fillRect", "strokeRect", "beginPath", "moveTo", "lineTo", "stroke"].forEach(function (name) {
+        MockContext2D.prototype[name] = function () {
+        };
+    });
+
+    describe("ColorRampLegend", function () {
+        var ramp, context;
+
+        beforeEach(function () {
+            ramp = new ColorRamp([
+                {value: 0, color: new Color(0, 0, 1, 1)},
+                {value: 100, color: new Color(1, 0, 0, 1)}
+            ]);
+
+            spyOn(Object.getPrototypeOf(document.createElement("canvas")), "getContext").and.callFake(function () {
+                context = new MockContext2D();
+                return context;
+            });
+        });
+
+        var labelTexts = function () {
+            return context.labels.map(function (label) {
+                return label.text;
+            });
+        };
+
+        it("Requires a color ramp", function () {
+            expect(function () {
+                new ColorRampLegend(null, null, "Elevation");
+            }).toThrow();
+        });
+
+        it("Is placed at the lower-right corner of the WorldWindow by default", function () {
+            var legend = new ColorRampLegend(null, ramp, null);
+
+            expect(legend.screenOffset.x).toBe(1);
+            expect(legend.screenOffset.y).toBe(0);
+            expect(legend.imageOffset.xUnits).toBe(WorldWind.OFFSET_INSET_PIXELS);
+        });
+
+        it("Draws the ramp from its first value at the bottom to its last at the top", function () {
+            var legend = new ColorRampLegend(null, ramp, "Elevation"),
+                bar = context.images[0].imageData,
+                top = context.pixel(0, 0),
+                bottom = context.pixel(bar.width - 1, bar.height - 1);
+
+            expect(legend.canvas.width).toBe(legend.width);
+            expect(legend.canvas.height).toBe(legend.height);
+
+            // The rows are colored at their centers, just inside the ramp's range.
+            expect(top[0]).toBeGreaterThan(250);
+            expect(top[2]).toBeLessThan(5);
+            expect(bottom[0]).toBeLessThan(5);
+            expect(bottom[2]).toBeGreaterThan(250);
+        });
+
+        it("Labels the stops with their values and the title", function () {
+            new ColorRampLegend(null, ramp, "Elevation");
+
+            expect(labelTexts()).toEqual(["Elevation", "0 m", "100 m"]);
+        });
+
+        it("Omits labels that would overlap", function () {
+            ramp = new ColorRamp([
+                {value: 0, color: Color.BLUE},
+                {value: 1, color: Color.GREEN},
+                {value: 100, color: Color.RED}
+            ]);
+
+            new ColorRampLegend(null, ramp, null);
+
+            expect(labelTexts()).toEqual(["0 m", "100 m"]);
+        });
+
+        it("Is redrawn when its color ramp is assigned", function () {
+            var legend = new ColorRampLegend(null, ramp, null),
+                imageSource = legend.imageSource;
+
+            legend.colorRamp = new ColorRamp([
+                {value: -50, color: Color.BLUE},
+                {value: 50, color: Color.RED}
+            ]);
+
+            expect(legend.imageSource).not.toBe(imageSource);
+            expect(labelTexts()).toEqual(["-50 m", "50 m"]);
+        });
+
+        it("Is redrawn with its new title and units when updated", function () {
+            var legend = new ColorRampLegend(null, ramp, null);
+
+            legend.title = "Depth";
+            legend.units = " ft";
+            legend.update();
+
+            expect(labelTexts()).toEqual(["Depth", "0 ft", "100 ft"]);
+        });
+    });
+});
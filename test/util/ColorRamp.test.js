@@ -0,0 +1,59 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/Color',
+    'src/util/ColorRamp'
+], function (Color,
+             ColorRamp) {
+    "use strict";
+
+    describe("ColorRamp", function () {
+        var ramp = new ColorRamp([
+            {value: 100, color: new Color(1, 1, 1, 1)},
+            {value: 0, color: new Color(0, 0, 0, 0)},
+            {value: 50, color: new Color(1, 0, 0, 1)}
+        ]);
+
+        it("sorts its stops", function () {
+            expect(ramp.stops[0].value).toBe(0);
+            expect(ramp.stops[2].value).toBe(100);
+        });
+
+        it("interpolates between stops", function () {
+            expect(ramp.colorBytes(25, [], 0)).toEqual([128, 0, 0, 128]);
+            expect(ramp.colorBytes(75, [], 0)).toEqual([255, 128, 128, 255]);
+            expect(ramp.colorForValue(50, new Color(0, 0, 0, 0)).equals(new Color(1, 0, 0, 1))).toBe(true);
+        });
+
+        it("clamps values outside its stops and maps NaN to transparent", function () {
+            var bytes = new Uint8ClampedArray(12);
+            ramp.colorBytes(-10, bytes, 0);
+            ramp.colorBytes(200, bytes, 4);
+            ramp.colorBytes(NaN, bytes, 8);
+
+            expect(Array.prototype.slice.call(bytes)).toEqual([0, 0, 0, 0, 255, 255, 255, 255, 0, 0, 0, 0]);
+        });
+
+        it("creates evenly spaced stops from colors", function () {
+            var evenRamp = ColorRamp.fromColors(0, 10, [Color.RED, Color.GREEN, Color.BLUE]);
+
+            expect(evenRamp.stops[1].value).toBe(5);
+            expect(evenRamp.colorBytes(5, [], 0)).toEqual([0, 255, 0, 255]);
+            expect(evenRamp.stateKey()).not.toEqual(ramp.stateKey());
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/formats/geotiff/GeoTiffConstants',
+    'src/formats/geotiff/GeoTiffReader',
+    'src/util/GeoreferencedSnapshot',
+    'src/geom/Line',
+    'src/projections/ProjectionEquirectangular',
+    'src/projections/ProjectionLambertConformalConic',
+    'src/projections/ProjectionUPS',
+    'src/projections/ProjectionWgs84',
+    'src/geom/Vec3'
+], function (GeoTiffConstants,
+             GeoTiffReader,
+             GeoreferencedSnapshot,
+             Line,
+             ProjectionEquirectangular,
+             ProjectionLambertConformalConic,
+             ProjectionUPS,
+             ProjectionWgs84,
+             Vec3) {
+    "use strict";
+
+    var Key = GeoTiffConstants.Key;
+
+    var MockGlobe = function (projection) {
+        this.projection = projection;
+        this.equatorialRadius = 6378137;
+    };
+
+    MockGlobe.prototype.is2D = function () {
+        return this.projection.is2D;
+    };
+
+    // A WorldWindow whose 200 x 100 viewport looks straight down at the plane z = 0, or whose view is foreshortened
+    // toward the top of the viewport, as by a tilt.
+    var MockWorldWindow = function (tilted) {
+        this.viewport = {width: 200, height: 100};
+        this.tilted = tilted;
+    };
+
+    MockWorldWindow.prototype.rayThroughScreenPoint = function (point) {
+        // The screen point (x, y) is at (100 + 2x, 500 - 3y) on the plane when looking straight down.
+        var scale = this.tilted ? 1 + (100 - point[1]) / 100 : 1,
+            origin = new Vec3(300, 350, 1000),
+            target = new Vec3(300 + scale * (2 * point[0] - 200), 500 - 3 * point[1], 0);
+
+        return new Line(origin, target.subtract(origin).normalize());
+    };
+
+    describe("GeoreferencedSnapshot", function () {
+        it("uses EPSG geographic coordinates for the equirectangular projection", function () {
+            var crs = GeoreferencedSnapshot.coordinateSystem(new MockGlobe(new ProjectionEquirectangular()));
+
+            expect(crs.geoKeys[Key.GTModelTypeGeoKey]).toBe(GeoTiffConstants.ModelType.GEOGRAPHIC);
+            expect(crs.geoKeys[Key.GeographicTypeGeoKey]).toBe(4326);
+            expect(crs.scale * Math.PI * 6378137).toBeCloseTo(180, 10);
+        });
+
+        it("offsets UPS coordinates by the false easting and northing", function () {
+            var crs = GeoreferencedSnapshot.coordinateSystem(new MockGlobe(new ProjectionUPS("South")));
+
+            expect(crs.geoKeys[Key.ProjectedCSTypeGeoKey]).toBe(32761);
+            expect(crs.falseEasting).toBe(2000000);
+            expect(crs.falseNorthing).toBe(2000000);
+        });
+
+        it("describes spherical projections with user-defined geokeys", function () {
+            var crs = GeoreferencedSnapshot.coordinateSystem(
+                new MockGlobe(new ProjectionLambertConformalConic(33, 45, -96, 39)));
+
+            expect(crs.geoKeys[Key.ProjectedCSTypeGeoKey]).toBe(GeoTiffConstants.USER_DEFINED);
+            expect(crs.geoKeys[Key.ProjCoordTransGeoKey])
+                .toBe(GeoTiffConstants.CoordinateTransformation.LAMBERT_CONF_CONIC_2SP);
+            expect(crs.geoKeys[Key.GeogSemiMinorAxisGeoKey]).toBe(6378137);
+            expect(crs.geoKeys[Key.ProjStdParallel2GeoKey]).toBe(45);
+            expect(crs.geoKeys[Key.ProjFalseOriginLongGeoKey]).toBe(-96);
+        });
+
+        it("rejects 3D globes", function () {
+            expect(function () {
+                GeoreferencedSnapshot.coordinateSystem(new MockGlobe(new ProjectionWgs84()));
+            }).toThrow();
+        });
+
+        it("computes the view's transform when looking straight down", function () {
+            var transform = GeoreferencedSnapshot.viewTransform(new MockWorldWindow());
+
+            expect(transform[0]).toBeCloseTo(2, 8);
+            expect(transform[1]).toBeCloseTo(0, 8);
+            expect(transform[2]).toBeCloseTo(100, 6);
+            expect(transform[3]).toBeCloseTo(0, 8);
+            expect(transform[4]).toBeCloseTo(-3, 8);
+            expect(transform[5]).toBeCloseTo(500, 6);
+
+            expect(function () {
+                GeoreferencedSnapshot.viewTransform(new MockWorldWindow(true));
+            }).toThrow();
+        });
+
+        it("writes world files locating the center of the upper left pixel", function () {
+            var snapshot = new GeoreferencedSnapshot({}, [2, 0, 100, 0, -3, 500], {});
+
+            expect(snapshot.worldFile()).toBe("2\n0\n0\n-3\n101\n498.5\n");
+        });
+
+        it("writes GeoTiffs with the snapshot's location and geokeys", function () {
+            var canvas = {
+                    width: 2,
+                    height: 1,
+                    getContext: function () {
+                        return {
+                            getImageData: function () {
+                                return {data: new Uint8ClampedArray([1, 2, 3, 255, 4, 5, 6, 255])};
+                            }
+                        };
+                    }
+                },
+                crs = GeoreferencedSnapshot.coordinateSystem(new MockGlobe(new ProjectionEquirectangular())),
+                snapshot = new GeoreferencedSnapshot(canvas, [0.5, 0, -10, 0, -0.5, 50], crs.geoKeys),
+                metadata = new GeoTiffReader(snapshot.toGeoTiff()).metadata;
+
+            expect(metadata.modelPixelScale).toEqual([0.5, 0.5, 0]);
+            expect(metadata.modelTiepoint).toEqual([0, 0, 0, -10, 50, 0]);
+            expect(metadata.geographicTypeGeoKey).toBe(4326);
+            expect(metadata.gtRasterTypeGeoKey).toBe(GeoTiffConstants.RasterType.PIXEL_IS_AREA);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/navigate/CameraNavigator',
+    'src/globe/ElevationModel',
+    'src/globe/Globe',
+    'src/util/GoToAnimator',
+    'src/navigate/LookAtNavigator',
+    'src/geom/Position'
+], function (CameraNavigator, ElevationModel, Globe, GoToAnimator, LookAtNavigator, Position) {
+    "use strict";
+
+    // Provides the parts of a WorldWindow used by GoToAnimator.
+    var MockWorldWindow = function (navigator) {
+        this.globe = new Globe(new ElevationModel());
+        this.navigator = navigator;
+        this.canvas = {clientWidth: 800};
+        this.redrawCount = 0;
+    };
+
+    MockWorldWindow.prototype.pixelSizeAtDistance = function (distance) {
+        return distance * 0.001;
+    };
+
+    MockWorldWindow.prototype.redraw = function () {
+        this.redrawCount++;
+    };
+
+    describe("GoToAnimator tests", function () {
+
+        it("Moves a look-at navigator to a position", function (done) {
+            var wwd = new MockWorldWindow(new LookAtNavigator()),
+                animator = new GoToAnimator(wwd);
+            animator.travelTime = 200;
+
+            animator.goTo(new Position(40, -100, 1e6), function () {
+                expect(wwd.navigator.lookAtLocation.latitude).toBeCloseTo(40, 3);
+                expect(wwd.navigator.lookAtLocation.longitude).toBeCloseTo(-100, 3);
+                expect(wwd.navigator.range).toBeCloseTo(1e6, -1);
+                done();
+            });
+        });
+
+        it("Moves a camera navigator to a position", function (done) {
+            var navigator = new CameraNavigator(),
+                wwd = new MockWorldWindow(navigator),
+                animator = new GoToAnimator(wwd),
+                startLookAt;
+            navigator.heading = 30;
+            navigator.tilt = 20;
+            startLookAt = navigator.getAsLookAt(wwd.globe, {});
+            animator.travelTime = 200;
+
+            animator.goTo(new Position(-15, 60, 2e5), function () {
+                var lookAt = navigator.getAsLookAt(wwd.globe, {});
+                expect(wwd.redrawCount).toBeGreaterThan(0);
+                expect(lookAt.lookAtLocation.latitude).toBeCloseTo(-15, 3);
+                expect(lookAt.lookAtLocation.longitude).toBeCloseTo(60, 3);
+                expect(lookAt.range).toBeCloseTo(2e5, -1);
+                expect(lookAt.heading).toBeCloseTo(startLookAt.heading, 3);
+                expect(lookAt.tilt).toBeCloseTo(startLookAt.tilt, 3);
+                done();
+            });
+        });
+
+        it("Keeps a camera navigator's altitude when the position has none", function (done) {
+            var navigator = new CameraNavigator(),
+                wwd = new MockWorldWindow(navigator),
+                animator = new GoToAnimator(wwd),
+                range = navigator.getAsLookAt(wwd.globe, {}).range;
+            animator.travelTime = 200;
+
+            animator.goTo({latitude: 28, longitude: -105}, function () {
+                var lookAt = navigator.getAsLookAt(wwd.globe, {});
+                expect(lookAt.lookAtLocation.latitude).toBeCloseTo(28, 3);
+                expect(lookAt.lookAtLocation.longitude).toBeCloseTo(-105, 3);
+                expect(lookAt.range).toBeCloseTo(range, -1);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,215 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/navigate/CameraNavigator',
+    'src/globe/ElevationModel',
+    'src/globe/Globe',
+    'src/globe/Globe2D',
+    'src/cache/GpuResourceCache',
+    'src/geom/Location',
+    'src/navigate/LookAtNavigator',
+    'src/util/MorphAnimator',
+    'src/projections/ProjectionMorph'
+], function (CameraNavigator, ElevationModel, Globe, Globe2D, GpuResourceCache, Location, LookAtNavigator,
+             MorphAnimator, ProjectionMorph) {
+    "use strict";
+
+    // Provides the parts of a WorldWindow used by MorphAnimator.
+    var MockWorldWindow = function (navigator) {
+        this.globe = new Globe(new ElevationModel());
+        this.navigator = navigator;
+        this.drawContext = {gpuResourceCache: new GpuResourceCache(1e6, 8e5)};
+        this.redrawCount = 0;
+    };
+
+    MockWorldWindow.prototype.redraw = function () {
+        this.redrawCount++;
+    };
+
+    describe("MorphAnimator", function () {
+        var globe3D, globe2D;
+
+        beforeEach(function () {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2020, 0, 1));
+        });
+
+        afterEach(function () {
+            jasmine.clock().uninstall();
+        });
+
+        var createWorldWindow = function (navigator) {
+            var wwd = new MockWorldWindow(navigator);
+            globe3D = wwd.globe;
+            globe2D = new Globe2D();
+
+            var lookAt = navigator.getAsLookAt(globe3D, {});
+            lookAt.lookAtLocation = new Location(30, 20);
+            lookAt.range = 2e6;
+            lookAt.heading = 10;
+            lookAt.tilt = 40;
+            navigator.setAsLookAt(globe3D, lookAt);
+
+            return wwd;
+        };
+
+        var expectLookAt = function (wwd, tilt) {
+            var lookAt = wwd.navigator.getAsLookAt(wwd.globe, {});
+            expect(lookAt.lookAtLocation.latitude).toBeCloseTo(30, 3);
+            expect(lookAt.lookAtLocation.longitude).toBeCloseTo(20, 3);
+            expect(lookAt.range).toBeCloseTo(2e6, -1);
+            expect(lookAt.tilt).toBeCloseTo(tilt, 3);
+        };
+
+        it("Morphs through intermediate globes to the specified globe", function () {
+            var wwd = createWorldWindow(new LookAtNavigator()),
+                animator = new MorphAnimator(wwd),
+                completion = jasmine.createSpy("completion");
+
+            animator.morphTo(globe2D, completion);
+            expect(animator.isAnimating()).toBe(true);
+            expect(wwd.globe.projection instanceof ProjectionMorph).toBe(true);
+
+            jasmine.clock().tick(1000);
+            expect(wwd.globe.projection.factor).toBeCloseTo(0.5, 1);
+            expect(completion).not.toHaveBeenCalled();
+
+            jasmine.clock().tick(1100);
+            expect(wwd.globe).toBe(globe2D);
+            expect(animator.isAnimating()).toBe(false);
+            expect(completion).toHaveBeenCalledWith(animator);
+        });
+
+        it("Keeps a look-at navigator's look-at location while reducing its tilt for a 2D globe", function () {
+            var wwd = createWorldWindow(new LookAtNavigator()),
+                animator = new MorphAnimator(wwd);
+
+            animator.morphTo(globe2D);
+
+            jasmine.clock().tick(1000);
+            expectLookAt(wwd, 20);
+
+            jasmine.clock().tick(1100);
+            expectLookAt(wwd, 0);
+        });
+
+        it("Keeps a camera navigator's look-at location while reducing its tilt for a 2D globe", function () {
+            var wwd = createWorldWindow(new CameraNavigator()),
+                animator = new MorphAnimator(wwd);
+
+            animator.morphTo(globe2D);
+
+            jasmine.clock().tick(2100);
+            expect(wwd.globe).toBe(globe2D);
+            expectLookAt(wwd, 0);
+        });
+
+        it("Keeps the tilt when morphing to a 3D globe", function () {
+            var wwd = createWorldWindow(new CameraNavigator()),
+                animator = new MorphAnimator(wwd),
+                otherGlobe = new Globe(new ElevationModel());
+
+            animator.morphTo(otherGlobe);
+            jasmine.clock().tick(2100);
+
+            expect(wwd.globe).toBe(otherGlobe);
+            expectLookAt(wwd, 40);
+        });
+
+        it("Restores the original globe and tilt when cancelled", function () {
+            var wwd = createWorldWindow(new LookAtNavigator()),
+                animator = new MorphAnimator(wwd),
+                completion = jasmine.createSpy("completion");
+
+            animator.morphTo(globe2D, completion);
+            jasmine.clock().tick(1000);
+            animator.cancel();
+            jasmine.clock().tick(100);
+
+            expect(animator.cancelled).toBe(true);
+            expect(animator.isAnimating()).toBe(false);
+            expect(wwd.globe).toBe(globe3D);
+            expectLookAt(wwd, 40);
+            expect(completion).toHaveBeenCalledWith(animator);
+
+            // The cancelled morph's timer has stopped.
+            var redrawCount = wwd.redrawCount;
+            jasmine.clock().tick(2000);
+            expect(wwd.redrawCount).toBe(redrawCount);
+        });
+
+        it("Completes a morph in progress before starting another", function () {
+            var wwd = createWorldWindow(new LookAtNavigator()),
+                animator = new MorphAnimator(wwd),
+                firstCompletion = jasmine.createSpy("firstCompletion"),
+                secondCompletion = jasmine.createSpy("secondCompletion");
+
+            animator.morphTo(globe2D, firstCompletion);
+            jasmine.clock().tick(1000);
+
+            animator.morphTo(globe3D, secondCompletion);
+            expect(firstCompletion).toHaveBeenCalledWith(animator);
+            expect(secondCompletion).not.toHaveBeenCalled();
+            expect(wwd.globe.projection instanceof ProjectionMorph).toBe(true);
+            expect(wwd.globe.projection.startProjection).toBe(globe2D.projection);
+            expectLookAt(wwd, 0);
+
+            // Only the second morph's timer updates the globe.
+            jasmine.clock().tick(1000);
+            expect(wwd.globe.projection.factor).toBeCloseTo(0.5, 1);
+
+            jasmine.clock().tick(1100);
+            expect(wwd.globe).toBe(globe3D);
+            expect(firstCompletion.calls.count()).toBe(1);
+            expect(secondCompletion).toHaveBeenCalledWith(animator);
+        });
+
+        it("Releases the terrain of each intermediate globe state", function () {
+            var wwd = createWorldWindow(new LookAtNavigator()),
+                animator = new MorphAnimator(wwd),
+                cache = wwd.drawContext.gpuResourceCache,
+                morphGlobe,
+                stateKeys = [];
+
+            animator.morphTo(globe2D);
+            morphGlobe = wwd.globe;
+
+            // Simulate the tessellation of a frame at each state of the morph.
+            var tessellator = morphGlobe.tessellator;
+            tessellator.tiles = [{tileKey: "0.0.0"}, {tileKey: "0.0.1"}];
+            for (var i = 0; i < 10; i++) {
+                var stateKey = morphGlobe.stateKey;
+                stateKeys.push(stateKey);
+                tessellator.topLevelTiles[stateKey] = [{}];
+                cache.putResource(stateKey + "0.0.0", {}, 1);
+                cache.putResource(stateKey + "0.0.1", {}, 1);
+
+                jasmine.clock().tick(animator.animationFrequency);
+            }
+
+            // Only the terrain of the current state remains.
+            tessellator.topLevelTiles[morphGlobe.stateKey] = [{}];
+            expect(Object.keys(tessellator.topLevelTiles)).toEqual([morphGlobe.stateKey]);
+            expect(cache.resourceForKey(stateKeys[0] + "0.0.0")).toBeNull();
+            expect(cache.resourceForKey(stateKeys[8] + "0.0.1")).toBeNull();
+
+            jasmine.clock().tick(2000);
+            expect(Object.keys(tessellator.topLevelTiles).length).toBe(0);
+            expect(cache.usedCapacity).toBe(0);
+        });
+    });
+});
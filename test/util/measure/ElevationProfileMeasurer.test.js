@@ -0,0 +1,82 @@
+/*
+ * Copyright 2003-2006, 2009, 2017, United States Government, as represented by the Administrator of the
+ * National Aeronautics and Space Administration. All rights reserved.
+ *
+ * The NASAWorldWind/WebWorldWind platform is licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+define([
+    'src/util/measure/ElevationProfileMeasurer',
+    'src/geom/Position',
+    'src/WorldWind'
+], function (ElevationProfileMeasurer,
+             Position,
+             WorldWind) {
+    "use strict";
+
+    // A globe whose terrain rises 1000 meters per degree of longitude east of longitude 0 and is flat to the west.
+    var wwd = {
+        globe: {
+            equatorialRadius: 6378137,
+            radiusAt: function () {
+                return 6378137;
+            },
+            elevationAtLocation: function (latitude, longitude) {
+                return Math.max(longitude, 0) * 1000;
+            }
+        }
+    };
+
+    describe("ElevationProfileMeasurer", function () {
+        var measurer = new ElevationProfileMeasurer(wwd);
+
+        it("samples the terrain at the requested interval", function () {
+            var positions = [new Position(0, 0, 0), new Position(0, 0.1, 0)],
+                profile = measurer.getProfile(positions, WorldWind.GREAT_CIRCLE, 1000);
+
+            // The path is about 11.1 km long, so it's divided into 12 intervals.
+            expect(profile.positions.length).toBe(13);
+            expect(profile.distances.length).toBe(13);
+            expect(profile.distances[0]).toBe(0);
+            expect(profile.length).toBeCloseTo(11131.9, 1);
+            expect(profile.distances[12]).toBe(profile.length);
+            expect(profile.elevations[0]).toBe(0);
+            expect(profile.elevations[12]).toBeCloseTo(100, 6);
+        });
+
+        it("computes the elevation range, ascent and descent", function () {
+            var positions = [new Position(0, -0.1, 0), new Position(0, 0.2, 0), new Position(0, 0.1, 0)],
+                profile = measurer.getProfile(positions, WorldWind.LINEAR, 2000);
+
+            expect(profile.minElevation).toBe(0);
+            expect(profile.maxElevation).toBeCloseTo(200, 6);
+            expect(profile.ascent).toBeCloseTo(200, 6);
+            expect(profile.descent).toBeCloseTo(100, 6);
+        });
+
+        it("follows a path's path type", function () {
+            var path = new WorldWind.Path([new Position(10, 0, 0), new Position(20, 10, 0)], null);
+            path.pathType = WorldWind.RHUMB_LINE;
+
+            var rhumb = measurer.getPathProfile(path);
+            path.pathType = WorldWind.GREAT_CIRCLE;
+            var greatCircle = measurer.getPathProfile(path);
+
+            expect(rhumb.length).toBeGreaterThan(greatCircle.length);
+            expect(rhumb.positions[128].longitude).not.toBeCloseTo(greatCircle.positions[128].longitude, 3);
+        });
+
+        it("returns null for fewer than two positions", function () {
+            expect(measurer.getProfile([new Position(0, 0, 0)])).toBeNull();
+        });
+    });
+});